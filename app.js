@@ -1,92 +1,99 @@
 const express = require('express');
 const cors = require('cors');
-const connectDB = require('./config/database');
-const apiRoutes = require('./routes/api');
+const { createApiRouter } = require('./routes/api');
+const { apiErrorHandler } = require('./middleware/errors');
 const createError = require('http-errors');
 const path = require('path');
 const cookieParser = require('cookie-parser');
 const logger = require('morgan');
 
 const indexRouter = require('./routes/index');
-const usersRouter = require('./routes/users');
 
 /**
- * Express application instance
- * @type {express.Application}
+ * Creates the Express application
+ * The app itself connects to nothing: all user and cost storage goes through the given
+ * repository, so bin/www passes the MongoDB one while tests and demos can pass the
+ * in-memory one (see repositories/index.js)
+ *
+ * @param {Object} options
+ * @param {Repository} options.repository - Storage the API uses
+ * @returns {express.Application} The configured application
  */
-const app = express();
+const createApp = ({ repository }) => {
+    const app = express();
 
-/**
- * Configure view engine and application settings
- */
-// view engine setup
-app.set('views', path.join(__dirname, 'views'));
-app.set('view engine', 'pug');
-app.set('json spaces', 2);
+    /**
+     * Configure view engine and application settings
+     */
+    // view engine setup
+    app.set('views', path.join(__dirname, 'views'));
+    app.set('view engine', 'pug');
+    app.set('json spaces', 2);
 
-/**
- * Configure middleware stack
- */
-app.use(logger('dev'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: false }));
-app.use(cookieParser());
-app.use(express.static(path.join(__dirname, 'public')));
+    /**
+     * Configure middleware stack
+     */
+    if (process.env.NODE_ENV !== 'test') {
+        app.use(logger('dev'));
+    }
+    app.use(express.urlencoded({ extended: false }));
+    app.use(cookieParser());
+    app.use(express.static(path.join(__dirname, 'public')));
 
-/**
- * Initialize database connection
- */
-// Connect to MongoDB
-connectDB();
+    /**
+     * Configure CORS middleware
+     */
+    // Validation
+    app.use(cors());
 
-/**
- * Configure CORS middleware
- */
-// Validation
-app.use(cors());
+    /**
+     * Configure application routes
+     */
+    // Routes
+    app.use('/api', createApiRouter({ repository }));
+    // Errors raised before the API router (such as malformed form bodies) are still JSON under /api
+    app.use('/api', apiErrorHandler);
+    app.use('/', indexRouter);
 
-/**
- * Configure application routes
- */
-// Routes
-app.use('/api', apiRoutes);
-app.use('/', indexRouter);
-app.use('/users', usersRouter);
+    /**
+     * Error handling middleware - catches 404 errors and forwards to error handler
+     *
+     * @param {express.Request} req - Express request object
+     * @param {express.Response} res - Express response object
+     * @param {express.NextFunction} next - Express next function
+     */
+    // catch 404 and forward to error handler
+    app.use(function(req, res, next) {
+        next(createError(404));
+    });
 
-/**
- * Error handling middleware - catches 404 errors and forwards to error handler
- *
- * @param {express.Request} req - Express request object
- * @param {express.Response} res - Express response object
- * @param {express.NextFunction} next - Express next function
- */
-// catch 404 and forward to error handler
-app.use(function(req, res, next) {
-    next(createError(404));
-});
+    /**
+     * Global error handler middleware
+     * Handles all application errors and renders error page
+     *
+     * @param {Error} err - Error object
+     * @param {express.Request} req - Express request object
+     * @param {express.Response} res - Express response object
+     * @param {express.NextFunction} next - Express next function
+     */
+    // error handler
+    app.use(function(err, req, res, next) {
+        // set locals, only providing error in development
+        res.locals.message = err.message;
+        res.locals.error = req.app.get('env') === 'development' ? err : {};
 
-/**
- * Global error handler middleware
- * Handles all application errors and renders error page
- *
- * @param {Error} err - Error object
- * @param {express.Request} req - Express request object
- * @param {express.Response} res - Express response object
- * @param {express.NextFunction} next - Express next function
- */
-// error handler
-app.use(function(err, req, res, next) {
-    // set locals, only providing error in development
-    res.locals.message = err.message;
-    res.locals.error = req.app.get('env') === 'development' ? err : {};
+        // render the error page
+        res.status(err.status || 500);
+        res.render('error');
+    });
 
-    // render the error page
-    res.status(err.status || 500);
-    res.render('error');
-});
+    return app;
+};
 
 /**
- * Export the configured Express application
- * @type {express.Application}
+ * Export the application factory
+ * @type {Object}
  */
-module.exports = app;
\ No newline at end of file
+module.exports = {
+    createApp
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { ApiError } = require('../services/errors');
+require('dotenv').config();
+
+/**
+ * How long an issued token stays valid
+ * @type {number}
+ */
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Name of the cookie carrying the session token
+ * @type {string}
+ */
+const SESSION_COOKIE = 'session';
+
+/**
+ * Routes reachable without a token, as [method, path relative to /api]
+ * @type {Array<[string, string]>}
+ */
+const PUBLIC_ROUTES = [
+    ['GET', '/about'],
+    ['GET', '/openapi.json'],
+    ['GET', '/docs'],
+    ['POST', '/users'],
+    ['POST', '/auth/login'],
+    ['POST', '/auth/logout']
+];
+
+/**
+ * Secret the tokens are signed with
+ * Falls back to a random per-process secret, which logs everyone out on restart
+ * @type {string}
+ */
+const SECRET = process.env.AUTH_SECRET || (() => {
+    console.warn('AUTH_SECRET Is Not Set; Using A Random Secret, Sessions Will Not Survive A Restart');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+/**
+ * @typedef {Object} AuthInfo
+ * @property {number} id - ID of the authenticated user
+ * @property {string} role - Role of the authenticated user ('user' or 'admin')
+ * @property {number} exp - Expiry time in milliseconds since the epoch
+ */
+
+/**
+ * Computes the signature of a token payload
+ *
+ * @param {string} payload - Base64url encoded payload
+ * @returns {string} Base64url encoded HMAC-SHA256 signature
+ */
+const sign = (payload) => crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+
+/**
+ * Issues a signed token for a user
+ *
+ * @param {{id: number, role: string}} user - User the token identifies
+ * @returns {{token: string, expiresAt: Date}} The token and its expiry
+ */
+const signToken = (user) => {
+    const exp = Date.now() + TOKEN_TTL_MS;
+    const payload = Buffer.from(JSON.stringify({ id: user.id, role: user.role || 'user', exp })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp) };
+};
+
+/**
+ * Verifies a token's signature and expiry
+ *
+ * @param {string} token - Token from the Authorization header or session cookie
+ * @returns {AuthInfo|null} The token payload, or null if the token is invalid or expired
+ */
+const verifyToken = (token) => {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const auth = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return auth.exp > Date.now() ? auth : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Reads the token from a Bearer Authorization header or the session cookie
+ *
+ * @param {express.Request} req - Express request object
+ * @returns {string|null} The raw token, if any
+ */
+const readToken = (req) => {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return (req.cookies && req.cookies[SESSION_COOKIE]) || null;
+};
+
+/**
+ * Authenticates every /api request except the public routes
+ * Stores the token payload on req.auth, or responds with 401
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const authenticate = (req, res, next) => {
+    const token = readToken(req);
+    req.auth = token ? verifyToken(token) : null;
+
+    const isPublic = PUBLIC_ROUTES.some(([method, path]) => req.method === method && req.path === path);
+    if (req.auth || isPublic) {
+        return next();
+    }
+
+    res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A Valid Bearer Token Or Session Cookie Is Required'
+    });
+};
+
+/**
+ * Restricts a route to administrators
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+    if (req.auth && req.auth.role === 'admin') {
+        return next();
+    }
+    res.status(403).json({
+        error: 'Forbidden',
+        message: 'This Endpoint Is Restricted To Administrators'
+    });
+};
+
+/**
+ * Creates a middleware that only lets the owner of a user id through
+ * Administrators may also read (GET) any user's data. When the selected id is missing
+ * or belongs to no user the request is passed on, so the route answers with its usual
+ * 400 or 404 instead of revealing anything through a 403.
+ *
+ * @param {function(express.Request, express.Response): (number|string|undefined)} selectUserId - Picks the user id the request touches
+ * @returns {function(express.Request, express.Response, express.NextFunction): Promise<void>} The middleware
+ */
+const requireOwner = (selectUserId) => async (req, res, next) => {
+    try {
+        const value = selectUserId(req, res);
+        const userid = Number(value);
+
+        if (value === undefined || value === null || value === '' || !Number.isInteger(userid)) {
+            return next();
+        }
+
+        const { id, role } = req.auth;
+        if (userid === id || (role === 'admin' && req.method === 'GET')) {
+            return next();
+        }
+
+        if (!(await req.repository.users.exists(userid))) {
+            return next();
+        }
+
+        res.status(403).json({
+            error: 'Forbidden',
+            message: `You Do Not Have Access To User ${userid}`
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Authorize Request'));
+    }
+};
+
+/**
+ * Export the authentication helpers and middleware
+ * @type {Object}
+ */
+module.exports = {
+    SESSION_COOKIE,
+    TOKEN_TTL_MS,
+    signToken,
+    verifyToken,
+    authenticate,
+    requireAdmin,
+    requireOwner
+};
@@ -0,0 +1,137 @@
+const { toCode, ApiError, NotFoundError } = require('../services/errors');
+
+/**
+ * Media type of RFC 7807 problem details
+ * @type {string}
+ */
+const PROBLEM_JSON = 'application/problem+json';
+
+/**
+ * Tells whether the client prefers RFC 7807 problem details over plain JSON
+ * Only an Accept header naming application/problem+json ahead of application/json selects them
+ *
+ * @param {express.Request} req - Express request object
+ * @returns {boolean} True for problem details
+ */
+const wantsProblem = (req) => req.accepts(['application/json', PROBLEM_JSON]) === PROBLEM_JSON;
+
+/**
+ * Completes an error body: adds the code if the route did not set one and the request id,
+ * and reshapes it as RFC 7807 problem details when the client asked for them
+ * The error and message fields are always kept, so existing clients keep working.
+ *
+ * @param {express.Request} req - Express request object
+ * @param {number} status - HTTP status of the response
+ * @param {{error: string, message: string, code?: string, errors?: FieldError[]}} body - Error body
+ * @returns {{problem: boolean, body: Object}} Whether the body is problem details, and the body
+ */
+const formatError = (req, status, body) => {
+    const code = body.code || toCode(body.error);
+    const full = { ...body, code, ...(req.id ? { requestId: req.id } : {}) };
+    if (!wantsProblem(req)) {
+        return { problem: false, body: full };
+    }
+    return {
+        problem: true,
+        body: {
+            type: `urn:cost-manager:error:${code.toLowerCase().replace(/_/g, '-')}`,
+            title: body.error,
+            status,
+            detail: body.message,
+            instance: req.originalUrl,
+            ...full
+        }
+    };
+};
+
+/**
+ * Tells whether a response body is an API error body
+ *
+ * @param {number} status - HTTP status
+ * @param {*} body - Body passed to res.json
+ * @returns {boolean} True if it is
+ */
+const isErrorBody = (status, body) => status >= 400 && body !== null && typeof body === 'object' && typeof body.error === 'string';
+
+/**
+ * Gives every error the API sends the same shape
+ * Wraps res.json, so error bodies sent straight from routes ({error, message}) get the
+ * same code, request id and optional problem details as errors thrown to apiErrorHandler.
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const errorResponses = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (!isErrorBody(res.statusCode, body)) {
+            return json(body);
+        }
+        const formatted = formatError(req, res.statusCode, body);
+        if (formatted.problem) {
+            res.type(PROBLEM_JSON);
+        }
+        return json(formatted.body);
+    };
+    next();
+};
+
+/**
+ * Answers requests no API route matched with a JSON 404
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const apiNotFound = (req, res, next) => {
+    next(new NotFoundError('Route Not Found', `No Route Matches ${req.method} ${req.baseUrl}${req.path}`));
+};
+
+/**
+ * Sends errors passed to next (or thrown by async routes) under /api as JSON
+ * ApiErrors are sent as they are. Body parser errors keep their 4xx status; anything
+ * else is an unexpected 500, logged with the request id and answered without internals.
+ *
+ * @param {Error} err - The error
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const apiErrorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    let error;
+    if (err instanceof ApiError) {
+        error = err;
+    } else if (err.type === 'entity.parse.failed') {
+        error = new ApiError(400, 'Invalid JSON', 'The Request Body Is Not Valid JSON', { cause: err });
+    } else if (err.type === 'entity.too.large') {
+        error = new ApiError(413, 'Payload Too Large', `The Request Body Is Larger Than ${err.limit} Bytes`, { cause: err });
+    } else if (err.status >= 400 && err.status < 500) {
+        error = new ApiError(err.status, 'Invalid Request', err.message, { cause: err });
+    } else {
+        console.error('Unexpected API Error:', req.id, err);
+        error = new ApiError(500, 'Internal Server Error', 'An Unexpected Error Occurred', { cause: err });
+    }
+
+    const { problem, body } = formatError(req, error.status, error.toJSON());
+    res.status(error.status);
+    if (problem) {
+        res.type(PROBLEM_JSON);
+    }
+    res.json(body);
+};
+
+/**
+ * Export the API error middleware
+ * @type {Object}
+ */
+module.exports = {
+    PROBLEM_JSON,
+    errorResponses,
+    apiNotFound,
+    apiErrorHandler
+};
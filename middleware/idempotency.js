@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { ApiError } = require('../services/errors');
+require('dotenv').config();
+
+/**
+ * Header clients send to make a write safe to retry
+ * @type {string}
+ */
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * Seconds a key and its response are kept
+ * Read from IDEMPOTENCY_TTL_SECONDS (default 24 hours)
+ * @type {number}
+ */
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+
+/**
+ * Milliseconds after which a key still marked pending is considered abandoned,
+ * e.g. because the process handling it crashed, and a retry may run the request again
+ * @type {number}
+ */
+const PENDING_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Methods the header is honored on
+ * @type {string[]}
+ */
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Serializes a value as JSON with object keys sorted, so bodies that differ only
+ * in key order hash alike
+ *
+ * @param {*} value - Parsed request body
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Stores a pending key for the request, unless its caller already has one with that value
+ * An expired or abandoned key is replaced
+ *
+ * @async
+ * @param {IdempotencyKeyRepository} keys - Storage of the keys
+ * @param {Object} fields - Fields of the new key
+ * @returns {Promise<{claimed: IdempotencyKey|null, existing: IdempotencyKey|null}>} The new key, or the one already stored
+ */
+const claimKey = async (keys, fields) => {
+    try {
+        return { claimed: await keys.create(fields), existing: null };
+    } catch (err) {
+        if (err.code !== 11000) {
+            throw err;
+        }
+    }
+
+    const existing = await keys.find(fields);
+    const now = Date.now();
+    const abandoned = existing && existing.state === 'pending' && existing.createdAt.getTime() < now - PENDING_TIMEOUT_MS;
+    if (existing && (existing.expiresAt.getTime() <= now || abandoned)) {
+        await keys.remove(existing);
+        try {
+            return { claimed: await keys.create(fields), existing: null };
+        } catch (err) {
+            if (err.code !== 11000) {
+                throw err;
+            }
+            return { claimed: null, existing: await keys.find(fields) };
+        }
+    }
+
+    return { claimed: null, existing };
+};
+
+/**
+ * Makes write requests carrying an Idempotency-Key header safe to retry
+ * The first request with a key runs normally and its JSON response is stored with a
+ * hash of its body; a retry with the same key, method, path and body gets the stored
+ * response back (marked with Idempotent-Replayed: true) without running again.
+ * Reusing a key for a different request is refused with 422, and a retry arriving while
+ * the first request still runs gets 409. Responses with a 5xx status are not stored, so
+ * such requests can be retried. Keys are scoped to the authenticated user; keys of
+ * unauthenticated requests (such as sign-ups) are scoped to the client's IP address, so
+ * anonymous callers never see each other's responses.
+ * Only JSON and bodiless requests are covered: file uploads, bank statements, login and
+ * logout ignore the header.
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined || !WRITE_METHODS.includes(req.method) || req.is('json') === false || req.path.startsWith('/auth/')) {
+        return next();
+    }
+
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+        return res.status(400).json({
+            error: 'Invalid Idempotency Key',
+            message: `${IDEMPOTENCY_HEADER} Must Be 1 To 255 Printable ASCII Characters`
+        });
+    }
+
+    try {
+        const fields = {
+            key,
+            userid: req.auth ? req.auth.id : null,
+            client: req.auth ? null : req.ip,
+            method: req.method,
+            path: req.originalUrl,
+            bodyHash: crypto.createHash('sha256').update(canonicalJson(req.body)).digest('hex'),
+            expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000)
+        };
+
+        const keys = req.repository.idempotencyKeys;
+        const { claimed, existing } = await claimKey(keys, fields);
+
+        if (existing) {
+            if (existing.method !== fields.method || existing.path !== fields.path || existing.bodyHash !== fields.bodyHash) {
+                return res.status(422).json({
+                    error: 'Idempotency Key Reused',
+                    message: `${IDEMPOTENCY_HEADER} '${key}' Was Already Used For A Different Request`
+                });
+            }
+            if (existing.state === 'pending') {
+                return res.status(409).json({
+                    error: 'Request In Progress',
+                    message: `A Request With ${IDEMPOTENCY_HEADER} '${key}' Is Still Being Processed; Retry Later`
+                });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.status).json(existing.body);
+        }
+
+        // The response is sent only once its outcome is recorded, so a retry never finds the key pending after the client got an answer
+        let recorded = false;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            recorded = true;
+            const status = res.statusCode;
+            const record = status < 500
+                ? keys.complete(claimed, status, JSON.parse(JSON.stringify(body === undefined ? null : body)))
+                : keys.remove(claimed);
+            record
+                .catch(err => console.error('Idempotency Key Error:', err))
+                .finally(() => json(body));
+            return res;
+        };
+
+        // Responses that are not JSON, or requests that are aborted, release the key
+        res.on('close', () => {
+            if (!recorded) {
+                keys.remove(claimed).catch(err => console.error('Idempotency Key Error:', err));
+            }
+        });
+
+        next();
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Process Idempotency Key'));
+    }
+};
+
+/**
+ * Export the idempotency middleware
+ * @type {Object}
+ */
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    IDEMPOTENCY_TTL_SECONDS,
+    idempotency
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Header a request id is read from and echoed in
+ * @type {string}
+ */
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Storage holding the request being served, so code far from the route
+ * (such as model middleware) can tell who triggered a change
+ * @type {AsyncLocalStorage<express.Request>}
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} requestId - ID of the request being served
+ * @property {{id: number, role: string}|null} actor - Authenticated caller, or null before authentication
+ */
+
+/**
+ * Gives every request an id and makes it available to getRequestContext
+ * A client-supplied X-Request-Id of up to 128 safe characters is kept, otherwise a
+ * random UUID is used; either way the id is echoed in the response header
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const requestContext = (req, res, next) => {
+    const supplied = req.get(REQUEST_ID_HEADER);
+    req.id = supplied && /^[\w.:-]{1,128}$/.test(supplied) ? supplied : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+    storage.run(req, next);
+};
+
+/**
+ * Returns the context of the request currently being served
+ * The actor is read when called, so it reflects authentication done after requestContext ran
+ *
+ * @returns {RequestContext|null} The context, or null outside a request (e.g. in the scheduler)
+ */
+const getRequestContext = () => {
+    const req = storage.getStore();
+    if (!req) {
+        return null;
+    }
+    return {
+        requestId: req.id,
+        actor: req.auth ? { id: req.auth.id, role: req.auth.role } : null
+    };
+};
+
+/**
+ * Export the request context middleware and accessor
+ * @type {Object}
+ */
+module.exports = {
+    REQUEST_ID_HEADER,
+    requestContext,
+    getRequestContext
+};
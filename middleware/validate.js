@@ -0,0 +1,242 @@
+const { document } = require('../services/openapi');
+const { validate, coerceProperties, resolveRef } = require('../services/jsonSchema');
+const { ApiError, ValidationError } = require('../services/errors');
+
+/**
+ * HTTP methods an OpenAPI path item can describe
+ * @type {string[]}
+ */
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * @typedef {Object} Operation
+ * @property {string} template - Path template, e.g. '/costs/{costId}'
+ * @property {RegExp} pattern - Matches request paths of the template
+ * @property {string[]} names - Names of the template's path parameters, in order
+ * @property {Object[]} parameters - Path-level and operation-level parameters
+ * @property {Object} operation - The OpenAPI operation object
+ */
+
+/**
+ * Every operation of the document, keyed by upper-case method
+ * Templates without parameters come first, so '/report/yearly' is never taken for a parameter
+ * @type {Object<string, Operation[]>}
+ */
+const OPERATIONS = Object.entries(document.paths)
+    .sort(([a], [b]) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length)
+    .reduce((operations, [template, item]) => {
+        const names = [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+        const pattern = new RegExp(`^${template.replace(/[.]/g, '\\.').replace(/\{\w+\}/g, '([^/]+)')}/?$`);
+        for (const method of METHODS.filter(method => item[method])) {
+            const operation = item[method];
+            const key = method.toUpperCase();
+            (operations[key] = operations[key] || []).push({
+                template,
+                pattern,
+                names,
+                parameters: [...(item.parameters || []), ...(operation.parameters || [])],
+                operation
+            });
+        }
+        return operations;
+    }, {});
+
+/**
+ * Decodes a path segment, keeping it as it is if it is not valid percent-encoding
+ *
+ * @param {string} segment - Raw path segment
+ * @returns {string} The decoded segment
+ */
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+};
+
+/**
+ * Finds the operation a request is for
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to /api
+ * @returns {{operation: Operation, params: Object<string, string>}|null} The operation and the path parameter values, or null for an undocumented route
+ */
+const findOperation = (method, path) => {
+    for (const operation of OPERATIONS[method] || []) {
+        const match = operation.pattern.exec(path);
+        if (match) {
+            const params = Object.fromEntries(operation.names.map((name, index) => [name, decodeSegment(match[index + 1])]));
+            return { operation, params };
+        }
+    }
+    return null;
+};
+
+/**
+ * @typedef {Object} RequestProblem
+ * @property {FieldError[]} errors - Every failing field; empty if the request is valid
+ * @property {{status?: number, title: string, message?: string}|null} answer - What the first failing field is answered with, or null for the default 400
+ */
+
+/**
+ * Picks the answer a failing body field declares in the operation's x-validation-error
+ * Entries of `fields` cover a body field and everything nested in it
+ *
+ * @param {Object} operation - The OpenAPI operation object
+ * @param {string} field - The failing field, e.g. 'body.userid'
+ * @returns {{status?: number, title: string, message?: string}|null} The answer, or null if the operation declares none
+ */
+const bodyAnswer = (operation, field) => {
+    const declared = operation['x-validation-error'];
+    if (!declared) {
+        return null;
+    }
+    const [, answer] = Object.entries(declared.fields || {})
+        .find(([name]) => field === name || field.startsWith(`${name}.`) || field.startsWith(`${name}[`)) || [];
+    return answer || { status: declared.status, title: declared.title, message: declared.message };
+};
+
+/**
+ * Checks the parameters and body of a request against its operation
+ * Parameters are converted from text to their declared type before they are checked.
+ * A body is checked only when it was sent as JSON or as a form (see convertForm) and the
+ * operation declares a JSON body; CSV imports, statements and uploads are left to their routes.
+ * The first failing value picks the answer: the title (and status) its parameter or the
+ * operation declares as x-validation-error, so routes keep the answers they gave before
+ * requests were validated here.
+ *
+ * @param {Operation} operation - The operation
+ * @param {Object<string, string>} params - Path parameter values
+ * @param {express.Request} req - Express request object
+ * @returns {RequestProblem} The failing fields and the answer
+ */
+const validateRequest = ({ parameters, operation }, params, req) => {
+    const errors = [];
+    let answer = null;
+    const sources = { path: params, query: req.query };
+
+    for (const parameter of parameters) {
+        const value = sources[parameter.in] ? sources[parameter.in][parameter.name] : undefined;
+        const field = `${parameter.in}.${parameter.name}`;
+        const missing = value === undefined || value === '';
+        const failures = missing
+            ? (parameter.required ? [{ field, message: 'Is Required' }] : [])
+            : validate(parameter.schema, value, { path: field, root: document, coerce: true });
+        const declared = parameter['x-validation-error'];
+        if (failures.length > 0 && errors.length === 0 && declared) {
+            const wrongType = missing || validate({ type: parameter.schema.type }, value, { coerce: true }).length > 0;
+            answer = { title: (wrongType && declared.typeTitle) || declared.title };
+        }
+        errors.push(...failures);
+    }
+
+    const content = operation.requestBody && operation.requestBody.content['application/json'];
+    const failures = [];
+    if (content && (req.is('json') || req.is('urlencoded'))) {
+        failures.push(...validate(content.schema, req.body, { path: 'body', root: document }));
+    } else if (content && operation.requestBody.required && req.body === undefined && Object.keys(operation.requestBody.content).length === 1) {
+        failures.push({ field: 'body', message: 'Is Required' });
+    }
+    if (failures.length > 0 && errors.length === 0) {
+        answer = bodyAnswer(operation, failures[0].field);
+    }
+    errors.push(...failures);
+
+    return { errors, answer };
+};
+
+/**
+ * Converts a form (urlencoded) body to the types of the operation's JSON body schema
+ * Form fields always arrive as text, so they are converted the way parameters are. A JSON
+ * body that is not an object, such as the array of a batch, cannot be sent as a form.
+ *
+ * @param {Object} operation - The OpenAPI operation object
+ * @param {express.Request} req - Express request object
+ * @returns {boolean} False if the operation's body cannot be sent as a form
+ */
+const convertForm = (operation, req) => {
+    const content = operation.requestBody && operation.requestBody.content['application/json'];
+    if (!content) {
+        return true;
+    }
+    const schema = content.schema.$ref ? resolveRef(document, content.schema.$ref) : content.schema;
+    if (schema.type !== 'object') {
+        return false;
+    }
+    req.body = coerceProperties(schema, req.body || {}, document);
+    return true;
+};
+
+/**
+ * Wraps res.json to check each JSON response against the documented response
+ * A response that does not match is still sent; the mismatch is logged, since it is a
+ * bug in the API rather than in the request
+ *
+ * @param {Operation} operation - The operation
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ */
+const checkResponses = ({ template, operation }, req, res) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        try {
+            let response = operation.responses[res.statusCode] || operation.responses.default;
+            if (response && response.$ref) {
+                response = resolveRef(document, response.$ref);
+            }
+            const content = response && response.content && response.content['application/json'];
+            const problems = !response
+                ? [{ field: 'status', message: `${res.statusCode} Is Not A Documented Status` }]
+                : content
+                    ? validate(content.schema, JSON.parse(JSON.stringify(body === undefined ? null : body)), { path: 'response', root: document })
+                    : [];
+            if (problems.length > 0) {
+                console.error('Response Validation Error:', `${req.method} ${template} ${res.statusCode}`, problems);
+            }
+        } catch (err) {
+            console.error('Response Validation Error:', err);
+        }
+        return json(body);
+    };
+};
+
+/**
+ * Validates requests against the OpenAPI document (services/openapi.js)
+ * Routes the document does not describe are passed on untouched. A request with failing
+ * parameters or body is answered with one error listing every failing field:
+ * {error: 'Validation Failed', message, code: 'VALIDATION_FAILED', errors: [{field, message}]},
+ * unless the first failing value declares its own title and status (see validateRequest).
+ * Form bodies sent to routes that take a JSON array are refused with 415.
+ * JSON responses of documented routes are checked on their way out (see checkResponses).
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const validateWithOpenApi = (req, res, next) => {
+    const found = findOperation(req.method, req.path);
+    if (!found) {
+        return next();
+    }
+
+    if (req.is('urlencoded') && !convertForm(found.operation.operation, req)) {
+        return next(new ApiError(415, 'Unsupported Media Type', 'This Route Only Takes JSON Bodies'));
+    }
+
+    const { errors, answer } = validateRequest(found.operation, found.params, req);
+    if (errors.length > 0) {
+        return next(new ValidationError(errors, answer || {}));
+    }
+
+    checkResponses(found.operation, req, res);
+    next();
+};
+
+/**
+ * Export the OpenAPI validation middleware
+ * @type {Object}
+ */
+module.exports = {
+    validateWithOpenApi
+};
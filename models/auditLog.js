@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * Entities whose changes are audited
+ * @type {string[]}
+ */
+const AUDITED_ENTITIES = ['User', 'Cost'];
+
+/**
+ * Kinds of change an audit entry records
+ * @type {string[]}
+ */
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * @typedef {Object} AuditChange
+ * @property {string} field - Top-level field that changed
+ * @property {*} [before] - Value before the change; missing for fields that did not exist
+ * @property {*} [after] - Value after the change; missing for fields that were removed
+ */
+
+/**
+ * @typedef {Object} AuditLog
+ * @property {string} entity - 'User' or 'Cost'
+ * @property {string} entityId - The user's numeric id or the cost's ObjectId, as a string
+ * @property {number[]} owners - IDs of the users the entity belonged to before or after the change
+ * @property {string} action - 'create', 'update' or 'delete'
+ * @property {{id: number, role: string}} [actor] - Authenticated caller; missing for changes made outside a request
+ * @property {string} [requestId] - ID of the request that made the change
+ * @property {Date} timestamp - When the change was made
+ * @property {AuditChange[]} changes - Fields that differ between before and after
+ */
+
+/**
+ * Mongoose schema for the AuditLog collection.
+ * Entries are written by services/audit.js and are append-only: updating or deleting
+ * them through the model is refused.
+ *
+ * @type {mongoose.Schema}
+ */
+const auditLogSchema = new mongoose.Schema({
+    entity: {
+        type: String,
+        required: true,
+        enum: AUDITED_ENTITIES
+    },
+    entityId: {
+        type: String,
+        required: true
+    },
+    owners: {
+        type: [Number],
+        default: []
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: AUDIT_ACTIONS
+    },
+    actor: {
+        type: new mongoose.Schema({ id: Number, role: String }, { _id: false }),
+        default: undefined
+    },
+    requestId: {
+        type: String
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    },
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed }
+    }]
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, timestamp: -1, _id: -1 });
+auditLogSchema.index({ owners: 1, timestamp: -1, _id: -1 });
+auditLogSchema.index({ timestamp: -1, _id: -1 });
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error('Audit Entries Are Append-Only');
+    }
+});
+
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function () {
+        throw new Error('Audit Entries Are Append-Only');
+    }
+);
+
+/**
+ * Mongoose model for audit entries.
+ *
+ * @type {mongoose.Model<AuditLog>}
+ */
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} Budget
+ * @property {number} userid - ID of the user who owns this budget
+ * @property {string} category - Name of the category the budget limits
+ * @property {number} limit - Monthly spending limit
+ * @property {boolean} rollover - Whether unspent amounts carry over to the next month
+ * @property {Date} startDate - The budget applies from the month of this date on
+ */
+
+/**
+ * Mongoose schema for the Budget collection.
+ * A budget is a monthly spending limit for one category of one user.
+ *
+ * @type {mongoose.Schema}
+ */
+const budgetSchema = new mongoose.Schema({
+    userid: {
+        type: Number,
+        required: true,
+        min: [1, 'User ID Must Be A Positive Integer']
+    },
+    category: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    limit: {
+        type: Number,
+        required: true,
+        min: [0, 'Limit Must Not Be Negative']
+    },
+    rollover: {
+        type: Boolean,
+        default: false
+    },
+    startDate: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+budgetSchema.index({ userid: 1, category: 1 }, { unique: true });
+
+/**
+ * Mongoose model for budgets.
+ *
+ * @type {mongoose.Model<Budget>}
+ */
+module.exports = mongoose.model('Budget', budgetSchema);
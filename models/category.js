@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * Categories every user starts with, in report order
+ * @type {string[]}
+ */
+const DEFAULT_CATEGORIES = ['food', 'education', 'health', 'housing', 'sport'];
+
+/**
+ * @typedef {Object} Category
+ * @property {number} userid - ID of the user who owns this category
+ * @property {string} name - Category name, unique per user (stored in lower case)
+ * @property {boolean} archived - Archived categories keep their costs but accept no new ones
+ */
+
+/**
+ * Mongoose schema for the Category collection.
+ * Categories are per user: each user is given the default categories the first
+ * time their categories are needed, and can then add, rename, archive and merge them.
+ *
+ * @type {mongoose.Schema}
+ */
+const categorySchema = new mongoose.Schema({
+    userid: {
+        type: Number,
+        required: true,
+        min: [1, 'User ID Must Be A Positive Integer']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        maxlength: [50, 'Category Name Must Be At Most 50 Characters']
+    },
+    archived: {
+        type: Boolean,
+        default: false
+    }
+});
+
+categorySchema.index({ userid: 1, name: 1 }, { unique: true });
+
+/**
+ * Names of the categories every user starts with
+ * @type {string[]}
+ */
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+/**
+ * Gives a user the default categories if they have none yet
+ * Upserts keep this safe when two requests do it at the same time
+ *
+ * @param {number} userid - ID of the user
+ * @returns {Promise<void>}
+ */
+categorySchema.statics.ensureDefaults = async function (userid) {
+    if (await this.exists({ userid })) {
+        return;
+    }
+
+    await this.bulkWrite(DEFAULT_CATEGORIES.map(name => ({
+        updateOne: {
+            filter: { userid, name },
+            update: { $setOnInsert: { userid, name, archived: false } },
+            upsert: true
+        }
+    })), { ordered: true });
+};
+
+/**
+ * Returns the user's categories in creation order
+ *
+ * @param {number} userid - ID of the user
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also return archived categories
+ * @returns {Promise<Category[]>} The categories as plain objects
+ */
+categorySchema.statics.findForUser = async function (userid, { includeArchived = false } = {}) {
+    await this.ensureDefaults(userid);
+
+    const filter = includeArchived ? { userid } : { userid, archived: false };
+    return this.find(filter).sort({ _id: 1 }).lean();
+};
+
+/**
+ * Tells whether new costs of the user may use the given category
+ *
+ * @param {number} userid - ID of the user
+ * @param {string} name - Category name
+ * @returns {Promise<boolean>} True if the category exists and is not archived
+ */
+categorySchema.statics.isActive = async function (userid, name) {
+    await this.ensureDefaults(userid);
+
+    const category = await this.exists({
+        userid,
+        name: String(name).trim().toLowerCase(),
+        archived: false
+    });
+    return category !== null;
+};
+
+/**
+ * Mongoose model for categories.
+ *
+ * @type {mongoose.Model<Category>}
+ */
+module.exports = mongoose.model('Category', categorySchema);
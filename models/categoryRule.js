@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ways a rule pattern can be matched against a payee
+ * @type {string[]}
+ */
+const MATCH_TYPES = ['substring', 'regex'];
+
+/**
+ * @typedef {Object} CategoryRule
+ * @property {number} userid - ID of the user who owns this rule
+ * @property {string} pattern - Text or regular expression matched against the payee
+ * @property {string} matchType - 'substring' (case-insensitive) or 'regex'
+ * @property {string} category - Category given to costs whose payee matches
+ * @property {number} priority - Rules with a higher priority are tried first
+ */
+
+/**
+ * Mongoose schema for the CategoryRule collection.
+ * Rules pick the category of costs imported from bank statements by looking at the payee.
+ *
+ * @type {mongoose.Schema}
+ */
+const categoryRuleSchema = new mongoose.Schema({
+    userid: {
+        type: Number,
+        required: true,
+        min: [1, 'User ID Must Be A Positive Integer']
+    },
+    pattern: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    matchType: {
+        type: String,
+        enum: {
+            values: MATCH_TYPES,
+            message: `Match Type Must Be One Of: ${MATCH_TYPES.join(', ')}`
+        },
+        default: 'substring'
+    },
+    category: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    priority: {
+        type: Number,
+        default: 0
+    }
+});
+
+categoryRuleSchema.index({ userid: 1, priority: -1, _id: 1 });
+
+categoryRuleSchema.path('pattern').validate(function (pattern) {
+    if (this.matchType !== 'regex') {
+        return true;
+    }
+    try {
+        new RegExp(pattern, 'i');
+        return true;
+    } catch (err) {
+        return false;
+    }
+}, props => `'${props.value}' Is Not A Valid Regular Expression`);
+
+/**
+ * Tells whether a payee matches a rule
+ * Both match types ignore case. Takes plain rules too, as repositories return them.
+ *
+ * @param {CategoryRule} rule - Rule to try
+ * @param {string} payee - Payee from the bank statement
+ * @returns {boolean} True if the rule applies
+ */
+categoryRuleSchema.statics.matchesPayee = function (rule, payee) {
+    const text = String(payee || '');
+    if (rule.matchType === 'regex') {
+        return new RegExp(rule.pattern, 'i').test(text);
+    }
+    return text.toLowerCase().includes(rule.pattern.toLowerCase());
+};
+
+/**
+ * Tells whether a payee matches the rule
+ *
+ * @param {string} payee - Payee from the bank statement
+ * @returns {boolean} True if the rule applies
+ */
+categoryRuleSchema.methods.matches = function (payee) {
+    return this.constructor.matchesPayee(this, payee);
+};
+
+/**
+ * Returns the user's rules in the order they are tried
+ *
+ * @param {number} userid - ID of the user
+ * @returns {Promise<CategoryRule[]>} The rules, highest priority first, then oldest first
+ */
+categoryRuleSchema.statics.findForUser = function (userid) {
+    return this.find({ userid }).sort({ priority: -1, _id: 1 });
+};
+
+/**
+ * Mongoose model for category rules.
+ *
+ * @type {mongoose.Model<CategoryRule>}
+ */
+module.exports = mongoose.model('CategoryRule', categoryRuleSchema);
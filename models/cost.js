@@ -1,14 +1,68 @@
 const mongoose = require('mongoose');
+const Report = require('./report');
+const { getStorage } = require('../services/storage');
+const { TAG_PATTERN, MAX_TAGS, normalizeTags } = require('../services/tags');
+const { auditPlugin } = require('../services/audit');
+const { softDeletePlugin } = require('../services/softDelete');
+
+/**
+ * @typedef {Object} Attachment
+ * @property {mongoose.Types.ObjectId} _id - ID of the attachment
+ * @property {string} filename - File name the client uploaded
+ * @property {string} contentType - MIME type of the file
+ * @property {number} size - Size in bytes
+ * @property {string} storageKey - Key the file is stored under in the storage adapter
+ * @property {Date} uploadedAt - When the file was uploaded
+ */
 
 /**
  * @typedef {Object} Cost
  * @property {string} description - Description of the cost item
- * @property {string} category - Category of the cost ('food', 'health', 'housing', 'sport', 'education')
+ * @property {string} category - Name of one of the user's categories (see models/category.js)
  * @property {number} userid - ID of the user who owns this cost item
  * @property {number} sum - Numeric value of the cost
+ * @property {string} [currency] - ISO 4217 code of the sum (costs without one are in the owner's base currency)
  * @property {Date} date - Date the cost occurred (default is current date)
+ * @property {mongoose.Types.ObjectId} [recurringId] - Recurring cost definition this item was created from
+ * @property {Date} [occurrence] - Scheduled occurrence of the recurring cost this item materializes
+ * @property {string} [payee] - Payee named by the bank statement the cost was imported from
+ * @property {string} [bankTransactionId] - The bank's id of the transaction the cost was imported from
+ * @property {Attachment[]} attachments - Receipts attached to the cost; the files live in the storage adapter
+ * @property {string[]} [tags] - Free-form labels such as 'vacation-2025' or 'reimbursable'
+ * @property {mongoose.Types.ObjectId} [groupExpenseId] - Group expense this cost is the owner's share of
+ * @property {Date} [deletedAt] - When the cost was moved to the trash
  */
 
+/**
+ * Schema of the attachment metadata kept inside a cost
+ *
+ * @type {mongoose.Schema}
+ */
+const attachmentSchema = new mongoose.Schema({
+    filename: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    storageKey: {
+        type: String,
+        required: true
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 /**
  * Mongoose schema for the Cost collection.
  * Defines the structure and validation rules for cost documents in MongoDB.
@@ -24,7 +78,8 @@ const costSchema = new mongoose.Schema({
     category: {
         type: String,
         required: true,
-        enum: ['food', 'health', 'housing', 'sport', 'education']
+        trim: true,
+        lowercase: true
     },
     userid: {
         type: Number,
@@ -35,10 +90,170 @@ const costSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        validate: {
+            validator: code => Intl.supportedValuesOf('currency').includes(code),
+            message: props => `'${props.value}' Is Not An ISO 4217 Currency Code`
+        }
+    },
     date: {
         type: Date,
         default: Date.now
+    },
+    recurringId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringCost'
+    },
+    occurrence: {
+        type: Date
+    },
+    payee: {
+        type: String,
+        trim: true
+    },
+    bankTransactionId: {
+        type: String,
+        trim: true
+    },
+    attachments: {
+        type: [attachmentSchema],
+        default: undefined
+    },
+    tags: {
+        type: [String],
+        default: undefined,
+        set: normalizeTags,
+        validate: [
+            {
+                validator: tags => tags.length <= MAX_TAGS,
+                message: `A Cost Item Can Have At Most ${MAX_TAGS} Tags`
+            },
+            {
+                validator: tags => tags.every(tag => TAG_PATTERN.test(tag)),
+                message: 'Tags May Only Hold Letters, Digits, Dashes And Underscores, Up To 50 Characters'
+            }
+        ]
+    },
+    groupExpenseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupExpense'
+    }
+});
+
+/**
+ * Compound indexes backing the per-user queries: reports and listings by date range,
+ * and listings filtered by category. The trailing _id keeps cursor pagination on an index.
+ */
+costSchema.index({ userid: 1, date: -1, _id: -1 });
+costSchema.index({ userid: 1, category: 1, date: -1, _id: -1 });
+
+/**
+ * Tag filters and tag summaries, and the text index behind GET /api/search
+ */
+costSchema.index({ userid: 1, tags: 1, date: -1 });
+costSchema.index({ description: 'text' });
+
+/**
+ * At most one cost per occurrence of a recurring cost, so the scheduler can never create duplicates
+ */
+costSchema.index(
+    { recurringId: 1, occurrence: 1 },
+    { unique: true, partialFilterExpression: { recurringId: { $exists: true } } }
+);
+
+/**
+ * Finds the member shares of a group expense
+ */
+costSchema.index({ groupExpenseId: 1 }, { partialFilterExpression: { groupExpenseId: { $exists: true } } });
+
+/**
+ * A bank transaction is imported at most once per user, so re-importing a statement changes nothing
+ */
+costSchema.index(
+    { userid: 1, bankTransactionId: 1 },
+    { unique: true, partialFilterExpression: { bankTransactionId: { $exists: true } } }
+);
+
+/**
+ * Keeps stored report snapshots in sync with the Cost collection.
+ * Every write that adds, moves or removes a cost drops the snapshot of the
+ * affected month, and of the month it came from when the date or user changed,
+ * so the next /api/report for it is computed again.
+ */
+costSchema.post('init', function () {
+    this.$locals.original = { userid: this.userid, date: this.date };
+});
+
+costSchema.post('save', async function () {
+    await Report.invalidate([{ userid: this.userid, date: this.date }, this.$locals.original].filter(Boolean));
+    this.$locals.original = { userid: this.userid, date: this.date };
+});
+
+costSchema.post('deleteOne', { document: true, query: false }, async function () {
+    await Report.invalidate([{ userid: this.userid, date: this.date }]);
+});
+
+costSchema.post('insertMany', async function (docs) {
+    await Report.invalidate(docs.map(doc => ({ userid: doc.userid, date: doc.date })));
+});
+
+// Bulk updates only drop the months the matched costs are in, so they must not change dates
+costSchema.pre(['deleteMany', 'findOneAndDelete', 'updateMany'], async function () {
+    const affected = await this.model.find(this.getFilter()).setOptions({ withDeleted: this.getOptions().withDeleted }).select('userid date').lean();
+    await Report.invalidate(affected);
+});
+
+/**
+ * Deletes the attachment files of removed costs from the storage adapter
+ * A file that cannot be removed is logged rather than failing the delete
+ *
+ * @param {Array<{attachments?: Attachment[]}>} costs - Removed costs
+ * @returns {Promise<void>}
+ */
+const removeAttachmentFiles = async (costs) => {
+    const keys = costs.flatMap(cost => (cost.attachments || []).map(attachment => attachment.storageKey));
+    for (const key of keys) {
+        await getStorage().remove(key).catch(err => console.error('Attachment Cleanup Error:', err));
     }
+};
+
+/**
+ * Removes attachment files along with their costs.
+ * Bulk deletes note the affected costs before running and remove the files
+ * only once the delete has succeeded.
+ */
+const pendingFileRemovals = new WeakMap();
+
+costSchema.post('deleteOne', { document: true, query: false }, async function () {
+    await removeAttachmentFiles([this]);
+});
+
+costSchema.pre(['deleteMany', 'findOneAndDelete'], async function () {
+    const costs = await this.model.find(this.getFilter()).setOptions({ withDeleted: this.getOptions().withDeleted }).select('attachments.storageKey').lean();
+    pendingFileRemovals.set(this, costs);
+});
+
+costSchema.post(['deleteMany', 'findOneAndDelete'], async function () {
+    await removeAttachmentFiles(pendingFileRemovals.get(this) || []);
+    pendingFileRemovals.delete(this);
+});
+
+/**
+ * Deleting moves documents to the trash; they are hidden from queries until restored
+ * or purged (see services/softDelete.js and services/trash.js)
+ */
+costSchema.plugin(softDeletePlugin);
+
+/**
+ * Records every create, update and delete in the audit log (see services/audit.js)
+ */
+costSchema.plugin(auditPlugin, {
+    entity: 'Cost',
+    getEntityId: cost => String(cost._id),
+    getOwners: cost => [cost.userid]
 });
 
 /**
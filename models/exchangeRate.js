@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} ExchangeRate
+ * @property {string} from - ISO 4217 code of the source currency
+ * @property {string} to - ISO 4217 code of the target currency
+ * @property {number} rate - Units of the target currency for one unit of the source currency
+ * @property {Date} date - Day the rate applies from (UTC midnight)
+ */
+
+/**
+ * Mongoose schema for the ExchangeRate collection.
+ * A local rate table; a cost is converted with the latest rate dated on or before the cost.
+ *
+ * @type {mongoose.Schema}
+ */
+const exchangeRateSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+        validate: {
+            validator: code => Intl.supportedValuesOf('currency').includes(code),
+            message: props => `'${props.value}' Is Not An ISO 4217 Currency Code`
+        }
+    },
+    to: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+        validate: {
+            validator: code => Intl.supportedValuesOf('currency').includes(code),
+            message: props => `'${props.value}' Is Not An ISO 4217 Currency Code`
+        }
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: [Number.MIN_VALUE, 'Rate Must Be Positive']
+    },
+    date: {
+        type: Date,
+        required: true,
+        set: value => {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime())
+                ? value
+                : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        }
+    }
+});
+
+exchangeRateSchema.index({ from: 1, to: 1, date: -1 }, { unique: true });
+
+/**
+ * Mongoose model for exchange rates.
+ *
+ * @type {mongoose.Model<ExchangeRate>}
+ */
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} Group
+ * @property {string} name - Name of the group, e.g. 'Apartment 4B'
+ * @property {number[]} members - IDs of the users sharing expenses in the group
+ * @property {string} currency - ISO 4217 code every expense and settlement of the group is in
+ * @property {number} createdBy - ID of the user who created the group
+ * @property {Date} createdAt - When the group was created
+ */
+
+/**
+ * Mongoose schema for the Group collection.
+ * A group is a set of users, such as a couple or roommates, who split expenses.
+ *
+ * @type {mongoose.Schema}
+ */
+const groupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    members: {
+        type: [Number],
+        validate: [
+            {
+                validator: members => members.length >= 2,
+                message: 'A Group Needs At Least Two Members'
+            },
+            {
+                validator: members => new Set(members).size === members.length,
+                message: 'Each Member May Appear Only Once In A Group'
+            },
+            {
+                validator: members => members.every(id => Number.isInteger(id) && id >= 1),
+                message: 'Member IDs Must Be Positive Integers'
+            }
+        ]
+    },
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+        validate: {
+            validator: code => Intl.supportedValuesOf('currency').includes(code),
+            message: props => `'${props.value}' Is Not An ISO 4217 Currency Code`
+        }
+    },
+    createdBy: {
+        type: Number,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+groupSchema.index({ members: 1 });
+
+/**
+ * Mongoose model for groups.
+ *
+ * @type {mongoose.Model<Group>}
+ */
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { SPLIT_TYPES } = require('../services/splits');
+
+/**
+ * @typedef {Object} GroupExpense
+ * @property {mongoose.Types.ObjectId} groupId - Group the expense belongs to
+ * @property {number} paidBy - ID of the member who paid
+ * @property {string} description - Description of the expense
+ * @property {string} category - Category the members' shares are filed under
+ * @property {number} sum - Amount paid, in the group's currency
+ * @property {string} currency - ISO 4217 code of the sum (the group's currency)
+ * @property {Date} date - Date of the expense
+ * @property {string} splitType - 'equal', 'percentage' or 'exact'
+ * @property {Array<{userid: number, amount: number, percentage?: number}>} shares - Part each member bears
+ * @property {number} createdBy - ID of the user who recorded the expense
+ */
+
+/**
+ * Mongoose schema for the GroupExpense collection.
+ * Each share is also stored as a cost of its member (see Cost#groupExpenseId), so it
+ * shows up in that member's reports and totals; the expense itself only drives balances.
+ *
+ * @type {mongoose.Schema}
+ */
+const groupExpenseSchema = new mongoose.Schema({
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    paidBy: {
+        type: Number,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    category: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    sum: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Sum Must Be A Positive Amount']
+    },
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    splitType: {
+        type: String,
+        enum: {
+            values: SPLIT_TYPES,
+            message: `Split Type Must Be One Of: ${SPLIT_TYPES.join(', ')}`
+        },
+        required: true
+    },
+    shares: [{
+        _id: false,
+        userid: { type: Number, required: true },
+        amount: { type: Number, required: true, min: 0 },
+        percentage: { type: Number }
+    }],
+    createdBy: {
+        type: Number,
+        required: true
+    }
+});
+
+groupExpenseSchema.index({ groupId: 1, date: -1, _id: -1 });
+
+/**
+ * Mongoose model for group expenses.
+ *
+ * @type {mongoose.Model<GroupExpense>}
+ */
+module.exports = mongoose.model('GroupExpense', groupExpenseSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * States of a stored idempotency key
+ * A key is 'pending' while its first request runs and 'completed' once the response is stored
+ * @type {string[]}
+ */
+const IDEMPOTENCY_STATES = ['pending', 'completed'];
+
+/**
+ * @typedef {Object} IdempotencyKey
+ * @property {string} key - Value of the Idempotency-Key header
+ * @property {number|null} userid - ID of the caller; keys are scoped per user
+ * @property {string|null} client - IP address of an unauthenticated caller, whose keys are scoped per address; null when authenticated
+ * @property {string} method - HTTP method of the first request
+ * @property {string} path - Path and query string of the first request
+ * @property {string} bodyHash - SHA-256 of the first request's body
+ * @property {string} state - 'pending' or 'completed'
+ * @property {number} [status] - HTTP status of the stored response
+ * @property {*} [body] - JSON body of the stored response
+ * @property {Date} createdAt - When the first request arrived
+ * @property {Date} expiresAt - When the key is forgotten; MongoDB removes it shortly after
+ */
+
+/**
+ * Mongoose schema for the IdempotencyKey collection.
+ * Holds the outcome of write requests sent with an Idempotency-Key header so a retry
+ * gets the original response instead of repeating the write (see middleware/idempotency.js).
+ *
+ * @type {mongoose.Schema}
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    userid: {
+        type: Number,
+        default: null
+    },
+    client: {
+        type: String,
+        default: null
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    bodyHash: {
+        type: String,
+        required: true
+    },
+    state: {
+        type: String,
+        enum: IDEMPOTENCY_STATES,
+        default: 'pending'
+    },
+    status: {
+        type: Number
+    },
+    body: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+idempotencyKeySchema.index({ userid: 1, client: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Mongoose model for idempotency keys.
+ *
+ * @type {mongoose.Model<IdempotencyKey>}
+ */
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * Supported schedule frequencies
+ * @type {string[]}
+ */
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * @typedef {Object} Schedule
+ * @property {string} frequency - How often the cost occurs ('daily', 'weekly', 'monthly', 'yearly')
+ * @property {number} [dayOfMonth] - Day of the month for monthly and yearly schedules (defaults to the start date's day; clamped to short months)
+ * @property {Date} [endDate] - Last date an occurrence may fall on
+ */
+
+/**
+ * @typedef {Object} RecurringCost
+ * @property {string} description - Description of the cost item
+ * @property {string} category - Name of one of the user's categories
+ * @property {number} userid - ID of the user who owns this definition
+ * @property {number} sum - Numeric value of each occurrence
+ * @property {Schedule} schedule - When the cost recurs
+ * @property {Date} startDate - Date of the first occurrence
+ * @property {Date[]} skippedDates - Occurrences that must not be materialized
+ * @property {Date} [materializedUntil] - Every occurrence up to this instant has been handled
+ */
+
+/**
+ * Mongoose schema for the RecurringCost collection.
+ * A definition from which the scheduler creates Cost documents as they come due.
+ *
+ * @type {mongoose.Schema}
+ */
+const recurringCostSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    category: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    userid: {
+        type: Number,
+        required: true,
+        min: [1, 'User ID Must Be A Positive Integer']
+    },
+    sum: {
+        type: Number,
+        required: true
+    },
+    schedule: {
+        frequency: {
+            type: String,
+            required: true,
+            enum: {
+                values: FREQUENCIES,
+                message: `Frequency Must Be One Of: ${FREQUENCIES.join(', ')}`
+            }
+        },
+        dayOfMonth: {
+            type: Number,
+            min: [1, 'Day Of Month Must Be Between 1 And 31'],
+            max: [31, 'Day Of Month Must Be Between 1 And 31']
+        },
+        endDate: {
+            type: Date
+        }
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    skippedDates: {
+        type: [Date],
+        default: []
+    },
+    materializedUntil: {
+        type: Date
+    }
+});
+
+recurringCostSchema.index({ userid: 1 });
+
+/**
+ * Mongoose model for recurring cost definitions.
+ *
+ * @type {mongoose.Model<RecurringCost>}
+ */
+module.exports = mongoose.model('RecurringCost', recurringCostSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} ReportSnapshot
+ * @property {number} userid - ID of the user the report belongs to
+ * @property {number} year - Year of the report
+ * @property {number} month - Month of the report (1-12)
+ * @property {string} timezone - IANA time zone the report was computed in
+ * @property {Array<Object<string, Array<{sum: number, description: string, day: number, date: string, timestamp: string}>>>} costs - Report body, one entry per category
+ * @property {Date} createdAt - When the snapshot was computed
+ */
+
+/**
+ * Mongoose schema for the Report snapshot collection.
+ * Stores the computed /api/report body of a month that is already over,
+ * so later requests for that month do not have to scan the Cost collection.
+ *
+ * @type {mongoose.Schema}
+ */
+const reportSchema = new mongoose.Schema({
+    userid: {
+        type: Number,
+        required: true
+    },
+    year: {
+        type: Number,
+        required: true
+    },
+    month: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 12
+    },
+    timezone: {
+        type: String
+    },
+    costs: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reportSchema.index({ userid: 1, year: 1, month: 1 }, { unique: true });
+
+/**
+ * Largest offsets behind and ahead of UTC any time zone uses, in milliseconds
+ * (UTC-12 and UTC+14)
+ * @type {{behind: number, ahead: number}}
+ */
+const OFFSET_BOUNDS = { behind: 12 * 60 * 60 * 1000, ahead: 14 * 60 * 60 * 1000 };
+
+/**
+ * Lists the snapshots that may cover the given (userid, date) pairs
+ * Reports are computed in the user's time zone, so near the turn of a month a cost can
+ * belong to the month before or after its UTC month; both are listed then.
+ *
+ * @param {Array<{userid: number, date: Date}>} entries - Cost owners and dates
+ * @returns {Array<{userid: number, year: number, month: number}>} The snapshot keys
+ */
+reportSchema.statics.affectedMonths = function (entries) {
+    return entries
+        .filter(entry => entry.userid !== undefined && entry.date)
+        .flatMap(entry => {
+            const instant = new Date(entry.date).getTime();
+            const [first, last] = [instant - OFFSET_BOUNDS.behind, instant + OFFSET_BOUNDS.ahead].map(edge => {
+                const date = new Date(edge);
+                return { userid: entry.userid, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+            });
+            return first.month === last.month ? [first] : [first, last];
+        });
+};
+
+/**
+ * Removes the snapshots covering the given (userid, date) pairs
+ * Called whenever a cost is added, changed or removed so a stored report never goes stale
+ *
+ * @param {Array<{userid: number, date: Date}>} entries - Cost owners and dates that changed
+ * @returns {Promise<void>}
+ */
+reportSchema.statics.invalidate = async function (entries) {
+    const months = this.affectedMonths(entries);
+    if (months.length === 0) {
+        return;
+    }
+
+    await this.deleteMany({ $or: months });
+};
+
+/**
+ * Mongoose model for report snapshots.
+ *
+ * @type {mongoose.Model<ReportSnapshot>}
+ */
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} Settlement
+ * @property {mongoose.Types.ObjectId} groupId - Group the settlement belongs to
+ * @property {number} from - ID of the member who paid
+ * @property {number} to - ID of the member who received the money
+ * @property {number} amount - Amount paid, in the group's currency
+ * @property {Date} date - When the money changed hands
+ * @property {string} [note] - Free-form note, e.g. 'Bank transfer'
+ * @property {number} createdBy - ID of the user who recorded the settlement
+ */
+
+/**
+ * Mongoose schema for the Settlement collection.
+ * A settlement records money paid between two group members to even out their
+ * balances; it is not a cost and does not show up in reports.
+ *
+ * @type {mongoose.Schema}
+ */
+const settlementSchema = new mongoose.Schema({
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    from: {
+        type: Number,
+        required: true
+    },
+    to: {
+        type: Number,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Amount Must Be A Positive Amount']
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: Number,
+        required: true
+    }
+});
+
+settlementSchema.index({ groupId: 1, date: -1, _id: -1 });
+
+/**
+ * Mongoose model for settlements.
+ *
+ * @type {mongoose.Model<Settlement>}
+ */
+module.exports = mongoose.model('Settlement', settlementSchema);
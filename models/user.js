@@ -1,4 +1,12 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../services/audit');
+const { ValidationError } = require('../services/errors');
+const { softDeletePlugin } = require('../services/softDelete');
+const { DEFAULT_TIMEZONE, normalizeTimezone } = require('../services/timezone');
+
+const scrypt = promisify(crypto.scrypt);
 
 /**
  * @typedef {Object} User
@@ -6,8 +14,20 @@ const mongoose = require('mongoose');
  * @property {string} first_name - First name of the user
  * @property {string} last_name - Last name of the user
  * @property {Date} birthday - Birthdate of the user
- * @property {string} marital_status - Marital status of the user
+ * @property {string} marital_status - Marital status of the user ('single', 'married', 'divorced', 'widowed')
+ * @property {string} base_currency - ISO 4217 code the user's costs default to and reports convert into
+ * @property {string} timezone - IANA time zone (e.g. 'Asia/Jerusalem') dates are entered and reported in
+ * @property {string} [password_hash] - scrypt hash of the user's password ('salt:hash', hex); never returned by the API
+ * @property {string} role - 'user', or 'admin' for users who may read across all users
+ * @property {Date} [deletedAt] - When the user was moved to the trash
+ */
+
+/**
+ * Allowed values for the marital_status field.
+ *
+ * @type {string[]}
  */
+const MARITAL_STATUSES = ['single', 'married', 'divorced', 'widowed'];
 
 /**
  * Mongoose schema for the User collection.
@@ -20,7 +40,11 @@ const userSchema = new mongoose.Schema({
         type: Number,
         required: true,
         unique: true,
-        min: [1, 'User ID Must Be A Positive Integer']
+        min: [1, 'User ID Must Be A Positive Integer'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'User ID Must Be A Positive Integer'
+        }
     },
     first_name: {
         type: String,
@@ -34,12 +58,113 @@ const userSchema = new mongoose.Schema({
     },
     birthday: {
         type: Date,
-        required: true
+        required: true,
+        validate: {
+            validator: value => value.getTime() <= Date.now(),
+            message: 'Birthday Cannot Be In The Future'
+        }
     },
     marital_status: {
         type: String,
-        required: true
+        required: true,
+        trim: true,
+        lowercase: true,
+        enum: {
+            values: MARITAL_STATUSES,
+            message: `Marital Status Must Be One Of: ${MARITAL_STATUSES.join(', ')}`
+        }
+    },
+    base_currency: {
+        type: String,
+        default: 'USD',
+        uppercase: true,
+        trim: true,
+        validate: {
+            validator: code => Intl.supportedValuesOf('currency').includes(code),
+            message: props => `'${props.value}' Is Not An ISO 4217 Currency Code`
+        }
+    },
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        trim: true,
+        // Stored under its canonical name, so 'asia/jerusalem' becomes 'Asia/Jerusalem'
+        set: value => normalizeTimezone(value) || value,
+        validate: {
+            validator: value => normalizeTimezone(value) !== null,
+            message: props => `'${props.value}' Is Not An IANA Time Zone`
+        }
+    },
+    password_hash: {
+        type: String,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    }
+}, {
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.password_hash;
+            return ret;
+        }
+    }
+});
+
+/**
+ * Minimum password length accepted by setPassword
+ * @type {number}
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hashes and stores a new password (the document still has to be saved)
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If the password is shorter than MIN_PASSWORD_LENGTH
+ */
+userSchema.methods.setPassword = async function (password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        const message = `Password Must Be At Least ${MIN_PASSWORD_LENGTH} Characters`;
+        throw new ValidationError([{ field: 'body.password', message }], { message });
+    }
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    this.password_hash = `${salt}:${hash.toString('hex')}`;
+};
+
+/**
+ * Checks a password against the stored hash
+ * The document must have been loaded with .select('+password_hash')
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>} True if the password matches
+ */
+userSchema.methods.checkPassword = async function (password) {
+    if (!this.password_hash || typeof password !== 'string') {
+        return false;
     }
+    const [salt, stored] = this.password_hash.split(':');
+    const hash = await scrypt(password, salt, 64);
+    return crypto.timingSafeEqual(hash, Buffer.from(stored, 'hex'));
+};
+
+/**
+ * Deleting moves documents to the trash; they are hidden from queries until restored
+ * or purged (see services/softDelete.js and services/trash.js)
+ */
+userSchema.plugin(softDeletePlugin);
+
+/**
+ * Records every create, update and delete in the audit log (see services/audit.js)
+ */
+userSchema.plugin(auditPlugin, {
+    entity: 'User',
+    getEntityId: user => String(user.id),
+    getOwners: user => [user.id]
 });
 
 /**
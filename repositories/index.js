@@ -0,0 +1,219 @@
+const { createMongooseRepository } = require('./mongoose');
+const { createMemoryRepository } = require('./memory');
+
+/**
+ * @typedef {Object} CostQuery
+ * @property {number} userid - ID of the user the costs belong to
+ * @property {string|string[]} [category] - Only costs of this category, or of any of these
+ * @property {Date} [from] - First instant, inclusive
+ * @property {Date} [to] - Last instant, inclusive
+ * @property {number} [minSum] - Smallest sum, inclusive
+ * @property {number} [maxSum] - Largest sum, inclusive
+ * @property {string} [text] - Text the description contains, ignoring case
+ * @property {string[]} [tags] - Only costs carrying at least one of these tags
+ * @property {string} [timezone] - IANA time zone the 'day', 'week' and 'month' totals are grouped in (default UTC)
+ */
+
+/**
+ * @typedef {Object} CostTotal
+ * @property {Object<string, string>} key - Value of every grouping field, e.g. {category: 'food', month: '2024-06'}
+ * @property {number} total - Sum of the group's costs
+ * @property {number} count - Number of costs in the group
+ */
+
+/**
+ * @typedef {Object} AnalyticsQuery
+ * Month indexes count months since year 0 (year * 12 + month - 1), in the time zone
+ * @property {number} userid - ID of the user
+ * @property {string} timezone - IANA time zone the months are in
+ * @property {Date} readFrom - Start of the first month read, including the history before the reported months
+ * @property {Date} from - Start of the first month reported
+ * @property {Date} to - End of the last month reported
+ * @property {number} firstIndex - Month index of readFrom
+ * @property {number} startIndex - Month index of the first month reported
+ * @property {number} endIndex - Month index of the last month reported
+ * @property {number} top - How many of the largest costs to list, overall and per category
+ */
+
+/**
+ * @typedef {Object} AnalyticsTotals
+ * Month entries are {monthIndex, total, count, average3, average12, monthOverMonth, yearOverYear}, with
+ * sums over the months read and amounts rounded to cents (see AnalyticsMonth in services/analytics.js)
+ * @property {Object[]} monthly - Month entries over all categories; months without costs may be left out
+ * @property {Object[]} monthlyByCategory - Month entries with a category field, for every category with costs in the months read
+ * @property {{total: number, count: number}|null} overall - Unrounded total and count of the reported months; null without costs
+ * @property {Array<{category: string, total: number, count: number, share: number|null}>} byCategory - Totals of the categories with costs in the reported months
+ * @property {AnalyticsCost[]} top - Largest costs of the reported months, by sum, then newest first
+ * @property {Array<{category: string, costs: AnalyticsCost[]}>} topByCategory - The same per category
+ */
+
+/**
+ * @typedef {Object} UserRepository
+ * @property {function(number): Promise<User|null>} findById - Loads a user, without the password hash
+ * @property {function(number[]): Promise<User[]>} findByIds - Loads several users at once
+ * @property {function(number): Promise<boolean>} exists - Tells whether a user exists
+ * @property {function({skip: number, limit: number}): Promise<{users: User[], total: number}>} list - A page of users ordered by id, and the user count
+ * @property {function(Object, string): Promise<User>} create - Creates a user with a password; a taken id fails with an error whose code is 11000
+ * @property {function(number, Object): Promise<User|null>} update - Changes fields of a user ('password' is hashed); null if there is no such user
+ * @property {function(number, string): Promise<User|null>} authenticate - The user if the password is theirs, otherwise null
+ */
+
+/**
+ * @typedef {Object} CostRepository
+ * @property {function(Object): Promise<Cost>} create - Validates and saves one cost; a recurring cost occurrence or bank transaction
+ *   that already has a cost, counting the trash, fails with an error whose code is 11000
+ * @property {function(Object[], {atomic?: boolean}): Promise<Cost[]>} insertMany - Saves several validated costs; with atomic set all or none are saved,
+ *   otherwise a PartialInsertError lists the saved costs and the failed positions when only some could be saved
+ * @property {function(string): Promise<Cost|null>} findById - Loads a cost
+ * @property {function(CostQuery, {sort?: Object<string, number>}): Promise<Cost[]>} find - Costs matching the query
+ * @property {function(CostQuery, {sort?: Object<string, number>}): AsyncIterable<Cost>} stream - Same as find, one cost at a time; the iterable has a close method
+ * @property {function(CostQuery, {field: string, direction: number, after?: {value: *, id: string}, limit: number}): Promise<{costs: Cost[], total: number}>} list -
+ *   A page of the matching costs sorted by field and then _id, in the direction (1 or -1), starting after the given position; and the number of matches
+ * @property {function(CostQuery): Promise<number>} count - Number of matching costs
+ * @property {function(string, Object): Promise<Cost|null>} update - Changes fields of a cost and validates it; null if there is no such cost
+ * @property {function(string): Promise<Cost|null>} softDelete - Moves a cost to the trash; null if there is no such cost
+ * @property {function(string, Attachment[]): Promise<Cost|null>} addAttachments - Adds attachments to a cost; null if there is no such cost
+ * @property {function(string, string): Promise<void>} removeAttachment - Removes an attachment from a cost
+ * @property {function(number, string, {limit: number, tags?: string[]}): Promise<Array<Cost & {score: number}>>} search - A user's costs whose description matches
+ *   a text search query ($text syntax), best matches first
+ * @property {function(number, string[]): Promise<string[]>} findImported - Which of these bank transaction ids a user's costs already have, counting the trash
+ * @property {function(CostQuery, string[]): Promise<CostTotal[]>} totals - Sums the matching costs grouped by any of 'category', 'currency', 'day', 'week' and 'month'
+ * @property {function(CostQuery): Promise<{tags: Array<{tag: string, total: number, count: number}>, untagged: {total: number, count: number}, total: number, count: number}>} tagTotals -
+ *   Sums the matching costs per tag, biggest first, for those without tags and overall
+ * @property {function(AnalyticsQuery): Promise<AnalyticsTotals>} analytics - Monthly series, totals and largest costs of a user for spending analytics
+ */
+
+/**
+ * @typedef {Object} CategoryRepository
+ * Every change to a user's categories drops their stored reports, which list every category
+ * @property {function(number, {includeArchived?: boolean}): Promise<Category[]>} findForUser - The user's categories in creation order
+ * @property {function(string): Promise<Category|null>} findById - Loads a category
+ * @property {function(number, string): Promise<boolean>} exists - Tells whether the user has a category of this name, archived or not
+ * @property {function(number, string): Promise<boolean>} isActive - Tells whether new costs may use a category
+ * @property {function(number, string): Promise<Category>} create - Adds a category; a taken name fails with an error whose code is 11000
+ * @property {function(string, {name?: string, archived?: boolean}): Promise<Category|null>} update - Renames, archives or restores a category;
+ *   a rename carries the category's costs (those in the trash too), budget and rules along. Null if there is no such category
+ * @property {function(string, string): Promise<number|null>} merge - Moves the costs (those in the trash too) and rules of a category to another
+ *   one and deletes it; its budget moves along unless the target has one. The number of costs moved, or null if either category is missing
+ */
+
+/**
+ * @typedef {Object} BudgetRepository
+ * @property {function(number): Promise<Budget[]>} findForUser - The user's budgets, by category
+ * @property {function(string): Promise<Budget|null>} findById - Loads a budget
+ * @property {function(Object): Promise<Budget>} create - Validates and saves a budget; a category that has one fails with an error whose code is 11000
+ * @property {function(string, Object): Promise<Budget|null>} update - Changes fields of a budget and validates it; null if there is no such budget
+ * @property {function(string): Promise<Budget|null>} remove - Deletes a budget; the deleted budget, or null if there is no such budget
+ */
+
+/**
+ * @typedef {Object} CategoryRuleRepository
+ * @property {function(number): Promise<CategoryRule[]>} findForUser - The user's rules in the order they are tried (see CategoryRule.matchesPayee)
+ * @property {function(string): Promise<CategoryRule|null>} findById - Loads a rule
+ * @property {function(Object): Promise<CategoryRule>} create - Validates and saves a rule
+ * @property {function(string, Object): Promise<CategoryRule|null>} update - Changes fields of a rule and validates it; null if there is no such rule
+ * @property {function(string): Promise<CategoryRule|null>} remove - Deletes a rule; the deleted rule, or null if there is no such rule
+ */
+
+/**
+ * @typedef {Object} GroupRepository
+ * @property {function(number): Promise<Group[]>} findForUser - The groups a user is a member of, oldest first
+ * @property {function(number): Promise<number>} countForUser - Number of groups a user is a member of
+ * @property {function(string): Promise<Group|null>} findById - Loads a group
+ * @property {function(Object): Promise<Group>} create - Validates and saves a group
+ * @property {function(string, Object): Promise<Group|null>} update - Changes fields of a group and validates it; null if there is no such group
+ * @property {function(string): Promise<GroupExpense[]>} findExpenses - A group's expenses, newest first
+ * @property {function(string, string): Promise<GroupExpense|null>} findExpense - One expense of a group
+ * @property {function(Object): Promise<{expense: GroupExpense, costs: Cost[]}>} addExpense - Validates and saves an expense along with a cost
+ *   for every share (see toShareCosts in services/splits.js); all or nothing is saved
+ * @property {function(string): Promise<number>} removeExpense - Deletes an expense and moves its share costs to the trash; the number of costs moved
+ * @property {function(string): Promise<Settlement[]>} findSettlements - A group's settlements, newest first
+ * @property {function(Object): Promise<Settlement>} addSettlement - Validates and saves a settlement
+ */
+
+/**
+ * @typedef {Object} RecurringCostRepository
+ * @property {function(number): Promise<RecurringCost[]>} findForUser - A user's recurring costs, by start date
+ * @property {function(string): Promise<RecurringCost|null>} findById - Loads a recurring cost
+ * @property {function(Object): Promise<RecurringCost>} create - Validates and saves a recurring cost
+ * @property {function(string, Object): Promise<RecurringCost|null>} update - Changes fields of a recurring cost and validates it; null if there is no such one
+ * @property {function(string): Promise<RecurringCost|null>} remove - Deletes a recurring cost, keeping its costs; the deleted one, or null if there is no such one
+ * @property {function(Date): Promise<RecurringCost[]>} findDue - Recurring costs with occurrences up to the instant left to create, leaving out those of users in the trash
+ * @property {function(string, Date): Promise<boolean>} hasCost - Tells whether an occurrence was added as a cost, not counting the trash
+ */
+
+/**
+ * @typedef {Object} ExchangeRateRepository
+ * @property {function({from?: string, to?: string}): Promise<ExchangeRate[]>} list - Rates of any or of the given currencies, newest first
+ * @property {function(ExchangeRate[]): Promise<number>} save - Stores validated rates, replacing any rate for the same pair and day; the number stored
+ * @property {function(string, string, Date): Promise<ExchangeRate|null>} findRate - The latest rate of a pair dated on or before an instant
+ */
+
+/**
+ * @typedef {Object} AuditFilter
+ * @property {string} [entity] - 'User' or 'Cost'
+ * @property {string} [entityId] - ID of the user or cost, as stored in the entries
+ * @property {number} [owner] - Only entries of entities this user owns or owned
+ * @property {Date} [from] - First instant, inclusive
+ * @property {Date} [to] - Last instant, inclusive
+ */
+
+/**
+ * @typedef {Object} AuditLogRepository
+ * @property {function(AuditFilter, {skip: number, limit: number}): Promise<{entries: AuditLog[], total: number}>} list - A page of the matching
+ *   entries, newest first, and the number of matches
+ */
+
+/**
+ * @typedef {Object} ReportRepository
+ * @property {function(number, number, number): Promise<MonthlyReport|null>} findSnapshot - Stored report of a closed month
+ * @property {function(MonthlyReport): Promise<void>} saveSnapshot - Stores the report of a closed month
+ */
+
+/**
+ * @typedef {Object} TrashRepository
+ * @property {function(number=): Promise<{users: User[], costs: Cost[]}>} list - Users and costs in the trash, of one user or of everyone
+ * @property {function(number): Promise<User|null>} findUser - A user in the trash
+ * @property {function(string): Promise<Cost|null>} findCost - A cost in the trash
+ * @property {function(number): Promise<number>} trashUser - Moves a user and their costs to the trash; the number of costs moved
+ * @property {function(number): Promise<number>} restoreUser - Takes a user and the costs deleted along with them out of the trash; the number of costs restored
+ * @property {function(string): Promise<Cost|null>} restoreCost - Takes a cost out of the trash; null if it is not there
+ * @property {function(Date): Promise<{users: number, costs: number}>} purge - Removes for good the users and costs deleted up to the instant,
+ *   with all the data of those users and the files attached to the costs; the numbers of users and costs removed
+ */
+
+/**
+ * @typedef {Object} IdempotencyKeyRepository
+ * @property {function(Object): Promise<IdempotencyKey>} create - Stores a pending key; a key its caller already has fails with an error whose code is 11000
+ * @property {function({userid: number|null, client: string|null, key: string}): Promise<IdempotencyKey|null>} find - A caller's key
+ * @property {function(IdempotencyKey, number, *): Promise<void>} complete - Stores the response status and body of a key's request
+ * @property {function(IdempotencyKey): Promise<void>} remove - Forgets a key, unless another one has replaced it since it was read
+ */
+
+/**
+ * @typedef {Object} Repository
+ * Storage the API and its background jobs go through for everything they keep.
+ * The Express app is built around one (see createApp in app.js), so the same routes can run
+ * against MongoDB or entirely in memory.
+ * @property {UserRepository} users
+ * @property {CostRepository} costs
+ * @property {CategoryRepository} categories
+ * @property {BudgetRepository} budgets
+ * @property {CategoryRuleRepository} categoryRules
+ * @property {GroupRepository} groups
+ * @property {RecurringCostRepository} recurring
+ * @property {ExchangeRateRepository} rates
+ * @property {AuditLogRepository} auditLog
+ * @property {ReportRepository} reports
+ * @property {TrashRepository} trash
+ * @property {IdempotencyKeyRepository} idempotencyKeys
+ */
+
+/**
+ * Export the repository factories
+ * @type {Object}
+ */
+module.exports = {
+    createMongooseRepository,
+    createMemoryRepository
+};
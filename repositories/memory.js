@@ -0,0 +1,928 @@
+const User = require('../models/user');
+const Cost = require('../models/cost');
+const Category = require('../models/category');
+const Budget = require('../models/budget');
+const Report = require('../models/report');
+const CategoryRule = require('../models/categoryRule');
+const Group = require('../models/group');
+const GroupExpense = require('../models/groupExpense');
+const Settlement = require('../models/settlement');
+const RecurringCost = require('../models/recurringCost');
+const ExchangeRate = require('../models/exchangeRate');
+const AuditLog = require('../models/auditLog');
+const IdempotencyKey = require('../models/idempotencyKey');
+const { PERIOD_FORMATS, getPeriodKey } = require('../services/report');
+const { toWallClock, toLocalDate } = require('../services/timezone');
+const { toShareCosts } = require('../services/splits');
+const { getStorage } = require('../services/storage');
+
+/**
+ * Builds a plain object through a model, applying its defaults, casts and validators
+ * No database is involved; the model only checks the data
+ *
+ * @param {mongoose.Model} Model - Model to build with
+ * @param {Object} fields - Raw fields
+ * @returns {Object} The document as a plain object
+ * @throws {mongoose.Error.ValidationError} If the fields are invalid
+ */
+const build = (Model, fields) => {
+    const doc = new Model(fields);
+    const error = doc.validateSync();
+    if (error) {
+        throw error;
+    }
+    return doc.toObject();
+};
+
+/**
+ * Copies a stored document through its model, so callers cannot change the store through it
+ *
+ * @param {mongoose.Model} Model - Model of the document
+ * @param {Object} doc - Stored document
+ * @returns {Object} The copy
+ */
+const copyDoc = (Model, doc) => Model.hydrate(doc).toObject();
+
+/**
+ * Finds a stored document by its ObjectId
+ *
+ * @param {Object[]} list - Stored documents
+ * @param {*} id - ID to look for, as an ObjectId or string
+ * @returns {Object|null} The document, or null if there is none
+ */
+const findStored = (list, id) => list.find(doc => String(doc._id) === String(id)) || null;
+
+/**
+ * Removes the items of a list that match a predicate, in place
+ *
+ * @param {Array} list - List to change
+ * @param {function(*): boolean} predicate - Tells which items go
+ * @returns {Array} The removed items
+ */
+const removeWhere = (list, predicate) => {
+    const removed = [];
+    let kept = 0;
+    for (const item of list) {
+        if (predicate(item)) {
+            removed.push(item);
+        } else {
+            list[kept++] = item;
+        }
+    }
+    list.length = kept;
+    return removed;
+};
+
+/**
+ * Builds the error a unique index of the MongoDB version would raise
+ *
+ * @param {string} message - What is taken
+ * @returns {Error} Error whose code is 11000
+ */
+const duplicateKeyError = (message) => Object.assign(new Error(message), { code: 11000 });
+
+/**
+ * Copies a stored cost, so callers cannot change the store through it
+ *
+ * @param {Object} cost - Stored cost
+ * @returns {Object} The copy
+ */
+const copyCost = (cost) => ({
+    ...cost,
+    ...(cost.tags ? { tags: [...cost.tags] } : {}),
+    ...(cost.attachments ? { attachments: cost.attachments.map(attachment => ({ ...attachment })) } : {})
+});
+
+/**
+ * Drops the password hash of a stored user
+ *
+ * @param {Object} user - Stored user
+ * @returns {Object} The user without password_hash
+ */
+const withoutPassword = ({ password_hash, ...user }) => user;
+
+/**
+ * Makes a value comparable with < and >
+ *
+ * @param {*} value - Field value
+ * @returns {*} Comparable value
+ */
+const sortValue = (value) => {
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    return value && typeof value === 'object' ? String(value) : value;
+};
+
+/**
+ * Creates a comparator following a MongoDB sort specification such as {date: -1, _id: 1}
+ * Missing values sort first, as in MongoDB
+ *
+ * @param {Object<string, number>} sort - Field to direction (1 or -1)
+ * @returns {function(Object, Object): number} The comparator
+ */
+const compareBy = (sort) => (a, b) => {
+    for (const [field, direction] of Object.entries(sort)) {
+        const x = sortValue(a[field]);
+        const y = sortValue(b[field]);
+        if (x === y) {
+            continue;
+        }
+        if (x === undefined || x === null || x < y) {
+            return -direction;
+        }
+        if (y === undefined || y === null || x > y) {
+            return direction;
+        }
+    }
+    return 0;
+};
+
+/**
+ * Tells whether a cost matches a cost query
+ * Costs in the trash never match, as on MongoDB
+ *
+ * @param {Object} cost - Stored cost
+ * @param {CostQuery} query - Cost query
+ * @returns {boolean} True if it matches
+ */
+const matchesQuery = (cost, { userid, category, from, to, minSum, maxSum, text, tags }) =>
+    !cost.deletedAt
+    && cost.userid === userid
+    && (category === undefined || (Array.isArray(category) ? category.includes(cost.category) : cost.category === category))
+    && (!from || cost.date >= from)
+    && (!to || cost.date <= to)
+    && (minSum === undefined || cost.sum >= minSum)
+    && (maxSum === undefined || cost.sum <= maxSum)
+    && (!text || cost.description.toLowerCase().includes(text.toLowerCase()))
+    && (!tags || tags.length === 0 || (cost.tags || []).some(tag => tags.includes(tag)));
+
+/**
+ * Reduces a word to the stem text search compares, like the stemming of MongoDB text indexes
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} The stem
+ */
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+/**
+ * Scores a description against a text search query the way a $text query would match it
+ * Any of the words may match, every "quoted phrase" must appear and no -excluded word may.
+ * The score is the number of matching words in the description; MongoDB weighs them
+ * differently, so only the order of clearly better matches is the same.
+ *
+ * @param {string} description - Description of a cost
+ * @param {string} query - Text search query
+ * @returns {number} The score, 0 if the description does not match
+ */
+const textScore = (description, query) => {
+    const lowered = description.toLowerCase();
+    const words = (lowered.match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+    const phrases = [...query.toLowerCase().matchAll(/"([^"]*)"/g)].map(match => match[1].trim()).filter(Boolean);
+    const terms = query.toLowerCase().replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+    const excluded = terms.filter(term => term.startsWith('-')).map(term => stem(term.slice(1)));
+    const wanted = [...terms.filter(term => !term.startsWith('-')), ...phrases.flatMap(phrase => phrase.split(/\s+/))]
+        .map(term => stem(term.replace(/[^\p{L}\p{N}]/gu, '')))
+        .filter(Boolean);
+
+    if (phrases.some(phrase => !lowered.includes(phrase)) || words.some(word => excluded.includes(word))) {
+        return 0;
+    }
+    return words.filter(word => wanted.includes(word)).length;
+};
+
+/**
+ * Rounds a number to cents the way MongoDB's $round does, halves to the even cent
+ *
+ * @param {number} value - Number to round
+ * @returns {number} The rounded number
+ */
+const roundCents = (value) => {
+    const scaled = value * 100;
+    const floor = Math.floor(scaled);
+    const rest = scaled - floor;
+    const cents = rest > 0.5 || (rest === 0.5 && floor % 2 !== 0) ? floor + 1 : floor;
+    return cents / 100;
+};
+
+/**
+ * Percentage change from an earlier total to the current one, null when the earlier total is zero
+ *
+ * @param {number} total - Current total
+ * @param {number} previous - Earlier total
+ * @returns {number|null} The change in percent, rounded to cents
+ */
+const changeFrom = (total, previous) => (previous === 0 ? null : roundCents((total - previous) / previous * 100));
+
+/**
+ * Builds the monthly series of AnalyticsTotals from costs carrying their month index
+ * Months without costs count as zero, so the rolling sums always cover calendar months.
+ *
+ * @param {Array<{monthIndex: number, sum: number}>} entries - Costs of the series, from the first month read on
+ * @param {number} startIndex - Month index of the first month reported
+ * @param {number} endIndex - Month index of the last month reported
+ * @returns {Object[]} One entry per reported month, oldest first
+ */
+const monthlySeries = (entries, startIndex, endIndex) => {
+    const totals = new Map();
+    const counts = new Map();
+    for (const { monthIndex, sum } of entries) {
+        totals.set(monthIndex, (totals.get(monthIndex) || 0) + sum);
+        counts.set(monthIndex, (counts.get(monthIndex) || 0) + 1);
+    }
+    const totalOf = (index) => totals.get(index) || 0;
+    const sumOver = (index, months) => Array.from({ length: months }, (_, offset) => totalOf(index - offset)).reduce((sum, value) => sum + value, 0);
+
+    const series = [];
+    for (let monthIndex = startIndex; monthIndex <= endIndex; monthIndex++) {
+        const total = totalOf(monthIndex);
+        series.push({
+            monthIndex,
+            total: roundCents(total),
+            count: counts.get(monthIndex) || 0,
+            average3: roundCents(sumOver(monthIndex, 3) / 3),
+            average12: roundCents(sumOver(monthIndex, 12) / 12),
+            monthOverMonth: changeFrom(total, totalOf(monthIndex - 1)),
+            yearOverYear: changeFrom(total, totalOf(monthIndex - 12))
+        });
+    }
+    return series;
+};
+
+/**
+ * Creates a repository that keeps everything in process memory
+ * Meant for tests and demos: nothing is persisted, and the whole API and its background
+ * jobs run without MongoDB. Data is checked with the same models, so validation messages
+ * match the MongoDB version; their unique indexes, report snapshot invalidation and audit
+ * entries are mirrored here. Seeded data is not audited.
+ * Seeded users have no password; sign a token for them with signToken to call the API.
+ *
+ * @param {Object} [seed] - Initial data
+ * @param {Array<Object>} [seed.users] - Users, shaped like the User model
+ * @param {Array<Object>} [seed.costs] - Costs, shaped like the Cost model
+ * @param {Array<Object>} [seed.budgets] - Budgets, shaped like the Budget model
+ * @returns {Repository} The repository
+ */
+const createMemoryRepository = ({ users: seedUsers = [], costs: seedCosts = [], budgets: seedBudgets = [] } = {}) => {
+    const users = new Map(seedUsers.map(fields => build(User, fields)).map(user => [user.id, user]));
+    const costs = seedCosts.map(fields => build(Cost, fields));
+    const budgets = seedBudgets.map(fields => build(Budget, fields));
+    const categories = new Map();
+    const rules = [];
+    const groups = [];
+    const expenses = [];
+    const settlements = [];
+    const recurringCosts = [];
+    const rates = [];
+    const auditEntries = [];
+    const snapshots = new Map();
+    const idempotencyKeys = new Map();
+
+    const snapshotKey = (userid, year, month) => `${userid}:${year}:${month}`;
+
+    // Like the audit plugin of the User and Cost models; changes are {action, before, after}
+    const audit = (Model, changes) => {
+        auditEntries.push(...Model.toAuditEntries(changes).map(entry => build(AuditLog, entry)));
+    };
+
+    // Users and costs in the trash stay stored, but only the trash methods see them
+    const activeUser = (id) => (users.has(id) && !users.get(id).deletedAt ? users.get(id) : null);
+    const activeCost = (id) => costs.find(cost => !cost.deletedAt && String(cost._id) === String(id)) || null;
+
+    // Like the Cost model hooks, every change to a cost drops the stored reports of the
+    // months it may fall in, whatever the user's time zone
+    const dropSnapshot = (cost) => {
+        for (const { userid, year, month } of Report.affectedMonths([cost])) {
+            snapshots.delete(snapshotKey(userid, year, month));
+        }
+    };
+
+    // Stored reports list every category, so a change to a user's categories drops all of theirs
+    const dropSnapshots = (userid) => {
+        for (const key of snapshots.keys()) {
+            if (key.startsWith(`${userid}:`)) {
+                snapshots.delete(key);
+            }
+        }
+    };
+
+    // The unique indexes of the Cost model, which count the trash as well
+    const checkUnique = (cost, others) => {
+        const taken = others.some(other => (cost.recurringId && String(other.recurringId) === String(cost.recurringId)
+            && sortValue(other.occurrence) === sortValue(cost.occurrence))
+            || (cost.bankTransactionId && other.userid === cost.userid && other.bankTransactionId === cost.bankTransactionId));
+        if (taken) {
+            throw duplicateKeyError('A Cost For This Recurring Occurrence Or Bank Transaction Already Exists');
+        }
+    };
+
+    const addCost = (cost) => {
+        costs.push(cost);
+        dropSnapshot(cost);
+        audit(Cost, [{ action: 'create', after: cost }]);
+    };
+
+    const replaceCost = (previous, cost) => {
+        costs[costs.indexOf(previous)] = cost;
+        dropSnapshot(previous);
+        dropSnapshot(cost);
+        audit(Cost, [{ action: 'update', before: previous, after: cost }]);
+    };
+
+    const trashCost = (cost, deletedAt) => {
+        const before = copyCost(cost);
+        cost.deletedAt = deletedAt;
+        dropSnapshot(cost);
+        audit(Cost, [{ action: 'delete', before, after: cost }]);
+    };
+
+    const untrashCost = (cost) => {
+        const before = copyCost(cost);
+        delete cost.deletedAt;
+        dropSnapshot(cost);
+        audit(Cost, [{ action: 'update', before, after: cost }]);
+    };
+
+    // Trashed costs follow a renamed category too, so they are restored into a category that still exists
+    const moveCategory = (userid, from, to) => {
+        const moved = costs.filter(cost => cost.userid === userid && cost.category === from);
+        moved.forEach(cost => replaceCost(cost, { ...copyCost(cost), category: to }));
+        rules.filter(rule => rule.userid === userid && rule.category === from).forEach(rule => {
+            rule.category = to;
+        });
+        return moved.length;
+    };
+
+    const updateStored = async (Model, list, id, fields) => {
+        const stored = findStored(list, id);
+        if (!stored) {
+            return null;
+        }
+        const doc = Model.hydrate(copyDoc(Model, stored));
+        doc.set(fields);
+        await doc.validate();
+        list[list.indexOf(stored)] = doc.toObject();
+        return doc.toObject();
+    };
+
+    const removeStored = async (list, id) => {
+        const [removed] = removeWhere(list, doc => String(doc._id) === String(id));
+        return removed || null;
+    };
+
+    const selectCosts = (query, sort) => {
+        const matches = costs.filter(cost => matchesQuery(cost, query));
+        return sort ? matches.sort(compareBy(sort)) : matches;
+    };
+
+    const findCategory = (id) => findStored([...categories.values()].flat(), id);
+
+    const categoriesOf = (userid) => {
+        if (!categories.has(userid)) {
+            categories.set(userid, Category.DEFAULT_CATEGORIES.map(name => build(Category, { userid, name })));
+        }
+        return categories.get(userid);
+    };
+
+    const idempotencyScope = ({ userid, client, key }) => JSON.stringify([userid, client, key]);
+
+    return {
+        users: {
+            findById: async (id) => (activeUser(id) ? withoutPassword(activeUser(id)) : null),
+            findByIds: async (ids) => ids.filter(id => activeUser(id)).map(id => withoutPassword(activeUser(id))),
+            exists: async (id) => activeUser(id) !== null,
+            list: async ({ skip, limit }) => {
+                const sorted = [...users.values()].filter(user => !user.deletedAt).sort((a, b) => a.id - b.id);
+                return { users: sorted.slice(skip, skip + limit).map(withoutPassword), total: sorted.length };
+            },
+            create: async (fields, password) => {
+                const user = new User(fields);
+                await user.setPassword(password);
+                await user.validate();
+                // A user in the trash keeps their id, as the unique index does on MongoDB
+                if (users.has(user.id)) {
+                    throw duplicateKeyError(`A User With ID ${user.id} Already Exists`);
+                }
+                users.set(user.id, user.toObject());
+                audit(User, [{ action: 'create', after: users.get(user.id) }]);
+                return user.toJSON();
+            },
+            update: async (id, fields) => {
+                if (!activeUser(id)) {
+                    return null;
+                }
+                const user = User.hydrate(users.get(id));
+                for (const [field, value] of Object.entries(fields)) {
+                    if (field === 'password') {
+                        await user.setPassword(value);
+                    } else {
+                        user.set(field, value);
+                    }
+                }
+                await user.validate();
+                audit(User, [{ action: 'update', before: users.get(id), after: user.toObject() }]);
+                users.set(id, user.toObject());
+                return user.toJSON();
+            },
+            authenticate: async (id, password) => {
+                if (!activeUser(id)) {
+                    return null;
+                }
+                const user = User.hydrate(users.get(id));
+                return (await user.checkPassword(password)) ? user.toJSON() : null;
+            }
+        },
+
+        costs: {
+            create: async (fields) => {
+                const cost = new Cost(fields);
+                await cost.validate();
+                checkUnique(cost, costs);
+                addCost(cost.toObject());
+                return cost.toJSON();
+            },
+            // Every cost is checked before any is stored, so a batch is always all or nothing
+            insertMany: async (list) => {
+                const docs = list.map(fields => (fields instanceof Cost ? fields : new Cost(fields)));
+                await Promise.all(docs.map(doc => doc.validate()));
+                docs.forEach((doc, index) => checkUnique(doc, [...costs, ...docs.slice(0, index)]));
+                docs.forEach(doc => addCost(doc.toObject()));
+                return docs.map(doc => doc.toJSON());
+            },
+            findById: async (id) => (activeCost(id) ? copyCost(activeCost(id)) : null),
+            find: async (query, { sort } = {}) => selectCosts(query, sort).map(copyCost),
+            stream: (query, { sort } = {}) => {
+                const matches = selectCosts(query, sort);
+                const iterator = (async function* () {
+                    for (const cost of matches) {
+                        yield copyCost(cost);
+                    }
+                })();
+                iterator.close = async () => {};
+                return iterator;
+            },
+            list: async (query, { field, direction, after, limit }) => {
+                const sort = { [field]: direction, _id: direction };
+                const matches = selectCosts(query, sort);
+                const position = after && { [field]: after.value, _id: after.id };
+                const page = position ? matches.filter(cost => compareBy(sort)(cost, position) > 0) : matches;
+                return { costs: page.slice(0, limit).map(copyCost), total: matches.length };
+            },
+            count: async (query) => selectCosts(query).length,
+            update: async (id, fields) => {
+                const stored = activeCost(id);
+                if (!stored) {
+                    return null;
+                }
+                const cost = Cost.hydrate(copyCost(stored));
+                for (const [field, value] of Object.entries(fields)) {
+                    cost.set(field, value);
+                }
+                await cost.validate();
+                replaceCost(stored, cost.toObject());
+                return cost.toJSON();
+            },
+            softDelete: async (id) => {
+                const stored = activeCost(id);
+                if (!stored) {
+                    return null;
+                }
+                trashCost(stored, new Date());
+                return copyCost(stored);
+            },
+            addAttachments: async (id, attachments) => {
+                const stored = activeCost(id);
+                if (!stored) {
+                    return null;
+                }
+                const cost = Cost.hydrate(copyCost(stored));
+                cost.attachments.push(...attachments);
+                await cost.validate();
+                replaceCost(stored, cost.toObject());
+                return copyCost(cost.toObject());
+            },
+            removeAttachment: async (id, attachmentId) => {
+                const stored = activeCost(id);
+                if (stored && stored.attachments) {
+                    replaceCost(stored, {
+                        ...copyCost(stored),
+                        attachments: stored.attachments.filter(attachment => String(attachment._id) !== String(attachmentId))
+                    });
+                }
+            },
+            search: async (userid, text, { limit, tags }) => selectCosts({ userid, tags })
+                .map(cost => ({ cost, score: textScore(cost.description, text) }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score || b.cost.date - a.cost.date)
+                .slice(0, limit)
+                .map(({ cost, score }) => ({
+                    _id: cost._id,
+                    description: cost.description,
+                    category: cost.category,
+                    sum: cost.sum,
+                    currency: cost.currency,
+                    date: cost.date,
+                    ...(cost.tags ? { tags: [...cost.tags] } : {}),
+                    score
+                })),
+            findImported: async (userid, transactionIds) => costs
+                .filter(cost => cost.userid === userid && transactionIds.includes(cost.bankTransactionId))
+                .map(cost => cost.bankTransactionId),
+            totals: async (query, by = []) => {
+                const groups = new Map();
+                for (const cost of selectCosts(query)) {
+                    const key = Object.fromEntries(by
+                        .map(field => [field, PERIOD_FORMATS[field] ? getPeriodKey(cost.date, field, query.timezone) : cost[field]])
+                        .filter(([, value]) => value !== undefined));
+                    const id = JSON.stringify(key);
+                    const group = groups.get(id) || { key, total: 0, count: 0 };
+                    group.total += cost.sum;
+                    group.count += 1;
+                    groups.set(id, group);
+                }
+                return [...groups.values()];
+            },
+            tagTotals: async (query) => {
+                const matches = selectCosts(query);
+                const byTag = new Map();
+                const untagged = { total: 0, count: 0 };
+                for (const cost of matches) {
+                    if (!cost.tags || cost.tags.length === 0) {
+                        untagged.total += cost.sum;
+                        untagged.count += 1;
+                    }
+                    for (const tag of cost.tags || []) {
+                        const entry = byTag.get(tag) || { tag, total: 0, count: 0 };
+                        entry.total += cost.sum;
+                        entry.count += 1;
+                        byTag.set(tag, entry);
+                    }
+                }
+                return {
+                    tags: [...byTag.values()].sort((a, b) => b.total - a.total || (a.tag < b.tag ? -1 : 1)),
+                    untagged,
+                    total: matches.reduce((total, cost) => total + cost.sum, 0),
+                    count: matches.length
+                };
+            },
+            analytics: async ({ userid, timezone, readFrom, from, to, startIndex, endIndex, top }) => {
+                const read = selectCosts({ userid, from: readFrom, to }).map(cost => {
+                    const local = toWallClock(cost.date, timezone);
+                    return { ...cost, monthIndex: local.getUTCFullYear() * 12 + local.getUTCMonth() };
+                });
+                const inRange = read.filter(cost => cost.date >= from);
+                const categoryNames = (list) => [...new Set(list.map(cost => cost.category))].sort();
+                const topCosts = (list) => [...list]
+                    .sort(compareBy({ sum: -1, date: -1, _id: 1 }))
+                    .slice(0, top)
+                    .map(cost => ({
+                        _id: cost._id,
+                        description: cost.description,
+                        category: cost.category,
+                        sum: cost.sum,
+                        currency: cost.currency,
+                        date: toLocalDate(cost.date, timezone),
+                        timestamp: cost.date
+                    }));
+                const overall = inRange.reduce((total, cost) => total + cost.sum, 0);
+
+                return {
+                    monthly: monthlySeries(read, startIndex, endIndex),
+                    monthlyByCategory: categoryNames(read).flatMap(category => monthlySeries(read.filter(cost => cost.category === category), startIndex, endIndex)
+                        .map(entry => ({ category, ...entry }))),
+                    overall: inRange.length > 0 ? { total: overall, count: inRange.length } : null,
+                    byCategory: categoryNames(inRange).map(category => {
+                        const costsOf = inRange.filter(cost => cost.category === category);
+                        const total = costsOf.reduce((sum, cost) => sum + cost.sum, 0);
+                        return { category, total: roundCents(total), count: costsOf.length, share: overall === 0 ? null : roundCents(total / overall * 100) };
+                    }),
+                    top: topCosts(inRange),
+                    topByCategory: categoryNames(inRange).map(category => ({ category, costs: topCosts(inRange.filter(cost => cost.category === category)) }))
+                };
+            }
+        },
+
+        categories: {
+            findForUser: async (userid, { includeArchived = false } = {}) => categoriesOf(userid)
+                .filter(category => includeArchived || !category.archived)
+                .map(category => ({ ...category })),
+            findById: async (id) => (findCategory(id) ? { ...findCategory(id) } : null),
+            exists: async (userid, name) => categoriesOf(userid)
+                .some(category => category.name === String(name).trim().toLowerCase()),
+            isActive: async (userid, name) => categoriesOf(userid)
+                .some(category => !category.archived && category.name === String(name).trim().toLowerCase()),
+            create: async (userid, name) => {
+                const category = build(Category, { userid, name });
+                if (categoriesOf(userid).some(other => other.name === category.name)) {
+                    throw duplicateKeyError(`User ${userid} Already Has A Category Named '${category.name}'`);
+                }
+                categoriesOf(userid).push(category);
+                dropSnapshots(userid);
+                return { ...category };
+            },
+            update: async (id, fields) => {
+                const stored = findCategory(id);
+                if (!stored) {
+                    return null;
+                }
+                const own = categoriesOf(stored.userid);
+                const doc = Category.hydrate({ ...stored });
+                doc.set(fields);
+                await doc.validate();
+                const category = doc.toObject();
+                if (own.some(other => other !== stored && other.name === category.name)) {
+                    throw duplicateKeyError(`User ${stored.userid} Already Has A Category Named '${category.name}'`);
+                }
+
+                own[own.indexOf(stored)] = category;
+                if (category.name !== stored.name) {
+                    moveCategory(category.userid, stored.name, category.name);
+                    budgets.filter(budget => budget.userid === category.userid && budget.category === stored.name).forEach(budget => {
+                        budget.category = category.name;
+                    });
+                }
+                dropSnapshots(category.userid);
+                return { ...category };
+            },
+            merge: async (id, intoId) => {
+                const source = findCategory(id);
+                const target = findCategory(intoId);
+                if (!source || !target) {
+                    return null;
+                }
+                const { userid } = source;
+
+                const moved = moveCategory(userid, source.name, target.name);
+                // The target keeps its own budget; the source budget only moves over if the target has none
+                const ofSource = budget => budget.userid === userid && budget.category === source.name;
+                if (budgets.some(budget => budget.userid === userid && budget.category === target.name)) {
+                    removeWhere(budgets, ofSource);
+                } else {
+                    budgets.filter(ofSource).forEach(budget => {
+                        budget.category = target.name;
+                    });
+                }
+                removeWhere(categoriesOf(userid), category => category === source);
+                dropSnapshots(userid);
+                return moved;
+            }
+        },
+
+        budgets: {
+            findForUser: async (userid) => budgets
+                .filter(budget => budget.userid === userid)
+                .sort(compareBy({ category: 1 }))
+                .map(budget => ({ ...budget })),
+            findById: async (id) => (findStored(budgets, id) ? { ...findStored(budgets, id) } : null),
+            create: async (fields) => {
+                const budget = build(Budget, fields);
+                if (budgets.some(other => other.userid === budget.userid && other.category === budget.category)) {
+                    throw duplicateKeyError(`Category '${budget.category}' Of User ${budget.userid} Already Has A Budget`);
+                }
+                budgets.push(budget);
+                return { ...budget };
+            },
+            update: (id, fields) => updateStored(Budget, budgets, id, fields),
+            remove: (id) => removeStored(budgets, id)
+        },
+
+        categoryRules: {
+            findForUser: async (userid) => rules
+                .filter(rule => rule.userid === userid)
+                .sort(compareBy({ priority: -1, _id: 1 }))
+                .map(rule => ({ ...rule })),
+            findById: async (id) => (findStored(rules, id) ? { ...findStored(rules, id) } : null),
+            create: async (fields) => {
+                const rule = build(CategoryRule, fields);
+                rules.push(rule);
+                return { ...rule };
+            },
+            update: (id, fields) => updateStored(CategoryRule, rules, id, fields),
+            remove: (id) => removeStored(rules, id)
+        },
+
+        groups: {
+            findForUser: async (userid) => groups
+                .filter(group => group.members.includes(userid))
+                .sort(compareBy({ createdAt: 1 }))
+                .map(group => copyDoc(Group, group)),
+            countForUser: async (userid) => groups.filter(group => group.members.includes(userid)).length,
+            findById: async (id) => (findStored(groups, id) ? copyDoc(Group, findStored(groups, id)) : null),
+            create: async (fields) => {
+                const group = build(Group, fields);
+                groups.push(group);
+                return copyDoc(Group, group);
+            },
+            update: (id, fields) => updateStored(Group, groups, id, fields),
+            findExpenses: async (groupId) => expenses
+                .filter(expense => String(expense.groupId) === String(groupId))
+                .sort(compareBy({ date: -1, _id: -1 }))
+                .map(expense => copyDoc(GroupExpense, expense)),
+            findExpense: async (groupId, id) => {
+                const expense = findStored(expenses, id);
+                return expense && String(expense.groupId) === String(groupId) ? copyDoc(GroupExpense, expense) : null;
+            },
+            // The share costs are checked before anything is stored, so it is all or nothing
+            addExpense: async (fields) => {
+                const expense = build(GroupExpense, fields);
+                const shares = toShareCosts(expense).map(cost => new Cost(cost));
+                await Promise.all(shares.map(cost => cost.validate()));
+
+                expenses.push(expense);
+                shares.forEach(cost => addCost(cost.toObject()));
+                return { expense: copyDoc(GroupExpense, expense), costs: shares.map(cost => cost.toJSON()) };
+            },
+            removeExpense: async (id) => {
+                const deletedAt = new Date();
+                const shares = costs.filter(cost => !cost.deletedAt && String(cost.groupExpenseId) === String(id));
+                shares.forEach(cost => trashCost(cost, deletedAt));
+                removeWhere(expenses, expense => String(expense._id) === String(id));
+                return shares.length;
+            },
+            findSettlements: async (groupId) => settlements
+                .filter(settlement => String(settlement.groupId) === String(groupId))
+                .sort(compareBy({ date: -1, _id: -1 }))
+                .map(settlement => ({ ...settlement })),
+            addSettlement: async (fields) => {
+                const settlement = build(Settlement, fields);
+                settlements.push(settlement);
+                return { ...settlement };
+            }
+        },
+
+        recurring: {
+            findForUser: async (userid) => recurringCosts
+                .filter(definition => definition.userid === userid)
+                .sort(compareBy({ startDate: 1 }))
+                .map(definition => copyDoc(RecurringCost, definition)),
+            findById: async (id) => (findStored(recurringCosts, id) ? copyDoc(RecurringCost, findStored(recurringCosts, id)) : null),
+            create: async (fields) => {
+                const definition = build(RecurringCost, fields);
+                recurringCosts.push(definition);
+                return copyDoc(RecurringCost, definition);
+            },
+            update: (id, fields) => updateStored(RecurringCost, recurringCosts, id, fields),
+            remove: (id) => removeStored(recurringCosts, id),
+            findDue: async (now) => recurringCosts
+                .filter(definition => !(users.has(definition.userid) && users.get(definition.userid).deletedAt)
+                    && definition.startDate <= now
+                    && (!definition.materializedUntil || definition.materializedUntil < now))
+                .map(definition => copyDoc(RecurringCost, definition)),
+            hasCost: async (id, occurrence) => costs.some(cost => !cost.deletedAt
+                && String(cost.recurringId) === String(id)
+                && sortValue(cost.occurrence) === sortValue(occurrence))
+        },
+
+        rates: {
+            list: async ({ from, to } = {}) => rates
+                .filter(rate => (!from || rate.from === from) && (!to || rate.to === to))
+                .sort(compareBy({ date: -1, from: 1, to: 1 }))
+                .map(rate => ({ ...rate })),
+            save: async (list) => {
+                for (const rate of list.map(fields => build(ExchangeRate, fields))) {
+                    const stored = rates.find(other => other.from === rate.from && other.to === rate.to
+                        && other.date.getTime() === rate.date.getTime());
+                    if (stored) {
+                        stored.rate = rate.rate;
+                    } else {
+                        rates.push(rate);
+                    }
+                }
+                return list.length;
+            },
+            findRate: async (from, to, date) => {
+                const [latest] = rates
+                    .filter(rate => rate.from === from && rate.to === to && rate.date <= date)
+                    .sort(compareBy({ date: -1 }));
+                return latest ? { ...latest } : null;
+            }
+        },
+
+        auditLog: {
+            list: async ({ entity, entityId, owner, from, to }, { skip, limit }) => {
+                const matches = auditEntries
+                    .filter(entry => (!entity || entry.entity === entity)
+                        && (!entityId || entry.entityId === entityId)
+                        && (owner === undefined || entry.owners.includes(owner))
+                        && (!from || entry.timestamp >= from)
+                        && (!to || entry.timestamp <= to))
+                    .sort(compareBy({ timestamp: -1, _id: -1 }));
+                return { entries: matches.slice(skip, skip + limit).map(entry => copyDoc(AuditLog, entry)), total: matches.length };
+            }
+        },
+
+        reports: {
+            findSnapshot: async (userid, year, month) => snapshots.get(snapshotKey(userid, year, month)) || null,
+            saveSnapshot: async (report) => {
+                snapshots.set(snapshotKey(report.userid, report.year, report.month), report);
+            }
+        },
+
+        trash: {
+            list: async (userid) => ({
+                users: [...users.values()]
+                    .filter(user => user.deletedAt && (userid === undefined || user.id === userid))
+                    .map(withoutPassword),
+                costs: costs
+                    .filter(cost => cost.deletedAt && (userid === undefined || cost.userid === userid))
+                    .map(copyCost)
+            }),
+            findUser: async (id) => (users.has(id) && users.get(id).deletedAt ? withoutPassword(users.get(id)) : null),
+            findCost: async (id) => {
+                const cost = costs.find(item => item.deletedAt && String(item._id) === String(id));
+                return cost ? copyCost(cost) : null;
+            },
+            trashUser: async (id) => {
+                const user = activeUser(id);
+                if (!user) {
+                    return 0;
+                }
+                const deletedAt = new Date();
+                const owned = costs.filter(cost => cost.userid === id && !cost.deletedAt);
+                owned.forEach(cost => trashCost(cost, deletedAt));
+                users.set(id, { ...user, deletedAt });
+                audit(User, [{ action: 'delete', before: user, after: users.get(id) }]);
+                return owned.length;
+            },
+            restoreUser: async (id) => {
+                const user = users.get(id);
+                if (!user || !user.deletedAt) {
+                    return 0;
+                }
+                const { deletedAt, ...restoredUser } = user;
+                users.set(id, restoredUser);
+                audit(User, [{ action: 'update', before: user, after: restoredUser }]);
+                const restored = costs.filter(cost => cost.userid === id && cost.deletedAt && cost.deletedAt.getTime() === deletedAt.getTime());
+                restored.forEach(untrashCost);
+                return restored.length;
+            },
+            restoreCost: async (id) => {
+                const cost = costs.find(item => item.deletedAt && String(item._id) === String(id));
+                if (!cost) {
+                    return null;
+                }
+                untrashCost(cost);
+                return copyCost(cost);
+            },
+            // A purged user takes all their data along
+            purge: async (cutoff) => {
+                const purgedUsers = [...users.values()].filter(user => user.deletedAt && user.deletedAt <= cutoff);
+                const ids = purgedUsers.map(user => user.id);
+                const ofPurged = item => ids.includes(item.userid);
+
+                const purgedCosts = removeWhere(costs, cost => ofPurged(cost) || (cost.deletedAt && cost.deletedAt <= cutoff));
+                purgedCosts.forEach(dropSnapshot);
+                audit(Cost, purgedCosts.map(cost => ({ action: 'delete', before: cost })));
+                for (const key of purgedCosts.flatMap(cost => (cost.attachments || []).map(attachment => attachment.storageKey))) {
+                    await getStorage().remove(key).catch(err => console.error('Attachment Cleanup Error:', err));
+                }
+
+                removeWhere(budgets, ofPurged);
+                removeWhere(recurringCosts, ofPurged);
+                removeWhere(rules, ofPurged);
+                for (const user of purgedUsers) {
+                    categories.delete(user.id);
+                    users.delete(user.id);
+                    audit(User, [{ action: 'delete', before: user }]);
+                }
+
+                return { users: purgedUsers.length, costs: purgedCosts.length };
+            }
+        },
+
+        idempotencyKeys: {
+            create: async (fields) => {
+                const record = build(IdempotencyKey, fields);
+                if (idempotencyKeys.has(idempotencyScope(record))) {
+                    throw duplicateKeyError(`Idempotency Key '${record.key}' Is Already Stored`);
+                }
+                idempotencyKeys.set(idempotencyScope(record), record);
+                return { ...record };
+            },
+            find: async (scope) => {
+                const record = idempotencyKeys.get(idempotencyScope(scope));
+                return record ? { ...record } : null;
+            },
+            complete: async (record, status, body) => {
+                const stored = idempotencyKeys.get(idempotencyScope(record));
+                if (stored && String(stored._id) === String(record._id)) {
+                    Object.assign(stored, { state: 'completed', status, body });
+                }
+            },
+            remove: async (record) => {
+                const stored = idempotencyKeys.get(idempotencyScope(record));
+                if (stored && String(stored._id) === String(record._id)) {
+                    idempotencyKeys.delete(idempotencyScope(record));
+                }
+            }
+        }
+    };
+};
+
+/**
+ * Export the in-memory repository
+ * @type {Object}
+ */
+module.exports = {
+    createMemoryRepository
+};
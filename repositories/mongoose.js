@@ -0,0 +1,669 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Cost = require('../models/cost');
+const Category = require('../models/category');
+const Budget = require('../models/budget');
+const Report = require('../models/report');
+const CategoryRule = require('../models/categoryRule');
+const Group = require('../models/group');
+const GroupExpense = require('../models/groupExpense');
+const Settlement = require('../models/settlement');
+const RecurringCost = require('../models/recurringCost');
+const ExchangeRate = require('../models/exchangeRate');
+const AuditLog = require('../models/auditLog');
+const IdempotencyKey = require('../models/idempotencyKey');
+const { PERIOD_FORMATS } = require('../services/report');
+const { DEFAULT_TIMEZONE } = require('../services/timezone');
+const { PartialInsertError } = require('../services/errors');
+const { toShareCosts } = require('../services/splits');
+
+/**
+ * Returns the expression computing a grouping field of CostRepository#totals
+ *
+ * @param {string} field - 'category', 'currency', 'day', 'week' or 'month'
+ * @param {string} timezone - IANA time zone the periods are in
+ * @returns {*} The aggregation expression
+ */
+const groupField = (field, timezone) => (PERIOD_FORMATS[field]
+    ? { $dateToString: { format: PERIOD_FORMATS[field], date: '$date', timezone } }
+    : `$${field}`);
+
+/**
+ * Escapes a string so it can be embedded literally in a regular expression
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turns a cost query into a MongoDB filter
+ *
+ * @param {CostQuery} query - Cost query
+ * @returns {Object} Filter on the Cost collection
+ */
+const toCostFilter = ({ userid, category, from, to, minSum, maxSum, text, tags }) => {
+    const filter = { userid };
+    if (category !== undefined) {
+        filter.category = Array.isArray(category) ? { $in: category } : category;
+    }
+    if (from || to) {
+        filter.date = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+    }
+    if (minSum !== undefined || maxSum !== undefined) {
+        filter.sum = { ...(minSum !== undefined ? { $gte: minSum } : {}), ...(maxSum !== undefined ? { $lte: maxSum } : {}) };
+    }
+    if (text) {
+        filter.description = { $regex: escapeRegExp(text), $options: 'i' };
+    }
+    if (tags && tags.length > 0) {
+        filter.tags = { $in: tags };
+    }
+    return filter;
+};
+
+/**
+ * Changes fields of a document through its model, so validators and hooks run
+ *
+ * @param {mongoose.Model} Model - Model of the document
+ * @param {string} id - ID of the document
+ * @param {Object} fields - Field values to set
+ * @returns {Promise<Object|null>} The updated document as a plain object; null if there is no such document
+ */
+const updateById = async (Model, id, fields) => {
+    const doc = await Model.findById(id);
+    if (!doc) {
+        return null;
+    }
+    doc.set(fields);
+    await doc.save();
+    return doc.toObject();
+};
+
+/**
+ * Runs work in a MongoDB transaction, so its writes are saved all together or not at all
+ * Transactions need a replica set
+ *
+ * @param {function(mongoose.ClientSession): Promise<*>} work - Writes to make with the session
+ * @returns {Promise<*>} What the work returned
+ */
+const inTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Builds the expression rounding a number to cents
+ *
+ * @param {Object|string} value - Expression of the number
+ * @returns {Object} The $round expression
+ */
+const round = (value) => ({ $round: [value, 2] });
+
+/**
+ * Builds the expression of the percentage change from an earlier total to the current one
+ * An earlier total of zero has no meaningful change, so the result is null then
+ *
+ * @param {string} field - Path of the earlier total
+ * @returns {Object} The expression
+ */
+const changeFrom = (field) => ({
+    $cond: [
+        { $eq: [field, 0] },
+        null,
+        round({ $multiply: [{ $divide: [{ $subtract: ['$total', field] }, field] }, 100] })
+    ]
+});
+
+/**
+ * Builds the stages turning costs into one document per month (and per category, when
+ * partitioned), with rolling averages and changes against earlier months
+ * Months without costs are filled in with zero totals by $densify, so the range windows
+ * of $setWindowFields always see calendar months.
+ *
+ * @param {string|null} partition - Field to compute separate series for, or null for one series
+ * @param {number} firstIndex - Month index of the first month read, including history
+ * @param {number} startIndex - Month index of the first month reported
+ * @param {number} endIndex - Month index of the last month reported
+ * @returns {Object[]} The pipeline stages
+ */
+const monthlySeries = (partition, firstIndex, startIndex, endIndex) => [
+    {
+        $group: {
+            _id: partition ? { monthIndex: '$monthIndex', key: `$${partition}` } : { monthIndex: '$monthIndex' },
+            total: { $sum: '$sum' },
+            count: { $sum: 1 }
+        }
+    },
+    { $project: { _id: 0, monthIndex: '$_id.monthIndex', key: '$_id.key', total: 1, count: 1 } },
+    {
+        $densify: {
+            field: 'monthIndex',
+            ...(partition ? { partitionByFields: ['key'] } : {}),
+            range: { step: 1, bounds: [firstIndex, endIndex + 1] }
+        }
+    },
+    { $set: { total: { $ifNull: ['$total', 0] }, count: { $ifNull: ['$count', 0] } } },
+    {
+        $setWindowFields: {
+            ...(partition ? { partitionBy: '$key' } : {}),
+            sortBy: { monthIndex: 1 },
+            output: {
+                last3: { $sum: '$total', window: { range: [-2, 0] } },
+                last12: { $sum: '$total', window: { range: [-11, 0] } },
+                previousMonth: { $sum: '$total', window: { range: [-1, -1] } },
+                previousYear: { $sum: '$total', window: { range: [-12, -12] } }
+            }
+        }
+    },
+    { $match: { monthIndex: { $gte: startIndex } } },
+    { $sort: { key: 1, monthIndex: 1 } },
+    {
+        $project: {
+            _id: 0,
+            ...(partition ? { category: '$key' } : {}),
+            monthIndex: 1,
+            total: round('$total'),
+            count: 1,
+            average3: round({ $divide: ['$last3', 3] }),
+            average12: round({ $divide: ['$last12', 12] }),
+            monthOverMonth: changeFrom('$previousMonth'),
+            yearOverYear: changeFrom('$previousYear')
+        }
+    }
+];
+
+/**
+ * Creates the repository backed by the Mongoose models
+ * Writes go through the models, so their hooks (report snapshots, audit log, trash) keep working
+ *
+ * @returns {Repository} The repository
+ */
+const createMongooseRepository = () => ({
+    users: {
+        findById: (id) => User.findOne({ id }).lean(),
+        findByIds: (ids) => User.find({ id: { $in: ids } }).lean(),
+        exists: async (id) => (await User.exists({ id })) !== null,
+        list: async ({ skip, limit }) => {
+            const [users, total] = await Promise.all([
+                User.find().sort({ id: 1 }).skip(skip).limit(limit).lean(),
+                User.countDocuments()
+            ]);
+            return { users, total };
+        },
+        create: async (fields, password) => {
+            const user = new User(fields);
+            await user.setPassword(password);
+            await user.save();
+            return user.toJSON();
+        },
+        update: async (id, fields) => {
+            const user = await User.findOne({ id });
+            if (!user) {
+                return null;
+            }
+            for (const [field, value] of Object.entries(fields)) {
+                if (field === 'password') {
+                    await user.setPassword(value);
+                } else {
+                    user.set(field, value);
+                }
+            }
+            await user.save();
+            return user.toJSON();
+        },
+        authenticate: async (id, password) => {
+            const user = await User.findOne({ id }).select('+password_hash');
+            return user && (await user.checkPassword(password)) ? user.toJSON() : null;
+        }
+    },
+
+    costs: {
+        create: async (fields) => {
+            const cost = new Cost(fields);
+            await cost.save();
+            return cost.toJSON();
+        },
+        insertMany: async (costs, { atomic = false } = {}) => {
+            if (!atomic) {
+                // Unordered, so one rejected cost does not stop the rest; the ones that were
+                // saved are reported along with the failures
+                try {
+                    return await Cost.insertMany(costs, { ordered: false });
+                } catch (err) {
+                    if (!err.insertedDocs || !err.writeErrors) {
+                        throw err;
+                    }
+                    throw new PartialInsertError(err.insertedDocs, err.writeErrors.map(writeError => ({
+                        index: writeError.index,
+                        message: writeError.err ? writeError.err.errmsg : writeError.errmsg
+                    })));
+                }
+            }
+
+            return inTransaction(session => Cost.insertMany(costs, { session }));
+        },
+        findById: (id) => Cost.findById(id).lean(),
+        find: (query, { sort } = {}) => {
+            const find = Cost.find(toCostFilter(query));
+            return (sort ? find.sort(sort) : find).lean();
+        },
+        stream: (query, { sort } = {}) => {
+            const find = Cost.find(toCostFilter(query));
+            return (sort ? find.sort(sort) : find).lean().cursor();
+        },
+        list: async (query, { field, direction, after, limit }) => {
+            const filter = toCostFilter(query);
+            const page = { ...filter };
+            if (after) {
+                const operator = direction === 1 ? '$gt' : '$lt';
+                page.$or = [
+                    { [field]: { [operator]: after.value } },
+                    { [field]: after.value, _id: { [operator]: after.id } }
+                ];
+            }
+            const [costs, total] = await Promise.all([
+                Cost.find(page).sort({ [field]: direction, _id: direction }).limit(limit).lean(),
+                Cost.countDocuments(filter)
+            ]);
+            return { costs, total };
+        },
+        count: (query) => Cost.countDocuments(toCostFilter(query)),
+        update: async (id, fields) => {
+            const cost = await Cost.findById(id);
+            if (!cost) {
+                return null;
+            }
+            for (const [field, value] of Object.entries(fields)) {
+                cost.set(field, value);
+            }
+            await cost.save();
+            return cost.toJSON();
+        },
+        softDelete: async (id) => {
+            const cost = await Cost.findById(id);
+            if (!cost) {
+                return null;
+            }
+            await cost.softDelete();
+            return cost.toJSON();
+        },
+        // $push and $pull keep concurrent changes to the same cost from overwriting each other
+        addAttachments: (id, attachments) => Cost.findOneAndUpdate(
+            { _id: id },
+            { $push: { attachments: { $each: attachments } } },
+            { new: true, runValidators: true }
+        ).lean(),
+        removeAttachment: async (id, attachmentId) => {
+            await Cost.updateOne({ _id: id }, { $pull: { attachments: { _id: attachmentId } } });
+        },
+        search: (userid, text, { limit, tags }) => Cost.find(
+            { ...toCostFilter({ userid, tags }), $text: { $search: text } },
+            { score: { $meta: 'textScore' }, description: 1, category: 1, sum: 1, currency: 1, date: 1, tags: 1 }
+        )
+            .sort({ score: { $meta: 'textScore' }, date: -1 })
+            .limit(limit)
+            .lean(),
+        // Costs in the trash count too: the unique index still holds their transaction ids
+        findImported: async (userid, transactionIds) => (await Cost.find({ userid, bankTransactionId: { $in: transactionIds } })
+            .setOptions({ withDeleted: true })
+            .select('bankTransactionId')
+            .lean()).map(cost => cost.bankTransactionId),
+        totals: async (query, by = []) => {
+            const groups = await Cost.aggregate([
+                { $match: toCostFilter(query) },
+                {
+                    $group: {
+                        _id: Object.fromEntries(by.map(field => [field, groupField(field, query.timezone || DEFAULT_TIMEZONE)])),
+                        total: { $sum: '$sum' },
+                        count: { $sum: 1 }
+                    }
+                }
+            ]);
+            return groups.map(group => ({ key: group._id, total: group.total, count: group.count }));
+        },
+        tagTotals: async (query) => {
+            const [result] = await Cost.aggregate([
+                { $match: toCostFilter(query) },
+                {
+                    $facet: {
+                        byTag: [
+                            { $unwind: '$tags' },
+                            { $group: { _id: '$tags', total: { $sum: '$sum' }, count: { $sum: 1 } } },
+                            { $sort: { total: -1, _id: 1 } }
+                        ],
+                        untagged: [
+                            { $match: { $or: [{ tags: { $exists: false } }, { tags: { $size: 0 } }] } },
+                            { $group: { _id: null, total: { $sum: '$sum' }, count: { $sum: 1 } } }
+                        ],
+                        overall: [
+                            { $group: { _id: null, total: { $sum: '$sum' }, count: { $sum: 1 } } }
+                        ]
+                    }
+                }
+            ]);
+
+            const [untagged] = result.untagged;
+            const [overall] = result.overall;
+
+            return {
+                tags: result.byTag.map(entry => ({ tag: entry._id, total: entry.total, count: entry.count })),
+                untagged: { total: untagged ? untagged.total : 0, count: untagged ? untagged.count : 0 },
+                total: overall ? overall.total : 0,
+                count: overall ? overall.count : 0
+            };
+        },
+        // $densify and $topN need MongoDB 5.2 or later
+        analytics: async ({ userid, timezone, readFrom, from, to, firstIndex, startIndex, endIndex, top }) => {
+            const inRange = { $match: { date: { $gte: from } } };
+            const topCost = {
+                _id: '$_id',
+                description: '$description',
+                category: '$category',
+                sum: '$sum',
+                currency: '$currency',
+                date: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
+                timestamp: '$date'
+            };
+
+            const [result] = await Cost.aggregate([
+                { $match: { userid, date: { $gte: readFrom, $lte: to } } },
+                { $set: { local: { $dateToParts: { date: '$date', timezone } } } },
+                { $set: { monthIndex: { $add: [{ $multiply: ['$local.year', 12] }, { $subtract: ['$local.month', 1] }] } } },
+                {
+                    $facet: {
+                        monthly: monthlySeries(null, firstIndex, startIndex, endIndex),
+                        monthlyByCategory: monthlySeries('category', firstIndex, startIndex, endIndex),
+                        overall: [
+                            inRange,
+                            { $group: { _id: null, total: { $sum: '$sum' }, count: { $sum: 1 } } }
+                        ],
+                        byCategory: [
+                            inRange,
+                            { $group: { _id: '$category', total: { $sum: '$sum' }, count: { $sum: 1 } } },
+                            { $setWindowFields: { output: { overall: { $sum: '$total' } } } },
+                            {
+                                $project: {
+                                    _id: 0,
+                                    category: '$_id',
+                                    total: round('$total'),
+                                    count: 1,
+                                    share: { $cond: [{ $eq: ['$overall', 0] }, null, round({ $multiply: [{ $divide: ['$total', '$overall'] }, 100] })] }
+                                }
+                            }
+                        ],
+                        top: [
+                            inRange,
+                            { $sort: { sum: -1, date: -1, _id: 1 } },
+                            { $limit: top },
+                            { $replaceWith: topCost }
+                        ],
+                        topByCategory: [
+                            inRange,
+                            { $group: { _id: '$category', costs: { $topN: { n: top, sortBy: { sum: -1, date: -1, _id: 1 }, output: topCost } } } },
+                            { $project: { _id: 0, category: '$_id', costs: 1 } }
+                        ]
+                    }
+                }
+            ]);
+
+            const [overall] = result.overall;
+            return { ...result, overall: overall ? { total: overall.total, count: overall.count } : null };
+        }
+    },
+
+    // Stored reports list every category, so any change to a user's categories drops them
+    categories: {
+        findForUser: (userid, options) => Category.findForUser(userid, options),
+        findById: (id) => Category.findById(id).lean(),
+        exists: async (userid, name) => {
+            await Category.ensureDefaults(userid);
+            return (await Category.exists({ userid, name: String(name).trim().toLowerCase() })) !== null;
+        },
+        isActive: (userid, name) => Category.isActive(userid, name),
+        // The defaults are given first, or the new category would keep the user from getting them
+        create: async (userid, name) => {
+            await Category.ensureDefaults(userid);
+            const category = await Category.create({ userid, name });
+            await Report.deleteMany({ userid });
+            return category.toObject();
+        },
+        update: async (id, fields) => {
+            const category = await Category.findById(id);
+            if (!category) {
+                return null;
+            }
+            const previousName = category.name;
+            category.set(fields);
+            await category.save();
+
+            if (category.name !== previousName) {
+                const filter = { userid: category.userid, category: previousName };
+                const rename = { $set: { category: category.name } };
+                // Trashed costs follow too, so they are restored into a category that still exists
+                await Cost.updateMany(filter, rename, { withDeleted: true });
+                await Budget.updateOne(filter, rename);
+                await CategoryRule.updateMany(filter, rename);
+            }
+            await Report.deleteMany({ userid: category.userid });
+            return category.toObject();
+        },
+        merge: async (id, intoId) => {
+            const [source, target] = await Promise.all([Category.findById(id), Category.findById(intoId)]);
+            if (!source || !target) {
+                return null;
+            }
+            const filter = { userid: source.userid, category: source.name };
+            const rename = { $set: { category: target.name } };
+
+            const { modifiedCount } = await Cost.updateMany(filter, rename, { withDeleted: true });
+            // The target keeps its own budget; the source budget only moves over if the target has none
+            if (await Budget.exists({ userid: source.userid, category: target.name })) {
+                await Budget.deleteOne(filter);
+            } else {
+                await Budget.updateOne(filter, rename);
+            }
+            await CategoryRule.updateMany(filter, rename);
+            await source.deleteOne();
+            await Report.deleteMany({ userid: source.userid });
+            return modifiedCount;
+        }
+    },
+
+    budgets: {
+        findForUser: (userid) => Budget.find({ userid }).sort({ category: 1 }).lean(),
+        findById: (id) => Budget.findById(id).lean(),
+        create: async (fields) => (await Budget.create(fields)).toObject(),
+        update: (id, fields) => updateById(Budget, id, fields),
+        remove: (id) => Budget.findByIdAndDelete(id).lean()
+    },
+
+    categoryRules: {
+        findForUser: (userid) => CategoryRule.findForUser(userid).lean(),
+        findById: (id) => CategoryRule.findById(id).lean(),
+        create: async (fields) => (await CategoryRule.create(fields)).toObject(),
+        update: (id, fields) => updateById(CategoryRule, id, fields),
+        remove: (id) => CategoryRule.findByIdAndDelete(id).lean()
+    },
+
+    groups: {
+        findForUser: (userid) => Group.find({ members: userid }).sort({ createdAt: 1 }).lean(),
+        countForUser: (userid) => Group.countDocuments({ members: userid }),
+        findById: (id) => Group.findById(id).lean(),
+        create: async (fields) => (await Group.create(fields)).toObject(),
+        update: (id, fields) => updateById(Group, id, fields),
+        findExpenses: (groupId) => GroupExpense.find({ groupId }).sort({ date: -1, _id: -1 }).lean(),
+        findExpense: (groupId, id) => GroupExpense.findOne({ _id: id, groupId }).lean(),
+        addExpense: async (fields) => {
+            const expense = new GroupExpense(fields);
+            await expense.validate();
+            const costs = await inTransaction(async (session) => {
+                await expense.save({ session });
+                return Cost.insertMany(toShareCosts(expense), { session });
+            });
+            return { expense: expense.toObject(), costs: costs.map(cost => cost.toJSON()) };
+        },
+        removeExpense: (id) => inTransaction(async (session) => {
+            const { modifiedCount } = await Cost.updateMany({ groupExpenseId: id }, { $set: { deletedAt: new Date() } }, { session });
+            await GroupExpense.deleteOne({ _id: id }, { session });
+            return modifiedCount;
+        }),
+        findSettlements: (groupId) => Settlement.find({ groupId }).sort({ date: -1, _id: -1 }).lean(),
+        addSettlement: async (fields) => (await Settlement.create(fields)).toObject()
+    },
+
+    recurring: {
+        findForUser: (userid) => RecurringCost.find({ userid }).sort({ startDate: 1 }).lean(),
+        findById: (id) => RecurringCost.findById(id).lean(),
+        create: async (fields) => (await RecurringCost.create(fields)).toObject(),
+        update: (id, fields) => updateById(RecurringCost, id, fields),
+        remove: (id) => RecurringCost.findByIdAndDelete(id).lean(),
+        findDue: async (now) => {
+            const deletedUsers = await User.find({ deletedAt: { $exists: true } }).distinct('id');
+            return RecurringCost.find({
+                userid: { $nin: deletedUsers },
+                startDate: { $lte: now },
+                $or: [
+                    { materializedUntil: { $exists: false } },
+                    { materializedUntil: { $lt: now } }
+                ]
+            }).lean();
+        },
+        hasCost: async (id, occurrence) => (await Cost.exists({ recurringId: id, occurrence })) !== null
+    },
+
+    rates: {
+        list: ({ from, to } = {}) => ExchangeRate.find({
+            ...(from ? { from } : {}),
+            ...(to ? { to } : {})
+        }).sort({ date: -1, from: 1, to: 1 }).lean(),
+        save: async (rates) => {
+            if (rates.length > 0) {
+                await ExchangeRate.bulkWrite(rates.map(rate => ({
+                    updateOne: {
+                        filter: { from: rate.from, to: rate.to, date: rate.date },
+                        update: { $set: { rate: rate.rate } },
+                        upsert: true
+                    }
+                })));
+            }
+            return rates.length;
+        },
+        findRate: (from, to, date) => ExchangeRate.findOne({ from, to, date: { $lte: date } }).sort({ date: -1 }).lean()
+    },
+
+    auditLog: {
+        list: async ({ entity, entityId, owner, from, to }, { skip, limit }) => {
+            const filter = {
+                ...(entity ? { entity } : {}),
+                ...(entityId ? { entityId } : {}),
+                ...(owner !== undefined ? { owners: owner } : {}),
+                ...(from || to ? { timestamp: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } } : {})
+            };
+            const [entries, total] = await Promise.all([
+                AuditLog.find(filter).sort({ timestamp: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+                AuditLog.countDocuments(filter)
+            ]);
+            return { entries, total };
+        }
+    },
+
+    reports: {
+        findSnapshot: (userid, year, month) => Report.findOne({ userid, year, month }).lean(),
+        saveSnapshot: async ({ userid, year, month, timezone, costs }) => {
+            await Report.updateOne(
+                { userid, year, month },
+                { $set: { timezone, costs, createdAt: new Date() } },
+                { upsert: true }
+            );
+        }
+    },
+
+    trash: {
+        list: async (userid) => {
+            const [users, costs] = await Promise.all([
+                User.find({ ...(userid === undefined ? {} : { id: userid }), deletedAt: { $exists: true } }).lean(),
+                Cost.find({ ...(userid === undefined ? {} : { userid }), deletedAt: { $exists: true } }).lean()
+            ]);
+            return { users, costs };
+        },
+        findUser: (id) => User.findOne({ id, deletedAt: { $exists: true } }).lean(),
+        findCost: (id) => Cost.findOne({ _id: id, deletedAt: { $exists: true } }).lean(),
+        // The costs get the user's deletion time, which is how restoreUser tells them apart
+        // from costs that were deleted on their own before
+        trashUser: async (id) => {
+            const user = await User.findOne({ id });
+            if (!user) {
+                return 0;
+            }
+            const deletedAt = new Date();
+            const { modifiedCount } = await Cost.updateMany({ userid: id }, { $set: { deletedAt } });
+            await user.softDelete(deletedAt);
+            return modifiedCount;
+        },
+        restoreUser: async (id) => {
+            const user = await User.findOne({ id, deletedAt: { $exists: true } });
+            if (!user) {
+                return 0;
+            }
+            const { deletedAt } = user;
+            await user.restore();
+            const { modifiedCount } = await Cost.updateMany({ userid: id, deletedAt }, { $unset: { deletedAt: 1 } });
+            return modifiedCount;
+        },
+        restoreCost: async (id) => {
+            const cost = await Cost.findOne({ _id: id, deletedAt: { $exists: true } });
+            if (!cost) {
+                return null;
+            }
+            await cost.restore();
+            return cost.toJSON();
+        },
+        // The Cost model hooks remove the attachment files of the costs deleted here
+        purge: async (cutoff) => {
+            let costs = 0;
+
+            const users = await User.find({ deletedAt: { $lte: cutoff } }).select('id').lean();
+            for (const user of users) {
+                costs += (await Cost.deleteMany({ userid: user.id, deletedAt: { $exists: true } })).deletedCount;
+                costs += (await Cost.deleteMany({ userid: user.id })).deletedCount;
+                await Category.deleteMany({ userid: user.id });
+                await Budget.deleteMany({ userid: user.id });
+                await RecurringCost.deleteMany({ userid: user.id });
+                await CategoryRule.deleteMany({ userid: user.id });
+                await User.deleteOne({ _id: user._id, deletedAt: { $exists: true } });
+            }
+
+            costs += (await Cost.deleteMany({ deletedAt: { $lte: cutoff } })).deletedCount;
+
+            return { users: users.length, costs };
+        }
+    },
+
+    idempotencyKeys: {
+        create: async (fields) => (await IdempotencyKey.create(fields)).toObject(),
+        find: ({ userid, client, key }) => IdempotencyKey.findOne({ userid, client, key }).lean(),
+        complete: async (record, status, body) => {
+            await IdempotencyKey.updateOne({ _id: record._id }, { $set: { state: 'completed', status, body } });
+        },
+        remove: async (record) => {
+            await IdempotencyKey.deleteOne({ _id: record._id, createdAt: record.createdAt });
+        }
+    }
+});
+
+/**
+ * Export the Mongoose repository
+ * @type {Object}
+ */
+module.exports = {
+    createMongooseRepository
+};
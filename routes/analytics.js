@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { DEFAULT_TOP, MAX_MONTHS, buildSpendingAnalytics } = require('../services/analytics');
+const { parseBoundary } = require('../services/report');
+const { ApiError, NotFoundError } = require('../services/errors');
+const { DEFAULT_TIMEZONE } = require('../services/timezone');
+
+/**
+ * @typedef {Object} AnalyticsQuery
+ * @property {string} id - User ID
+ * @property {string} from - Day (YYYY-MM-DD) or instant (ISO format) in the first month; read in the user's time zone without an offset
+ * @property {string} to - Day (YYYY-MM-DD) or instant (ISO format) in the last month; read in the user's time zone without an offset
+ * @property {string} [top] - How many of the largest costs to list, overall and per category (default DEFAULT_TOP)
+ */
+
+/**
+ * Retrieves spending analytics for the whole months from `from` to `to`
+ * Per category and overall: monthly totals, rolling 3 and 12 month averages,
+ * month-over-month and year-over-year changes and the largest costs, plus each
+ * category's share of the spending. Months are those of the user's time zone.
+ * The query has been validated against the OpenAPI document, so id and top are integers
+ *
+ * @route GET /api/analytics
+ * @param {express.Request<{}, ApiResponse, {}, AnalyticsQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the analytics or error
+ */
+router.get('/', requireOwner(req => req.query.id), async (req, res, next) => {
+    try {
+        const numericId = Number(req.query.id);
+
+        const user = await req.repository.users.findById(numericId);
+        if (!user) {
+            throw new NotFoundError('User Not Found', `No User Found With ID: ${numericId}`);
+        }
+
+        const timezone = user.timezone || DEFAULT_TIMEZONE;
+        const from = parseBoundary(req.query.from, false, timezone);
+        const to = parseBoundary(req.query.to, true, timezone);
+
+        if (!from || !to) {
+            return res.status(400).json({
+                error: 'Invalid Date Format',
+                message: 'From And To Must Be Valid Dates'
+            });
+        }
+
+        if (from > to) {
+            return res.status(400).json({
+                error: 'Invalid Date Range',
+                message: 'From Must Not Be After To'
+            });
+        }
+
+        const top = req.query.top === undefined ? DEFAULT_TOP : Number(req.query.top);
+        const analytics = await buildSpendingAnalytics(req.repository, user.id, from, to, { top, timezone });
+        if (!analytics) {
+            return res.status(400).json({
+                error: 'Invalid Date Range',
+                message: `The Range Must Not Cover More Than ${MAX_MONTHS} Months`
+            });
+        }
+
+        res.json({
+            message: 'Analytics Retrieved Successfully',
+            data: analytics
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Generate Analytics'));
+    }
+});
+
+/**
+ * Export the configured router with the spending analytics route
+ * @type {express.Router}
+ */
+module.exports = router;
@@ -1,7 +1,40 @@
 const express = require('express');
 const router = express.Router();
-const User = require('../models/user');
-const Cost = require('../models/cost');
+const usersRouter = require('./users');
+const costsRouter = require('./costs');
+const categoriesRouter = require('./categories');
+const budgetsRouter = require('./budgets');
+const recurringRouter = require('./recurring');
+const ratesRouter = require('./rates');
+const reportsRouter = require('./reports');
+const analyticsRouter = require('./analytics');
+const importRouter = require('./import');
+const categoryRulesRouter = require('./categoryRules');
+const searchRouter = require('./search');
+const tagsRouter = require('./tags');
+const groupsRouter = require('./groups');
+const auditRouter = require('./audit');
+const trashRouter = require('./trash');
+const authRouter = require('./auth');
+const { authenticate, requireOwner } = require('../middleware/auth');
+const { requestContext } = require('../middleware/requestContext');
+const { errorResponses, apiNotFound, apiErrorHandler } = require('../middleware/errors');
+const { idempotency } = require('../middleware/idempotency');
+const { validateWithOpenApi } = require('../middleware/validate');
+const { document: openApiDocument, renderDocs } = require('../services/openapi');
+const { getMonthRange, getMonthlyReport } = require('../services/report');
+const { getBudgetStatus, getOverBudgetStatus } = require('../services/budget');
+const { createConverter } = require('../services/currency');
+const { ApiError, NotFoundError } = require('../services/errors');
+const { resolveFormat, streamExport } = require('../services/export');
+const { normalizeTags } = require('../services/tags');
+const { DEFAULT_TIMEZONE, toWallClock, parseLocalDate } = require('../services/timezone');
+const { MAX_IMPORT_SIZE, prepareCosts, insertCosts } = require('../services/import');
+
+/**
+ * The typedefs below mirror schemas of the OpenAPI document (services/openapi.js), which is
+ * what requests are actually validated against
+ */
 
 /**
  * @typedef {Object} CostRequestBody
@@ -9,7 +42,9 @@ const Cost = require('../models/cost');
  * @property {string} category - Category of the cost
  * @property {number} userid - ID of the user
  * @property {number} sum - Amount of the cost
+ * @property {string} [currency] - ISO 4217 code of the sum (defaults to the user's base currency)
  * @property {string} [date] - Date of the cost (ISO format, optional)
+ * @property {string[]|string} [tags] - Tags, as an array or a comma-separated string
  */
 
 /**
@@ -17,6 +52,10 @@ const Cost = require('../models/cost');
  * @property {string} id - User ID
  * @property {string} year - Year of the report
  * @property {string} month - Month of the report (1-12)
+ * @property {string} [includeBudget] - 'true' to add spent, limit, remaining and percentage per category
+ * @property {string} [convert] - 'true' to convert every sum into the user's base currency
+ * @property {string} [format] - 'json' (default), 'csv', 'jsonl' or 'html'; overrides the Accept header
+ * @property {string} [tag] - Only list costs carrying one of these comma-separated tags
  */
 
 /**
@@ -24,183 +63,390 @@ const Cost = require('../models/cost');
  * @property {string} [message] - Success message
  * @property {string} [error] - Error type
  * @property {*} [data] - Response data
+ * @property {Object} [warning] - Non-fatal notice about the request, e.g. a category going over budget
+ */
+
+/**
+ * Columns of the CSV and HTML report exports; converted exports add the original amount
+ * @type {ExportColumn[]}
  */
+const REPORT_EXPORT_COLUMNS = [
+    { key: 'category', label: 'Category' },
+    { key: 'day', label: 'Day' },
+    { key: 'description', label: 'Description' },
+    { key: 'sum', label: 'Sum' },
+    { key: 'currency', label: 'Currency' }
+];
+const CONVERTED_REPORT_EXPORT_COLUMNS = [
+    ...REPORT_EXPORT_COLUMNS,
+    { key: 'original_sum', label: 'Original Sum' },
+    { key: 'original_currency', label: 'Original Currency' }
+];
+
+/**
+ * Gives every request an id (echoed in X-Request-Id) and makes the request visible to
+ * the model middleware, so audit entries can name the caller and the request
+ */
+router.use(requestContext);
+
+/**
+ * Gives every error response a machine-readable code and the request id, and sends it as
+ * RFC 7807 problem details when the client asks for application/problem+json
+ * (see middleware/errors.js)
+ */
+router.use(errorResponses);
+
+/**
+ * Authenticates every request except the public routes listed in middleware/auth.js
+ * Routes below additionally check that the caller owns the user they touch;
+ * administrators may read any user's data
+ */
+router.use(authenticate);
+
+/**
+ * Parses JSON bodies. Imports and batches take up to MAX_IMPORT_SIZE like CSV imports do;
+ * every other route keeps the default 100kb limit
+ */
+router.use(['/import', '/add/batch'], express.json({ limit: MAX_IMPORT_SIZE }));
+router.use(express.json());
+
+/**
+ * Checks parameters and JSON bodies against the OpenAPI document, answering with a 400
+ * that lists every failing field, and logs responses that do not match the document
+ * (see middleware/validate.js)
+ */
+router.use(validateWithOpenApi);
+
+/**
+ * Replays the stored response when a write is retried with the same Idempotency-Key header
+ * (see middleware/idempotency.js)
+ */
+router.use(idempotency);
+
+/**
+ * Login, logout and current-user routes
+ *
+ * @route /api/auth
+ */
+router.use('/auth', authRouter);
 
 /**
  * Adds a new cost item for a user
- * Validates user existence before creating cost item
+ * The body has been validated against the CostInput schema; this checks that the user
+ * exists and that the category is one of the user's active categories before creating
+ * the cost item
+ * A date without an offset is taken in the user's time zone, so '2024-06-30' is the
+ * start of that day where the user lives rather than midnight UTC
+ * Adds a warning to the response when the cost puts its category over budget
  *
  * @route POST /api/add
  * @param {express.Request<{}, ApiResponse, CostRequestBody>} req - Express request object
  * @param {express.Response<ApiResponse>} res - Express response object
  * @returns {Promise<express.Response>} JSON response with created cost item or error
  */
-router.post('/add', async (req, res) => {
+router.post('/add', requireOwner(req => req.body.userid), async (req, res, next) => {
     try {
-        const { description, category, userid, sum, date } = req.body;
+        const { description, category, userid, sum, currency, date, tags } = req.body;
 
-        const userExists = await User.findOne({ id: userid });
+        const userExists = await req.repository.users.findById(userid);
         if (!userExists) {
-            return res.status(404).json({
-                error: 'User Not Found',
-                message: 'The Specified User Does Not Exist In The Database'
+            throw new NotFoundError('User Not Found', 'The Specified User Does Not Exist In The Database');
+        }
+
+        if (category && !(await req.repository.categories.isActive(userExists.id, category))) {
+            throw new ApiError(400, 'Failed To Add Cost Item', `Category '${category}' Is Not An Active Category Of User ${userExists.id}`, {
+                code: 'CATEGORY_NOT_ACTIVE'
             });
         }
 
-        const cost = new Cost({
+        const timezone = userExists.timezone || DEFAULT_TIMEZONE;
+        const cost = await req.repository.costs.create({
             description,
             category,
-            userid: parseInt(userid),
-            sum: parseFloat(sum),
-            date
+            userid,
+            sum,
+            currency: currency || userExists.base_currency,
+            date: date === undefined ? undefined : parseLocalDate(date, timezone),
+            tags
         });
 
-        await cost.save();
-        res.status(201).json({
+        const response = {
             message: 'Cost Item Added Successfully',
             data: cost,
-        });
+        };
+
+        const overBudget = await getOverBudgetStatus(req.repository, cost.userid, cost.category, cost.date, timezone);
+        if (overBudget) {
+            response.warning = {
+                message: `Category '${cost.category}' Is Over Its Monthly Budget`,
+                ...overBudget
+            };
+        }
+
+        res.status(201).json(response);
 
     } catch (err) {
-        res.status(400).json({
-            error: 'Failed To Add Cost Item',
-            message: err.message
+        next(ApiError.from(err, 'Failed To Add Cost Item'));
+    }
+});
+
+/**
+ * Adds many cost items in one request, all or nothing
+ * Takes a JSON array of 1 to MAX_IMPORT_ROWS cost items shaped like the body of POST /api/add
+ * (the array itself is checked against the OpenAPI document). Every item is
+ * validated first, loading each distinct user and their categories once; if any item fails,
+ * nothing is saved and the errors are listed per item. Otherwise all items are inserted in
+ * one MongoDB transaction. Regular users can only add their own costs; administrators can
+ * add costs for any user.
+ *
+ * @route POST /api/add/batch
+ * @param {express.Request<{}, ApiResponse, CostRequestBody[]>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the created cost items or per-item errors
+ */
+router.post('/add/batch', async (req, res, next) => {
+    const items = req.body;
+
+    try {
+        const { id, role } = req.auth;
+        const prepared = await prepareCosts(req.repository, items, userid => role === 'admin' || userid === id);
+        const errors = prepared
+            .filter(entry => entry.errors.length > 0)
+            .map(entry => ({ index: entry.row - 1, errors: entry.errors }));
+
+        if (errors.length > 0) {
+            return res.status(422).json({
+                error: 'Failed To Add Cost Items',
+                message: `${errors.length} Of ${items.length} Cost Items Are Invalid; Nothing Was Added`,
+                errors
+            });
+        }
+
+        const costs = await insertCosts(req.repository, prepared, { atomic: true });
+        res.status(201).json({
+            message: 'Cost Items Added Successfully',
+            data: costs
         });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Add Cost Items'));
     }
 });
 
 /**
  * Retrieves a monthly report of costs for a user
  * Groups costs by category and includes detailed breakdown
+ * The month and each cost's day are taken in the user's time zone; every item also
+ * carries its local date and its UTC timestamp
+ * Months that are already over are served from a stored snapshot
+ * With ?includeBudget=true the report also holds each category's budget status
+ * With ?convert=true every sum is converted into the user's base currency
+ * With ?tag= only costs carrying one of the given tags are listed
+ * With a CSV, JSON Lines or HTML format (?format= or the Accept header) the month's cost
+ * items are streamed as one row each instead of the grouped JSON report
+ * The query has been validated against the OpenAPI document, so id, year and month are integers
  *
  * @route GET /api/report
  * @param {express.Request<{}, ApiResponse, {}, ReportQuery>} req - Express request object
  * @param {express.Response<ApiResponse>} res - Express response object
  * @returns {Promise<express.Response>} JSON response with monthly cost report or error
  */
-router.get('/report', async (req, res) => {
+router.get('/report', requireOwner(req => req.query.id), async (req, res, next) => {
     try {
-        const { id, year, month } = req.query;
+        const numericId = Number(req.query.id);
+        const yearNum = Number(req.query.year);
+        const monthNum = Number(req.query.month);
+        const format = resolveFormat(req);
 
-        if (!id || !/^\d+$/.test(id)) {
-            return res.status(400).json({
-                error: 'Invalid User ID',
-                message: 'User ID Must Be A Valid Number'
-            });
-        }
-
-        const numericId = parseInt(id);
-
-        const user = await User.findOne({ id: numericId });
+        const user = await req.repository.users.findById(numericId);
         if (!user) {
-            return res.status(404).json({
-                error: 'User Not Found',
-                message: `No User Found With ID: ${id}`
-            });
+            throw new NotFoundError('User Not Found', `No User Found With ID: ${numericId}`);
         }
 
-        if (!/^\d+$/.test(year)) {
-            return res.status(400).json({
-                error: 'Invalid Year Format',
-                message: 'Year Must Contain Only Digits'
-            });
-        }
+        const timezone = user.timezone || DEFAULT_TIMEZONE;
+
+        if (format !== 'json') {
+            const { startDate, endDate } = getMonthRange(yearNum, monthNum, timezone);
+            const convert = req.query.convert === 'true' ? createConverter(req.repository, user.base_currency) : null;
+            const cursor = req.repository.costs.stream(
+                { userid: numericId, from: startDate, to: endDate, tags: normalizeTags(req.query.tag) },
+                { sort: { category: 1, date: 1, _id: 1 } }
+            );
+            const period = `${yearNum}-${String(monthNum).padStart(2, '0')}`;
 
-        if (!/^\d+$/.test(month)) {
-            return res.status(400).json({
-                error: 'Invalid Month Format',
-                message: 'Month Must Contain Only Digits'
+            return await streamExport(res, cursor, format, {
+                filename: `report-${numericId}-${period}`,
+                title: `Monthly Report Of User ${numericId}`,
+                subtitle: period,
+                columns: convert ? CONVERTED_REPORT_EXPORT_COLUMNS : REPORT_EXPORT_COLUMNS,
+                transform: async (cost) => {
+                    const row = {
+                        category: cost.category,
+                        day: toWallClock(cost.date, timezone).getUTCDate(),
+                        description: cost.description,
+                        sum: cost.sum,
+                        currency: cost.currency || user.base_currency
+                    };
+                    if (convert) {
+                        row.original_sum = row.sum;
+                        row.original_currency = row.currency;
+                        row.sum = await convert(row.sum, row.currency, cost.date);
+                        row.currency = user.base_currency;
+                    }
+                    return row;
+                }
             });
         }
 
-        const yearNum = parseInt(year);
-        const monthNum = parseInt(month);
+        const options = req.query.convert === 'true'
+            ? { currency: user.base_currency, baseCurrency: user.base_currency }
+            : {};
+        options.tags = normalizeTags(req.query.tag);
+        options.timezone = timezone;
+        const report = await getMonthlyReport(req.repository, numericId, yearNum, monthNum, options);
 
-        if (monthNum < 1 || monthNum > 12) {
-            return res.status(400).json({
-                error: 'Invalid Month',
-                message: 'Month Must Be Between 1 And 12'
-            });
+        if (req.query.includeBudget === 'true') {
+            const categories = report.costs.map(entry => Object.keys(entry)[0]);
+            report.budget = await getBudgetStatus(req.repository, numericId, yearNum, monthNum, categories, timezone);
         }
 
-        const startDate = new Date(Date.UTC(yearNum, monthNum - 1, 1, 0, 0, 0));
-        const endDate = new Date(Date.UTC(yearNum, monthNum, 0, 23, 59, 59, 999));
-
-        const costs = await Cost.find({
-            userid: numericId,
-            date: {
-                $gte: startDate,
-                $lte: endDate
-            }
-        }).lean();
-
-        const categories = ['food', 'education', 'health', 'housing', 'sport'];
-        const report = {
-            userid: numericId,
-            year: yearNum,
-            month: monthNum,
-            costs: categories.map(category => ({
-                [category]: costs
-                    .filter(cost => cost.category === category)
-                    .map(cost => ({
-                        sum: cost.sum,
-                        description: cost.description,
-                        day: new Date(cost.date).getDate()
-                    }))
-            }))
-        };
-
         res.json(report);
     } catch (err) {
-        console.error('Report Generation Error:', err);
-        res.status(500).json({
-            error: 'Failed To Generate Report',
-            message: err.message
-        });
+        if (res.headersSent) {
+            console.error('Report Export Error:', err);
+            return res.destroy(err);
+        }
+        next(ApiError.from(err, 'Failed To Generate Report'));
     }
 });
 
 /**
- * Retrieves user information and calculates total cost sum
- * Returns user details along with aggregated cost total
+ * Yearly and date-range report routes
  *
- * @route GET /api/users/:id
- * @param {express.Request<{id: string}, ApiResponse>} req - Express request object
- * @param {express.Response<ApiResponse>} res - Express response object
- * @returns {Promise<express.Response>} JSON response with user info and total costs or error
+ * @route /api/report/yearly, /api/report/range
  */
-router.get('/users/:id', async (req, res) => {
-    const id = Number(req.params.id);
+router.use('/report', reportsRouter);
 
-    try {
-        const user = await User.findOne({ id });
-        if (!user) {
-            return res.status(404).json({
-                error: 'User Not Found',
-                message: `No User Found With ID: ${id}`
-            });
-        }
+/**
+ * Spending analytics: monthly trends, rolling averages, changes and largest costs
+ *
+ * @route /api/analytics
+ */
+router.use('/analytics', analyticsRouter);
 
-        const total = await Cost.aggregate([
-            { $match: { userid: id } },
-            { $group: { _id: null, total: { $sum: "$sum" } } }
-        ]);
-
-        res.json({
-            message: 'User Information Retrieved Successfully',
-            data: {
-                id: user.id,
-                first_name: user.first_name,
-                last_name: user.last_name,
-                total: total.length > 0 ? total[0].total : 0
-            }
-        });
-    } catch (err) {
-        res.status(400).json({
-            error: 'Failed To Retrieve User Information',
-            message: err.message
-        });
-    }
+/**
+ * User management routes (create, list, retrieve, update, delete)
+ *
+ * @route /api/users
+ */
+router.use('/users', usersRouter);
+
+/**
+ * Cost item routes (list, retrieve, update, delete)
+ *
+ * @route /api/costs
+ */
+router.use('/costs', costsRouter);
+
+/**
+ * Per-user category routes (list, create, rename, archive, merge)
+ *
+ * @route /api/categories
+ */
+router.use('/categories', categoriesRouter);
+
+/**
+ * Payee to category rules used by the bank statement import
+ *
+ * @route /api/category-rules
+ */
+router.use('/category-rules', categoryRulesRouter);
+
+/**
+ * Monthly budget routes (list, create, retrieve, update, delete)
+ *
+ * @route /api/budgets
+ */
+router.use('/budgets', budgetsRouter);
+
+/**
+ * Recurring cost routes (list, create, retrieve, delete, preview, skip)
+ *
+ * @route /api/recurring
+ */
+router.use('/recurring', recurringRouter);
+
+/**
+ * Exchange rate table routes (list, admin load)
+ *
+ * @route /api/rates
+ */
+router.use('/rates', ratesRouter);
+
+/**
+ * Bulk cost import and bank statement import routes
+ *
+ * @route /api/import
+ */
+router.use('/import', importRouter);
+
+/**
+ * Ranked full-text search over cost descriptions
+ *
+ * @route /api/search
+ */
+router.use('/search', searchRouter);
+
+/**
+ * Tag summary routes
+ *
+ * @route /api/tags/summary
+ */
+router.use('/tags', tagsRouter);
+
+/**
+ * Shared expense groups: members, split expenses, balances and settlements
+ *
+ * @route /api/groups
+ */
+router.use('/groups', groupsRouter);
+
+/**
+ * Audit log of changes to users and costs
+ *
+ * @route /api/audit
+ */
+router.use('/audit', auditRouter);
+
+/**
+ * Trash bin of deleted users and costs (list, restore)
+ *
+ * @route /api/trash
+ */
+router.use('/trash', trashRouter);
+
+/**
+ * Returns the OpenAPI document describing every route of the API
+ *
+ * @route GET /api/openapi.json
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {express.Response} The OpenAPI 3.1 document
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+/**
+ * Serves a self-contained HTML reference of the API, rendered from the OpenAPI document
+ *
+ * @route GET /api/docs
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {express.Response} The HTML page
+ */
+router.get('/docs', (req, res) => {
+    res.type('html').send(renderDocs());
 });
 
 /**
@@ -224,7 +470,31 @@ router.get('/about', (req, res) => {
 });
 
 /**
- * Export the configured router with all API routes
- * @type {express.Router}
+ * Creates the API router on top of a repository
+ * Every request gets the repository on req.repository; the user, cost, report, import,
+ * search, trash and idempotency code reads and writes through it (see repositories/index.js)
+ * Unknown API routes and errors passed to next are answered as JSON, never as the HTML error page
+ *
+ * @param {Object} options
+ * @param {Repository} options.repository - Storage the API uses
+ * @returns {express.Router} Router serving all API routes
+ */
+const createApiRouter = ({ repository }) => {
+    const api = express.Router();
+    api.use((req, res, next) => {
+        req.repository = repository;
+        next();
+    });
+    api.use(router);
+    api.use(apiNotFound);
+    api.use(apiErrorHandler);
+    return api;
+};
+
+/**
+ * Export the API router factory
+ * @type {Object}
  */
-module.exports = router;
\ No newline at end of file
+module.exports = {
+    createApiRouter
+};
\ No newline at end of file
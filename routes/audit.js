@@ -0,0 +1,141 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { parseBoundary } = require('../services/report');
+const { DEFAULT_TIMEZONE } = require('../services/timezone');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {string} [entity] - 'user' or 'cost'
+ * @property {string} [id] - ID of the user (numeric) or cost (ObjectId); requires entity
+ * @property {string} [from] - First day (YYYY-MM-DD) or instant (ISO format), inclusive; read in the caller's time zone without an offset
+ * @property {string} [to] - Last day (YYYY-MM-DD) or instant (ISO format), inclusive; read in the caller's time zone without an offset
+ * @property {string} [page] - Page number, starting at 1 (default 1)
+ * @property {string} [limit] - Page size, between 1 and 100 (default 20)
+ */
+
+/**
+ * Query values of the entity parameter and the entity names stored in the entries
+ * @type {Object<string, string>}
+ */
+const ENTITIES = {
+    user: 'User',
+    cost: 'Cost'
+};
+
+/**
+ * Default and maximum page sizes for GET /api/audit
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Lists audit entries, newest first
+ * Users see the entries of their own account and of the costs they own or owned;
+ * administrators see every entry
+ *
+ * @route GET /api/audit
+ * @param {express.Request<{}, ApiResponse, {}, AuditQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with a page of audit entries or error
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const { id, from, to, page = '1', limit = String(DEFAULT_PAGE_SIZE) } = req.query;
+        const filter = {};
+
+        if (req.query.entity !== undefined) {
+            const entity = ENTITIES[String(req.query.entity).toLowerCase()];
+            if (!entity) {
+                return res.status(400).json({
+                    error: 'Invalid Entity',
+                    message: `Entity Must Be One Of: ${Object.keys(ENTITIES).join(', ')}`
+                });
+            }
+            filter.entity = entity;
+        }
+
+        if (id !== undefined) {
+            if (!filter.entity) {
+                return res.status(400).json({
+                    error: 'Invalid Entity',
+                    message: 'Filtering By ID Requires An Entity'
+                });
+            }
+            const valid = filter.entity === 'User' ? /^\d+$/.test(id) : mongoose.isValidObjectId(id);
+            if (!valid) {
+                return res.status(400).json({
+                    error: 'Invalid Entity ID',
+                    message: filter.entity === 'User' ? 'User ID Must Be A Valid Number' : 'Cost ID Must Be A Valid ObjectId'
+                });
+            }
+            filter.entityId = filter.entity === 'User' ? String(parseInt(id)) : String(id);
+        }
+
+        const caller = from !== undefined || to !== undefined ? await req.repository.users.findById(req.auth.id) : null;
+        const timezone = (caller && caller.timezone) || DEFAULT_TIMEZONE;
+        const fromDate = from === undefined ? undefined : parseBoundary(from, false, timezone);
+        const toDate = to === undefined ? undefined : parseBoundary(to, true, timezone);
+        if (fromDate === null || toDate === null) {
+            return res.status(400).json({
+                error: 'Invalid Date Format',
+                message: 'From And To Must Be Valid Dates'
+            });
+        }
+        if (fromDate && toDate && fromDate > toDate) {
+            return res.status(400).json({
+                error: 'Invalid Date Range',
+                message: 'From Must Not Be After To'
+            });
+        }
+        filter.from = fromDate;
+        filter.to = toDate;
+
+        if (!/^\d+$/.test(page) || parseInt(page) < 1) {
+            return res.status(400).json({
+                error: 'Invalid Page',
+                message: 'Page Must Be A Positive Integer'
+            });
+        }
+
+        if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > MAX_PAGE_SIZE) {
+            return res.status(400).json({
+                error: 'Invalid Limit',
+                message: `Limit Must Be Between 1 And ${MAX_PAGE_SIZE}`
+            });
+        }
+
+        if (req.auth.role !== 'admin') {
+            filter.owner = req.auth.id;
+        }
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+
+        const { entries, total } = await req.repository.auditLog.list(filter, {
+            skip: (pageNum - 1) * limitNum,
+            limit: limitNum
+        });
+
+        res.json({
+            message: 'Audit Entries Retrieved Successfully',
+            data: entries,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Audit Entries'));
+    }
+});
+
+/**
+ * Export the configured router with the audit log route
+ * @type {express.Router}
+ */
+module.exports = router;
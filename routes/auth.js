@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { SESSION_COOKIE, TOKEN_TTL_MS, signToken } = require('../middleware/auth');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} LoginRequestBody
+ * @property {number} id - User ID
+ * @property {string} password - Plain-text password
+ */
+
+/**
+ * Logs a user in
+ * Returns a bearer token and also sets it as an HTTP-only session cookie
+ *
+ * @route POST /api/auth/login
+ * @param {express.Request<{}, ApiResponse, LoginRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the token or error
+ */
+router.post('/login', async (req, res, next) => {
+    try {
+        const { id, password } = req.body;
+
+        const user = Number.isInteger(Number(id))
+            ? await req.repository.users.authenticate(Number(id), password)
+            : null;
+
+        if (!user) {
+            return res.status(401).json({
+                error: 'Invalid Credentials',
+                message: 'The User ID Or Password Is Incorrect'
+            });
+        }
+
+        const { token, expiresAt } = signToken(user);
+
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.NODE_ENV === 'production',
+            maxAge: TOKEN_TTL_MS
+        });
+        res.json({
+            message: 'Logged In Successfully',
+            data: {
+                token,
+                expiresAt,
+                user: {
+                    id: user.id,
+                    first_name: user.first_name,
+                    last_name: user.last_name,
+                    role: user.role
+                }
+            }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Log In'));
+    }
+});
+
+/**
+ * Logs a user out by clearing the session cookie
+ * Tokens are stateless, so a bearer token kept by the client stays valid until it expires
+ *
+ * @route POST /api/auth/logout
+ * @param {express.Request} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {express.Response} JSON response confirming the logout
+ */
+router.post('/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE);
+    res.json({
+        message: 'Logged Out Successfully'
+    });
+});
+
+/**
+ * Returns the authenticated user
+ *
+ * @route GET /api/auth/me
+ * @param {express.Request} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the user or error
+ */
+router.get('/me', async (req, res, next) => {
+    try {
+        const user = await req.repository.users.findById(req.auth.id);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `No User Found With ID: ${req.auth.id}`
+            });
+        }
+
+        res.json({
+            message: 'Authenticated User Retrieved Successfully',
+            data: user
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Authenticated User'));
+    }
+});
+
+/**
+ * Export the configured router with all authentication routes
+ * @type {express.Router}
+ */
+module.exports = router;
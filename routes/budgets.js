@@ -0,0 +1,202 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} BudgetRequestBody
+ * @property {number} userid - ID of the user who owns the budget
+ * @property {string} category - Name of one of the user's active categories
+ * @property {number} limit - Monthly spending limit
+ * @property {boolean} [rollover] - Carry unspent amounts over to the next month (default false)
+ * @property {string} [startDate] - First month the budget applies to (ISO format, default now)
+ */
+
+/**
+ * Fields a client is allowed to change through PATCH /api/budgets/:budgetId
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['limit', 'rollover', 'startDate'];
+
+/**
+ * Loads the budget named by the :budgetId route parameter
+ * Responds with 400 for a malformed id and 404 for an unknown one,
+ * otherwise stores the budget on res.locals.budget
+ *
+ * @param {express.Request<{budgetId: string}>} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const loadBudget = async (req, res, next) => {
+    try {
+        const { budgetId } = req.params;
+
+        if (!mongoose.isValidObjectId(budgetId)) {
+            return res.status(400).json({
+                error: 'Invalid Budget ID',
+                message: 'Budget ID Must Be A Valid ObjectId'
+            });
+        }
+
+        const budget = await req.repository.budgets.findById(budgetId);
+        if (!budget) {
+            return res.status(404).json({
+                error: 'Budget Not Found',
+                message: `No Budget Found With ID: ${budgetId}`
+            });
+        }
+
+        res.locals.budget = budget;
+        next();
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Budget'));
+    }
+};
+
+/**
+ * Lists a user's budgets
+ *
+ * @route GET /api/budgets
+ * @param {express.Request<{}, ApiResponse, {}, {userid: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the budgets or error
+ */
+router.get('/', requireOwner(req => req.query.userid), async (req, res, next) => {
+    try {
+        const { userid } = req.query;
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const budgets = await req.repository.budgets.findForUser(parseInt(userid));
+
+        res.json({
+            message: 'Budgets Retrieved Successfully',
+            data: budgets
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Budgets'));
+    }
+});
+
+/**
+ * Creates a monthly budget for one of a user's categories
+ * Each category can have at most one budget
+ *
+ * @route POST /api/budgets
+ * @param {express.Request<{}, ApiResponse, BudgetRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the created budget or error
+ */
+router.post('/', requireOwner(req => req.body.userid), async (req, res, next) => {
+    try {
+        const { userid, category, limit, rollover, startDate } = req.body;
+
+        const user = await req.repository.users.findById(Number(userid));
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: 'The Specified User Does Not Exist In The Database'
+            });
+        }
+
+        if (category && !(await req.repository.categories.isActive(user.id, category))) {
+            return res.status(400).json({
+                error: 'Failed To Create Budget',
+                message: `Category '${category}' Is Not An Active Category Of User ${user.id}`
+            });
+        }
+
+        const budget = await req.repository.budgets.create({ userid: user.id, category, limit, rollover, startDate });
+        res.status(201).json({
+            message: 'Budget Created Successfully',
+            data: budget
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({
+                error: 'Budget Already Exists',
+                message: `Category '${String(req.body.category).trim().toLowerCase()}' Of User ${req.body.userid} Already Has A Budget`
+            });
+        }
+        next(ApiError.from(err, 'Failed To Create Budget'));
+    }
+});
+
+/**
+ * Retrieves a single budget
+ *
+ * @route GET /api/budgets/:budgetId
+ * @param {express.Request<{budgetId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {express.Response} JSON response with the budget or error
+ */
+router.get('/:budgetId', loadBudget, requireOwner((req, res) => res.locals.budget.userid), (req, res) => {
+    res.json({
+        message: 'Budget Retrieved Successfully',
+        data: res.locals.budget
+    });
+});
+
+/**
+ * Updates the limit, rollover or start date of a budget
+ *
+ * @route PATCH /api/budgets/:budgetId
+ * @param {express.Request<{budgetId: string}, ApiResponse, Partial<BudgetRequestBody>>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the updated budget or error
+ */
+router.patch('/:budgetId', loadBudget, requireOwner((req, res) => res.locals.budget.userid), async (req, res, next) => {
+    try {
+        const fields = Object.keys(req.body || {});
+        const rejected = fields.filter(field => !UPDATABLE_FIELDS.includes(field));
+        if (rejected.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid Update Fields',
+                message: `These Fields Cannot Be Updated: ${rejected.join(', ')}`
+            });
+        }
+
+        const budget = await req.repository.budgets.update(res.locals.budget._id, Object.fromEntries(fields.map(field => [field, req.body[field]])));
+        res.json({
+            message: 'Budget Updated Successfully',
+            data: budget
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Update Budget'));
+    }
+});
+
+/**
+ * Deletes a budget
+ *
+ * @route DELETE /api/budgets/:budgetId
+ * @param {express.Request<{budgetId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the deleted budget or error
+ */
+router.delete('/:budgetId', loadBudget, requireOwner((req, res) => res.locals.budget.userid), async (req, res, next) => {
+    try {
+        const budget = await req.repository.budgets.remove(res.locals.budget._id);
+        res.json({
+            message: 'Budget Deleted Successfully',
+            data: budget
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Delete Budget'));
+    }
+});
+
+/**
+ * Export the configured router with all budget routes
+ * @type {express.Router}
+ */
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} CategoryRequestBody
+ * @property {number} userid - ID of the user who owns the category
+ * @property {string} name - Category name
+ */
+
+/**
+ * @typedef {Object} CategoryUpdateBody
+ * @property {string} [name] - New category name; existing costs are renamed with it
+ * @property {boolean} [archived] - Archive (true) or restore (false) the category
+ */
+
+/**
+ * @typedef {Object} CategoryMergeBody
+ * @property {string} into - ID of the category that receives the costs
+ */
+
+/**
+ * Loads the category named by the :categoryId route parameter
+ * Responds with 400 for a malformed id and 404 for an unknown one,
+ * otherwise stores the category on res.locals.category
+ *
+ * @param {express.Request<{categoryId: string}>} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const loadCategory = async (req, res, next) => {
+    try {
+        const { categoryId } = req.params;
+
+        if (!mongoose.isValidObjectId(categoryId)) {
+            return res.status(400).json({
+                error: 'Invalid Category ID',
+                message: 'Category ID Must Be A Valid ObjectId'
+            });
+        }
+
+        const category = await req.repository.categories.findById(categoryId);
+        if (!category) {
+            return res.status(404).json({
+                error: 'Category Not Found',
+                message: `No Category Found With ID: ${categoryId}`
+            });
+        }
+
+        res.locals.category = category;
+        next();
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Category'));
+    }
+};
+
+/**
+ * Lists a user's categories
+ * Archived categories are only included with ?includeArchived=true
+ *
+ * @route GET /api/categories
+ * @param {express.Request<{}, ApiResponse, {}, {userid: string, includeArchived?: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the categories or error
+ */
+router.get('/', requireOwner(req => req.query.userid), async (req, res, next) => {
+    try {
+        const { userid, includeArchived } = req.query;
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const user = await req.repository.users.findById(parseInt(userid));
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `No User Found With ID: ${userid}`
+            });
+        }
+
+        const categories = await req.repository.categories.findForUser(user.id, {
+            includeArchived: includeArchived === 'true'
+        });
+
+        res.json({
+            message: 'Categories Retrieved Successfully',
+            data: categories
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Categories'));
+    }
+});
+
+/**
+ * Creates a new category for a user
+ *
+ * @route POST /api/categories
+ * @param {express.Request<{}, ApiResponse, CategoryRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the created category or error
+ */
+router.post('/', requireOwner(req => req.body.userid), async (req, res, next) => {
+    try {
+        const { userid, name } = req.body;
+
+        const user = await req.repository.users.findById(Number(userid));
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: 'The Specified User Does Not Exist In The Database'
+            });
+        }
+
+        if (typeof name === 'string' && await req.repository.categories.exists(user.id, name)) {
+            return res.status(409).json({
+                error: 'Category Already Exists',
+                message: `User ${user.id} Already Has A Category Named '${name.trim().toLowerCase()}'`
+            });
+        }
+
+        const category = await req.repository.categories.create(user.id, name);
+
+        res.status(201).json({
+            message: 'Category Created Successfully',
+            data: category
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({
+                error: 'Category Already Exists',
+                message: `A Category Named '${req.body.name}' Already Exists For This User`
+            });
+        }
+        next(ApiError.from(err, 'Failed To Create Category'));
+    }
+});
+
+/**
+ * Renames, archives or restores a category
+ * A rename is applied to all of the category's existing costs and its budget; renaming onto
+ * another existing category is rejected with 409 (use the merge endpoint instead)
+ *
+ * @route PATCH /api/categories/:categoryId
+ * @param {express.Request<{categoryId: string}, ApiResponse, CategoryUpdateBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the updated category or error
+ */
+router.patch('/:categoryId', loadCategory, requireOwner((req, res) => res.locals.category.userid), async (req, res, next) => {
+    try {
+        const { category } = res.locals;
+        const { name, archived } = req.body;
+
+        const rejected = Object.keys(req.body || {}).filter(field => !['name', 'archived'].includes(field));
+        if (rejected.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid Update Fields',
+                message: `These Fields Cannot Be Updated: ${rejected.join(', ')}`
+            });
+        }
+
+        if (archived !== undefined && typeof archived !== 'boolean') {
+            return res.status(400).json({
+                error: 'Failed To Update Category',
+                message: 'Archived Must Be A Boolean'
+            });
+        }
+
+        const newName = typeof name === 'string' ? name.trim().toLowerCase() : name;
+        if (newName !== undefined && newName !== category.name && await req.repository.categories.exists(category.userid, newName)) {
+            return res.status(409).json({
+                error: 'Category Already Exists',
+                message: `User ${category.userid} Already Has A Category Named '${newName}'; Merge Them Instead`
+            });
+        }
+
+        const updated = await req.repository.categories.update(category._id, {
+            ...(name !== undefined ? { name } : {}),
+            ...(archived !== undefined ? { archived } : {})
+        });
+
+        res.json({
+            message: 'Category Updated Successfully',
+            data: updated
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Update Category'));
+    }
+});
+
+/**
+ * Merges a category into another category of the same user
+ * All costs of the source category are moved to the target, then the source is deleted
+ *
+ * @route POST /api/categories/:categoryId/merge
+ * @param {express.Request<{categoryId: string}, ApiResponse, CategoryMergeBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the target category and moved cost count or error
+ */
+router.post('/:categoryId/merge', loadCategory, requireOwner((req, res) => res.locals.category.userid), async (req, res, next) => {
+    try {
+        const { category: source } = res.locals;
+        const { into } = req.body;
+
+        if (!mongoose.isValidObjectId(into)) {
+            return res.status(400).json({
+                error: 'Invalid Category ID',
+                message: 'Target Category ID Must Be A Valid ObjectId'
+            });
+        }
+
+        const target = await req.repository.categories.findById(into);
+        if (!target || target.userid !== source.userid) {
+            return res.status(404).json({
+                error: 'Category Not Found',
+                message: `User ${source.userid} Has No Category With ID: ${into}`
+            });
+        }
+
+        if (String(target._id) === String(source._id)) {
+            return res.status(400).json({
+                error: 'Failed To Merge Categories',
+                message: 'A Category Cannot Be Merged Into Itself'
+            });
+        }
+
+        if (target.archived) {
+            return res.status(400).json({
+                error: 'Failed To Merge Categories',
+                message: `Target Category '${target.name}' Is Archived`
+            });
+        }
+
+        const movedCosts = await req.repository.categories.merge(source._id, target._id);
+
+        res.json({
+            message: 'Categories Merged Successfully',
+            data: {
+                category: target,
+                movedCosts
+            }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Merge Categories'));
+    }
+});
+
+/**
+ * Export the configured router with all category routes
+ * @type {express.Router}
+ */
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} CategoryRuleRequestBody
+ * @property {number} userid - ID of the user who owns the rule
+ * @property {string} pattern - Text or regular expression matched against the payee
+ * @property {string} [matchType] - 'substring' (default) or 'regex'
+ * @property {string} category - Name of one of the user's active categories
+ * @property {number} [priority] - Rules with a higher priority are tried first (default 0)
+ */
+
+/**
+ * Fields a client is allowed to change through PATCH /api/category-rules/:ruleId
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['pattern', 'matchType', 'category', 'priority'];
+
+/**
+ * Loads the rule named by the :ruleId route parameter
+ * Responds with 400 for a malformed id and 404 for an unknown one,
+ * otherwise stores the rule on res.locals.rule
+ *
+ * @param {express.Request<{ruleId: string}>} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const loadRule = async (req, res, next) => {
+    try {
+        const { ruleId } = req.params;
+
+        if (!mongoose.isValidObjectId(ruleId)) {
+            return res.status(400).json({
+                error: 'Invalid Rule ID',
+                message: 'Rule ID Must Be A Valid ObjectId'
+            });
+        }
+
+        const rule = await req.repository.categoryRules.findById(ruleId);
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Rule Not Found',
+                message: `No Category Rule Found With ID: ${ruleId}`
+            });
+        }
+
+        res.locals.rule = rule;
+        next();
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Rule'));
+    }
+};
+
+/**
+ * Lists a user's category rules in the order they are tried
+ *
+ * @route GET /api/category-rules
+ * @param {express.Request<{}, ApiResponse, {}, {userid: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the rules or error
+ */
+router.get('/', requireOwner(req => req.query.userid), async (req, res, next) => {
+    try {
+        const { userid } = req.query;
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const rules = await req.repository.categoryRules.findForUser(parseInt(userid));
+
+        res.json({
+            message: 'Category Rules Retrieved Successfully',
+            data: rules
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Category Rules'));
+    }
+});
+
+/**
+ * Creates a rule mapping payees of imported bank transactions to a category
+ *
+ * @route POST /api/category-rules
+ * @param {express.Request<{}, ApiResponse, CategoryRuleRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the created rule or error
+ */
+router.post('/', requireOwner(req => req.body.userid), async (req, res, next) => {
+    try {
+        const { userid, pattern, matchType, category, priority } = req.body;
+
+        const user = await req.repository.users.findById(Number(userid));
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: 'The Specified User Does Not Exist In The Database'
+            });
+        }
+
+        if (category && !(await req.repository.categories.isActive(user.id, category))) {
+            return res.status(400).json({
+                error: 'Failed To Create Rule',
+                message: `Category '${category}' Is Not An Active Category Of User ${user.id}`
+            });
+        }
+
+        const rule = await req.repository.categoryRules.create({ userid: user.id, pattern, matchType, category, priority });
+        res.status(201).json({
+            message: 'Category Rule Created Successfully',
+            data: rule
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Create Rule'));
+    }
+});
+
+/**
+ * Updates the pattern, match type, category or priority of a rule
+ *
+ * @route PATCH /api/category-rules/:ruleId
+ * @param {express.Request<{ruleId: string}, ApiResponse, Partial<CategoryRuleRequestBody>>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the updated rule or error
+ */
+router.patch('/:ruleId', loadRule, requireOwner((req, res) => res.locals.rule.userid), async (req, res, next) => {
+    try {
+        const { rule } = res.locals;
+
+        const fields = Object.keys(req.body || {});
+        const rejected = fields.filter(field => !UPDATABLE_FIELDS.includes(field));
+        if (rejected.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid Update Fields',
+                message: `These Fields Cannot Be Updated: ${rejected.join(', ')}`
+            });
+        }
+
+        if (req.body.category !== undefined && !(await req.repository.categories.isActive(rule.userid, req.body.category))) {
+            return res.status(400).json({
+                error: 'Failed To Update Rule',
+                message: `Category '${req.body.category}' Is Not An Active Category Of User ${rule.userid}`
+            });
+        }
+
+        const updated = await req.repository.categoryRules.update(rule._id, Object.fromEntries(fields.map(field => [field, req.body[field]])));
+        res.json({
+            message: 'Category Rule Updated Successfully',
+            data: updated
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Update Rule'));
+    }
+});
+
+/**
+ * Deletes a rule
+ *
+ * @route DELETE /api/category-rules/:ruleId
+ * @param {express.Request<{ruleId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the deleted rule or error
+ */
+router.delete('/:ruleId', loadRule, requireOwner((req, res) => res.locals.rule.userid), async (req, res, next) => {
+    try {
+        const rule = await req.repository.categoryRules.remove(res.locals.rule._id);
+        res.json({
+            message: 'Category Rule Deleted Successfully',
+            data: rule
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Delete Rule'));
+    }
+});
+
+/**
+ * Export the configured router with all category rule routes
+ * @type {express.Router}
+ */
+module.exports = router;
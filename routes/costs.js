@@ -0,0 +1,668 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const mime = require('mime-types');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { EXPORT_FORMATS, resolveFormat, streamExport } = require('../services/export');
+const { parseMultipart } = require('../services/multipart');
+const { getStorage } = require('../services/storage');
+const { normalizeTags } = require('../services/tags');
+const { ApiError } = require('../services/errors');
+const { parseBoundary } = require('../services/report');
+const { DEFAULT_TIMEZONE, parseLocalDate } = require('../services/timezone');
+
+/**
+ * Fields a client is allowed to change through PATCH /api/costs/:costId
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['description', 'category', 'userid', 'sum', 'currency', 'date', 'tags'];
+
+/**
+ * Fields of a group expense share that only change through the group expense,
+ * since the group's balances are computed from it
+ * @type {string[]}
+ */
+const SHARE_FIELDS = ['userid', 'sum', 'currency'];
+
+/**
+ * @typedef {Object} CostListQuery
+ * @property {string} userid - ID of the user whose costs are listed
+ * @property {string} [category] - Category, or comma-separated list of categories
+ * @property {string} [tag] - Tag, or comma-separated list of tags; costs carrying any of them match
+ * @property {string} [from] - Earliest day (YYYY-MM-DD) or instant (ISO format), inclusive; read in the user's time zone without an offset
+ * @property {string} [to] - Latest day (YYYY-MM-DD) or instant (ISO format), inclusive; a day covers all of it
+ * @property {string} [minSum] - Smallest sum, inclusive
+ * @property {string} [maxSum] - Largest sum, inclusive
+ * @property {string} [q] - Case-insensitive text the description must contain
+ * @property {string} [sort] - One of 'date', '-date', 'sum', '-sum' (default '-date')
+ * @property {string} [limit] - Page size, between 1 and 100 (default 20)
+ * @property {string} [cursor] - Opaque cursor returned as nextCursor by the previous page
+ * @property {string} [format] - 'json' (default), 'csv', 'jsonl' or 'html'; overrides the Accept header
+ */
+
+/**
+ * Sort options accepted by GET /api/costs, mapped to field and direction
+ * @type {Object<string, {field: string, direction: number}>}
+ */
+const SORT_OPTIONS = {
+    'date': { field: 'date', direction: 1 },
+    '-date': { field: 'date', direction: -1 },
+    'sum': { field: 'sum', direction: 1 },
+    '-sum': { field: 'sum', direction: -1 }
+};
+
+/**
+ * File types accepted as receipt attachments
+ * The type is derived from the file extension with mime-types
+ * @type {string[]}
+ */
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'application/pdf'];
+
+/**
+ * Largest upload request accepted, in bytes; read from MAX_UPLOAD_SIZE (default 5 MB)
+ * @type {number}
+ */
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 5 * 1024 * 1024;
+
+/**
+ * Most attachments a single cost item can have
+ * @type {number}
+ */
+const MAX_ATTACHMENTS = 10;
+
+/**
+ * Default and maximum page sizes for GET /api/costs
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encodes the position after the given cost as an opaque pagination cursor
+ *
+ * @param {Object} cost - Last cost item of the current page
+ * @param {string} field - Field the listing is sorted by
+ * @returns {string} Base64url encoded cursor
+ */
+const encodeCursor = (cost, field) =>
+    Buffer.from(JSON.stringify({ value: cost[field], id: String(cost._id) })).toString('base64url');
+
+/**
+ * Decodes a pagination cursor produced by encodeCursor
+ * Returns null when the cursor is malformed
+ *
+ * @param {string} cursor - Base64url encoded cursor
+ * @param {string} field - Field the listing is sorted by
+ * @returns {{value: (Date|number), id: string}|null} Decoded position or null
+ */
+const decodeCursor = (cursor, field) => {
+    try {
+        const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const decoded = field === 'date' ? new Date(value) : Number(value);
+        if (!mongoose.isValidObjectId(id) || Number.isNaN(Number(decoded))) {
+            return null;
+        }
+        return { value: decoded, id };
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Columns of the CSV and HTML cost exports
+ * @type {ExportColumn[]}
+ */
+const EXPORT_COLUMNS = [
+    { key: 'date', label: 'Date' },
+    { key: 'category', label: 'Category' },
+    { key: 'description', label: 'Description' },
+    { key: 'sum', label: 'Sum' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'id', label: 'ID' }
+];
+
+/**
+ * Lists a user's cost items with filtering, sorting and cursor-based pagination
+ * Returns raw cost documents together with the total number of matches.
+ * With a CSV, JSON Lines or HTML format (?format= or the Accept header) every matching
+ * cost is streamed as a download instead, in the requested order and without pagination.
+ *
+ * @route GET /api/costs
+ * @param {express.Request<{}, ApiResponse, {}, CostListQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with a page of cost items or error
+ */
+router.get('/', requireOwner(req => req.query.userid), async (req, res, next) => {
+    try {
+        const { userid, category, from, to, minSum, maxSum, q, sort = '-date', limit = String(DEFAULT_PAGE_SIZE), cursor } = req.query;
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const format = resolveFormat(req);
+        if (!format) {
+            return res.status(400).json({
+                error: 'Invalid Format',
+                message: `Format Must Be One Of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        const query = { userid: parseInt(userid) };
+
+        if (category) {
+            query.category = String(category).split(',').map(value => value.trim().toLowerCase());
+        }
+
+        const tags = normalizeTags(req.query.tag);
+        if (tags) {
+            query.tags = tags;
+        }
+
+        const user = from !== undefined || to !== undefined ? await req.repository.users.findById(query.userid) : null;
+        const timezone = (user && user.timezone) || DEFAULT_TIMEZONE;
+        for (const key of ['from', 'to']) {
+            if (req.query[key] === undefined) {
+                continue;
+            }
+            // A plain day as 'to' runs until the end of that day
+            const date = parseBoundary(req.query[key], key === 'to', timezone);
+            if (!date) {
+                return res.status(400).json({
+                    error: 'Invalid Date Format',
+                    message: `${key} Must Be A Valid Date`
+                });
+            }
+            query[key] = date;
+        }
+
+        for (const key of ['minSum', 'maxSum']) {
+            if (req.query[key] === undefined) {
+                continue;
+            }
+            const value = Number(req.query[key]);
+            if (req.query[key] === '' || Number.isNaN(value)) {
+                return res.status(400).json({
+                    error: 'Invalid Sum Format',
+                    message: `${key} Must Be A Valid Number`
+                });
+            }
+            query[key] = value;
+        }
+
+        if (q) {
+            query.text = String(q);
+        }
+
+        const sortOption = SORT_OPTIONS[sort];
+        if (!sortOption) {
+            return res.status(400).json({
+                error: 'Invalid Sort',
+                message: `Sort Must Be One Of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+            });
+        }
+
+        if (format !== 'json') {
+            const cursor = req.repository.costs.stream(query, {
+                sort: { [sortOption.field]: sortOption.direction, _id: sortOption.direction }
+            });
+
+            return await streamExport(res, cursor, format, {
+                filename: `costs-${query.userid}`,
+                title: `Cost Items Of User ${query.userid}`,
+                columns: EXPORT_COLUMNS,
+                transform: cost => ({
+                    id: String(cost._id),
+                    date: cost.date,
+                    category: cost.category,
+                    description: cost.description,
+                    sum: cost.sum,
+                    currency: cost.currency,
+                    tags: cost.tags
+                })
+            });
+        }
+
+        if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > MAX_PAGE_SIZE) {
+            return res.status(400).json({
+                error: 'Invalid Limit',
+                message: `Limit Must Be Between 1 And ${MAX_PAGE_SIZE}`
+            });
+        }
+
+        const { field, direction } = sortOption;
+        const limitNum = parseInt(limit);
+        let after;
+
+        if (cursor) {
+            after = decodeCursor(cursor, field);
+            if (!after) {
+                return res.status(400).json({
+                    error: 'Invalid Cursor',
+                    message: 'Cursor Is Malformed Or Belongs To A Different Sort Order'
+                });
+            }
+        }
+
+        const { costs, total } = await req.repository.costs.list(query, { field, direction, after, limit: limitNum + 1 });
+
+        const hasMore = costs.length > limitNum;
+        const page = hasMore ? costs.slice(0, limitNum) : costs;
+
+        res.json({
+            message: 'Cost Items Retrieved Successfully',
+            data: page,
+            pagination: {
+                limit: limitNum,
+                total,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null
+            }
+        });
+    } catch (err) {
+        if (res.headersSent) {
+            console.error('Cost Export Error:', err);
+            return res.destroy(err);
+        }
+        next(ApiError.from(err, 'Failed To Retrieve Cost Items'));
+    }
+});
+
+/**
+ * Loads the cost item named by the :costId route parameter
+ * Responds with 400 for a malformed id and 404 for an unknown one,
+ * otherwise stores the cost on res.locals.cost
+ *
+ * @param {express.Request<{costId: string}>} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const loadCost = async (req, res, next) => {
+    try {
+        const { costId } = req.params;
+
+        if (!mongoose.isValidObjectId(costId)) {
+            return res.status(400).json({
+                error: 'Invalid Cost ID',
+                message: 'Cost ID Must Be A Valid ObjectId'
+            });
+        }
+
+        const cost = await req.repository.costs.findById(costId);
+        if (!cost) {
+            return res.status(404).json({
+                error: 'Cost Not Found',
+                message: `No Cost Item Found With ID: ${costId}`
+            });
+        }
+
+        res.locals.cost = cost;
+        next();
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Cost Item'));
+    }
+};
+
+/**
+ * Retrieves a single cost item
+ *
+ * @route GET /api/costs/:costId
+ * @param {express.Request<{costId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {express.Response} JSON response with the cost item or error
+ */
+router.get('/:costId', loadCost, requireOwner((req, res) => res.locals.cost.userid), (req, res) => {
+    res.json({
+        message: 'Cost Item Retrieved Successfully',
+        data: res.locals.cost
+    });
+});
+
+/**
+ * Updates an existing cost item
+ * Runs the same validation as POST /api/add: when the cost is moved to another user
+ * that user must exist, and the category must be one of the owner's active categories.
+ * A date without an offset is read in the owner's time zone.
+ * The user, sum and currency of a group expense share cannot be changed here (409)
+ *
+ * @route PATCH /api/costs/:costId
+ * @param {express.Request<{costId: string}, ApiResponse, Partial<CostRequestBody>>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the updated cost item or error
+ */
+router.patch('/:costId', loadCost, requireOwner((req, res) => res.locals.cost.userid), requireOwner(req => req.body.userid), async (req, res, next) => {
+    try {
+        const { cost } = res.locals;
+
+        const fields = Object.keys(req.body || {});
+        const rejected = fields.filter(field => !UPDATABLE_FIELDS.includes(field));
+        if (rejected.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid Update Fields',
+                message: `These Fields Cannot Be Updated: ${rejected.join(', ')}`
+            });
+        }
+
+        if (cost.groupExpenseId && fields.some(field => SHARE_FIELDS.includes(field))) {
+            return res.status(409).json({
+                error: 'Cost Is A Group Share',
+                message: `The ${SHARE_FIELDS.join(', ')} Of A Share Change Through Group Expense ${cost.groupExpenseId}`
+            });
+        }
+
+        const owner = await req.repository.users.findById(fields.includes('userid') ? Number(req.body.userid) : cost.userid);
+        if (!owner && fields.includes('userid')) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: 'The Specified User Does Not Exist In The Database'
+            });
+        }
+
+        if (fields.includes('category') || fields.includes('userid')) {
+            const userid = fields.includes('userid') ? Number(req.body.userid) : cost.userid;
+            const category = fields.includes('category') ? req.body.category : cost.category;
+            if (category && !(await req.repository.categories.isActive(userid, category))) {
+                return res.status(400).json({
+                    error: 'Failed To Update Cost Item',
+                    message: `Category '${category}' Is Not An Active Category Of User ${userid}`
+                });
+            }
+        }
+
+        const changes = Object.fromEntries(fields.map(field => [field, req.body[field]]));
+        if (typeof req.body.date === 'string') {
+            changes.date = parseLocalDate(req.body.date, (owner && owner.timezone) || DEFAULT_TIMEZONE);
+        }
+
+        const updated = await req.repository.costs.update(cost._id, changes);
+        if (!updated) {
+            return res.status(404).json({
+                error: 'Cost Not Found',
+                message: `No Cost Item Found With ID: ${cost._id}`
+            });
+        }
+
+        res.json({
+            message: 'Cost Item Updated Successfully',
+            data: updated
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Update Cost Item'));
+    }
+});
+
+/**
+ * Moves a cost item to the trash
+ * It disappears from reports, totals and listings and can be restored through
+ * POST /api/trash/:id/restore until it is purged; its attachments are kept until then.
+ * Group expense shares are deleted with their group expense instead (409)
+ *
+ * @route DELETE /api/costs/:costId
+ * @param {express.Request<{costId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the deleted cost item or error
+ */
+router.delete('/:costId', loadCost, requireOwner((req, res) => res.locals.cost.userid), async (req, res, next) => {
+    try {
+        const { cost } = res.locals;
+
+        if (cost.groupExpenseId) {
+            return res.status(409).json({
+                error: 'Cost Is A Group Share',
+                message: `Delete Group Expense ${cost.groupExpenseId} To Remove This Share`
+            });
+        }
+
+        const deleted = await req.repository.costs.softDelete(cost._id);
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Cost Not Found',
+                message: `No Cost Item Found With ID: ${cost._id}`
+            });
+        }
+
+        res.json({
+            message: 'Cost Item Deleted Successfully',
+            data: deleted
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Delete Cost Item'));
+    }
+});
+
+/**
+ * Buffers a multipart/form-data upload of at most MAX_UPLOAD_SIZE bytes into req.body
+ * Responds with 413 for a larger upload instead of passing the error on
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const readUpload = (req, res, next) => {
+    express.raw({ type: 'multipart/form-data', limit: MAX_UPLOAD_SIZE })(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+        if (err.status === 413) {
+            return res.status(413).json({
+                error: 'Upload Too Large',
+                message: `Uploads Must Not Exceed ${MAX_UPLOAD_SIZE} Bytes`
+            });
+        }
+        res.status(400).json({
+            error: 'Invalid Upload',
+            message: err.message
+        });
+    });
+};
+
+/**
+ * Finds the attachment named by the :attachmentId route parameter on res.locals.cost
+ * Responds with 400 for a malformed id and 404 for an unknown one,
+ * otherwise stores the subdocument on res.locals.attachment
+ *
+ * @param {express.Request<{costId: string, attachmentId: string}>} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const loadAttachment = (req, res, next) => {
+    const { attachmentId } = req.params;
+
+    if (!mongoose.isValidObjectId(attachmentId)) {
+        return res.status(400).json({
+            error: 'Invalid Attachment ID',
+            message: 'Attachment ID Must Be A Valid ObjectId'
+        });
+    }
+
+    const attachment = (res.locals.cost.attachments || []).find(item => String(item._id) === attachmentId.toLowerCase());
+    if (!attachment) {
+        return res.status(404).json({
+            error: 'Attachment Not Found',
+            message: `Cost Item ${res.locals.cost._id} Has No Attachment With ID: ${attachmentId}`
+        });
+    }
+
+    res.locals.attachment = attachment;
+    next();
+};
+
+/**
+ * Uploads receipt files and attaches them to a cost item
+ * Takes a multipart/form-data body; every part with a file name is stored, whatever its
+ * field name. Files must be images or PDFs, judged by their extension, and a declared
+ * content type must agree with it.
+ *
+ * @route POST /api/costs/:costId/attachments
+ * @param {express.Request<{costId: string}, ApiResponse, Buffer>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the new attachments or error
+ */
+router.post('/:costId/attachments', loadCost, requireOwner((req, res) => res.locals.cost.userid), readUpload, async (req, res, next) => {
+    try {
+        const { cost } = res.locals;
+
+        let files;
+        try {
+            files = parseMultipart(req.body, req.get('Content-Type')).filter(part => part.filename);
+        } catch (err) {
+            return res.status(400).json({
+                error: 'Invalid Upload',
+                message: err.message
+            });
+        }
+
+        if (files.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid Upload',
+                message: 'The Upload Holds No Files'
+            });
+        }
+
+        if ((cost.attachments || []).length + files.length > MAX_ATTACHMENTS) {
+            return res.status(400).json({
+                error: 'Too Many Attachments',
+                message: `A Cost Item Can Have At Most ${MAX_ATTACHMENTS} Attachments`
+            });
+        }
+
+        for (const file of files) {
+            const type = mime.lookup(file.filename);
+            const declared = (file.contentType || '').split(';')[0].trim().toLowerCase();
+
+            if (!ATTACHMENT_TYPES.includes(type)) {
+                return res.status(415).json({
+                    error: 'Unsupported File Type',
+                    message: `'${file.filename}' Is Not One Of: ${ATTACHMENT_TYPES.join(', ')}`
+                });
+            }
+            if (declared && declared !== 'application/octet-stream' && declared !== type) {
+                return res.status(415).json({
+                    error: 'Unsupported File Type',
+                    message: `'${file.filename}' Was Sent As ${declared} But Its Extension Means ${type}`
+                });
+            }
+            if (file.data.length === 0) {
+                return res.status(400).json({
+                    error: 'Invalid Upload',
+                    message: `'${file.filename}' Is Empty`
+                });
+            }
+        }
+
+        const storage = getStorage();
+        const added = [];
+        let updated;
+        try {
+            for (const file of files) {
+                const _id = new mongoose.Types.ObjectId();
+                const type = mime.lookup(file.filename);
+                const storageKey = `${cost.userid}/${cost._id}/${_id}.${mime.extension(type)}`;
+
+                await storage.save(storageKey, file.data);
+                added.push({ _id, filename: file.filename, contentType: type, size: file.data.length, storageKey });
+            }
+
+            updated = await req.repository.costs.addAttachments(cost._id, added);
+        } catch (err) {
+            await Promise.all(added.map(item => storage.remove(item.storageKey).catch(() => {})));
+            throw err;
+        }
+
+        if (!updated) {
+            await Promise.all(added.map(item => storage.remove(item.storageKey).catch(() => {})));
+            return res.status(404).json({
+                error: 'Cost Item Not Found',
+                message: `No Cost Item Found With ID: ${cost._id}`
+            });
+        }
+
+        res.status(201).json({
+            message: 'Attachments Uploaded Successfully',
+            data: updated.attachments.filter(item => added.some(entry => String(entry._id) === String(item._id)))
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Upload Attachments'));
+    }
+});
+
+/**
+ * Lists the attachments of a cost item
+ *
+ * @route GET /api/costs/:costId/attachments
+ * @param {express.Request<{costId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {express.Response} JSON response with the attachment metadata
+ */
+router.get('/:costId/attachments', loadCost, requireOwner((req, res) => res.locals.cost.userid), (req, res) => {
+    res.json({
+        message: 'Attachments Retrieved Successfully',
+        data: res.locals.cost.attachments || []
+    });
+});
+
+/**
+ * Downloads an attachment of a cost item
+ *
+ * @route GET /api/costs/:costId/attachments/:attachmentId
+ * @param {express.Request<{costId: string, attachmentId: string}>} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {void} Streams the file, or responds with a JSON error
+ */
+router.get('/:costId/attachments/:attachmentId', loadCost, requireOwner((req, res) => res.locals.cost.userid), loadAttachment, (req, res) => {
+    const { attachment } = res.locals;
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+    stream.on('error', (err) => {
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({
+            error: err.code === 'ENOENT' ? 'Attachment Not Found' : 'Failed To Retrieve Attachment',
+            message: err.code === 'ENOENT' ? `The File Of Attachment ${attachment._id} Is Missing` : err.message
+        });
+    });
+    stream.once('open', () => {
+        res.attachment(attachment.filename);
+        res.type(attachment.contentType);
+        res.set('Content-Length', String(attachment.size));
+    });
+    stream.pipe(res);
+});
+
+/**
+ * Deletes an attachment of a cost item along with its file
+ *
+ * @route DELETE /api/costs/:costId/attachments/:attachmentId
+ * @param {express.Request<{costId: string, attachmentId: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the deleted attachment or error
+ */
+router.delete('/:costId/attachments/:attachmentId', loadCost, requireOwner((req, res) => res.locals.cost.userid), loadAttachment, async (req, res, next) => {
+    try {
+        const { cost, attachment } = res.locals;
+
+        await req.repository.costs.removeAttachment(cost._id, attachment._id);
+        await getStorage().remove(attachment.storageKey);
+
+        res.json({
+            message: 'Attachment Deleted Successfully',
+            data: attachment
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Delete Attachment'));
+    }
+});
+
+/**
+ * Export the configured router with all cost item routes
+ * @type {express.Router}
+ */
+module.exports = router;
@@ -0,0 +1,521 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { computeShares, computeBalances, planSettlements } = require('../services/splits');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} GroupRequestBody
+ * @property {string} name - Name of the group
+ * @property {number[]} members - IDs of the members; must include the caller
+ * @property {string} [currency] - ISO 4217 code of the group's expenses (default the caller's base currency)
+ */
+
+/**
+ * @typedef {Object} GroupExpenseRequestBody
+ * @property {number} [paidBy] - ID of the member who paid (default the caller)
+ * @property {string} description - Description of the expense
+ * @property {string} category - Category the shares are filed under; must be active for every member with a share
+ * @property {number} sum - Amount paid, in the group's currency
+ * @property {string} [date] - Date of the expense (ISO format, default now)
+ * @property {Object} [split] - How to split the sum (default equally among all members)
+ * @property {string} [split.type] - 'equal', 'percentage' or 'exact'
+ * @property {number[]} [split.members] - Members sharing an equal split (default all)
+ * @property {Array<{userid: number, percentage?: number, amount?: number}>} [split.shares] - Shares of a percentage or exact split
+ */
+
+/**
+ * @typedef {Object} SettlementRequestBody
+ * @property {number} from - ID of the member who paid
+ * @property {number} to - ID of the member who received the money
+ * @property {number} amount - Amount paid, in the group's currency
+ * @property {string} [date] - When the money changed hands (ISO format, default now)
+ * @property {string} [note] - Free-form note
+ */
+
+/**
+ * Fields a client is allowed to change through PATCH /api/groups/:groupId
+ * The currency is fixed once expenses have been recorded in it
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['name', 'members'];
+
+/**
+ * Computes the balances of a group from its expenses and settlements
+ *
+ * @async
+ * @param {Repository} repository - Storage to read from
+ * @param {Group} group - Group
+ * @returns {Promise<Array<{userid: number, balance: number}>>} Balance per member
+ */
+const getGroupBalances = async (repository, group) => {
+    const [expenses, settlements] = await Promise.all([
+        repository.groups.findExpenses(group._id),
+        repository.groups.findSettlements(group._id)
+    ]);
+    return computeBalances(group.members, expenses, settlements);
+};
+
+/**
+ * Lists the ids of users that do not exist
+ *
+ * @async
+ * @param {Repository} repository - Storage to read from
+ * @param {number[]} ids - User ids
+ * @returns {Promise<number[]>} The ids no user has
+ */
+const findMissingUsers = async (repository, ids) => {
+    const existing = (await repository.users.findByIds(ids)).map(user => user.id);
+    return ids.filter(id => !existing.includes(id));
+};
+
+/**
+ * Loads the group named by the :groupId route parameter
+ * Responds with 400 for a malformed id and 404 for an unknown one,
+ * otherwise stores the group on res.locals.group
+ *
+ * @param {express.Request<{groupId: string}>} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const loadGroup = async (req, res, next) => {
+    try {
+        const { groupId } = req.params;
+
+        if (!mongoose.isValidObjectId(groupId)) {
+            return res.status(400).json({
+                error: 'Invalid Group ID',
+                message: 'Group ID Must Be A Valid ObjectId'
+            });
+        }
+
+        const group = await req.repository.groups.findById(groupId);
+        if (!group) {
+            return res.status(404).json({
+                error: 'Group Not Found',
+                message: `No Group Found With ID: ${groupId}`
+            });
+        }
+
+        res.locals.group = group;
+        next();
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Group'));
+    }
+};
+
+/**
+ * Only lets members of res.locals.group through
+ * Administrators may also read (GET) any group
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+const requireMember = (req, res, next) => {
+    const { id, role } = req.auth;
+    if (res.locals.group.members.includes(id) || (role === 'admin' && req.method === 'GET')) {
+        return next();
+    }
+    res.status(403).json({
+        error: 'Forbidden',
+        message: `You Are Not A Member Of Group ${res.locals.group._id}`
+    });
+};
+
+/**
+ * Lists the groups a user belongs to
+ *
+ * @route GET /api/groups
+ * @param {express.Request<{}, ApiResponse, {}, {userid: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the groups or error
+ */
+router.get('/', requireOwner(req => req.query.userid), async (req, res, next) => {
+    try {
+        const { userid } = req.query;
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const groups = await req.repository.groups.findForUser(parseInt(userid));
+
+        res.json({
+            message: 'Groups Retrieved Successfully',
+            data: groups
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Groups'));
+    }
+});
+
+/**
+ * Creates a group of users who split expenses
+ * The caller must be one of the members and every member must exist
+ *
+ * @route POST /api/groups
+ * @param {express.Request<{}, ApiResponse, GroupRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the created group or error
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const { name, currency } = req.body;
+        const members = Array.isArray(req.body.members) ? req.body.members.map(Number) : [];
+
+        if (!members.includes(req.auth.id)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'You Must Be A Member Of The Groups You Create'
+            });
+        }
+
+        const missing = await findMissingUsers(req.repository, members);
+        if (missing.length > 0) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `These Users Do Not Exist: ${missing.join(', ')}`
+            });
+        }
+
+        const creator = await req.repository.users.findById(req.auth.id);
+        const group = await req.repository.groups.create({
+            name,
+            members,
+            currency: currency || creator.base_currency,
+            createdBy: req.auth.id
+        });
+
+        res.status(201).json({
+            message: 'Group Created Successfully',
+            data: group
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Create Group'));
+    }
+});
+
+/**
+ * Retrieves a group
+ *
+ * @route GET /api/groups/:groupId
+ * @param {express.Request<{groupId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {express.Response} JSON response with the group or error
+ */
+router.get('/:groupId', loadGroup, requireMember, (req, res) => {
+    res.json({
+        message: 'Group Retrieved Successfully',
+        data: res.locals.group
+    });
+});
+
+/**
+ * Renames a group or changes its members
+ * New members must exist; a member can only be removed once their balance is zero
+ *
+ * @route PATCH /api/groups/:groupId
+ * @param {express.Request<{groupId: string}, ApiResponse, Partial<GroupRequestBody>>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the updated group or error
+ */
+router.patch('/:groupId', loadGroup, requireMember, async (req, res, next) => {
+    try {
+        const { group } = res.locals;
+        const changes = {};
+
+        const fields = Object.keys(req.body || {});
+        const rejected = fields.filter(field => !UPDATABLE_FIELDS.includes(field));
+        if (rejected.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid Update Fields',
+                message: `These Fields Cannot Be Updated: ${rejected.join(', ')}`
+            });
+        }
+
+        if (fields.includes('members')) {
+            const members = Array.isArray(req.body.members) ? req.body.members.map(Number) : [];
+
+            const missing = await findMissingUsers(req.repository, members.filter(id => !group.members.includes(id)));
+            if (missing.length > 0) {
+                return res.status(404).json({
+                    error: 'User Not Found',
+                    message: `These Users Do Not Exist: ${missing.join(', ')}`
+                });
+            }
+
+            const removed = group.members.filter(id => !members.includes(id));
+            const open = (await getGroupBalances(req.repository, group))
+                .filter(entry => removed.includes(entry.userid) && entry.balance !== 0);
+            if (open.length > 0) {
+                return res.status(409).json({
+                    error: 'Member Has Open Balance',
+                    message: `Settle Up With These Members Before Removing Them: ${open.map(entry => entry.userid).join(', ')}`
+                });
+            }
+
+            changes.members = members;
+        }
+
+        if (fields.includes('name')) {
+            changes.name = req.body.name;
+        }
+
+        const updated = await req.repository.groups.update(group._id, changes);
+        res.json({
+            message: 'Group Updated Successfully',
+            data: updated
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Update Group'));
+    }
+});
+
+/**
+ * Lists a group's expenses, newest first
+ *
+ * @route GET /api/groups/:groupId/expenses
+ * @param {express.Request<{groupId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the expenses or error
+ */
+router.get('/:groupId/expenses', loadGroup, requireMember, async (req, res, next) => {
+    try {
+        const expenses = await req.repository.groups.findExpenses(res.locals.group._id);
+
+        res.json({
+            message: 'Group Expenses Retrieved Successfully',
+            data: expenses
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Group Expenses'));
+    }
+});
+
+/**
+ * Records an expense paid by one member and split across several
+ * Every member with a non-zero share gets a cost item for their share, so it counts
+ * in their own reports and totals; the expense itself feeds the group's balances.
+ *
+ * @route POST /api/groups/:groupId/expenses
+ * @param {express.Request<{groupId: string}, ApiResponse, GroupExpenseRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the expense and the members' cost items or error
+ */
+router.post('/:groupId/expenses', loadGroup, requireMember, async (req, res, next) => {
+    try {
+        const { group } = res.locals;
+        const { description, category, sum, date, split = {} } = req.body;
+        const paidBy = req.body.paidBy === undefined ? req.auth.id : Number(req.body.paidBy);
+
+        if (!group.members.includes(paidBy)) {
+            return res.status(400).json({
+                error: 'Failed To Add Group Expense',
+                message: `User ${req.body.paidBy} Is Not A Member Of The Group`
+            });
+        }
+
+        let shares;
+        try {
+            shares = computeShares(sum, split, group.members);
+        } catch (err) {
+            return res.status(400).json({
+                error: 'Invalid Split',
+                message: err.message
+            });
+        }
+        shares = shares.filter(share => share.amount > 0);
+
+        for (const share of shares) {
+            if (category && !(await req.repository.categories.isActive(share.userid, category))) {
+                return res.status(400).json({
+                    error: 'Failed To Add Group Expense',
+                    message: `Category '${category}' Is Not An Active Category Of User ${share.userid}`
+                });
+            }
+        }
+
+        // The expense and its share costs are saved together or not at all
+        const { expense, costs } = await req.repository.groups.addExpense({
+            groupId: group._id,
+            paidBy,
+            description,
+            category,
+            sum: Math.round(Number(sum) * 100) / 100,
+            currency: group.currency,
+            date,
+            splitType: split.type || 'equal',
+            shares,
+            createdBy: req.auth.id
+        });
+
+        res.status(201).json({
+            message: 'Group Expense Added Successfully',
+            data: { ...expense, costs }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Add Group Expense'));
+    }
+});
+
+/**
+ * Deletes a group expense and moves the members' cost items for it to the trash
+ *
+ * @route DELETE /api/groups/:groupId/expenses/:expenseId
+ * @param {express.Request<{groupId: string, expenseId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the deleted expense or error
+ */
+router.delete('/:groupId/expenses/:expenseId', loadGroup, requireMember, async (req, res, next) => {
+    try {
+        const { expenseId } = req.params;
+
+        if (!mongoose.isValidObjectId(expenseId)) {
+            return res.status(400).json({
+                error: 'Invalid Expense ID',
+                message: 'Expense ID Must Be A Valid ObjectId'
+            });
+        }
+
+        const expense = await req.repository.groups.findExpense(res.locals.group._id, expenseId);
+        if (!expense) {
+            return res.status(404).json({
+                error: 'Expense Not Found',
+                message: `Group ${res.locals.group._id} Has No Expense With ID: ${expenseId}`
+            });
+        }
+
+        const deletedCosts = await req.repository.groups.removeExpense(expense._id);
+
+        res.json({
+            message: 'Group Expense Deleted Successfully',
+            data: { ...expense, deletedCosts }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Delete Group Expense'));
+    }
+});
+
+/**
+ * Computes who owes whom within a group
+ * Lists each member's balance (positive: is owed money, negative: owes money) and the
+ * transfers that would settle everyone up
+ *
+ * @route GET /api/groups/:groupId/balances
+ * @param {express.Request<{groupId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with balances and settle-up transfers or error
+ */
+router.get('/:groupId/balances', loadGroup, requireMember, async (req, res, next) => {
+    try {
+        const { group } = res.locals;
+        const balances = await getGroupBalances(req.repository, group);
+
+        res.json({
+            message: 'Group Balances Retrieved Successfully',
+            data: {
+                groupId: group._id,
+                currency: group.currency,
+                balances,
+                transfers: planSettlements(balances)
+            }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Compute Balances'));
+    }
+});
+
+/**
+ * Lists a group's settlements, newest first
+ *
+ * @route GET /api/groups/:groupId/settlements
+ * @param {express.Request<{groupId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the settlements or error
+ */
+router.get('/:groupId/settlements', loadGroup, requireMember, async (req, res, next) => {
+    try {
+        const settlements = await req.repository.groups.findSettlements(res.locals.group._id);
+
+        res.json({
+            message: 'Settlements Retrieved Successfully',
+            data: settlements
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Settlements'));
+    }
+});
+
+/**
+ * Records money paid from one member to another to even out their balances
+ * Only the two members involved and the group's creator may record it
+ *
+ * @route POST /api/groups/:groupId/settlements
+ * @param {express.Request<{groupId: string}, ApiResponse, SettlementRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the recorded settlement or error
+ */
+router.post('/:groupId/settlements', loadGroup, requireMember, async (req, res, next) => {
+    try {
+        const { group } = res.locals;
+        const { amount, date, note } = req.body;
+        const from = Number(req.body.from);
+        const to = Number(req.body.to);
+
+        const outsider = [from, to].find(id => !group.members.includes(id));
+        if (outsider !== undefined) {
+            return res.status(400).json({
+                error: 'Failed To Record Settlement',
+                message: `User ${outsider === from ? req.body.from : req.body.to} Is Not A Member Of The Group`
+            });
+        }
+
+        if (from === to) {
+            return res.status(400).json({
+                error: 'Failed To Record Settlement',
+                message: 'From And To Must Be Different Members'
+            });
+        }
+
+        if (![from, to, group.createdBy].includes(req.auth.id)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Only The Members Involved Or The Group Creator May Record A Settlement'
+            });
+        }
+
+        const settlement = await req.repository.groups.addSettlement({
+            groupId: group._id,
+            from,
+            to,
+            amount,
+            date,
+            note,
+            createdBy: req.auth.id
+        });
+
+        res.status(201).json({
+            message: 'Settlement Recorded Successfully',
+            data: settlement
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Record Settlement'));
+    }
+});
+
+/**
+ * Export the configured router with the group, expense and settlement routes
+ * @type {express.Router}
+ */
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { MAX_IMPORT_ROWS, MAX_IMPORT_SIZE, parseMapping, parseCostRows, prepareCosts, insertCosts } = require('../services/import');
+const { STATEMENT_FORMATS, QIF_DATE_FORMATS, detectFormat, parseStatement, importTransactions } = require('../services/bankImport');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} ImportQuery
+ * @property {string} [dryRun] - 'true' to validate the rows without saving anything
+ * @property {string} [atomic] - 'true' to import all rows or none, inside a MongoDB transaction
+ * @property {string} [mapping] - Column mapping, e.g. 'Amount:sum,Who:userid'
+ */
+
+/**
+ * @typedef {Object} BankImportQuery
+ * @property {string} userid - ID of the user the costs belong to
+ * @property {string} [format] - 'ofx', 'qfx' or 'qif' (detected from the file when left out)
+ * @property {string} [dateFormat] - 'mdy' (default) or 'dmy', for QIF dates
+ * @property {string} [defaultCategory] - Category for payees no rule matches
+ * @property {string} [dryRun] - 'true' to report what would be imported without saving anything
+ */
+
+/**
+ * @typedef {Object} ImportRowResult
+ * @property {number} row - 1-based row number (the CSV header is not counted)
+ * @property {string} status - 'imported', 'valid' (dry run or not imported) or 'failed'
+ * @property {Cost} [data] - The cost built from the row
+ * @property {string[]} [errors] - Reasons the row failed
+ */
+
+/**
+ * Builds the response data of an import
+ *
+ * @param {PreparedRow[]} prepared - Validated rows
+ * @param {Cost[]} saved - Costs that were saved
+ * @param {{dryRun: boolean, atomic: boolean}} options - Import options
+ * @returns {{dryRun: boolean, atomic: boolean, total: number, imported: number, failed: number, rows: ImportRowResult[]}} Summary and per-row results
+ */
+const summarize = (prepared, saved, { dryRun, atomic }) => {
+    const savedIds = new Set(saved.map(cost => String(cost._id)));
+
+    const rows = prepared.map(({ row, cost, errors }) => {
+        if (errors.length > 0) {
+            return { row, status: 'failed', errors };
+        }
+        return { row, status: savedIds.has(String(cost._id)) ? 'imported' : 'valid', data: cost };
+    });
+
+    return {
+        dryRun,
+        atomic,
+        total: rows.length,
+        imported: saved.length,
+        failed: rows.filter(row => row.status === 'failed').length,
+        rows
+    };
+};
+
+/**
+ * Imports many cost items at once, for one or many users
+ * Accepts a JSON array of cost rows, or CSV text (Content-Type: text/csv) with a header row.
+ * Every row is validated like POST /api/add. Valid rows are saved and failed ones reported,
+ * unless atomic=true, in which case one failed row means nothing is saved. Regular users can
+ * only import their own costs; administrators can import for any user.
+ *
+ * @route POST /api/import
+ * @param {express.Request<{}, ApiResponse, Array<Object>|string, ImportQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with per-row results or error
+ */
+router.post('/', express.text({ type: ['text/csv', 'text/plain'], limit: MAX_IMPORT_SIZE }), async (req, res, next) => {
+    const dryRun = req.query.dryRun === 'true';
+    const atomic = req.query.atomic === 'true';
+
+    let mapping;
+    try {
+        mapping = parseMapping(req.query.mapping);
+    } catch (err) {
+        return res.status(400).json({
+            error: 'Invalid Mapping',
+            message: err.message
+        });
+    }
+
+    let rows;
+    try {
+        rows = parseCostRows(req.body, req.is('json') ? 'json' : 'csv', mapping);
+    } catch (err) {
+        return res.status(400).json({
+            error: 'Invalid Import File',
+            message: err.message
+        });
+    }
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+            error: 'Invalid Import File',
+            message: `An Import Must Hold Between 1 And ${MAX_IMPORT_ROWS} Rows`
+        });
+    }
+
+    try {
+        const { id, role } = req.auth;
+        const prepared = await prepareCosts(req.repository, rows, userid => role === 'admin' || userid === id);
+        const failed = prepared.filter(entry => entry.errors.length > 0).length;
+
+        if (dryRun) {
+            return res.json({
+                message: 'Import Validated Successfully',
+                data: summarize(prepared, [], { dryRun, atomic })
+            });
+        }
+
+        if (failed === prepared.length || (atomic && failed > 0)) {
+            return res.status(422).json({
+                error: 'Import Failed',
+                message: `${failed} Of ${prepared.length} Rows Are Invalid; Nothing Was Imported`,
+                data: summarize(prepared, [], { dryRun, atomic })
+            });
+        }
+
+        const saved = await insertCosts(req.repository, prepared, { atomic });
+        if (saved.length === 0) {
+            return res.status(422).json({
+                error: 'Import Failed',
+                message: `None Of The ${prepared.length} Rows Could Be Saved`,
+                data: summarize(prepared, saved, { dryRun, atomic })
+            });
+        }
+
+        res.status(201).json({
+            message: saved.length < prepared.length ? 'Costs Partially Imported' : 'Costs Imported Successfully',
+            data: summarize(prepared, saved, { dryRun, atomic })
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Import Costs'));
+    }
+});
+
+/**
+ * Imports the expenses of an OFX, QFX or QIF bank statement as costs of a user
+ * The statement is sent as the raw request body. Categories come from the user's
+ * category rules (see /api/category-rules), falling back to defaultCategory.
+ * Each cost keeps the bank's transaction id, so importing a statement again skips the
+ * transactions already imported; transactions that match an existing cost's day, sum and
+ * payee are reported as probable duplicates and not saved.
+ *
+ * @route POST /api/import/bank
+ * @param {express.Request<{}, ApiResponse, string, BankImportQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with per-transaction results or error
+ */
+router.post('/bank', requireOwner(req => req.query.userid), express.text({ type: () => true, limit: MAX_IMPORT_SIZE }), async (req, res, next) => {
+    try {
+        const { userid, defaultCategory, dateFormat = 'mdy' } = req.query;
+        const dryRun = req.query.dryRun === 'true';
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const user = await req.repository.users.findById(parseInt(userid));
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `No User Found With ID: ${userid}`
+            });
+        }
+
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            return res.status(400).json({
+                error: 'Invalid Statement',
+                message: 'The Statement File Must Be Sent As The Raw Request Body'
+            });
+        }
+
+        const format = req.query.format ? String(req.query.format).toLowerCase() : detectFormat(req.body);
+        if (!STATEMENT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid Statement Format',
+                message: `Format Must Be One Of: ${STATEMENT_FORMATS.join(', ')}`
+            });
+        }
+
+        if (!QIF_DATE_FORMATS.includes(dateFormat)) {
+            return res.status(400).json({
+                error: 'Invalid Date Format',
+                message: `Date Format Must Be One Of: ${QIF_DATE_FORMATS.join(', ')}`
+            });
+        }
+
+        if (defaultCategory && !(await req.repository.categories.isActive(user.id, defaultCategory))) {
+            return res.status(400).json({
+                error: 'Invalid Default Category',
+                message: `Category '${defaultCategory}' Is Not An Active Category Of User ${user.id}`
+            });
+        }
+
+        const transactions = parseStatement(req.body, format, { dateFormat });
+        if (transactions.length === 0 || transactions.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                error: 'Invalid Statement',
+                message: `A Statement Must Hold Between 1 And ${MAX_IMPORT_ROWS} Transactions`
+            });
+        }
+
+        const rows = await importTransactions(req.repository, user, transactions, {
+            defaultCategory: defaultCategory && String(defaultCategory).toLowerCase(),
+            dryRun
+        });
+        const count = status => rows.filter(row => row.status === status).length;
+
+        res.status(dryRun ? 200 : 201).json({
+            message: dryRun ? 'Statement Validated Successfully' : 'Statement Imported Successfully',
+            data: {
+                format,
+                dryRun,
+                total: rows.length,
+                imported: count('imported'),
+                duplicates: count('duplicate'),
+                skipped: count('skipped'),
+                failed: count('failed'),
+                rows
+            }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Import Statement'));
+    }
+});
+
+/**
+ * Export the configured router with the cost import routes
+ * @type {express.Router}
+ */
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const { parseRates, saveRates } = require('../services/currency');
+const { requireAdmin } = require('../middleware/auth');
+const { ApiError } = require('../services/errors');
+
+/**
+ * Lists stored exchange rates, newest first
+ *
+ * @route GET /api/rates
+ * @param {express.Request<{}, ApiResponse, {}, {from?: string, to?: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the rates or error
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const rates = await req.repository.rates.list({
+            from: req.query.from ? String(req.query.from).toUpperCase() : undefined,
+            to: req.query.to ? String(req.query.to).toUpperCase() : undefined
+        });
+
+        res.json({
+            message: 'Exchange Rates Retrieved Successfully',
+            data: rates
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Exchange Rates'));
+    }
+});
+
+/**
+ * Loads exchange rates into the rate table (admin only)
+ * Accepts a JSON array of {date, from, to, rate} objects, or CSV text (Content-Type: text/csv)
+ * with a date,from,to,rate header. A rate for an existing pair and day replaces it.
+ *
+ * @route POST /api/rates
+ * @param {express.Request<{}, ApiResponse, Array<Object>|string>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the number of stored rates or error
+ */
+router.post('/', requireAdmin, express.text({ type: ['text/csv', 'text/plain'] }), async (req, res, next) => {
+    try {
+        const format = req.is('json') ? 'json' : 'csv';
+        const count = await saveRates(req.repository, parseRates(req.body, format));
+
+        res.status(201).json({
+            message: 'Exchange Rates Loaded Successfully',
+            data: { count }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Load Exchange Rates'));
+    }
+});
+
+/**
+ * Export the configured router with all exchange rate routes
+ * @type {express.Router}
+ */
+module.exports = router;
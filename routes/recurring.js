@@ -0,0 +1,262 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { getOccurrences, isSkipped } = require('../services/recurring');
+const { requireOwner } = require('../middleware/auth');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} RecurringCostRequestBody
+ * @property {string} description - Description of the cost
+ * @property {string} category - Name of one of the user's active categories
+ * @property {number} userid - ID of the user
+ * @property {number} sum - Amount of each occurrence
+ * @property {{frequency: string, dayOfMonth?: number, endDate?: string}} schedule - When the cost recurs
+ * @property {string} startDate - Date of the first occurrence (ISO format)
+ */
+
+/**
+ * Default and maximum number of occurrences returned by the upcoming preview
+ */
+const DEFAULT_PREVIEW_COUNT = 5;
+const MAX_PREVIEW_COUNT = 50;
+
+/**
+ * Latest representable date, used as an open upper bound for the preview
+ * @type {Date}
+ */
+const FAR_FUTURE = new Date(8640000000000000);
+
+/**
+ * Loads the recurring cost named by the :recurringId route parameter
+ * Responds with 400 for a malformed id and 404 for an unknown one,
+ * otherwise stores the definition on res.locals.recurring
+ *
+ * @param {express.Request<{recurringId: string}>} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const loadRecurringCost = async (req, res, next) => {
+    try {
+        const { recurringId } = req.params;
+
+        if (!mongoose.isValidObjectId(recurringId)) {
+            return res.status(400).json({
+                error: 'Invalid Recurring Cost ID',
+                message: 'Recurring Cost ID Must Be A Valid ObjectId'
+            });
+        }
+
+        const recurring = await req.repository.recurring.findById(recurringId);
+        if (!recurring) {
+            return res.status(404).json({
+                error: 'Recurring Cost Not Found',
+                message: `No Recurring Cost Found With ID: ${recurringId}`
+            });
+        }
+
+        res.locals.recurring = recurring;
+        next();
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Recurring Cost'));
+    }
+};
+
+/**
+ * Lists a user's recurring costs
+ *
+ * @route GET /api/recurring
+ * @param {express.Request<{}, ApiResponse, {}, {userid: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the recurring costs or error
+ */
+router.get('/', requireOwner(req => req.query.userid), async (req, res, next) => {
+    try {
+        const { userid } = req.query;
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const recurring = await req.repository.recurring.findForUser(parseInt(userid));
+
+        res.json({
+            message: 'Recurring Costs Retrieved Successfully',
+            data: recurring
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Recurring Costs'));
+    }
+});
+
+/**
+ * Creates a recurring cost definition
+ * The scheduler creates the matching cost items as they come due, including
+ * occurrences between a past start date and now
+ *
+ * @route POST /api/recurring
+ * @param {express.Request<{}, ApiResponse, RecurringCostRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with the created definition or error
+ */
+router.post('/', requireOwner(req => req.body.userid), async (req, res, next) => {
+    try {
+        const { description, category, userid, sum, schedule, startDate } = req.body;
+
+        const user = await req.repository.users.findById(Number(userid));
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: 'The Specified User Does Not Exist In The Database'
+            });
+        }
+
+        if (category && !(await req.repository.categories.isActive(user.id, category))) {
+            return res.status(400).json({
+                error: 'Failed To Create Recurring Cost',
+                message: `Category '${category}' Is Not An Active Category Of User ${user.id}`
+            });
+        }
+
+        const recurring = await req.repository.recurring.create({ description, category, userid: user.id, sum, schedule, startDate });
+        res.status(201).json({
+            message: 'Recurring Cost Created Successfully',
+            data: recurring
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Create Recurring Cost'));
+    }
+});
+
+/**
+ * Retrieves a single recurring cost definition
+ *
+ * @route GET /api/recurring/:recurringId
+ * @param {express.Request<{recurringId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {express.Response} JSON response with the definition or error
+ */
+router.get('/:recurringId', loadRecurringCost, requireOwner((req, res) => res.locals.recurring.userid), (req, res) => {
+    res.json({
+        message: 'Recurring Cost Retrieved Successfully',
+        data: res.locals.recurring
+    });
+});
+
+/**
+ * Deletes a recurring cost definition
+ * Cost items it already created are kept
+ *
+ * @route DELETE /api/recurring/:recurringId
+ * @param {express.Request<{recurringId: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the deleted definition or error
+ */
+router.delete('/:recurringId', loadRecurringCost, requireOwner((req, res) => res.locals.recurring.userid), async (req, res, next) => {
+    try {
+        const recurring = await req.repository.recurring.remove(res.locals.recurring._id);
+        res.json({
+            message: 'Recurring Cost Deleted Successfully',
+            data: recurring
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Delete Recurring Cost'));
+    }
+});
+
+/**
+ * Previews the next occurrences of a recurring cost
+ * Skipped occurrences are listed with skipped: true
+ *
+ * @route GET /api/recurring/:recurringId/upcoming
+ * @param {express.Request<{recurringId: string}, ApiResponse, {}, {count?: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {express.Response} JSON response with the upcoming occurrences or error
+ */
+router.get('/:recurringId/upcoming', loadRecurringCost, requireOwner((req, res) => res.locals.recurring.userid), (req, res) => {
+    const { recurring } = res.locals;
+    const { count = String(DEFAULT_PREVIEW_COUNT) } = req.query;
+
+    if (!/^\d+$/.test(count) || parseInt(count) < 1 || parseInt(count) > MAX_PREVIEW_COUNT) {
+        return res.status(400).json({
+            error: 'Invalid Count',
+            message: `Count Must Be Between 1 And ${MAX_PREVIEW_COUNT}`
+        });
+    }
+
+    const now = new Date();
+    const occurrences = getOccurrences(recurring, now, FAR_FUTURE, parseInt(count));
+
+    res.json({
+        message: 'Upcoming Occurrences Retrieved Successfully',
+        data: occurrences.map(date => ({
+            date,
+            skipped: isSkipped(recurring, date)
+        }))
+    });
+});
+
+/**
+ * Skips a single occurrence of a recurring cost so the scheduler does not create it
+ * The date must be the day of an occurrence that has not been created yet
+ *
+ * @route POST /api/recurring/:recurringId/skip
+ * @param {express.Request<{recurringId: string}, ApiResponse, {date: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the updated definition or error
+ */
+router.post('/:recurringId/skip', loadRecurringCost, requireOwner((req, res) => res.locals.recurring.userid), async (req, res, next) => {
+    try {
+        const { recurring } = res.locals;
+        const date = new Date(req.body.date);
+
+        if (!req.body.date || Number.isNaN(date.getTime())) {
+            return res.status(400).json({
+                error: 'Invalid Date Format',
+                message: 'Date Must Be A Valid Date'
+            });
+        }
+
+        const dayStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000 - 1);
+        const [occurrence] = getOccurrences(recurring, dayStart, dayEnd, 1);
+
+        if (!occurrence) {
+            return res.status(400).json({
+                error: 'Not An Occurrence',
+                message: `The Recurring Cost Has No Occurrence On ${dayStart.toISOString().slice(0, 10)}`
+            });
+        }
+
+        if (await req.repository.recurring.hasCost(recurring._id, occurrence)) {
+            return res.status(409).json({
+                error: 'Occurrence Already Created',
+                message: 'This Occurrence Was Already Added As A Cost Item; Delete That Cost Item Instead'
+            });
+        }
+
+        const updated = isSkipped(recurring, occurrence)
+            ? recurring
+            : await req.repository.recurring.update(recurring._id, { skippedDates: [...recurring.skippedDates, occurrence] });
+
+        res.json({
+            message: 'Occurrence Skipped Successfully',
+            data: updated
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Skip Occurrence'));
+    }
+});
+
+/**
+ * Export the configured router with all recurring cost routes
+ * @type {express.Router}
+ */
+module.exports = router;
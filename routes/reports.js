@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { PERIOD_FORMATS, buildPeriodReport, parseBoundary } = require('../services/report');
+const { normalizeTags } = require('../services/tags');
+const { DEFAULT_TIMEZONE, fromWallClock } = require('../services/timezone');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} YearlyReportQuery
+ * @property {string} id - User ID
+ * @property {string} year - Year of the report
+ * @property {string} [tag] - Only count costs carrying one of these comma-separated tags
+ */
+
+/**
+ * @typedef {Object} RangeReportQuery
+ * @property {string} id - User ID
+ * @property {string} from - First day (YYYY-MM-DD) or instant (ISO format), inclusive; read in the user's time zone without an offset
+ * @property {string} to - Last day (YYYY-MM-DD) or instant (ISO format), inclusive; read in the user's time zone without an offset
+ * @property {string} [groupBy] - 'day', 'week' or 'month' (default 'month')
+ * @property {string} [tag] - Only count costs carrying one of these comma-separated tags
+ */
+
+/**
+ * Validates the id query parameter and loads the user
+ * Responds with 400 for a malformed id and 404 for an unknown user,
+ * otherwise stores the user on res.locals.user
+ *
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const loadUser = async (req, res, next) => {
+    try {
+        const { id } = req.query;
+
+        if (!id || !/^\d+$/.test(id)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const user = await req.repository.users.findById(parseInt(id));
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `No User Found With ID: ${id}`
+            });
+        }
+
+        res.locals.user = user;
+        next();
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Generate Report'));
+    }
+};
+
+/**
+ * Retrieves a yearly report with a month-by-month breakdown
+ * The year and its months are those of the user's time zone
+ *
+ * @route GET /api/report/yearly
+ * @param {express.Request<{}, ApiResponse, {}, YearlyReportQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with per-category, per-month and grand totals or error
+ */
+router.get('/yearly', requireOwner(req => req.query.id), loadUser, async (req, res, next) => {
+    try {
+        const { year } = req.query;
+
+        if (!/^\d+$/.test(year)) {
+            return res.status(400).json({
+                error: 'Invalid Year Format',
+                message: 'Year Must Contain Only Digits'
+            });
+        }
+
+        const yearNum = parseInt(year);
+        const timezone = res.locals.user.timezone || DEFAULT_TIMEZONE;
+        const report = await buildPeriodReport(
+            req.repository,
+            res.locals.user.id,
+            fromWallClock(timezone, yearNum, 1, 1),
+            new Date(fromWallClock(timezone, yearNum + 1, 1, 1).getTime() - 1),
+            'month',
+            { tags: normalizeTags(req.query.tag), timezone }
+        );
+
+        res.json({ year: yearNum, ...report });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Generate Report'));
+    }
+});
+
+/**
+ * Retrieves a report for an arbitrary date range, grouped by day, week or month
+ * Days, weeks and months are those of the user's time zone
+ *
+ * @route GET /api/report/range
+ * @param {express.Request<{}, ApiResponse, {}, RangeReportQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with per-category, per-period and grand totals or error
+ */
+router.get('/range', requireOwner(req => req.query.id), loadUser, async (req, res, next) => {
+    try {
+        const { groupBy = 'month' } = req.query;
+        const timezone = res.locals.user.timezone || DEFAULT_TIMEZONE;
+        const from = parseBoundary(req.query.from, false, timezone);
+        const to = parseBoundary(req.query.to, true, timezone);
+
+        if (!from || !to) {
+            return res.status(400).json({
+                error: 'Invalid Date Format',
+                message: 'From And To Must Be Valid Dates'
+            });
+        }
+
+        if (from > to) {
+            return res.status(400).json({
+                error: 'Invalid Date Range',
+                message: 'From Must Not Be After To'
+            });
+        }
+
+        if (!Object.keys(PERIOD_FORMATS).includes(groupBy)) {
+            return res.status(400).json({
+                error: 'Invalid Group By',
+                message: `Group By Must Be One Of: ${Object.keys(PERIOD_FORMATS).join(', ')}`
+            });
+        }
+
+        const report = await buildPeriodReport(req.repository, res.locals.user.id, from, to, groupBy, { tags: normalizeTags(req.query.tag), timezone });
+        if (!report) {
+            return res.status(400).json({
+                error: 'Invalid Date Range',
+                message: 'The Range Holds Too Many Periods; Use A Shorter Range Or A Larger Group By'
+            });
+        }
+
+        res.json(report);
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Generate Report'));
+    }
+});
+
+/**
+ * Export the configured router with the multi-period report routes
+ * @type {express.Router}
+ */
+module.exports = router;
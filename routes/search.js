@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { searchCosts } = require('../services/search');
+const { normalizeTags } = require('../services/tags');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {string} userid - ID of the user whose costs are searched
+ * @property {string} q - Words to look for in cost descriptions; supports "phrases" and -exclusions
+ * @property {string} [limit] - Most results to return, between 1 and 100 (default 20)
+ * @property {string} [tag] - Only search costs carrying one of these comma-separated tags
+ */
+
+/**
+ * Default and maximum result counts for GET /api/search
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Searches the descriptions of a user's costs, best matches first
+ * Each result carries its text score and a snippet with the matched words wrapped in <mark>
+ *
+ * @route GET /api/search
+ * @param {express.Request<{}, ApiResponse, {}, SearchQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the ranked matches or error
+ */
+router.get('/', requireOwner(req => req.query.userid), async (req, res, next) => {
+    try {
+        const { userid, q, limit = String(DEFAULT_LIMIT) } = req.query;
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({
+                error: 'Invalid Search Query',
+                message: 'Query Parameter q Must Not Be Empty'
+            });
+        }
+
+        if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > MAX_LIMIT) {
+            return res.status(400).json({
+                error: 'Invalid Limit',
+                message: `Limit Must Be Between 1 And ${MAX_LIMIT}`
+            });
+        }
+
+        const results = await searchCosts(req.repository, parseInt(userid), q.trim(), {
+            limit: parseInt(limit),
+            tags: normalizeTags(req.query.tag)
+        });
+
+        res.json({
+            message: 'Search Completed Successfully',
+            data: results
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Search Costs'));
+    }
+});
+
+/**
+ * Export the configured router with the cost search route
+ * @type {express.Router}
+ */
+module.exports = router;
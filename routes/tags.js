@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { requireOwner } = require('../middleware/auth');
+const { buildTagSummary, parseBoundary } = require('../services/report');
+const { DEFAULT_TIMEZONE } = require('../services/timezone');
+const { ApiError } = require('../services/errors');
+
+/**
+ * @typedef {Object} TagSummaryQuery
+ * @property {string} userid - ID of the user
+ * @property {string} from - First day (YYYY-MM-DD) or instant (ISO format), inclusive; read in the user's time zone without an offset
+ * @property {string} to - Last day (YYYY-MM-DD) or instant (ISO format), inclusive; read in the user's time zone without an offset
+ */
+
+/**
+ * Totals a user's costs per tag over a date range
+ * A cost with several tags counts towards each of them, so the tag totals can add up
+ * to more than the overall total; costs without tags are reported separately
+ *
+ * @route GET /api/tags/summary
+ * @param {express.Request<{}, ApiResponse, {}, TagSummaryQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with per-tag, untagged and overall totals or error
+ */
+router.get('/summary', requireOwner(req => req.query.userid), async (req, res, next) => {
+    try {
+        const { userid } = req.query;
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const user = await req.repository.users.findById(parseInt(userid));
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `No User Found With ID: ${userid}`
+            });
+        }
+
+        const from = parseBoundary(req.query.from, false, user.timezone || DEFAULT_TIMEZONE);
+        const to = parseBoundary(req.query.to, true, user.timezone || DEFAULT_TIMEZONE);
+
+        if (!from || !to) {
+            return res.status(400).json({
+                error: 'Invalid Date Format',
+                message: 'From And To Must Be Valid Dates'
+            });
+        }
+
+        if (from > to) {
+            return res.status(400).json({
+                error: 'Invalid Date Range',
+                message: 'From Must Not Be After To'
+            });
+        }
+
+        const summary = await buildTagSummary(req.repository, user.id, from, to);
+
+        res.json({
+            message: 'Tag Summary Retrieved Successfully',
+            data: summary
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Generate Tag Summary'));
+    }
+});
+
+/**
+ * Export the configured router with the tag routes
+ * @type {express.Router}
+ */
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const { listTrash } = require('../services/trash');
+const { ApiError } = require('../services/errors');
+
+/**
+ * Tells whether the caller may see and restore a user's trash
+ * Besides the owner, administrators may restore items too, since restoring
+ * accidental deletes is a support task
+ *
+ * @param {express.Request} req - Express request object
+ * @param {number} userid - ID of the user the items belong to
+ * @returns {boolean} True if the caller may manage the items
+ */
+const canManage = (req, userid) => req.auth.id === userid || req.auth.role === 'admin';
+
+/**
+ * Lists the users and costs in the trash, most recently deleted first
+ * Users must name themselves with ?userid=; administrators may omit it to list everything
+ *
+ * @route GET /api/trash
+ * @param {express.Request<{}, ApiResponse, {}, {userid?: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the trash items or error
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const { userid } = req.query;
+
+        if (userid === undefined && req.auth.role === 'admin') {
+            return res.json({
+                message: 'Trash Retrieved Successfully',
+                data: await listTrash(req.repository)
+            });
+        }
+
+        if (!userid || !/^\d+$/.test(userid)) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        if (!canManage(req, parseInt(userid))) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `You Do Not Have Access To User ${userid}`
+            });
+        }
+
+        res.json({
+            message: 'Trash Retrieved Successfully',
+            data: await listTrash(req.repository, parseInt(userid))
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Trash'));
+    }
+});
+
+/**
+ * Restores an item from the trash
+ * A 24-character hex id names a cost, a numeric id a user; restoring a user also
+ * restores the costs that were deleted along with them. A cost whose owner is
+ * still in the trash cannot be restored on its own (409).
+ *
+ * @route POST /api/trash/:id/restore
+ * @param {express.Request<{id: string}, ApiResponse>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with the restored item or error
+ */
+router.post('/:id/restore', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (/^[0-9a-f]{24}$/i.test(id)) {
+            const cost = await req.repository.trash.findCost(id);
+            if (!cost) {
+                return res.status(404).json({
+                    error: 'Trash Item Not Found',
+                    message: `No Deleted Cost Item Found With ID: ${id}`
+                });
+            }
+
+            if (!canManage(req, cost.userid)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `You Do Not Have Access To User ${cost.userid}`
+                });
+            }
+
+            if (!(await req.repository.users.exists(cost.userid))) {
+                return res.status(409).json({
+                    error: 'Owner Is Deleted',
+                    message: `Restore User ${cost.userid} Before Restoring Their Costs`
+                });
+            }
+
+            return res.json({
+                message: 'Cost Item Restored Successfully',
+                data: await req.repository.trash.restoreCost(id)
+            });
+        }
+
+        if (/^\d+$/.test(id)) {
+            const user = await req.repository.trash.findUser(parseInt(id));
+            if (!user) {
+                return res.status(404).json({
+                    error: 'Trash Item Not Found',
+                    message: `No Deleted User Found With ID: ${id}`
+                });
+            }
+
+            if (!canManage(req, user.id)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `You Do Not Have Access To User ${user.id}`
+                });
+            }
+
+            const restoredCosts = await req.repository.trash.restoreUser(user.id);
+            return res.json({
+                message: 'User Restored Successfully',
+                data: {
+                    id: user.id,
+                    first_name: user.first_name,
+                    last_name: user.last_name,
+                    restoredCosts
+                }
+            });
+        }
+
+        res.status(400).json({
+            error: 'Invalid Trash Item ID',
+            message: 'ID Must Be A Cost ObjectId Or A Numeric User ID'
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Restore Item'));
+    }
+});
+
+/**
+ * Export the configured router with the trash routes
+ * @type {express.Router}
+ */
+module.exports = router;
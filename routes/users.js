@@ -1,9 +1,331 @@
-var express = require('express');
-var router = express.Router();
+const express = require('express');
+const router = express.Router();
+const { createConverter } = require('../services/currency');
+const { requireAdmin, requireOwner } = require('../middleware/auth');
+const { ApiError } = require('../services/errors');
 
-/* GET users listing. */
-router.get('/', function(req, res, next) {
-  res.send('respond with a resource');
+/**
+ * @typedef {Object} UserRequestBody
+ * @property {number} id - Unique positive integer identifier for the user
+ * @property {string} first_name - First name of the user
+ * @property {string} last_name - Last name of the user
+ * @property {string} birthday - Birthdate of the user (ISO format)
+ * @property {string} marital_status - Marital status of the user
+ * @property {string} [base_currency] - ISO 4217 code of the user's base currency (default USD)
+ * @property {string} [timezone] - IANA time zone dates are entered and reported in (default UTC)
+ * @property {string} password - Plain-text password, at least 8 characters; only its hash is stored
+ */
+
+/**
+ * @typedef {Object} UserListQuery
+ * @property {string} [page] - Page number, starting at 1 (default 1)
+ * @property {string} [limit] - Page size, between 1 and 100 (default 20)
+ */
+
+/**
+ * Fields a client is allowed to change through PATCH /api/users/:id
+ * The password is accepted as well but goes through User#setPassword
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['first_name', 'last_name', 'birthday', 'marital_status', 'base_currency', 'timezone', 'password'];
+
+/**
+ * Default and maximum page sizes for GET /api/users
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parses a user id route parameter
+ * Returns null when the parameter is not a positive integer
+ *
+ * @param {string} value - Raw route parameter
+ * @returns {number|null} Numeric user id or null if invalid
+ */
+const parseUserId = (value) => {
+    if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+        return null;
+    }
+    return parseInt(value);
+};
+
+/**
+ * Sums a user's costs converted into their base currency
+ * Costs are grouped per currency and day by the repository, so only one conversion
+ * per group is needed
+ *
+ * @async
+ * @param {Repository} repository - Storage to read from
+ * @param {User} user - User document
+ * @returns {Promise<{total: number, currency: string, original_totals: Array<{currency: string, total: number}>}>} Converted total and per-currency totals
+ * @throws {MissingRateError} If a conversion rate is missing
+ */
+const getConvertedTotal = async (repository, user) => {
+    const groups = await repository.costs.totals({ userid: user.id }, ['currency', 'day']);
+
+    const convert = createConverter(repository, user.base_currency);
+    const originalTotals = new Map();
+    let total = 0;
+
+    for (const group of groups) {
+        const currency = group.key.currency || user.base_currency;
+        total += await convert(group.total, currency, new Date(group.key.day));
+        originalTotals.set(currency, (originalTotals.get(currency) || 0) + group.total);
+    }
+
+    return {
+        total: Math.round(total * 100) / 100,
+        currency: user.base_currency,
+        original_totals: [...originalTotals].map(([currency, sum]) => ({ currency, total: sum }))
+    };
+};
+
+/**
+ * Creates a new user with a password account
+ * Rejects ids that are already taken with 409 Conflict
+ *
+ * @route POST /api/users
+ * @param {express.Request<{}, ApiResponse, UserRequestBody>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with created user or error
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const { id, first_name, last_name, birthday, marital_status, base_currency, timezone, password } = req.body;
+
+        if (id !== undefined && await req.repository.users.exists(Number(id))) {
+            return res.status(409).json({
+                error: 'User Already Exists',
+                message: `A User With ID ${id} Already Exists`
+            });
+        }
+
+        const user = await req.repository.users.create({ id, first_name, last_name, birthday, marital_status, base_currency, timezone }, password);
+
+        res.status(201).json({
+            message: 'User Created Successfully',
+            data: user
+        });
+    } catch (err) {
+        // Duplicate key from the unique index (two concurrent creates)
+        if (err.code === 11000) {
+            return res.status(409).json({
+                error: 'User Already Exists',
+                message: `A User With ID ${req.body.id} Already Exists`
+            });
+        }
+        next(ApiError.from(err, 'Failed To Create User'));
+    }
+});
+
+/**
+ * Lists users, paginated and ordered by id
+ *
+ * @route GET /api/users
+ * @param {express.Request<{}, ApiResponse, {}, UserListQuery>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response with a page of users or error
+ */
+router.get('/', requireAdmin, async (req, res, next) => {
+    try {
+        const { page = '1', limit = String(DEFAULT_PAGE_SIZE) } = req.query;
+
+        if (!/^\d+$/.test(page) || parseInt(page) < 1) {
+            return res.status(400).json({
+                error: 'Invalid Page',
+                message: 'Page Must Be A Positive Integer'
+            });
+        }
+
+        if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > MAX_PAGE_SIZE) {
+            return res.status(400).json({
+                error: 'Invalid Limit',
+                message: `Limit Must Be Between 1 And ${MAX_PAGE_SIZE}`
+            });
+        }
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+
+        const { users, total } = await req.repository.users.list({ skip: (pageNum - 1) * limitNum, limit: limitNum });
+
+        res.json({
+            message: 'Users Retrieved Successfully',
+            data: users,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve Users'));
+    }
+});
+
+/**
+ * Retrieves user information and calculates total cost sum
+ * Returns user details along with aggregated cost total
+ * With ?convert=true the total is converted into the user's base currency
+ * and the unconverted total of every currency is listed next to it
+ *
+ * @route GET /api/users/:id
+ * @param {express.Request<{id: string}, ApiResponse, {}, {convert?: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with user info and total costs or error
+ */
+router.get('/:id', requireOwner(req => req.params.id), async (req, res, next) => {
+    const id = Number(req.params.id);
+
+    try {
+        const user = await req.repository.users.findById(id);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `No User Found With ID: ${id}`
+            });
+        }
+
+        if (req.query.convert === 'true') {
+            return res.json({
+                message: 'User Information Retrieved Successfully',
+                data: {
+                    id: user.id,
+                    first_name: user.first_name,
+                    last_name: user.last_name,
+                    ...await getConvertedTotal(req.repository, user)
+                }
+            });
+        }
+
+        const [total] = await req.repository.costs.totals({ userid: id }, []);
+
+        res.json({
+            message: 'User Information Retrieved Successfully',
+            data: {
+                id: user.id,
+                first_name: user.first_name,
+                last_name: user.last_name,
+                total: total ? total.total : 0
+            }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Retrieve User Information'));
+    }
+});
+
+/**
+ * Updates an existing user
+ * Only first_name, last_name, birthday, marital_status, base_currency, timezone and password can be changed; the id is immutable
+ *
+ * @route PATCH /api/users/:id
+ * @param {express.Request<{id: string}, ApiResponse, Partial<UserRequestBody>>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @returns {Promise<express.Response>} JSON response with updated user or error
+ */
+router.patch('/:id', requireOwner(req => req.params.id), async (req, res, next) => {
+    try {
+        const id = parseUserId(req.params.id);
+        if (id === null) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const fields = Object.keys(req.body || {});
+        const rejected = fields.filter(field => !UPDATABLE_FIELDS.includes(field));
+        if (rejected.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid Update Fields',
+                message: `These Fields Cannot Be Updated: ${rejected.join(', ')}`
+            });
+        }
+
+        const user = await req.repository.users.update(id, req.body);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `No User Found With ID: ${id}`
+            });
+        }
+
+        res.json({
+            message: 'User Updated Successfully',
+            data: user
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Update User'));
+    }
+});
+
+/**
+ * Moves a user to the trash
+ * A user who still owns costs is not deleted (409) unless ?cascade=true is given,
+ * in which case all of the user's costs go to the trash as well
+ * Members of a group are not deleted (409) until they have left all their groups
+ * The user can be restored through POST /api/trash/:id/restore until the trash is purged,
+ * which also removes their categories, budgets, recurring costs and category rules
+ *
+ * @route DELETE /api/users/:id
+ * @param {express.Request<{id: string}, ApiResponse, {}, {cascade?: string}>} req - Express request object
+ * @param {express.Response<ApiResponse>} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<express.Response>} JSON response confirming deletion or error
+ */
+router.delete('/:id', requireOwner(req => req.params.id), async (req, res, next) => {
+    try {
+        const id = parseUserId(req.params.id);
+        if (id === null) {
+            return res.status(400).json({
+                error: 'Invalid User ID',
+                message: 'User ID Must Be A Valid Number'
+            });
+        }
+
+        const user = await req.repository.users.findById(id);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User Not Found',
+                message: `No User Found With ID: ${id}`
+            });
+        }
+
+        const groups = await req.repository.groups.countForUser(id);
+        if (groups > 0) {
+            return res.status(409).json({
+                error: 'User Is A Group Member',
+                message: `User ${id} Still Belongs To ${groups} Groups; Remove Them From Their Groups First`
+            });
+        }
+
+        const cascade = req.query.cascade === 'true';
+        const costCount = await req.repository.costs.count({ userid: id });
+        if (costCount > 0 && !cascade) {
+            return res.status(409).json({
+                error: 'User Has Costs',
+                message: `User ${id} Still Has ${costCount} Cost Items; Use ?cascade=true To Delete Them Too`
+            });
+        }
+
+        const deletedCosts = await req.repository.trash.trashUser(id);
+
+        res.json({
+            message: 'User Deleted Successfully',
+            data: {
+                id,
+                deletedCosts
+            }
+        });
+    } catch (err) {
+        next(ApiError.from(err, 'Failed To Delete User'));
+    }
 });
 
+/**
+ * Export the configured router with all user routes
+ * @type {express.Router}
+ */
 module.exports = router;
@@ -0,0 +1,177 @@
+const { getMonthRange } = require('./report');
+const { DEFAULT_TIMEZONE, toWallClock } = require('./timezone');
+
+/**
+ * @typedef {Object} AnalyticsMonth
+ * @property {string} month - Month in the user's time zone ('2024-06')
+ * @property {number} total - Sum of the month's costs
+ * @property {number} count - Number of cost items in the month
+ * @property {number} average3 - Average monthly total of this and the 2 months before
+ * @property {number} average12 - Average monthly total of this and the 11 months before
+ * @property {number|null} monthOverMonth - Change against the month before, in percent; null if that month was empty
+ * @property {number|null} yearOverYear - Change against the same month a year before, in percent; null if that month was empty
+ */
+
+/**
+ * @typedef {Object} AnalyticsCost
+ * @property {string} _id - ID of the cost item
+ * @property {string} description - Description of the cost item
+ * @property {string} category - Category of the cost item
+ * @property {number} sum - Amount
+ * @property {string} [currency] - ISO 4217 code of the sum
+ * @property {string} date - Calendar date in the user's time zone (YYYY-MM-DD)
+ * @property {Date} timestamp - UTC instant of the cost
+ */
+
+/**
+ * @typedef {Object} SpendingAnalytics
+ * @property {number} userid - ID of the user
+ * @property {Date} from - First instant covered (start of the first month)
+ * @property {Date} to - Last instant covered (end of the last month)
+ * @property {string} timezone - IANA time zone the months are in
+ * @property {string[]} months - Months covered, oldest first
+ * @property {{total: number, count: number, monthly: AnalyticsMonth[], top: AnalyticsCost[]}} overall - Figures over all categories
+ * @property {Array<{category: string, total: number, count: number, share: number|null, monthly: AnalyticsMonth[], top: AnalyticsCost[]}>} categories - Figures per category;
+ *   share is the category's part of the overall total in percent, null when nothing was spent
+ */
+
+/**
+ * Most largest costs listed overall and per category
+ * @type {number}
+ */
+const MAX_TOP = 50;
+
+/**
+ * Largest costs listed when the caller does not say
+ * @type {number}
+ */
+const DEFAULT_TOP = 5;
+
+/**
+ * Most months a single analytics request may cover
+ * @type {number}
+ */
+const MAX_MONTHS = 120;
+
+/**
+ * Months before the first covered month that are read as well, so the rolling
+ * averages and year-over-year changes of the first months are complete
+ * @type {number}
+ */
+const HISTORY_MONTHS = 12;
+
+/**
+ * Returns a month index (months since year 0) for easy iteration
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Month index
+ */
+const toMonthIndex = (year, month) => year * 12 + (month - 1);
+
+/**
+ * Formats a month index as the month it stands for
+ *
+ * @param {number} index - Month index
+ * @returns {string} The month as YYYY-MM
+ */
+const formatMonth = (index) => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+
+/**
+ * Computes spending analytics for the whole months touched by a date range
+ * Monthly totals, rolling 3 and 12 month averages, month-over-month and year-over-year
+ * changes, the largest costs and each category's share of the spending are all computed
+ * by the repository (in one aggregation on MongoDB); only the results are loaded.
+ * Months are those of the given time zone. Months before the user's first cost count as
+ * empty, so early averages are taken over zeros. Sums in different currencies are added
+ * as they are.
+ *
+ * @async
+ * @param {Repository} repository - Storage to read the costs and the user's categories from
+ * @param {number} userid - ID of the user
+ * @param {Date} startDate - Any instant of the first month
+ * @param {Date} endDate - Any instant of the last month
+ * @param {Object} [options]
+ * @param {number} [options.top=DEFAULT_TOP] - How many of the largest costs to list, overall and per category
+ * @param {string} [options.timezone=DEFAULT_TIMEZONE] - IANA time zone of the user
+ * @returns {Promise<SpendingAnalytics|null>} The analytics, or null if the range covers more than MAX_MONTHS months
+ */
+const buildSpendingAnalytics = async (repository, userid, startDate, endDate, { top = DEFAULT_TOP, timezone = DEFAULT_TIMEZONE } = {}) => {
+    const start = toWallClock(startDate, timezone);
+    const end = toWallClock(endDate, timezone);
+    const startIndex = toMonthIndex(start.getUTCFullYear(), start.getUTCMonth() + 1);
+    const endIndex = toMonthIndex(end.getUTCFullYear(), end.getUTCMonth() + 1);
+
+    if (endIndex - startIndex + 1 > MAX_MONTHS) {
+        return null;
+    }
+
+    const firstIndex = startIndex - HISTORY_MONTHS;
+    const from = getMonthRange(Math.floor(startIndex / 12), (startIndex % 12) + 1, timezone).startDate;
+    const to = getMonthRange(Math.floor(endIndex / 12), (endIndex % 12) + 1, timezone).endDate;
+    const readFrom = getMonthRange(Math.floor(firstIndex / 12), (firstIndex % 12) + 1, timezone).startDate;
+
+    const result = await repository.costs.analytics({ userid, timezone, readFrom, from, to, firstIndex, startIndex, endIndex, top });
+
+    const months = [];
+    for (let index = startIndex; index <= endIndex; index++) {
+        months.push(formatMonth(index));
+    }
+
+    /**
+     * Turns the month entries of a series into AnalyticsMonth entries
+     * A category without any cost in the months read has no series; it gets zeros.
+     *
+     * @param {Object[]} entries - Month entries of one series, oldest first
+     * @returns {AnalyticsMonth[]} One entry per covered month
+     */
+    const toMonthly = (entries) => months.map((month, offset) => {
+        const entry = entries.find(item => item.monthIndex === startIndex + offset);
+        return entry
+            ? { month, total: entry.total, count: entry.count, average3: entry.average3, average12: entry.average12, monthOverMonth: entry.monthOverMonth, yearOverYear: entry.yearOverYear }
+            : { month, total: 0, count: 0, average3: 0, average12: 0, monthOverMonth: null, yearOverYear: null };
+    });
+
+    const categories = (await repository.categories.findForUser(userid, { includeArchived: true }))
+        .filter(category => !category.archived || result.byCategory.some(entry => entry.category === category.name))
+        .map(category => category.name);
+
+    const { overall } = result;
+
+    return {
+        userid,
+        from,
+        to,
+        timezone,
+        months,
+        overall: {
+            total: overall ? Math.round(overall.total * 100) / 100 : 0,
+            count: overall ? overall.count : 0,
+            monthly: toMonthly(result.monthly),
+            top: result.top
+        },
+        categories: categories.map(category => {
+            const totals = result.byCategory.find(entry => entry.category === category);
+            const costs = result.topByCategory.find(entry => entry.category === category);
+            return {
+                category,
+                total: totals ? totals.total : 0,
+                count: totals ? totals.count : 0,
+                share: totals ? totals.share : (overall && overall.total !== 0 ? 0 : null),
+                monthly: toMonthly(result.monthlyByCategory.filter(entry => entry.category === category)),
+                top: costs ? costs.costs : []
+            };
+        })
+    };
+};
+
+/**
+ * Export the analytics helpers
+ * @type {Object}
+ */
+module.exports = {
+    MAX_TOP,
+    DEFAULT_TOP,
+    MAX_MONTHS,
+    buildSpendingAnalytics
+};
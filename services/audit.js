@@ -0,0 +1,197 @@
+const AuditLog = require('../models/auditLog');
+const { getRequestContext } = require('../middleware/requestContext');
+
+/**
+ * Fields whose values never go into the audit log; a change only shows as '[redacted]'
+ * @type {string[]}
+ */
+const REDACTED_FIELDS = ['password_hash'];
+
+/**
+ * Fields left out of the diff
+ * @type {string[]}
+ */
+const IGNORED_FIELDS = ['_id', '__v'];
+
+/**
+ * Query operations that change documents, audited through query middleware
+ * @type {string[]}
+ */
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+/**
+ * Query operations that change at most one document
+ * @type {string[]}
+ */
+const SINGLE_QUERIES = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete'];
+
+/**
+ * Converts a document or field value to plain JSON data
+ * ObjectIds become hex strings and dates ISO strings, so values compare and store alike
+ *
+ * @param {*} value - Document, plain object or field value
+ * @returns {*} JSON data, or undefined for undefined
+ */
+const toJsonData = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Lists the top-level fields that differ between two versions of a document
+ *
+ * @param {Object} [before] - Version before the change, as JSON data
+ * @param {Object} [after] - Version after the change, as JSON data
+ * @returns {Array<{field: string, before?: *, after?: *}>} The changes, in field order
+ */
+const diffDocuments = (before = {}, after = {}) => {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !IGNORED_FIELDS.includes(field));
+
+    return fields
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => {
+            const redact = value => (value !== undefined && REDACTED_FIELDS.includes(field) ? '[redacted]' : value);
+            return { field, before: redact(before[field]), after: redact(after[field]) };
+        });
+};
+
+/**
+ * Names the action of a change to an existing document
+ * Moving a document to the trash (setting deletedAt, see services/softDelete.js) deletes it
+ * as far as the API is concerned, so it is recorded as a delete
+ *
+ * @param {Object} before - Version before the change, as JSON data
+ * @param {Object} after - Version after the change, as JSON data
+ * @returns {string} 'delete' or 'update'
+ */
+const changeAction = (before, after) => (!before.deletedAt && after.deletedAt ? 'delete' : 'update');
+
+/**
+ * Creates a Mongoose plugin recording an audit entry for every change to a model
+ * Document saves and insertMany are audited, and so are update and delete queries
+ * (doc.deleteOne() included), whose affected documents are read before and after the query runs.
+ * Moving documents to the trash, by save or by update, is recorded as a delete.
+ * The model also gets a toAuditEntries static, for storage that changes documents without
+ * the model's queries (see repositories/memory.js).
+ * The actor and request id come from the request being served (middleware/requestContext.js).
+ * A failure to write the audit entries is logged and does not undo the change.
+ *
+ * @param {mongoose.Schema} schema - Schema to audit
+ * @param {Object} options
+ * @param {string} options.entity - Entity name stored in the entries ('User' or 'Cost')
+ * @param {function(Object): string} options.getEntityId - Id of a document as stored in the entries
+ * @param {function(Object): number[]} options.getOwners - IDs of the users a document belongs to
+ */
+const auditPlugin = (schema, { entity, getEntityId, getOwners }) => {
+    /**
+     * Builds one audit entry per change; updates that change nothing are left out
+     *
+     * @param {Array<{action: string, before?: Object, after?: Object}>} changes - Versions as JSON data
+     * @param {import('../middleware/requestContext').RequestContext|null} context - Request that made the changes
+     * @returns {Object[]} The entries, shaped like the AuditLog model
+     */
+    const toEntries = (changes, context) => changes
+        .map(({ action, before, after }) => ({
+            entity,
+            entityId: getEntityId(after || before),
+            owners: [...new Set([before, after].filter(Boolean).flatMap(getOwners))],
+            action,
+            actor: context && context.actor ? context.actor : undefined,
+            requestId: context ? context.requestId : undefined,
+            timestamp: new Date(),
+            changes: diffDocuments(before, after)
+        }))
+        .filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+
+    /**
+     * Writes one audit entry per change
+     *
+     * @param {Array<{action: string, before?: Object, after?: Object}>} changes - Versions as JSON data
+     * @param {import('../middleware/requestContext').RequestContext|null} context - Request that made the changes
+     * @returns {Promise<void>}
+     */
+    const record = async (changes, context) => {
+        const entries = toEntries(changes, context);
+        if (entries.length > 0) {
+            await AuditLog.insertMany(entries).catch(err => console.error('Audit Log Error:', err));
+        }
+    };
+
+    /**
+     * Builds the audit entries of changes made without the model's queries, such as those
+     * of the in-memory repository, for the request being served
+     *
+     * @param {Array<{action: string, before?: Object, after?: Object}>} changes - Versions of the documents
+     * @returns {Object[]} The entries, shaped like the AuditLog model
+     */
+    schema.statics.toAuditEntries = (changes) => toEntries(
+        changes.map(({ action, before, after }) => ({ action, before: toJsonData(before), after: toJsonData(after) })),
+        getRequestContext()
+    );
+
+    // Documents remember how they were loaded, so a later save can be diffed against it
+    schema.post('init', function () {
+        this.$locals.auditBefore = toJsonData(this.toObject());
+    });
+
+    schema.pre('save', function () {
+        this.$locals.auditCreate = this.isNew;
+        this.$locals.auditContext = getRequestContext();
+    });
+
+    schema.post('save', async function () {
+        const before = this.$locals.auditBefore;
+        const after = toJsonData(this.toObject());
+        const action = this.$locals.auditCreate ? 'create' : changeAction(before || {}, after);
+        await record([{ action, before, after }], this.$locals.auditContext);
+        this.$locals.auditBefore = after;
+    });
+
+    schema.post('insertMany', async function (docs) {
+        const created = docs.map(doc => toJsonData(doc.toObject ? doc.toObject() : doc));
+        await record(created.map(after => ({ action: 'create', after })), getRequestContext());
+    });
+
+    // doc.deleteOne() runs as a deleteOne query as well, so the query hooks below cover document deletes
+    const pending = new WeakMap();
+
+    schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function () {
+        const query = this.model.find(this.getFilter()).setOptions({ withDeleted: this.getOptions().withDeleted }).lean();
+        if (SINGLE_QUERIES.includes(this.op)) {
+            const { sort } = this.getOptions();
+            query.sort(sort || { _id: 1 }).limit(1);
+        }
+        pending.set(this, { before: (await query).map(toJsonData), context: getRequestContext() });
+    });
+
+    schema.post([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function (result) {
+        const { before, context } = pending.get(this) || { before: [], context: null };
+        pending.delete(this);
+
+        if (DELETE_QUERIES.includes(this.op)) {
+            await record(before.map(doc => ({ action: 'delete', before: doc })), context);
+            return;
+        }
+
+        const ids = before.map(doc => doc._id);
+        if (result && result.upsertedId) {
+            ids.push(result.upsertedId);
+        } else if (result && result._id && !ids.includes(String(result._id))) {
+            ids.push(result._id);
+        }
+
+        // withDeleted: updates that soft-delete documents must still find them afterwards
+        const after = (await this.model.find({ _id: { $in: ids } }).setOptions({ withDeleted: true }).lean()).map(toJsonData);
+        await record(after.map(doc => {
+            const previous = before.find(item => item._id === doc._id);
+            return { action: previous ? changeAction(previous, doc) : 'create', before: previous, after: doc };
+        }), context);
+    });
+};
+
+/**
+ * Export the audit plugin
+ * @type {Object}
+ */
+module.exports = {
+    auditPlugin
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const Cost = require('../models/cost');
+const CategoryRule = require('../models/categoryRule');
+const { PartialInsertError } = require('./errors');
+
+/**
+ * Statement formats the importer understands; QFX is Quicken's name for OFX
+ * @type {string[]}
+ */
+const STATEMENT_FORMATS = ['ofx', 'qfx', 'qif'];
+
+/**
+ * Day orders accepted for QIF dates, which carry no indication of their own
+ * @type {string[]}
+ */
+const QIF_DATE_FORMATS = ['mdy', 'dmy'];
+
+/**
+ * @typedef {Object} BankTransaction
+ * @property {string} id - The bank's transaction id (OFX FITID, or a derived id for QIF)
+ * @property {Date|null} date - Posting day at UTC midnight, or null if unreadable
+ * @property {number} amount - Signed amount; negative for money leaving the account
+ * @property {string} [payee] - Payee or, failing that, memo
+ * @property {string} [memo] - Memo line
+ * @property {string} [currency] - ISO 4217 code from the statement, if it names one
+ */
+
+/**
+ * @typedef {Object} BankImportRow
+ * @property {number} row - 1-based position of the transaction in the statement
+ * @property {string} transactionId - The bank's transaction id
+ * @property {string} status - 'imported', 'valid' (dry run), 'duplicate', 'skipped' or 'failed'
+ * @property {Cost} [data] - The cost built from the transaction
+ * @property {string} [duplicateOf] - ID of the existing cost a duplicate matches
+ * @property {string} [reason] - Why the transaction was skipped
+ * @property {string[]} [errors] - Why the transaction failed
+ */
+
+/**
+ * Guesses the format of a statement from its contents
+ *
+ * @param {string} text - Statement file contents
+ * @returns {string|null} 'ofx' or 'qif', or null if the text looks like neither
+ */
+const detectFormat = (text) => {
+    if (/OFXHEADER|<OFX>/i.test(text)) {
+        return 'ofx';
+    }
+    if (/^\s*!(Type|Account|Option)/i.test(text)) {
+        return 'qif';
+    }
+    return null;
+};
+
+/**
+ * Replaces the XML entities OFX files use
+ *
+ * @param {string} value - Raw element value
+ * @returns {string} Decoded value
+ */
+const decodeEntities = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+/**
+ * Parses an OFX amount, which may use a comma as decimal separator
+ *
+ * @param {string} value - Raw amount
+ * @returns {number} The amount, NaN if unreadable
+ */
+const parseOfxAmount = (value) => Number(String(value || '').replace(',', '.'));
+
+/**
+ * Parses an OFX date (YYYYMMDD, optionally followed by a time and zone) to its day
+ *
+ * @param {string} value - Raw date
+ * @returns {Date|null} The day at UTC midnight, or null if unreadable
+ */
+const parseOfxDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+};
+
+/**
+ * Reads the transactions of an OFX or QFX statement
+ * Handles both SGML (OFX 1.x, elements without closing tags) and XML (OFX 2.x) files
+ *
+ * @param {string} text - Statement file contents
+ * @returns {BankTransaction[]} The transactions in file order
+ */
+const parseOfx = (text) => {
+    const currency = (/<CURDEF>\s*([A-Za-z]{3})/i.exec(text) || [])[1];
+
+    return text.split(/<STMTTRN>/i).slice(1).map(block => {
+        const fields = {};
+        for (const [, tag, value] of block.split(/<\/STMTTRN>/i)[0].matchAll(/<([A-Za-z0-9.]+)>([^<\r\n]*)/g)) {
+            fields[tag.toUpperCase()] = decodeEntities(value.trim());
+        }
+
+        return {
+            id: fields.FITID,
+            date: parseOfxDate(fields.DTPOSTED),
+            amount: parseOfxAmount(fields.TRNAMT),
+            payee: fields.NAME || fields.MEMO,
+            memo: fields.MEMO,
+            currency: currency && currency.toUpperCase()
+        };
+    });
+};
+
+/**
+ * Parses a QIF date such as 06/15/2024, 6/15'24 or 2024-06-15
+ *
+ * @param {string} value - Raw date
+ * @param {string} dateFormat - 'mdy' or 'dmy', for dates not starting with the year
+ * @returns {Date|null} The day at UTC midnight, or null if unreadable
+ */
+const parseQifDate = (value, dateFormat) => {
+    const parts = String(value || '').replace(/'/g, '/').split(/[/.-]/).map(part => part.trim());
+    if (parts.length !== 3 || parts.some(part => !/^\d+$/.test(part))) {
+        return null;
+    }
+
+    let year;
+    let month;
+    let day;
+    if (parts[0].length === 4) {
+        [year, month, day] = parts.map(Number);
+    } else {
+        const [first, second, last] = parts.map(Number);
+        [month, day] = dateFormat === 'dmy' ? [second, first] : [first, second];
+        year = last < 100 ? last + (last < 70 ? 2000 : 1900) : last;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * Reads the transactions of a QIF statement
+ * Only records of transaction sections are read; account, category and class lists are skipped.
+ * QIF has no transaction ids, so one is derived from the date, amount, payee and check
+ * number, plus a counter for identical transactions, which keeps it stable across re-imports.
+ *
+ * @param {string} text - Statement file contents
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat='mdy'] - 'mdy' or 'dmy'
+ * @returns {BankTransaction[]} The transactions in file order
+ */
+const parseQif = (text, { dateFormat = 'mdy' } = {}) => {
+    const records = [];
+    let current = {};
+    let inTransactions = true;
+
+    const endRecord = () => {
+        if (inTransactions && Object.keys(current).length > 0) {
+            records.push(current);
+        }
+        current = {};
+    };
+
+    for (const line of text.split(/\r?\n/).map(value => value.trim())) {
+        if (line.startsWith('!')) {
+            endRecord();
+            if (!/^!Option/i.test(line)) {
+                inTransactions = /^!Type:(?!Cat|Class|Memorized|Prices)/i.test(line);
+            }
+        } else if (line === '^') {
+            endRecord();
+        } else if (line) {
+            // Split lines repeat codes; the first value of a code is the transaction's own
+            const code = line[0].toUpperCase();
+            if (!(code in current)) {
+                current[code] = line.slice(1).trim();
+            }
+        }
+    }
+    endRecord();
+
+    const seen = new Map();
+    return records.map(record => {
+        const date = parseQifDate(record.D, dateFormat);
+        const amount = Number(String(record.T || record.U || '').replace(/,/g, ''));
+        const payee = record.P || record.M;
+
+        const key = [date && date.toISOString().slice(0, 10), amount, payee, record.N].join('|');
+        const count = seen.get(key) || 0;
+        seen.set(key, count + 1);
+
+        return {
+            id: `qif-${crypto.createHash('sha256').update(`${key}|${count}`).digest('hex').slice(0, 24)}`,
+            date,
+            amount,
+            payee,
+            memo: record.M
+        };
+    });
+};
+
+/**
+ * Reads the transactions of a statement in any supported format
+ *
+ * @param {string} text - Statement file contents
+ * @param {string} format - 'ofx', 'qfx' or 'qif'
+ * @param {Object} [options] - Parser options, see parseQif
+ * @returns {BankTransaction[]} The transactions in file order
+ */
+const parseStatement = (text, format, options = {}) =>
+    format === 'qif' ? parseQif(text, options) : parseOfx(text);
+
+/**
+ * Builds the key probable duplicates share: day, sum and payee
+ *
+ * @param {Date} date - Date of the cost
+ * @param {number} sum - Sum of the cost
+ * @param {string} payee - Payee, or description for costs entered by hand
+ * @returns {string} The key
+ */
+const duplicateKey = (date, sum, payee) =>
+    [date.toISOString().slice(0, 10), Number(sum).toFixed(2), String(payee || '').trim().toLowerCase().replace(/\s+/g, ' ')].join('|');
+
+/**
+ * Turns bank transactions into costs of a user and, unless it is a dry run, saves them
+ * Only money leaving the account becomes a cost. The category comes from the first of the
+ * user's rules matching the payee, or the default category. Transactions whose bank id was
+ * imported before are skipped, and those matching an existing cost's day, sum and payee (or
+ * description) are flagged as duplicates; neither is saved.
+ *
+ * @async
+ * @param {Repository} repository - Storage to read rules and costs from and save to
+ * @param {User} user - User the costs belong to
+ * @param {BankTransaction[]} transactions - Parsed transactions
+ * @param {Object} [options]
+ * @param {string} [options.defaultCategory] - Category for payees no rule matches
+ * @param {boolean} [options.dryRun=false] - Report what would happen without saving
+ * @returns {Promise<BankImportRow[]>} One entry per transaction, in statement order
+ */
+const importTransactions = async (repository, user, transactions, { defaultCategory, dryRun = false } = {}) => {
+    const rules = await repository.categoryRules.findForUser(user.id);
+    const activeCategories = new Set((await repository.categories.findForUser(user.id)).map(category => category.name));
+
+    const importedIds = new Set(await repository.costs.findImported(
+        user.id,
+        transactions.map(transaction => transaction.id).filter(Boolean)
+    ));
+
+    const dates = transactions.map(transaction => transaction.date).filter(Boolean);
+    const existing = new Map();
+    if (dates.length > 0) {
+        const from = new Date(Math.min(...dates));
+        const to = new Date(Math.max(...dates) + 24 * 60 * 60 * 1000 - 1);
+        const costs = await repository.costs.find({ userid: user.id, from, to });
+        for (const cost of costs) {
+            existing.set(duplicateKey(cost.date, cost.sum, cost.payee || cost.description), String(cost._id));
+        }
+    }
+
+    const rows = transactions.map((transaction, index) => {
+        const row = { row: index + 1, transactionId: transaction.id };
+
+        if (importedIds.has(transaction.id)) {
+            return { ...row, status: 'skipped', reason: 'Already Imported' };
+        }
+        if (transaction.amount >= 0) {
+            return { ...row, status: 'skipped', reason: 'Not An Expense' };
+        }
+
+        const rule = rules.find(candidate => CategoryRule.matchesPayee(candidate, transaction.payee));
+        const category = rule ? rule.category : defaultCategory;
+        const cost = new Cost({
+            description: transaction.payee,
+            category,
+            userid: user.id,
+            sum: Math.round(Math.abs(transaction.amount) * 100) / 100,
+            currency: transaction.currency || user.base_currency,
+            date: transaction.date,
+            payee: transaction.payee,
+            bankTransactionId: transaction.id
+        });
+
+        const errors = [];
+        if (!transaction.id) {
+            errors.push('The Transaction Has No ID');
+        }
+        if (!transaction.date) {
+            errors.push('The Transaction Date Cannot Be Read');
+        }
+        if (!category) {
+            errors.push('No Category Rule Matches This Payee; Add A Rule Or Pass defaultCategory');
+        } else if (!activeCategories.has(cost.category)) {
+            errors.push(`Category '${cost.category}' Is Not An Active Category Of User ${user.id}`);
+        }
+        const validation = cost.validateSync();
+        if (validation) {
+            errors.push(...Object.values(validation.errors).map(error => error.message));
+        }
+        if (errors.length > 0) {
+            return { ...row, status: 'failed', errors };
+        }
+
+        const duplicateOf = existing.get(duplicateKey(cost.date, cost.sum, cost.payee));
+        if (duplicateOf) {
+            return { ...row, status: 'duplicate', duplicateOf, data: cost };
+        }
+
+        return { ...row, status: dryRun ? 'valid' : 'imported', data: cost };
+    });
+
+    const imported = rows.filter(row => row.status === 'imported');
+    if (imported.length > 0) {
+        try {
+            await repository.costs.insertMany(imported.map(row => row.data));
+        } catch (err) {
+            if (!(err instanceof PartialInsertError)) {
+                throw err;
+            }
+            for (const { index, message } of err.failures) {
+                const { row, transactionId } = imported[index];
+                rows[row - 1] = { row, transactionId, status: 'failed', errors: [message] };
+            }
+        }
+    }
+
+    return rows;
+};
+
+/**
+ * Export the bank statement import helpers
+ * @type {Object}
+ */
+module.exports = {
+    STATEMENT_FORMATS,
+    QIF_DATE_FORMATS,
+    detectFormat,
+    parseStatement,
+    importTransactions
+};
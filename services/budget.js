@@ -0,0 +1,167 @@
+const { getMonthRange } = require('./report');
+const { DEFAULT_TIMEZONE, toWallClock } = require('./timezone');
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {string} category - Category name
+ * @property {number} spent - Sum of the category's costs in the month
+ * @property {number|null} limit - Limit for the month including rolled-over amounts, null without a budget
+ * @property {number|null} remaining - limit minus spent, null without a budget
+ * @property {number|null} percentage - spent as a percentage of limit, null without a budget or with a zero limit
+ */
+
+/**
+ * Rounds a money amount to cents
+ *
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Returns a month index (months since year 0) for easy iteration
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Month index
+ */
+const toMonthIndex = (year, month) => year * 12 + (month - 1);
+
+/**
+ * Sums a user's costs per category within a month
+ *
+ * @param {Repository} repository - Storage to read from
+ * @param {number} userid - ID of the user
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {string} timezone - IANA time zone of the user
+ * @returns {Promise<Map<string, number>>} Spent amount per category name
+ */
+const getSpentByCategory = async (repository, userid, year, month, timezone) => {
+    const { startDate, endDate } = getMonthRange(year, month, timezone);
+
+    const totals = await repository.costs.totals({ userid, from: startDate, to: endDate }, ['category']);
+
+    return new Map(totals.map(total => [total.key.category, total.total]));
+};
+
+/**
+ * Computes a budget's limit for a month
+ * Without rollover this is the plain limit. With rollover, whatever was left
+ * unspent in each month since the budget started is added on top; overspending
+ * never carries over as debt.
+ * Returns null for months before the budget started.
+ *
+ * @param {Repository} repository - Storage to read from
+ * @param {Budget} budget - Budget document
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {string} timezone - IANA time zone of the user
+ * @returns {Promise<number|null>} Effective limit for the month
+ */
+const getEffectiveLimit = async (repository, budget, year, month, timezone) => {
+    const start = toWallClock(budget.startDate, timezone);
+    const startIndex = toMonthIndex(start.getUTCFullYear(), start.getUTCMonth() + 1);
+    const targetIndex = toMonthIndex(year, month);
+
+    if (targetIndex < startIndex) {
+        return null;
+    }
+
+    if (!budget.rollover || targetIndex === startIndex) {
+        return budget.limit;
+    }
+
+    const totals = await repository.costs.totals({
+        userid: budget.userid,
+        category: budget.category,
+        from: getMonthRange(start.getUTCFullYear(), start.getUTCMonth() + 1, timezone).startDate,
+        to: new Date(getMonthRange(year, month, timezone).startDate.getTime() - 1),
+        timezone
+    }, ['month']);
+
+    // Month keys look like '2024-06'
+    const spentByMonth = new Map(totals.map(total => {
+        const [totalYear, totalMonth] = total.key.month.split('-').map(Number);
+        return [toMonthIndex(totalYear, totalMonth), total.total];
+    }));
+
+    let carry = 0;
+    for (let index = startIndex; index < targetIndex; index++) {
+        carry = Math.max(0, budget.limit + carry - (spentByMonth.get(index) || 0));
+    }
+
+    return budget.limit + carry;
+};
+
+/**
+ * Builds the status of one category against its budget
+ *
+ * @param {string} category - Category name
+ * @param {number} spent - Amount spent in the month
+ * @param {number|null} limit - Effective limit, null without a budget
+ * @returns {BudgetStatus} The status entry
+ */
+const toStatus = (category, spent, limit) => ({
+    category,
+    spent: roundAmount(spent),
+    limit: limit === null ? null : roundAmount(limit),
+    remaining: limit === null ? null : roundAmount(limit - spent),
+    percentage: limit === null || limit === 0 ? null : roundAmount((spent / limit) * 100)
+});
+
+/**
+ * Returns the budget status of every given category for a month
+ *
+ * @param {Repository} repository - Storage to read from
+ * @param {number} userid - ID of the user
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {string[]} categories - Category names to report on, in output order
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone of the user; months are taken in it
+ * @returns {Promise<BudgetStatus[]>} One status entry per category
+ */
+const getBudgetStatus = async (repository, userid, year, month, categories, timezone = DEFAULT_TIMEZONE) => {
+    const [spentByCategory, budgets] = await Promise.all([
+        getSpentByCategory(repository, userid, year, month, timezone),
+        repository.budgets.findForUser(userid)
+    ]);
+
+    return Promise.all(categories.map(async category => {
+        const budget = budgets.find(entry => entry.category === category);
+        const limit = budget ? await getEffectiveLimit(repository, budget, year, month, timezone) : null;
+        return toStatus(category, spentByCategory.get(category) || 0, limit);
+    }));
+};
+
+/**
+ * Checks whether a category is over its budget in the month of the given date
+ * Used after a cost is added to warn the client
+ *
+ * @param {Repository} repository - Storage to read from
+ * @param {number} userid - ID of the user
+ * @param {string} category - Category name
+ * @param {Date} date - Date of the cost
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone of the user
+ * @returns {Promise<BudgetStatus|null>} The category status if it is over budget, otherwise null
+ */
+const getOverBudgetStatus = async (repository, userid, category, date, timezone = DEFAULT_TIMEZONE) => {
+    const budgets = await repository.budgets.findForUser(userid);
+    if (!budgets.some(budget => budget.category === category)) {
+        return null;
+    }
+
+    const local = toWallClock(date, timezone);
+    const [status] = await getBudgetStatus(repository, userid, local.getUTCFullYear(), local.getUTCMonth() + 1, [category], timezone);
+
+    return status.limit !== null && status.remaining < 0 ? status : null;
+};
+
+/**
+ * Export the budget helpers
+ * @type {Object}
+ */
+module.exports = {
+    getBudgetStatus,
+    getOverBudgetStatus
+};
@@ -0,0 +1,112 @@
+/**
+ * Splits CSV text into rows of fields
+ * Follows RFC 4180: fields may be quoted, quoted fields may hold commas, line
+ * breaks and doubled quotes (""), and lines may end with CRLF or LF.
+ * Blank lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} The rows, each an array of raw field values
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let index = 0;
+
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    while (index < input.length) {
+        const char = input[index];
+
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                field += '"';
+                index += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            index++;
+            continue;
+        }
+
+        if (char === '"' && field.trim() === '') {
+            quoted = true;
+            field = '';
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            endRow();
+            if (char === '\r' && input[index + 1] === '\n') {
+                index++;
+            }
+        } else {
+            field += char;
+        }
+        index++;
+    }
+
+    if (quoted) {
+        throw new Error('CSV Has An Unterminated Quoted Field');
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+};
+
+/**
+ * Formats one CSV field
+ * Dates are written as ISO strings. Text that a spreadsheet would run as a formula
+ * (starting with =, +, -, @ or a control character) is prefixed with a quote.
+ *
+ * @param {*} value - Field value
+ * @returns {string} The field, quoted when needed
+ */
+const formatCsvValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats one CSV line, terminated with CRLF as spreadsheet applications expect
+ *
+ * @param {Array<*>} values - Field values
+ * @returns {string} The line
+ */
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+/**
+ * Export the CSV helpers
+ * @type {Object}
+ */
+module.exports = {
+    parseCsv,
+    formatCsvRow
+};
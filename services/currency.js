@@ -0,0 +1,140 @@
+const ExchangeRate = require('../models/exchangeRate');
+const { ApiError, ValidationError, fieldErrors } = require('./errors');
+
+/**
+ * Thrown when a conversion needs a rate the table does not have
+ * Routes answer it with a 422 (code MISSING_EXCHANGE_RATE)
+ */
+class MissingRateError extends ApiError {
+    /**
+     * @param {string} from - Source currency
+     * @param {string} to - Target currency
+     * @param {Date} date - Day the rate was needed for
+     */
+    constructor(from, to, date) {
+        super(422, 'Missing Exchange Rate', `No ${from} To ${to} Exchange Rate On Or Before ${date.toISOString().slice(0, 10)}`);
+        this.name = 'MissingRateError';
+    }
+}
+
+/**
+ * Rounds a money amount to cents
+ *
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parses a rate table from JSON or CSV text
+ * JSON must be an array of {date, from, to, rate} objects; CSV must have a header
+ * row naming the date, from, to and rate columns, in any order
+ *
+ * @param {string|Array<Object>} input - Raw file contents, or an already parsed JSON array
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array<{date: string, from: string, to: string, rate: number}>} Parsed rows
+ * @throws {ValidationError} If the input cannot be parsed
+ */
+const parseRates = (input, format) => {
+    if (format === 'json') {
+        const rows = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!Array.isArray(rows)) {
+            throw new ValidationError([{ field: 'body', message: 'Rates Must Be A JSON Array' }], {
+                title: 'Invalid Exchange Rates',
+                message: 'Rates Must Be A JSON Array'
+            });
+        }
+        return rows;
+    }
+
+    const lines = String(input).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const header = (lines.shift() || '').split(',').map(column => column.trim().toLowerCase());
+    const missing = ['date', 'from', 'to', 'rate'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        const message = `CSV Header Is Missing Columns: ${missing.join(', ')}`;
+        throw new ValidationError([{ field: 'body', message }], { title: 'Invalid Exchange Rates', message });
+    }
+
+    return lines.map(line => {
+        const values = line.split(',').map(value => value.trim());
+        const row = Object.fromEntries(header.map((column, index) => [column, values[index]]));
+        return { ...row, rate: Number(row.rate) };
+    });
+};
+
+/**
+ * Validates and stores rate rows, replacing any rate for the same pair and day
+ *
+ * @async
+ * @param {Repository} repository - Storage to save the rates to
+ * @param {Array<{date: string, from: string, to: string, rate: number}>} rows - Rate rows
+ * @returns {Promise<number>} Number of rates stored
+ * @throws {ValidationError} If any row is invalid; nothing is stored in that case
+ */
+const saveRates = async (repository, rows) => {
+    const rates = rows.map(row => new ExchangeRate(row));
+
+    for (const [index, rate] of rates.entries()) {
+        const error = rate.validateSync();
+        if (error) {
+            throw new ValidationError(fieldErrors(error).map(({ field, message }) => ({
+                field: field.replace(/^body\./, `body[${index}].`),
+                message
+            })), { title: 'Invalid Exchange Rates', message: `Row ${index + 1}: ${error.message}` });
+        }
+    }
+
+    return repository.rates.save(rates.map(rate => rate.toObject()));
+};
+
+/**
+ * Creates a converter that looks up rates as of each cost's date
+ * Lookups are cached per (currency, day), so one converter should be used per request
+ *
+ * @param {Repository} repository - Storage to read the rates from
+ * @param {string} to - Target currency
+ * @returns {function(number, string, Date): Promise<number>} Converts an amount in a currency on a date
+ */
+const createConverter = (repository, to) => {
+    const cache = new Map();
+
+    const getRate = async (from, date) => {
+        const day = date.toISOString().slice(0, 10);
+        const key = `${from}:${day}`;
+
+        if (!cache.has(key)) {
+            cache.set(key, (async () => {
+                const dayEnd = new Date(`${day}T23:59:59.999Z`);
+                const direct = await repository.rates.findRate(from, to, dayEnd);
+                if (direct) {
+                    return direct.rate;
+                }
+                const inverse = await repository.rates.findRate(to, from, dayEnd);
+                if (inverse) {
+                    return 1 / inverse.rate;
+                }
+                throw new MissingRateError(from, to, date);
+            })());
+        }
+
+        return cache.get(key);
+    };
+
+    return async (amount, from, date) => {
+        if (!from || from === to) {
+            return amount;
+        }
+        return roundAmount(amount * await getRate(from, new Date(date)));
+    };
+};
+
+/**
+ * Export the currency helpers
+ * @type {Object}
+ */
+module.exports = {
+    MissingRateError,
+    parseRates,
+    saveRates,
+    createConverter
+};
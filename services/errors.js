@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} field - Location of the failing value, e.g. 'body.sum' or 'query.month'
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * Turns an error title into its code, e.g. 'User Not Found' into 'USER_NOT_FOUND'
+ * Titles are part of the API contract already, so codes derived from them are stable
+ *
+ * @param {string} title - Error title
+ * @returns {string} The code
+ */
+const toCode = (title) => String(title).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * An error the API answers with
+ * Carries the HTTP status, the title sent as `error`, a stable machine-readable code and,
+ * for validation failures, the failing fields. Throw one (or pass it to next) from a route
+ * and the API error handler (middleware/errors.js) sends it.
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} title - Short title, sent as the `error` field
+     * @param {string} message - Details, sent as the `message` field
+     * @param {Object} [options]
+     * @param {string} [options.code] - Machine-readable code (default: derived from the title)
+     * @param {FieldError[]} [options.errors] - Failing fields
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(status, title, message, { code, errors, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ApiError';
+        this.status = status;
+        this.title = title;
+        this.code = code || toCode(title);
+        if (errors) {
+            this.errors = errors;
+        }
+    }
+
+    /**
+     * The JSON body of the error, in the API's {error, message} shape
+     *
+     * @returns {{error: string, message: string, code: string, errors?: FieldError[]}} The body
+     */
+    toJSON() {
+        return {
+            error: this.title,
+            message: this.message,
+            code: this.code,
+            ...(this.errors ? { errors: this.errors } : {})
+        };
+    }
+
+    /**
+     * Maps a known validation error into an ApiError
+     * ApiErrors are returned as they are. Mongoose validation and cast errors become 400s
+     * with the given title, code VALIDATION_FAILED and one entry per failing field. Any
+     * other error is returned unchanged, so the API error handler logs it and answers with
+     * a generic 500 instead of sending its message.
+     *
+     * @param {Error} err - Error to map
+     * @param {string} title - Title for mapped validation errors
+     * @returns {ApiError|Error} The ApiError, or the error itself if it is not a known one
+     */
+    static from(err, title) {
+        if (err instanceof ApiError) {
+            return err;
+        }
+        const errors = fieldErrors(err);
+        if (errors) {
+            return new ApiError(400, title, err.message, { code: 'VALIDATION_FAILED', errors, cause: err });
+        }
+        return err;
+    }
+}
+
+/**
+ * A request that does not match the OpenAPI document (or other per-field checks)
+ * Routes that answered bad input with their own title and status before requests were
+ * validated centrally keep them; the failing fields are always listed in `errors`
+ */
+class ValidationError extends ApiError {
+    /**
+     * @param {FieldError[]} errors - Every failing field
+     * @param {Object} [options]
+     * @param {number} [options.status=400] - HTTP status
+     * @param {string} [options.title='Validation Failed'] - Title, sent as the `error` field
+     * @param {string} [options.message] - Details (default: the failing fields)
+     */
+    constructor(errors, { status = 400, title = 'Validation Failed', message } = {}) {
+        super(status, title, message || `Request Validation Failed For: ${[...new Set(errors.map(error => error.field))].join(', ')}`, {
+            code: status === 400 ? 'VALIDATION_FAILED' : toCode(title),
+            errors
+        });
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * A missing user, document or route
+ */
+class NotFoundError extends ApiError {
+    /**
+     * @param {string} title - E.g. 'User Not Found'
+     * @param {string} message - Details
+     */
+    constructor(title, message) {
+        super(404, title, message);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * A request that clashes with existing data
+ */
+class ConflictError extends ApiError {
+    /**
+     * @param {string} title - E.g. 'User Already Exists'
+     * @param {string} message - Details
+     */
+    constructor(title, message) {
+        super(409, title, message);
+        this.name = 'ConflictError';
+    }
+}
+
+/**
+ * A non-atomic bulk insert that saved only some of the documents
+ * Thrown by repositories, so callers can report which rows failed instead of failing the
+ * whole request after part of it was already saved
+ */
+class PartialInsertError extends Error {
+    /**
+     * @param {Object[]} saved - Documents that were saved
+     * @param {Array<{index: number, message: string}>} failures - Position in the inserted list and reason of every document that was not
+     */
+    constructor(saved, failures) {
+        super(`${failures.length} Of ${saved.length + failures.length} Documents Could Not Be Saved`);
+        this.name = 'PartialInsertError';
+        this.saved = saved;
+        this.failures = failures;
+    }
+}
+
+/**
+ * Lists the failing fields of a Mongoose validation or cast error
+ * Document paths are reported as request body fields, e.g. 'schedule.frequency' as
+ * 'body.schedule.frequency'
+ *
+ * @param {Error} err - Any error
+ * @returns {FieldError[]|null} The failing fields, or null if the error is neither
+ */
+const fieldErrors = (err) => {
+    if (err instanceof mongoose.Error.ValidationError) {
+        return Object.values(err.errors).map(error => ({ field: `body.${error.path}`, message: error.message }));
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return [{ field: `body.${err.path}`, message: err.message }];
+    }
+    return null;
+};
+
+/**
+ * Export the error classes and helpers
+ * @type {Object}
+ */
+module.exports = {
+    toCode,
+    ApiError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    PartialInsertError,
+    fieldErrors
+};
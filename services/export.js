@@ -0,0 +1,172 @@
+const path = require('path');
+const pug = require('pug');
+const { formatCsvRow } = require('./csv');
+
+/**
+ * Supported export formats and their content types
+ * @type {Object<string, string>}
+ */
+const EXPORT_FORMATS = {
+    json: 'application/json',
+    csv: 'text/csv',
+    jsonl: 'application/x-ndjson',
+    html: 'text/html'
+};
+
+/**
+ * Placeholder the page template leaves where the table rows go
+ * @type {string}
+ */
+const ROWS_MARKER = '<!--export-rows-->';
+
+/**
+ * Compiled pug templates for the printable HTML export
+ * They are compiled directly rather than through res.render so the page can be
+ * written in pieces while the rows are streamed
+ */
+const renderPage = pug.compileFile(path.join(__dirname, '..', 'views', 'export.pug'));
+const renderRow = pug.compileFile(path.join(__dirname, '..', 'views', 'export-row.pug'));
+
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} key - Property of the exported row
+ * @property {string} label - Column heading
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} filename - Download file name without extension
+ * @property {string} title - Page title of the HTML export
+ * @property {string} [subtitle] - Line shown under the title of the HTML export
+ * @property {ExportColumn[]} columns - Columns of the CSV and HTML exports
+ * @property {function(Object): (Object|Promise<Object>)} [transform] - Turns a document into an exported row
+ */
+
+/**
+ * Picks the export format of a request
+ * An explicit ?format= wins; otherwise the Accept header is negotiated, falling back to JSON
+ *
+ * @param {express.Request} req - Express request object
+ * @returns {string|null} 'json', 'csv', 'jsonl' or 'html', or null for an unknown ?format=
+ */
+const resolveFormat = (req) => {
+    if (req.query.format !== undefined) {
+        const format = String(req.query.format).toLowerCase();
+        return EXPORT_FORMATS[format] ? format : null;
+    }
+
+    const type = req.accepts(Object.values(EXPORT_FORMATS));
+    return Object.keys(EXPORT_FORMATS).find(format => EXPORT_FORMATS[format] === type) || 'json';
+};
+
+/**
+ * Formats a value for an HTML table cell
+ *
+ * @param {*} value - Row value
+ * @returns {string} Display text
+ */
+const formatCell = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    return String(value);
+};
+
+/**
+ * Waits until the response can take more data, or until the client has gone away
+ *
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Streams the documents of a Mongo cursor to the response as CSV, JSON Lines or printable HTML
+ * Documents are written one at a time, respecting backpressure, so memory use does not
+ * grow with the size of the export. CSV starts with a UTF-8 byte order mark so
+ * spreadsheet applications detect the encoding. Sums are totaled per currency for
+ * the HTML summary line.
+ *
+ * @async
+ * @param {express.Response} res - Express response object
+ * @param {mongoose.Cursor} cursor - Cursor over the documents to export
+ * @param {string} format - 'csv', 'jsonl' or 'html'
+ * @param {ExportOptions} options - Export options
+ * @returns {Promise<void>} Resolves once the response has ended
+ * @throws {Error} If reading the cursor fails; the response may already be partly sent
+ */
+const streamExport = async (res, cursor, format, { filename, title, subtitle, columns, transform = row => row }) => {
+    const write = async (chunk) => {
+        if (!res.write(chunk)) {
+            await waitForDrain(res);
+        }
+    };
+
+    // attachment() guesses a content type from the file name, so the type is set after it
+    if (format !== 'html') {
+        res.attachment(`${filename}.${format}`);
+    }
+    res.status(200).type(`${EXPORT_FORMATS[format]}; charset=utf-8`);
+
+    if (format === 'csv') {
+        await write(`\uFEFF${formatCsvRow(columns.map(column => column.label))}`);
+    } else if (format === 'html') {
+        await write(renderPage({ title, subtitle, columns, rowsMarker: ROWS_MARKER }).split(ROWS_MARKER)[0]);
+    }
+
+    let count = 0;
+    const totals = new Map();
+
+    try {
+        for await (const document of cursor) {
+            if (res.destroyed) {
+                break;
+            }
+
+            const row = await transform(document);
+            count++;
+            if (typeof row.sum === 'number') {
+                totals.set(row.currency || '', (totals.get(row.currency || '') || 0) + row.sum);
+            }
+
+            if (format === 'csv') {
+                await write(formatCsvRow(columns.map(column => row[column.key])));
+            } else if (format === 'jsonl') {
+                await write(`${JSON.stringify(row)}\n`);
+            } else {
+                await write(renderRow({ values: columns.map(column => formatCell(row[column.key])) }));
+            }
+        }
+    } finally {
+        await cursor.close();
+    }
+
+    if (format === 'html') {
+        const amounts = [...totals].map(([currency, total]) => `${Math.round(total * 100) / 100} ${currency}`.trim());
+        const summary = `${count} Cost Items${amounts.length > 0 ? `, Total ${amounts.join(' + ')}` : ''}`;
+        res.write(renderPage({ title, subtitle, columns, rowsMarker: ROWS_MARKER, summary }).split(ROWS_MARKER)[1]);
+    }
+
+    res.end();
+};
+
+/**
+ * Export the export helpers
+ * @type {Object}
+ */
+module.exports = {
+    EXPORT_FORMATS,
+    resolveFormat,
+    streamExport
+};
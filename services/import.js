@@ -0,0 +1,209 @@
+const Cost = require('../models/cost');
+const { parseCsv } = require('./csv');
+const { DEFAULT_TIMEZONE, parseLocalDate } = require('./timezone');
+const { PartialInsertError } = require('./errors');
+
+/**
+ * Cost fields an import row can set
+ * @type {string[]}
+ */
+const COST_FIELDS = ['description', 'category', 'userid', 'sum', 'currency', 'date', 'tags'];
+
+/**
+ * Largest number of rows accepted in one import
+ * @type {number}
+ */
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Largest import or batch request body, CSV or JSON
+ * @type {string}
+ */
+const MAX_IMPORT_SIZE = '5mb';
+
+/**
+ * @typedef {Object} PreparedRow
+ * @property {number} row - 1-based position of the row in the import (header excluded)
+ * @property {Cost} cost - Unsaved cost document built from the row
+ * @property {string[]} errors - Reasons the row cannot be imported; empty if it is valid
+ */
+
+/**
+ * Parses a column mapping such as 'Amount:sum,Who:userid'
+ * Keys are source column names, values are cost fields
+ *
+ * @param {string} [value] - Raw mapping
+ * @returns {Object<string, string>} Source column to cost field
+ * @throws {Error} If an entry is malformed or targets an unknown field
+ */
+const parseMapping = (value) => {
+    const mapping = {};
+    if (!value) {
+        return mapping;
+    }
+
+    for (const entry of String(value).split(',')) {
+        const separator = entry.lastIndexOf(':');
+        const source = entry.slice(0, separator).trim();
+        const field = entry.slice(separator + 1).trim().toLowerCase();
+
+        if (separator < 1 || !source) {
+            throw new Error(`Mapping Entry '${entry}' Must Look Like Column:field`);
+        }
+        if (!COST_FIELDS.includes(field)) {
+            throw new Error(`Mapping Target '${field}' Must Be One Of: ${COST_FIELDS.join(', ')}`);
+        }
+        mapping[source] = field;
+    }
+
+    return mapping;
+};
+
+/**
+ * Renames a column through the mapping
+ * Unmapped columns keep their name, lowercased so 'Description' matches 'description'
+ *
+ * @param {string} column - Source column name
+ * @param {Object<string, string>} mapping - Source column to cost field
+ * @returns {string} Cost field name
+ */
+const mapColumn = (column, mapping) => mapping[column] || String(column).trim().toLowerCase();
+
+/**
+ * Turns CSV text or a JSON array into plain cost rows
+ * CSV files must start with a header row; empty CSV cells are left out so schema defaults apply
+ *
+ * @param {string|Array<Object>} input - CSV text, or an already parsed JSON array
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object<string, string>} [mapping] - Source column to cost field
+ * @returns {Array<Object>} One object per row, keyed by cost field
+ * @throws {Error} If the input cannot be parsed
+ */
+const parseCostRows = (input, format, mapping = {}) => {
+    if (format === 'json') {
+        if (!Array.isArray(input)) {
+            throw new Error('JSON Imports Must Be An Array Of Cost Rows');
+        }
+        return input.map(row => Object.fromEntries(
+            Object.entries(row || {}).map(([column, value]) => [mapColumn(column, mapping), value])
+        ));
+    }
+
+    const [header = [], ...lines] = parseCsv(input);
+    const columns = header.map(column => mapColumn(column.trim(), mapping));
+
+    return lines.map(values => {
+        const row = {};
+        columns.forEach((column, index) => {
+            const value = (values[index] || '').trim();
+            if (value !== '') {
+                row[column] = value;
+            }
+        });
+        return row;
+    });
+};
+
+/**
+ * Validates import rows the way POST /api/add does, without saving anything
+ * Each row is checked against the Cost schema, the user must exist and be writable
+ * by the caller, and the category must be one of the user's active categories.
+ * Dates without an offset are taken in the user's time zone.
+ * Users and categories are loaded once per distinct user id.
+ *
+ * @async
+ * @param {Repository} repository - Storage to read users and categories from
+ * @param {Array<Object>} rows - Rows from parseCostRows
+ * @param {function(number): boolean} canWrite - Tells whether the caller may add costs for a user id
+ * @returns {Promise<PreparedRow[]>} One entry per row, in input order
+ */
+const prepareCosts = async (repository, rows, canWrite) => {
+    const userids = [...new Set(rows.map(row => Number(row.userid)).filter(Number.isInteger))];
+
+    const users = new Map();
+    for (const user of await repository.users.findByIds(userids)) {
+        users.set(user.id, user);
+    }
+
+    const activeCategories = new Map();
+    for (const userid of users.keys()) {
+        const categories = await repository.categories.findForUser(userid);
+        activeCategories.set(userid, new Set(categories.map(category => category.name)));
+    }
+
+    return rows.map((row, index) => {
+        const errors = [];
+        const user = users.get(Number(row.userid));
+
+        const fields = Object.fromEntries(COST_FIELDS.filter(field => row[field] !== undefined).map(field => [field, row[field]]));
+        const localDate = user && typeof fields.date === 'string' ? parseLocalDate(fields.date, user.timezone || DEFAULT_TIMEZONE) : null;
+        if (localDate && !Number.isNaN(localDate.getTime())) {
+            fields.date = localDate;
+        }
+        const cost = new Cost({
+            ...fields,
+            currency: fields.currency || (user && user.base_currency)
+        });
+
+        const validation = cost.validateSync();
+        if (validation) {
+            errors.push(...Object.values(validation.errors).map(error => error.message));
+        }
+
+        if (row.userid !== undefined && !user) {
+            errors.push('The Specified User Does Not Exist In The Database');
+        } else if (user && !canWrite(user.id)) {
+            errors.push(`You Do Not Have Access To User ${user.id}`);
+        } else if (user && cost.category && !activeCategories.get(user.id).has(cost.category)) {
+            errors.push(`Category '${cost.category}' Is Not An Active Category Of User ${user.id}`);
+        }
+
+        return { row: index + 1, cost, errors };
+    });
+};
+
+/**
+ * Saves the valid prepared rows
+ * With atomic set the insert is all or nothing (a transaction on MongoDB, which needs a
+ * replica set); callers are expected to refuse atomic imports that still contain invalid rows.
+ * Without it, rows the storage rejects while others are saved (e.g. a duplicate key) get the
+ * reason added to their errors, so prepared afterwards describes what really happened
+ *
+ * @async
+ * @param {Repository} repository - Storage to save to
+ * @param {PreparedRow[]} prepared - Rows from prepareCosts
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic=false] - Insert all rows or none
+ * @returns {Promise<Cost[]>} The saved costs
+ */
+const insertCosts = async (repository, prepared, { atomic = false } = {}) => {
+    const costs = prepared.filter(entry => entry.errors.length === 0).map(entry => entry.cost);
+    if (costs.length === 0) {
+        return [];
+    }
+
+    try {
+        return await repository.costs.insertMany(costs, { atomic });
+    } catch (err) {
+        if (!(err instanceof PartialInsertError)) {
+            throw err;
+        }
+        const valid = prepared.filter(entry => entry.errors.length === 0);
+        err.failures.forEach(({ index, message }) => valid[index].errors.push(message));
+        return err.saved;
+    }
+};
+
+/**
+ * Export the cost import helpers
+ * @type {Object}
+ */
+module.exports = {
+    COST_FIELDS,
+    MAX_IMPORT_ROWS,
+    MAX_IMPORT_SIZE,
+    parseMapping,
+    parseCostRows,
+    prepareCosts,
+    insertCosts
+};
@@ -0,0 +1,250 @@
+/**
+ * @typedef {Object} FieldError
+ * @property {string} field - Location of the failing value, e.g. 'body.sum' or 'query.month'
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * Shape of the ISO 8601 dates and date-times the API accepts ('2024-06-01', '2024-06-01T10:30:00Z')
+ * @type {RegExp}
+ */
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Checks of the supported string formats
+ * @type {Object<string, function(string): boolean>}
+ */
+const FORMATS = {
+    'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    'date-time': value => DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+/**
+ * Names of the JSON types, as used in messages
+ * @type {Object<string, string>}
+ */
+const TYPE_NAMES = {
+    string: 'A String',
+    number: 'A Number',
+    integer: 'An Integer',
+    boolean: 'A Boolean',
+    object: 'An Object',
+    array: 'An Array',
+    null: 'Null'
+};
+
+/**
+ * Tells whether a value is of a JSON Schema type
+ *
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} True if it is
+ */
+const isType = (value, type) => {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null': return value === null;
+        default: return true;
+    }
+};
+
+/**
+ * Converts a query or path parameter, which always arrives as text, to the type its schema asks for
+ * Text that does not look like the type is returned unchanged, so it fails the type check
+ *
+ * @param {*} value - Raw parameter value
+ * @param {Object} schema - Resolved schema of the parameter
+ * @returns {*} Converted value
+ */
+const coerce = (value, schema) => {
+    const types = [].concat(schema.type || []);
+    if (typeof value !== 'string' || types.includes('string')) {
+        return value;
+    }
+    if (types.includes('integer') && /^-?\d+$/.test(value)) {
+        return Number(value);
+    }
+    if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+};
+
+/**
+ * Converts the text fields of a flat object, such as a form body, to the types of an object schema
+ * Properties the schema does not describe are kept as they are
+ *
+ * @param {Object} schema - Object schema
+ * @param {Object} value - Object of text fields
+ * @param {Object} [root] - Document that $ref pointers resolve against
+ * @returns {Object} Copy of the object with converted fields
+ */
+const coerceProperties = (schema, value, root = {}) => Object.fromEntries(Object.entries(value).map(([name, item]) => {
+    const property = schema.properties && schema.properties[name];
+    return [name, property ? coerce(item, property.$ref ? resolveRef(root, property.$ref) : property) : item];
+}));
+
+/**
+ * Joins a property name onto a field path
+ *
+ * @param {string} path - Path of the parent
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Path of the child
+ */
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Validates a value against a JSON Schema (the subset used by the OpenAPI document)
+ * Supports $ref into the document's components, type (one or a list), enum, const,
+ * string length, pattern and format, numeric bounds, array items and size, object
+ * properties, required and additionalProperties, and allOf/anyOf.
+ *
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value to check
+ * @param {Object} [options]
+ * @param {string} [options.path=''] - Location of the value, used in the errors
+ * @param {Object} [options.root] - Document that $ref pointers resolve against
+ * @param {boolean} [options.coerce=false] - Convert text to the schema's type first (for parameters)
+ * @returns {FieldError[]} Every problem found; empty if the value is valid
+ */
+const validate = (schema, value, { path = '', root = {}, coerce: shouldCoerce = false } = {}) => {
+    const errors = [];
+
+    const check = (schema, value, path) => {
+        if (schema.$ref) {
+            return check(resolveRef(root, schema.$ref), value, path);
+        }
+
+        const fail = (message) => errors.push({ field: path, message });
+
+        if (shouldCoerce) {
+            value = coerce(value, schema);
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(part => check(part, value, path));
+        }
+
+        if (schema.anyOf) {
+            const matches = schema.anyOf.some(part => validate(part, value, { path, root, coerce: shouldCoerce }).length === 0);
+            if (!matches) {
+                fail(schema['x-error'] || 'Does Not Match Any Allowed Shape');
+            }
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => isType(value, type))) {
+                return fail(`Must Be ${types.map(type => TYPE_NAMES[type]).join(' Or ')}`);
+            }
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            fail(`Must Be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`Must Be One Of: ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'Must Not Be Empty' : `Must Be At Least ${schema.minLength} Characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(`Must Be At Most ${schema.maxLength} Characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                fail(schema['x-error'] || 'Has An Invalid Format');
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+                fail(schema.format === 'date' ? 'Must Be A Date (YYYY-MM-DD)' : 'Must Be A Date (YYYY-MM-DD) Or An ISO 8601 Date-Time');
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`Must Be At Least ${schema.minimum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail(`Must Be Greater Than ${schema.exclusiveMinimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(`Must Be At Most ${schema.maximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`Must Hold At Least ${schema.minItems} Items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(`Must Hold At Most ${schema.maxItems} Items`);
+            }
+            if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+                fail('Must Not Hold Duplicates');
+            }
+            if (schema.items) {
+                value.forEach((item, index) => check(schema.items, item, childPath(path, index)));
+            }
+        }
+
+        if (isType(value, 'object')) {
+            for (const name of schema.required || []) {
+                if (value[name] === undefined) {
+                    errors.push({ field: childPath(path, name), message: 'Is Required' });
+                }
+            }
+            const properties = schema.properties || {};
+            for (const [name, item] of Object.entries(value)) {
+                if (item === undefined) {
+                    continue;
+                }
+                if (properties[name]) {
+                    check(properties[name], item, childPath(path, name));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ field: childPath(path, name), message: 'Is Not An Allowed Field' });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    check(schema.additionalProperties, item, childPath(path, name));
+                }
+            }
+        }
+    };
+
+    check(schema, value, path);
+    return errors;
+};
+
+/**
+ * Looks up a local $ref such as '#/components/schemas/Cost'
+ *
+ * @param {Object} root - Document the pointer refers into
+ * @param {string} ref - JSON pointer
+ * @returns {Object} The referenced schema
+ * @throws {Error} If the pointer does not resolve
+ */
+const resolveRef = (root, ref) => {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+    if (!target) {
+        throw new Error(`Schema Reference '${ref}' Does Not Resolve`);
+    }
+    return target;
+};
+
+/**
+ * Export the JSON Schema helpers
+ * @type {Object}
+ */
+module.exports = {
+    validate,
+    coerceProperties,
+    resolveRef
+};
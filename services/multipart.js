@@ -0,0 +1,88 @@
+const path = require('path');
+
+/**
+ * @typedef {Object} MultipartPart
+ * @property {string} [name] - Form field name
+ * @property {string} [filename] - Original file name, for file fields
+ * @property {string} [contentType] - Content type the client declared for the part
+ * @property {Buffer} data - Part contents
+ */
+
+/**
+ * Splits a buffered multipart/form-data body into its parts
+ * The whole body is expected in memory, so callers must cap its size
+ * (express.raw with a limit) before calling this.
+ *
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header of the request, holding the boundary
+ * @returns {MultipartPart[]} The parts in body order
+ * @throws {Error} If the body is not well-formed multipart data
+ */
+const parseMultipart = (body, contentType) => {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!match || !Buffer.isBuffer(body)) {
+        throw new Error('Request Must Be multipart/form-data With A Boundary');
+    }
+
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const separator = Buffer.concat([Buffer.from('\r\n'), delimiter]);
+    const parts = [];
+
+    let position = body.indexOf(delimiter);
+    if (position === -1) {
+        throw new Error('Multipart Body Holds No Parts');
+    }
+
+    for (;;) {
+        position += delimiter.length;
+        if (body.subarray(position, position + 2).toString() === '--') {
+            break;
+        }
+        if (body.subarray(position, position + 2).toString() === '\r\n') {
+            position += 2;
+        }
+
+        const next = body.indexOf(separator, position);
+        if (next === -1) {
+            throw new Error('Multipart Body Is Incomplete');
+        }
+
+        const part = body.subarray(position, next);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+            throw new Error('Multipart Part Has No Headers');
+        }
+
+        const headers = {};
+        for (const line of part.subarray(0, headerEnd).toString('utf8').split('\r\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        }
+
+        const disposition = headers['content-disposition'] || '';
+        const name = (/\bname="([^"]*)"/i.exec(disposition) || [])[1];
+        const filename = (/\bfilename="([^"]*)"/i.exec(disposition) || [])[1];
+
+        parts.push({
+            name,
+            // Some clients send the full client-side path; only the last segment is kept
+            filename: filename === undefined ? undefined : path.basename(filename.replace(/\\/g, '/')),
+            contentType: headers['content-type'],
+            data: part.subarray(headerEnd + 4)
+        });
+
+        position = next + 2;
+    }
+
+    return parts;
+};
+
+/**
+ * Export the multipart helpers
+ * @type {Object}
+ */
+module.exports = {
+    parseMultipart
+};
@@ -0,0 +1,1418 @@
+const path = require('path');
+const pug = require('pug');
+const User = require('../models/user');
+const CategoryRule = require('../models/categoryRule');
+const RecurringCost = require('../models/recurringCost');
+const { EXPORT_FORMATS } = require('./export');
+const { PERIOD_FORMATS } = require('./report');
+const { MAX_TOP, DEFAULT_TOP, MAX_MONTHS } = require('./analytics');
+const { MAX_IMPORT_ROWS } = require('./import');
+const { MAX_TAGS } = require('./tags');
+const { SPLIT_TYPES } = require('./splits');
+const { STATEMENT_FORMATS, QIF_DATE_FORMATS } = require('./bankImport');
+const { IDEMPOTENCY_HEADER } = require('../middleware/idempotency');
+
+/**
+ * Largest page the paginated list routes return
+ * @type {number}
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Most occurrences GET /api/recurring/:recurringId/upcoming previews
+ * @type {number}
+ */
+const MAX_PREVIEW_COUNT = 50;
+
+/**
+ * Builds a reference to a schema of the document's components
+ *
+ * @param {string} name - Schema name
+ * @returns {{$ref: string}} The reference
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Builds a query parameter
+ * The error title becomes the parameter's x-validation-error: what a failing value is
+ * answered with (see middleware/validate.js). An object can name a separate title for
+ * values that are missing or not of the parameter's type at all.
+ *
+ * @param {string} name - Parameter name
+ * @param {Object} schema - Schema of the value
+ * @param {string} description - What the parameter does
+ * @param {boolean} [required=false] - Whether the parameter must be given
+ * @param {string|{title: string, typeTitle: string}} [error] - Title of the 400 for a failing value (default 'Validation Failed')
+ * @returns {Object} The parameter object
+ */
+const query = (name, schema, description, required = false, error) => ({
+    name,
+    in: 'query',
+    required,
+    description,
+    schema,
+    ...(error ? { 'x-validation-error': typeof error === 'string' ? { title: error } : error } : {})
+});
+
+/**
+ * Builds a path parameter
+ * Ids are plain strings here; the routes answer malformed ids with their own 400 or 404
+ *
+ * @param {string} name - Parameter name, as in the path template
+ * @param {string} description - What the parameter identifies
+ * @returns {Object} The parameter object
+ */
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+
+/**
+ * Builds a required JSON request body
+ *
+ * @param {Object} schema - Schema of the body
+ * @param {string} description - What the body holds
+ * @returns {Object} The request body object
+ */
+const jsonBody = (schema, description) => ({ required: true, description, content: { 'application/json': { schema } } });
+
+/**
+ * Builds a JSON response
+ *
+ * @param {string} description - When the response is sent
+ * @param {Object} schema - Schema of the body
+ * @returns {Object} The response object
+ */
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+/**
+ * Builds a success response in the {message, data} envelope
+ *
+ * @param {string} description - When the response is sent
+ * @param {Object} [data] - Schema of the data field
+ * @param {Object} [extra] - Further properties of the envelope
+ * @returns {Object} The response object
+ */
+const envelope = (description, data = {}, extra = {}) => json(description, {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string' }, data, ...extra }
+});
+
+/**
+ * Builds an error response, sent as {error, message, code} JSON or, when the client
+ * asks for it in the Accept header, as RFC 7807 problem details
+ *
+ * @param {string} description - When the response is sent
+ * @returns {Object} The response object
+ */
+const failure = (description) => ({
+    description,
+    content: {
+        'application/json': { schema: ref('Error') },
+        'application/problem+json': { schema: ref('Problem') }
+    }
+});
+
+/**
+ * Shared error responses, by status code
+ * @type {Object<string, string>}
+ */
+const ERROR_RESPONSES = {
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict',
+    413: 'PayloadTooLarge',
+    415: 'UnsupportedMediaType',
+    422: 'Unprocessable',
+    500: 'ServerError'
+};
+
+/**
+ * Picks shared error responses by status code
+ * 400, 401 and 500 can happen on every authenticated route and are always included
+ *
+ * @param {...number} statuses - Further status codes the route answers with
+ * @returns {Object<string, {$ref: string}>} Response references by status code
+ */
+const errors = (...statuses) => Object.fromEntries([400, 401, ...statuses, 500]
+    .map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }]));
+
+/**
+ * Parameter schema of a user id given in the query string
+ * @type {Object}
+ */
+const USER_ID = { type: 'integer', minimum: 1 };
+
+/**
+ * Parameter schema of the tag filter: comma-separated, or the parameter repeated
+ * @type {Object}
+ */
+const TAG_FILTER = { type: ['string', 'array'], items: { type: 'string' } };
+
+/**
+ * Parameter schema of a 'true'/'false' switch
+ * @type {Object}
+ */
+const FLAG = { type: 'string', enum: ['true', 'false'] };
+
+/**
+ * Parameters selecting a page of a list
+ * @type {Object[]}
+ */
+const PAGE_PARAMETERS = [
+    query('page', { type: 'integer', minimum: 1 }, 'Page number, starting at 1 (default 1)', false, 'Invalid Page'),
+    query('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }, `Page size (default 20, at most ${MAX_PAGE_SIZE})`, false, 'Invalid Limit')
+];
+
+/**
+ * Response content of the routes that can also export as CSV, JSON Lines or HTML
+ *
+ * @param {string} description - When the response is sent
+ * @param {Object} schema - Schema of the JSON response
+ * @returns {Object} The response object
+ */
+const exportable = (description, schema) => ({
+    description,
+    content: {
+        'application/json': { schema },
+        ...Object.fromEntries(Object.values(EXPORT_FORMATS)
+            .filter(type => type !== 'application/json')
+            .map(type => [type, { schema: { type: 'string' } }]))
+    }
+});
+
+/**
+ * OpenAPI 3.1 description of every /api route
+ * Served at GET /api/openapi.json and rendered at GET /api/docs; middleware/validate.js
+ * checks requests against it and logs responses that do not match it.
+ * Paths are relative to the /api server.
+ * @type {Object}
+ */
+const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Cost Manager API',
+        version: '1.0.0',
+        description: 'Track costs per user, with categories, budgets, recurring costs, reports, '
+            + 'shared expense groups and currency conversion. Every route except the public ones needs '
+            + 'a Bearer token or the session cookie set by POST /auth/login. Errors carry a stable '
+            + 'machine-readable code and the request id; send Accept: application/problem+json to get '
+            + 'them as RFC 7807 problem details.'
+    },
+    servers: [{ url: '/api' }],
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    tags: [
+        { name: 'Auth' },
+        { name: 'Costs' },
+        { name: 'Reports' },
+        { name: 'Users' },
+        { name: 'Categories' },
+        { name: 'Budgets' },
+        { name: 'Recurring' },
+        { name: 'Rates' },
+        { name: 'Import' },
+        { name: 'Search' },
+        { name: 'Groups' },
+        { name: 'Audit' },
+        { name: 'Trash' },
+        { name: 'About' }
+    ],
+    paths: {
+        '/auth/login': {
+            post: {
+                tags: ['Auth'],
+                summary: 'Log in with a user id and password',
+                description: 'Returns a Bearer token and sets it as the session cookie.',
+                security: [],
+                'x-validation-error': { status: 401, title: 'Invalid Credentials', message: 'The User ID Or Password Is Incorrect' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['id', 'password'],
+                    properties: { id: { type: 'integer' }, password: { type: 'string' } }
+                }, 'Credentials'),
+                responses: {
+                    200: envelope('Logged in', {
+                        type: 'object',
+                        properties: { token: { type: 'string' }, expiresAt: { type: 'string' }, user: ref('User') }
+                    }),
+                    ...errors(401)
+                }
+            }
+        },
+        '/auth/logout': {
+            post: {
+                tags: ['Auth'],
+                summary: 'Clear the session cookie',
+                security: [],
+                responses: { 200: envelope('Logged out'), ...errors() }
+            }
+        },
+        '/auth/me': {
+            get: {
+                tags: ['Auth'],
+                summary: 'The logged-in user',
+                responses: { 200: envelope('The user', ref('User')), ...errors(404) }
+            }
+        },
+        '/add': {
+            post: {
+                tags: ['Costs'],
+                summary: 'Add a cost item',
+                description: 'The category must be one of the user\'s active categories. A date without an '
+                    + 'offset (2024-06-30 or 2024-06-30T21:15) is taken in the user\'s time zone. A warning is added '
+                    + 'when the cost puts its category over budget. Replayed when sent again with the same '
+                    + 'Idempotency-Key header.',
+                'x-validation-error': {
+                    title: 'Failed To Add Cost Item',
+                    // A missing or malformed userid has always been answered as an unknown user
+                    fields: {
+                        'body.userid': { status: 404, title: 'User Not Found', message: 'The Specified User Does Not Exist In The Database' }
+                    }
+                },
+                requestBody: jsonBody(ref('CostInput'), 'The cost item'),
+                responses: {
+                    201: envelope('Cost item added', ref('Cost'), { warning: ref('BudgetWarning') }),
+                    ...errors(403, 404, 409, 422)
+                }
+            }
+        },
+        '/add/batch': {
+            post: {
+                tags: ['Costs'],
+                summary: 'Add many cost items, all or nothing',
+                description: 'Items are shaped like the body of POST /add. If any item is invalid nothing is '
+                    + 'added and the problems are listed per item (422).',
+                'x-validation-error': { title: 'Invalid Batch' },
+                requestBody: jsonBody({
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: MAX_IMPORT_ROWS,
+                    items: { type: 'object' }
+                }, 'The cost items'),
+                responses: {
+                    201: envelope('Cost items added', { type: 'array', items: ref('Cost') }),
+                    ...errors(409, 413, 415, 422)
+                }
+            }
+        },
+        '/report': {
+            get: {
+                tags: ['Reports'],
+                summary: 'Monthly report, grouped by category',
+                description: 'The month and each cost\'s day and date are in the user\'s time zone; every cost '
+                    + 'also carries its UTC timestamp. Closed months are served from a stored snapshot. With a CSV, '
+                    + 'JSON Lines or HTML format (?format= or the Accept header) the month\'s cost items are exported '
+                    + 'one row each.',
+                parameters: [
+                    query('id', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('year', { type: 'integer', minimum: 1 }, 'Year', true, 'Invalid Year Format'),
+                    query('month', { type: 'integer', minimum: 1, maximum: 12 }, 'Month (1-12)', true, { title: 'Invalid Month', typeTitle: 'Invalid Month Format' }),
+                    query('includeBudget', FLAG, 'Add each category\'s budget status'),
+                    query('convert', FLAG, 'Convert every sum into the user\'s base currency'),
+                    query('format', { type: 'string', enum: Object.keys(EXPORT_FORMATS) }, 'Export format (overrides Accept)', false, 'Invalid Format'),
+                    query('tag', TAG_FILTER, 'Only costs carrying one of these tags')
+                ],
+                responses: { 200: exportable('The report', ref('MonthlyReport')), ...errors(403, 404, 422) }
+            }
+        },
+        '/report/yearly': {
+            get: {
+                tags: ['Reports'],
+                summary: 'Yearly report with a month-by-month breakdown',
+                parameters: [
+                    query('id', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('year', { type: 'integer', minimum: 1 }, 'Year', true, 'Invalid Year Format'),
+                    query('tag', TAG_FILTER, 'Only costs carrying one of these tags')
+                ],
+                responses: { 200: json('The report', ref('PeriodReport')), ...errors(403, 404) }
+            }
+        },
+        '/report/range': {
+            get: {
+                tags: ['Reports'],
+                summary: 'Report for a date range, grouped by day, week or month',
+                parameters: [
+                    query('id', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('from', { type: 'string', format: 'date-time' }, 'First day or instant', true, 'Invalid Date Format'),
+                    query('to', { type: 'string', format: 'date-time' }, 'Last day (inclusive) or instant', true, 'Invalid Date Format'),
+                    query('groupBy', { type: 'string', enum: Object.keys(PERIOD_FORMATS) }, 'Period length (default month)', false, 'Invalid Group By'),
+                    query('tag', TAG_FILTER, 'Only costs carrying one of these tags')
+                ],
+                responses: { 200: json('The report', ref('PeriodReport')), ...errors(403, 404) }
+            }
+        },
+        '/analytics': {
+            get: {
+                tags: ['Reports'],
+                summary: 'Spending trends, averages and changes per month',
+                description: 'Covers the whole months from the month of `from` to the month of `to` in the user\'s time '
+                    + 'zone. Overall and per category: monthly totals, rolling 3 and 12 month averages, month-over-month '
+                    + 'and year-over-year changes in percent (null after an empty month) and the largest costs; each '
+                    + `category also gets its share of the total spending. At most ${MAX_MONTHS} months.`,
+                parameters: [
+                    query('id', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('from', { type: 'string', format: 'date-time' }, 'Day or instant in the first month', true, 'Invalid Date Format'),
+                    query('to', { type: 'string', format: 'date-time' }, 'Day or instant in the last month', true, 'Invalid Date Format'),
+                    query('top', { type: 'integer', minimum: 1, maximum: MAX_TOP }, `How many of the largest costs to list (default ${DEFAULT_TOP})`)
+                ],
+                responses: { 200: envelope('The analytics', ref('SpendingAnalytics')), ...errors(403, 404) }
+            }
+        },
+        '/users': {
+            get: {
+                tags: ['Users'],
+                summary: 'List users (admin only)',
+                parameters: PAGE_PARAMETERS,
+                responses: {
+                    200: envelope('A page of users', { type: 'array', items: ref('User') }, { pagination: ref('Pagination') }),
+                    ...errors(403)
+                }
+            },
+            post: {
+                tags: ['Users'],
+                summary: 'Sign up',
+                security: [],
+                'x-validation-error': { title: 'Failed To Create User' },
+                requestBody: jsonBody(ref('UserInput'), 'The new user'),
+                responses: { 201: envelope('User created', ref('User')), ...errors(409) }
+            }
+        },
+        '/users/{id}': {
+            parameters: [pathParam('id', 'User ID')],
+            get: {
+                tags: ['Users'],
+                summary: 'A user and the total of their costs',
+                parameters: [query('convert', FLAG, 'Convert the total into the user\'s base currency')],
+                responses: { 200: envelope('The user', ref('UserTotal')), ...errors(403, 404, 422) }
+            },
+            patch: {
+                tags: ['Users'],
+                summary: 'Update a user',
+                'x-validation-error': { title: 'Failed To Update User' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        first_name: { type: 'string', minLength: 1 },
+                        last_name: { type: 'string', minLength: 1 },
+                        birthday: { type: 'string', format: 'date-time' },
+                        marital_status: { type: 'string', enum: User.schema.path('marital_status').enumValues },
+                        base_currency: ref('CurrencyCode'),
+                        timezone: ref('Timezone'),
+                        password: { type: 'string' }
+                    }
+                }, 'Fields to change'),
+                responses: { 200: envelope('User updated', ref('User')), ...errors(403, 404) }
+            },
+            delete: {
+                tags: ['Users'],
+                summary: 'Move a user to the trash',
+                parameters: [query('cascade', FLAG, 'Also trash the user\'s costs')],
+                responses: { 200: envelope('User deleted'), ...errors(403, 404, 409) }
+            }
+        },
+        '/costs': {
+            get: {
+                tags: ['Costs'],
+                summary: 'List, filter and export a user\'s cost items',
+                description: 'Pages are linked by an opaque cursor. With a CSV, JSON Lines or HTML format all '
+                    + 'matching cost items are exported.',
+                parameters: [
+                    query('userid', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('category', { type: 'string' }, 'Comma-separated categories'),
+                    query('tag', TAG_FILTER, 'Only costs carrying one of these tags'),
+                    query('from', { type: 'string', format: 'date-time' }, 'First day or instant, in the user\'s time zone without an offset', false, 'Invalid Date Format'),
+                    query('to', { type: 'string', format: 'date-time' }, 'Last day (inclusive) or instant, in the user\'s time zone without an offset', false, 'Invalid Date Format'),
+                    query('minSum', { type: 'number' }, 'Smallest sum', false, 'Invalid Sum Format'),
+                    query('maxSum', { type: 'number' }, 'Largest sum', false, 'Invalid Sum Format'),
+                    query('q', { type: 'string' }, 'Text the description contains'),
+                    query('sort', { type: 'string', enum: ['date', '-date', 'sum', '-sum'] }, 'Sort order (default -date)', false, 'Invalid Sort'),
+                    query('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }, `Page size (default 20, at most ${MAX_PAGE_SIZE})`, false, 'Invalid Limit'),
+                    query('cursor', { type: 'string' }, 'nextCursor of the previous page'),
+                    query('format', { type: 'string', enum: Object.keys(EXPORT_FORMATS) }, 'Export format (overrides Accept)', false, 'Invalid Format')
+                ],
+                responses: {
+                    200: exportable('A page of cost items', {
+                        type: 'object',
+                        required: ['message', 'data'],
+                        properties: {
+                            message: { type: 'string' },
+                            data: { type: 'array', items: ref('Cost') },
+                            pagination: ref('Pagination')
+                        }
+                    }),
+                    ...errors(403)
+                }
+            }
+        },
+        '/costs/{costId}': {
+            parameters: [pathParam('costId', 'Cost item ID')],
+            get: {
+                tags: ['Costs'],
+                summary: 'A cost item',
+                responses: { 200: envelope('The cost item', ref('Cost')), ...errors(403, 404) }
+            },
+            patch: {
+                tags: ['Costs'],
+                summary: 'Update a cost item',
+                'x-validation-error': { title: 'Failed To Update Cost Item' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        description: { type: 'string', minLength: 1 },
+                        category: { type: 'string', minLength: 1 },
+                        userid: { type: 'integer', minimum: 1 },
+                        sum: { type: 'number' },
+                        currency: ref('CurrencyCode'),
+                        date: { type: 'string', format: 'date-time' },
+                        tags: ref('Tags')
+                    }
+                }, 'Fields to change'),
+                responses: { 200: envelope('Cost item updated', ref('Cost')), ...errors(403, 404) }
+            },
+            delete: {
+                tags: ['Costs'],
+                summary: 'Move a cost item to the trash',
+                responses: { 200: envelope('Cost item deleted'), ...errors(403, 404) }
+            }
+        },
+        '/costs/{costId}/attachments': {
+            parameters: [pathParam('costId', 'Cost item ID')],
+            get: {
+                tags: ['Costs'],
+                summary: 'List a cost item\'s attachments',
+                responses: { 200: envelope('The attachments', { type: 'array' }), ...errors(403, 404) }
+            },
+            post: {
+                tags: ['Costs'],
+                summary: 'Upload a receipt',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } } }
+                        }
+                    }
+                },
+                responses: { 201: envelope('Attachment stored'), ...errors(403, 404, 413) }
+            }
+        },
+        '/costs/{costId}/attachments/{attachmentId}': {
+            parameters: [pathParam('costId', 'Cost item ID'), pathParam('attachmentId', 'Attachment ID')],
+            get: {
+                tags: ['Costs'],
+                summary: 'Download an attachment',
+                responses: { 200: { description: 'The file' }, ...errors(403, 404) }
+            },
+            delete: {
+                tags: ['Costs'],
+                summary: 'Delete an attachment',
+                responses: { 200: envelope('Attachment deleted'), ...errors(403, 404) }
+            }
+        },
+        '/categories': {
+            get: {
+                tags: ['Categories'],
+                summary: 'A user\'s categories',
+                parameters: [
+                    query('userid', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('includeArchived', FLAG, 'Also list archived categories')
+                ],
+                responses: { 200: envelope('The categories', { type: 'array' }), ...errors(403, 404) }
+            },
+            post: {
+                tags: ['Categories'],
+                summary: 'Create a category',
+                'x-validation-error': { title: 'Failed To Create Category' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['userid', 'name'],
+                    properties: { userid: { type: 'integer', minimum: 1 }, name: { type: 'string', minLength: 1 } }
+                }, 'The category'),
+                responses: { 201: envelope('Category created'), ...errors(403, 404, 409) }
+            }
+        },
+        '/categories/{categoryId}': {
+            parameters: [pathParam('categoryId', 'Category ID')],
+            patch: {
+                tags: ['Categories'],
+                summary: 'Rename, archive or restore a category',
+                'x-validation-error': { title: 'Failed To Update Category' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: { name: { type: 'string', minLength: 1 }, archived: { type: 'boolean' } }
+                }, 'Fields to change'),
+                responses: { 200: envelope('Category updated'), ...errors(403, 404, 409) }
+            }
+        },
+        '/categories/{categoryId}/merge': {
+            parameters: [pathParam('categoryId', 'ID of the category to merge away')],
+            post: {
+                tags: ['Categories'],
+                summary: 'Move all costs of a category to another one and delete it',
+                'x-validation-error': { title: 'Failed To Merge Categories' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['into'],
+                    properties: { into: { type: 'string' } }
+                }, 'The target category'),
+                responses: { 200: envelope('Categories merged'), ...errors(403, 404) }
+            }
+        },
+        '/category-rules': {
+            get: {
+                tags: ['Categories'],
+                summary: 'A user\'s payee to category rules',
+                parameters: [query('userid', USER_ID, 'User ID', true, 'Invalid User ID')],
+                responses: { 200: envelope('The rules', { type: 'array' }), ...errors(403, 404) }
+            },
+            post: {
+                tags: ['Categories'],
+                summary: 'Create a payee to category rule',
+                'x-validation-error': { title: 'Failed To Create Rule' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['userid', 'pattern', 'category'],
+                    properties: {
+                        userid: { type: 'integer', minimum: 1 },
+                        pattern: { type: 'string', minLength: 1 },
+                        matchType: { type: 'string', enum: CategoryRule.schema.path('matchType').enumValues },
+                        category: { type: 'string', minLength: 1 },
+                        priority: { type: 'integer' }
+                    }
+                }, 'The rule'),
+                responses: { 201: envelope('Rule created'), ...errors(403, 404) }
+            }
+        },
+        '/category-rules/{ruleId}': {
+            parameters: [pathParam('ruleId', 'Rule ID')],
+            patch: {
+                tags: ['Categories'],
+                summary: 'Update a rule',
+                'x-validation-error': { title: 'Failed To Update Rule' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        pattern: { type: 'string', minLength: 1 },
+                        matchType: { type: 'string', enum: CategoryRule.schema.path('matchType').enumValues },
+                        category: { type: 'string', minLength: 1 },
+                        priority: { type: 'integer' }
+                    }
+                }, 'Fields to change'),
+                responses: { 200: envelope('Rule updated'), ...errors(403, 404) }
+            },
+            delete: {
+                tags: ['Categories'],
+                summary: 'Delete a rule',
+                responses: { 200: envelope('Rule deleted'), ...errors(403, 404) }
+            }
+        },
+        '/budgets': {
+            get: {
+                tags: ['Budgets'],
+                summary: 'A user\'s monthly budgets',
+                parameters: [query('userid', USER_ID, 'User ID', true, 'Invalid User ID')],
+                responses: { 200: envelope('The budgets', { type: 'array' }), ...errors(403, 404) }
+            },
+            post: {
+                tags: ['Budgets'],
+                summary: 'Create a monthly budget for a category',
+                'x-validation-error': { title: 'Failed To Create Budget' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['userid', 'category', 'limit'],
+                    properties: {
+                        userid: { type: 'integer', minimum: 1 },
+                        category: { type: 'string', minLength: 1 },
+                        limit: { type: 'number', minimum: 0 },
+                        rollover: { type: 'boolean' },
+                        startDate: { type: 'string', format: 'date-time' }
+                    }
+                }, 'The budget'),
+                responses: { 201: envelope('Budget created'), ...errors(403, 404, 409) }
+            }
+        },
+        '/budgets/{budgetId}': {
+            parameters: [pathParam('budgetId', 'Budget ID')],
+            get: {
+                tags: ['Budgets'],
+                summary: 'A budget',
+                responses: { 200: envelope('The budget'), ...errors(403, 404) }
+            },
+            patch: {
+                tags: ['Budgets'],
+                summary: 'Update a budget',
+                'x-validation-error': { title: 'Failed To Update Budget' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        limit: { type: 'number', minimum: 0 },
+                        rollover: { type: 'boolean' },
+                        startDate: { type: 'string', format: 'date-time' }
+                    }
+                }, 'Fields to change'),
+                responses: { 200: envelope('Budget updated'), ...errors(403, 404) }
+            },
+            delete: {
+                tags: ['Budgets'],
+                summary: 'Delete a budget',
+                responses: { 200: envelope('Budget deleted'), ...errors(403, 404) }
+            }
+        },
+        '/recurring': {
+            get: {
+                tags: ['Recurring'],
+                summary: 'A user\'s recurring costs',
+                parameters: [query('userid', USER_ID, 'User ID', true, 'Invalid User ID')],
+                responses: { 200: envelope('The recurring costs', { type: 'array' }), ...errors(403, 404) }
+            },
+            post: {
+                tags: ['Recurring'],
+                summary: 'Define a recurring cost',
+                'x-validation-error': { title: 'Failed To Create Recurring Cost' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['description', 'category', 'userid', 'sum', 'schedule'],
+                    properties: {
+                        description: { type: 'string', minLength: 1 },
+                        category: { type: 'string', minLength: 1 },
+                        userid: { type: 'integer', minimum: 1 },
+                        sum: { type: 'number' },
+                        schedule: {
+                            type: 'object',
+                            required: ['frequency'],
+                            properties: {
+                                frequency: { type: 'string', enum: RecurringCost.schema.path('schedule.frequency').enumValues },
+                                dayOfMonth: { type: 'integer', minimum: 1, maximum: 31 },
+                                endDate: { type: 'string', format: 'date-time' }
+                            }
+                        },
+                        startDate: { type: 'string', format: 'date-time' }
+                    }
+                }, 'The recurring cost'),
+                responses: { 201: envelope('Recurring cost created'), ...errors(403, 404) }
+            }
+        },
+        '/recurring/{recurringId}': {
+            parameters: [pathParam('recurringId', 'Recurring cost ID')],
+            get: {
+                tags: ['Recurring'],
+                summary: 'A recurring cost',
+                responses: { 200: envelope('The recurring cost'), ...errors(403, 404) }
+            },
+            delete: {
+                tags: ['Recurring'],
+                summary: 'Delete a recurring cost',
+                responses: { 200: envelope('Recurring cost deleted'), ...errors(403, 404) }
+            }
+        },
+        '/recurring/{recurringId}/upcoming': {
+            parameters: [pathParam('recurringId', 'Recurring cost ID')],
+            get: {
+                tags: ['Recurring'],
+                summary: 'Preview the next occurrences',
+                parameters: [query('count', { type: 'integer', minimum: 1, maximum: MAX_PREVIEW_COUNT }, `Number of occurrences (at most ${MAX_PREVIEW_COUNT})`, false, 'Invalid Count')],
+                responses: { 200: envelope('The occurrences', { type: 'array' }), ...errors(403, 404) }
+            }
+        },
+        '/recurring/{recurringId}/skip': {
+            parameters: [pathParam('recurringId', 'Recurring cost ID')],
+            post: {
+                tags: ['Recurring'],
+                summary: 'Skip one occurrence',
+                'x-validation-error': { title: 'Invalid Date Format' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['date'],
+                    properties: { date: { type: 'string', format: 'date-time' } }
+                }, 'Day of the occurrence'),
+                responses: { 200: envelope('Occurrence skipped'), ...errors(403, 404) }
+            }
+        },
+        '/rates': {
+            get: {
+                tags: ['Rates'],
+                summary: 'The exchange rate table',
+                parameters: [
+                    query('from', { type: 'string' }, 'Source currency'),
+                    query('to', { type: 'string' }, 'Target currency')
+                ],
+                responses: { 200: envelope('The rates', { type: 'array' }), ...errors() }
+            },
+            post: {
+                tags: ['Rates'],
+                summary: 'Load exchange rates (admin only)',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        date: { type: 'string' },
+                                        from: { type: 'string' },
+                                        to: { type: 'string' },
+                                        rate: { type: 'number' }
+                                    }
+                                }
+                            }
+                        },
+                        'text/csv': { schema: { type: 'string', description: 'date,from,to,rate header and one rate per line' } }
+                    }
+                },
+                responses: {
+                    201: envelope('Rates loaded', { type: 'object', properties: { count: { type: 'integer' } } }),
+                    ...errors(403)
+                }
+            }
+        },
+        '/import': {
+            post: {
+                tags: ['Import'],
+                summary: 'Import cost items from CSV or a JSON array',
+                description: 'Rows are checked one by one; the result lists the problems of each row. '
+                    + 'The body may be up to 5mb.',
+                parameters: [
+                    query('dryRun', FLAG, 'Only check the rows'),
+                    query('atomic', FLAG, 'Save all rows or none'),
+                    query('mapping', { type: 'string' }, 'Column renames, e.g. "Amount:sum,Note:description"')
+                ],
+                'x-validation-error': { title: 'Invalid Import File' },
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: { type: 'array', maxItems: MAX_IMPORT_ROWS, items: { type: 'object' } }
+                        },
+                        'text/csv': { schema: { type: 'string' } }
+                    }
+                },
+                responses: { 200: envelope('Import checked'), 201: envelope('Cost items imported'), ...errors(413, 415, 422) }
+            }
+        },
+        '/import/bank': {
+            post: {
+                tags: ['Import'],
+                summary: 'Import a bank statement (OFX, QFX or QIF)',
+                parameters: [
+                    query('userid', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('format', { type: 'string', enum: STATEMENT_FORMATS }, 'Statement format (detected by default)', false, 'Invalid Statement Format'),
+                    query('dateFormat', { type: 'string', enum: QIF_DATE_FORMATS }, 'Day order of QIF dates (default mdy)', false, 'Invalid Date Format'),
+                    query('defaultCategory', { type: 'string' }, 'Category of transactions no rule matches'),
+                    query('dryRun', FLAG, 'Only check the transactions')
+                ],
+                requestBody: { required: true, content: { 'text/plain': { schema: { type: 'string' } } } },
+                responses: { 200: envelope('Statement checked'), 201: envelope('Statement imported'), ...errors(403, 404) }
+            }
+        },
+        '/search': {
+            get: {
+                tags: ['Search'],
+                summary: 'Ranked full-text search over cost descriptions',
+                parameters: [
+                    query('userid', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('q', { type: 'string', minLength: 1 }, 'Search words', true, 'Invalid Search Query'),
+                    query('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }, `Most results (at most ${MAX_PAGE_SIZE})`, false, 'Invalid Limit'),
+                    query('tag', TAG_FILTER, 'Only costs carrying one of these tags')
+                ],
+                responses: { 200: envelope('The matches', { type: 'array' }), ...errors(403, 404) }
+            }
+        },
+        '/tags/summary': {
+            get: {
+                tags: ['Search'],
+                summary: 'Totals per tag',
+                parameters: [
+                    query('userid', USER_ID, 'User ID', true, 'Invalid User ID'),
+                    query('from', { type: 'string', format: 'date-time' }, 'First day or instant', false, 'Invalid Date Format'),
+                    query('to', { type: 'string', format: 'date-time' }, 'Last day (inclusive) or instant', false, 'Invalid Date Format')
+                ],
+                responses: { 200: envelope('The summary'), ...errors(403, 404) }
+            }
+        },
+        '/groups': {
+            get: {
+                tags: ['Groups'],
+                summary: 'Groups a user belongs to',
+                parameters: [query('userid', USER_ID, 'User ID', true, 'Invalid User ID')],
+                responses: { 200: envelope('The groups', { type: 'array' }), ...errors(403) }
+            },
+            post: {
+                tags: ['Groups'],
+                summary: 'Create a shared expense group',
+                'x-validation-error': { title: 'Failed To Create Group' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['name', 'members'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        members: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } },
+                        currency: ref('CurrencyCode')
+                    }
+                }, 'The group'),
+                responses: { 201: envelope('Group created'), ...errors(403, 404) }
+            }
+        },
+        '/groups/{groupId}': {
+            parameters: [pathParam('groupId', 'Group ID')],
+            get: {
+                tags: ['Groups'],
+                summary: 'A group',
+                responses: { 200: envelope('The group'), ...errors(403, 404) }
+            },
+            patch: {
+                tags: ['Groups'],
+                summary: 'Rename a group or change its members',
+                'x-validation-error': { title: 'Failed To Update Group' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        members: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } }
+                    }
+                }, 'Fields to change'),
+                responses: { 200: envelope('Group updated'), ...errors(403, 404) }
+            }
+        },
+        '/groups/{groupId}/expenses': {
+            parameters: [pathParam('groupId', 'Group ID')],
+            get: {
+                tags: ['Groups'],
+                summary: 'The group\'s expenses',
+                responses: { 200: envelope('The expenses', { type: 'array' }), ...errors(403, 404) }
+            },
+            post: {
+                tags: ['Groups'],
+                summary: 'Add an expense and split it into the members\' costs',
+                'x-validation-error': { title: 'Failed To Add Group Expense' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['description', 'category', 'sum'],
+                    properties: {
+                        paidBy: { type: 'integer' },
+                        description: { type: 'string', minLength: 1 },
+                        category: { type: 'string', minLength: 1 },
+                        sum: { type: 'number' },
+                        date: { type: 'string', format: 'date-time' },
+                        split: {
+                            type: 'object',
+                            properties: {
+                                type: { type: 'string', enum: SPLIT_TYPES },
+                                members: { type: 'array', items: { type: 'integer' } },
+                                shares: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['userid'],
+                                        properties: {
+                                            userid: { type: 'integer' },
+                                            percentage: { type: 'number', minimum: 0 },
+                                            amount: { type: 'number', minimum: 0 }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }, 'The expense'),
+                responses: { 201: envelope('Expense added'), ...errors(403, 404) }
+            }
+        },
+        '/groups/{groupId}/expenses/{expenseId}': {
+            parameters: [pathParam('groupId', 'Group ID'), pathParam('expenseId', 'Expense ID')],
+            delete: {
+                tags: ['Groups'],
+                summary: 'Delete an expense and move its costs to the trash',
+                responses: { 200: envelope('Expense deleted'), ...errors(403, 404) }
+            }
+        },
+        '/groups/{groupId}/balances': {
+            parameters: [pathParam('groupId', 'Group ID')],
+            get: {
+                tags: ['Groups'],
+                summary: 'What each member owes or is owed, and how to settle up',
+                responses: { 200: envelope('The balances'), ...errors(403, 404) }
+            }
+        },
+        '/groups/{groupId}/settlements': {
+            parameters: [pathParam('groupId', 'Group ID')],
+            get: {
+                tags: ['Groups'],
+                summary: 'Recorded settlements',
+                responses: { 200: envelope('The settlements', { type: 'array' }), ...errors(403, 404) }
+            },
+            post: {
+                tags: ['Groups'],
+                summary: 'Record a payment between two members',
+                description: 'Only the two members involved and the group\'s creator may record it.',
+                'x-validation-error': { title: 'Failed To Record Settlement' },
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['from', 'to', 'amount'],
+                    properties: {
+                        from: { type: 'integer' },
+                        to: { type: 'integer' },
+                        amount: { type: 'number', exclusiveMinimum: 0 },
+                        date: { type: 'string', format: 'date-time' },
+                        note: { type: 'string' }
+                    }
+                }, 'The settlement'),
+                responses: { 201: envelope('Settlement recorded'), ...errors(403, 404) }
+            }
+        },
+        '/audit': {
+            get: {
+                tags: ['Audit'],
+                summary: 'Audit log of changes to users and costs',
+                description: 'Regular users see the entries about themselves and their costs; administrators see all.',
+                parameters: [
+                    query('entity', { type: 'string', enum: ['user', 'cost'] }, 'Only entries about this kind of document', false, 'Invalid Entity'),
+                    query('id', { type: 'string' }, 'Only entries about this document (needs entity)'),
+                    query('from', { type: 'string', format: 'date-time' }, 'First day or instant, in the caller\'s time zone without an offset', false, 'Invalid Date Format'),
+                    query('to', { type: 'string', format: 'date-time' }, 'Last day (inclusive) or instant, in the caller\'s time zone without an offset', false, 'Invalid Date Format'),
+                    ...PAGE_PARAMETERS
+                ],
+                responses: {
+                    200: envelope('A page of entries', { type: 'array' }, { pagination: ref('Pagination') }),
+                    ...errors()
+                }
+            }
+        },
+        '/trash': {
+            get: {
+                tags: ['Trash'],
+                summary: 'Deleted users and cost items that can still be restored',
+                parameters: [query('userid', USER_ID, 'Only items of this user', false, 'Invalid User ID')],
+                responses: { 200: envelope('The trash'), ...errors(403) }
+            }
+        },
+        '/trash/{id}/restore': {
+            parameters: [pathParam('id', 'ID of the deleted user or cost item')],
+            post: {
+                tags: ['Trash'],
+                summary: 'Restore a deleted user or cost item',
+                responses: { 200: envelope('Item restored'), ...errors(403, 404, 409) }
+            }
+        },
+        '/about': {
+            get: {
+                tags: ['About'],
+                summary: 'The development team',
+                security: [],
+                responses: {
+                    200: envelope('The team', {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['first_name', 'last_name'],
+                            properties: { first_name: { type: 'string' }, last_name: { type: 'string' } }
+                        }
+                    })
+                }
+            }
+        },
+        '/openapi.json': {
+            get: {
+                tags: ['About'],
+                summary: 'This document',
+                security: [],
+                responses: { 200: json('The OpenAPI document', { type: 'object' }) }
+            }
+        },
+        '/docs': {
+            get: {
+                tags: ['About'],
+                summary: 'This document as an HTML page',
+                security: [],
+                responses: { 200: { description: 'The page', content: { 'text/html': { schema: { type: 'string' } } } } }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer' },
+            sessionCookie: { type: 'apiKey', in: 'cookie', name: 'session' }
+        },
+        schemas: {
+            CurrencyCode: {
+                type: 'string',
+                pattern: '^[A-Za-z]{3}$',
+                'x-error': 'Must Be A Three-Letter Currency Code',
+                description: 'ISO 4217 code'
+            },
+            Timezone: {
+                type: 'string',
+                minLength: 1,
+                description: 'IANA time zone, e.g. Asia/Jerusalem or America/New_York (default UTC). Dates without '
+                    + 'an offset are read in it, and reports use its days and months.'
+            },
+            Tags: {
+                anyOf: [
+                    { type: 'array', maxItems: MAX_TAGS, items: { type: 'string' } },
+                    { type: 'string' }
+                ],
+                'x-error': `Must Be An Array Of At Most ${MAX_TAGS} Tags Or A Comma-Separated String`
+            },
+            CostInput: {
+                type: 'object',
+                required: ['description', 'category', 'userid', 'sum'],
+                properties: {
+                    description: { type: 'string', minLength: 1 },
+                    category: { type: 'string', minLength: 1 },
+                    userid: { type: 'integer', minimum: 1 },
+                    sum: { type: 'number' },
+                    currency: ref('CurrencyCode'),
+                    date: { type: 'string', format: 'date-time' },
+                    tags: ref('Tags')
+                }
+            },
+            Cost: {
+                type: 'object',
+                required: ['_id', 'description', 'category', 'userid', 'sum', 'date'],
+                properties: {
+                    _id: { type: 'string' },
+                    description: { type: 'string' },
+                    category: { type: 'string' },
+                    userid: { type: 'integer' },
+                    sum: { type: 'number' },
+                    currency: { type: 'string' },
+                    date: { type: 'string', format: 'date-time' },
+                    tags: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            BudgetWarning: {
+                type: 'object',
+                required: ['message', 'category', 'spent', 'limit'],
+                properties: {
+                    message: { type: 'string' },
+                    category: { type: 'string' },
+                    spent: { type: 'number' },
+                    limit: { type: 'number' },
+                    remaining: { type: 'number' },
+                    percentage: { type: ['number', 'null'] }
+                }
+            },
+            UserInput: {
+                type: 'object',
+                required: ['id', 'first_name', 'last_name', 'birthday', 'marital_status', 'password'],
+                properties: {
+                    id: { type: 'integer', minimum: 1 },
+                    first_name: { type: 'string', minLength: 1 },
+                    last_name: { type: 'string', minLength: 1 },
+                    birthday: { type: 'string', format: 'date-time' },
+                    marital_status: { type: 'string', enum: User.schema.path('marital_status').enumValues },
+                    base_currency: ref('CurrencyCode'),
+                    timezone: ref('Timezone'),
+                    password: { type: 'string' }
+                }
+            },
+            User: {
+                type: 'object',
+                required: ['id', 'first_name', 'last_name'],
+                properties: {
+                    id: { type: 'integer' },
+                    first_name: { type: 'string' },
+                    last_name: { type: 'string' },
+                    birthday: { type: 'string', format: 'date-time' },
+                    marital_status: { type: 'string' },
+                    base_currency: { type: 'string' },
+                    timezone: { type: 'string' },
+                    role: { type: 'string', enum: ['user', 'admin'] }
+                }
+            },
+            UserTotal: {
+                type: 'object',
+                required: ['id', 'first_name', 'last_name', 'total'],
+                properties: {
+                    id: { type: 'integer' },
+                    first_name: { type: 'string' },
+                    last_name: { type: 'string' },
+                    total: { type: 'number' },
+                    currency: { type: 'string' }
+                }
+            },
+            MonthlyReport: {
+                type: 'object',
+                required: ['userid', 'year', 'month', 'timezone', 'costs'],
+                properties: {
+                    userid: { type: 'integer' },
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    timezone: { type: 'string', description: 'Time zone of the user; the month, days and dates are in it' },
+                    costs: {
+                        type: 'array',
+                        description: 'One entry per category, e.g. {"food": [{"sum": 12, "description": "Lunch", "day": 3, '
+                            + '"date": "2024-06-03", "timestamp": "2024-06-02T21:30:00.000Z"}]}',
+                        items: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['sum', 'description', 'day', 'date', 'timestamp'],
+                                    properties: {
+                                        sum: { type: 'number' },
+                                        description: { type: 'string' },
+                                        day: { type: 'integer', description: 'Day of the month in the user\'s time zone' },
+                                        date: { type: 'string', format: 'date', description: 'Date in the user\'s time zone' },
+                                        timestamp: { type: 'string', format: 'date-time', description: 'UTC instant of the cost' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    budget: { type: 'array' }
+                }
+            },
+            PeriodReport: {
+                type: 'object',
+                required: ['userid', 'groupBy', 'categories', 'periods', 'total', 'count'],
+                properties: {
+                    userid: { type: 'integer' },
+                    year: { type: 'integer' },
+                    from: { type: 'string', format: 'date-time' },
+                    to: { type: 'string', format: 'date-time' },
+                    groupBy: { type: 'string', enum: Object.keys(PERIOD_FORMATS) },
+                    timezone: { type: 'string', description: 'Time zone of the user; days, weeks and months are in it' },
+                    categories: { type: 'array' },
+                    periods: { type: 'array' },
+                    total: { type: 'number' },
+                    count: { type: 'integer' }
+                }
+            },
+            AnalyticsMonth: {
+                type: 'object',
+                required: ['month', 'total', 'count', 'average3', 'average12', 'monthOverMonth', 'yearOverYear'],
+                properties: {
+                    month: { type: 'string', description: 'YYYY-MM in the user\'s time zone' },
+                    total: { type: 'number' },
+                    count: { type: 'integer' },
+                    average3: { type: 'number', description: 'Average monthly total of this and the 2 months before' },
+                    average12: { type: 'number', description: 'Average monthly total of this and the 11 months before' },
+                    monthOverMonth: { type: ['number', 'null'], description: 'Change against the month before, in percent' },
+                    yearOverYear: { type: ['number', 'null'], description: 'Change against the same month a year before, in percent' }
+                }
+            },
+            AnalyticsCost: {
+                type: 'object',
+                required: ['_id', 'description', 'category', 'sum', 'date', 'timestamp'],
+                properties: {
+                    _id: { type: 'string' },
+                    description: { type: 'string' },
+                    category: { type: 'string' },
+                    sum: { type: 'number' },
+                    currency: ref('CurrencyCode'),
+                    date: { type: 'string', format: 'date', description: 'Calendar date in the user\'s time zone' },
+                    timestamp: { type: 'string', format: 'date-time', description: 'UTC instant of the cost' }
+                }
+            },
+            SpendingAnalytics: {
+                type: 'object',
+                required: ['userid', 'from', 'to', 'timezone', 'months', 'overall', 'categories'],
+                properties: {
+                    userid: { type: 'integer' },
+                    from: { type: 'string', format: 'date-time', description: 'Start of the first month' },
+                    to: { type: 'string', format: 'date-time', description: 'End of the last month' },
+                    timezone: { type: 'string', description: 'Time zone of the user; the months are in it' },
+                    months: { type: 'array', items: { type: 'string' } },
+                    overall: {
+                        type: 'object',
+                        required: ['total', 'count', 'monthly', 'top'],
+                        properties: {
+                            total: { type: 'number' },
+                            count: { type: 'integer' },
+                            monthly: { type: 'array', items: ref('AnalyticsMonth') },
+                            top: { type: 'array', items: ref('AnalyticsCost') }
+                        }
+                    },
+                    categories: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['category', 'total', 'count', 'share', 'monthly', 'top'],
+                            properties: {
+                                category: { type: 'string' },
+                                total: { type: 'number' },
+                                count: { type: 'integer' },
+                                share: { type: ['number', 'null'], description: 'Part of the overall total, in percent' },
+                                monthly: { type: 'array', items: ref('AnalyticsMonth') },
+                                top: { type: 'array', items: ref('AnalyticsCost') }
+                            }
+                        }
+                    }
+                }
+            },
+            Pagination: {
+                type: 'object',
+                properties: {
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    total: { type: 'integer' },
+                    nextCursor: { type: ['string', 'null'] }
+                }
+            },
+            FieldError: {
+                type: 'object',
+                required: ['field', 'message'],
+                properties: { field: { type: 'string' }, message: { type: 'string' } }
+            },
+            Error: {
+                type: 'object',
+                required: ['error', 'message'],
+                properties: {
+                    error: { type: 'string', description: 'Short title, e.g. "User Not Found"' },
+                    message: { type: 'string' },
+                    code: { type: 'string', description: 'Machine-readable code, e.g. USER_NOT_FOUND or VALIDATION_FAILED' },
+                    requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+                    errors: { type: 'array', description: 'Per-field (VALIDATION_FAILED) or per-item problems' }
+                }
+            },
+            Problem: {
+                type: 'object',
+                required: ['type', 'title', 'status', 'error', 'message', 'code'],
+                properties: {
+                    type: { type: 'string', description: 'urn:cost-manager:error: followed by the code in kebab case' },
+                    title: { type: 'string' },
+                    status: { type: 'integer' },
+                    detail: { type: 'string' },
+                    instance: { type: 'string' },
+                    error: { type: 'string' },
+                    message: { type: 'string' },
+                    code: { type: 'string' },
+                    requestId: { type: 'string' },
+                    errors: { type: 'array' }
+                }
+            }
+        },
+        responses: {
+            BadRequest: failure('The request is invalid; VALIDATION_FAILED errors list every failing field'),
+            Unauthorized: failure('No valid token or session cookie'),
+            Forbidden: failure('The caller may not touch this user or route'),
+            NotFound: failure('The user or document does not exist'),
+            Conflict: failure('The document already exists, or a retried request is still running'),
+            PayloadTooLarge: failure('The request body or upload is larger than allowed'),
+            UnsupportedMediaType: failure('The body was sent as a form, but the route only takes JSON'),
+            Unprocessable: failure('The request cannot be carried out as asked, or its Idempotency-Key was used for a different request'),
+            ServerError: failure('Unexpected failure')
+        }
+    }
+};
+
+/**
+ * Declares the Idempotency-Key header on every operation that honors it, with the 409 a
+ * retry gets while the first request still runs and the 422 a reused key gets
+ * The middleware (middleware/idempotency.js) covers writes outside /auth whose body, if
+ * any, is JSON; uploads and bank statements ignore the header
+ *
+ * @param {Object} paths - Path items of the document, changed in place
+ * @returns {void}
+ */
+const declareIdempotency = (paths) => {
+    for (const [template, item] of Object.entries(paths)) {
+        for (const method of ['post', 'put', 'patch', 'delete'].filter(method => item[method])) {
+            const operation = item[method];
+            if (template.startsWith('/auth/') || (operation.requestBody && !operation.requestBody.content['application/json'])) {
+                continue;
+            }
+            operation.parameters = [...(operation.parameters || []), {
+                name: IDEMPOTENCY_HEADER,
+                in: 'header',
+                required: false,
+                description: 'Makes the request safe to retry: a retry with the same key gets the first response back',
+                schema: { type: 'string', minLength: 1, maxLength: 255 }
+            }];
+            operation.responses = { ...operation.responses, ...errors(409, 422) };
+        }
+    }
+};
+
+declareIdempotency(document.paths);
+
+/**
+ * Compiled pug template of the API reference page
+ * Compiled directly rather than through res.render, so the page works in any app the API router is mounted in
+ * @type {function(Object): string}
+ */
+const renderDocsPage = pug.compileFile(path.join(__dirname, '..', 'views', 'api-docs.pug'));
+
+/**
+ * Describes a schema in a few words, e.g. 'integer, 1 to 12' or 'one of: day, week, month'
+ *
+ * @param {Object} schema - Parameter schema
+ * @returns {string} The description
+ */
+const describeSchema = (schema) => {
+    if (schema.enum) {
+        return `one of: ${schema.enum.join(', ')}`;
+    }
+    const parts = [[].concat(schema.type || 'any').join(' or ')];
+    if (schema.format) {
+        parts.push(schema.format);
+    }
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        parts.push(`${schema.minimum} to ${schema.maximum}`);
+    } else if (schema.minimum !== undefined) {
+        parts.push(`at least ${schema.minimum}`);
+    }
+    return parts.join(', ');
+};
+
+/**
+ * Renders the document as a self-contained HTML reference, one section per tag
+ *
+ * @returns {string} The HTML page
+ */
+const renderDocs = () => {
+    const sections = document.tags.map(({ name }) => ({ name, operations: [] }));
+    for (const [template, item] of Object.entries(document.paths)) {
+        for (const method of ['get', 'post', 'put', 'patch', 'delete'].filter(method => item[method])) {
+            const operation = item[method];
+            const section = sections.find(entry => entry.name === operation.tags[0]);
+            section.operations.push({
+                method: method.toUpperCase(),
+                path: `/api${template}`,
+                summary: operation.summary,
+                description: operation.description,
+                isPublic: Array.isArray(operation.security) && operation.security.length === 0,
+                parameters: [...(item.parameters || []), ...(operation.parameters || [])].map(parameter => ({
+                    name: parameter.name,
+                    in: parameter.in,
+                    required: parameter.required,
+                    type: describeSchema(parameter.schema),
+                    description: parameter.description
+                })),
+                body: operation.requestBody && Object.entries(operation.requestBody.content).map(([type, { schema }]) => ({
+                    type,
+                    schema: JSON.stringify(schema, null, 2)
+                })),
+                responses: Object.entries(operation.responses).map(([status, response]) => ({
+                    status,
+                    description: response.$ref
+                        ? document.components.responses[response.$ref.split('/').pop()].description
+                        : response.description
+                }))
+            });
+        }
+    }
+
+    return renderDocsPage({
+        title: document.info.title,
+        version: document.info.version,
+        description: document.info.description,
+        sections: sections.filter(section => section.operations.length > 0),
+        schemas: Object.entries(document.components.schemas).map(([name, schema]) => ({
+            name,
+            schema: JSON.stringify(schema, null, 2)
+        }))
+    });
+};
+
+/**
+ * Export the OpenAPI document and its HTML rendering
+ * @type {Object}
+ */
+module.exports = {
+    document,
+    renderDocs
+};
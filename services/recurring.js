@@ -0,0 +1,193 @@
+/**
+ * Milliseconds in one day
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns a date at UTC midnight, clamping the day to the length of the month
+ *
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Zero-based month, may overflow into following years
+ * @param {number} day - Wanted day of the month
+ * @returns {Date} The date
+ */
+const clampedDate = (year, monthIndex, day) => {
+    const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, monthIndex, Math.min(day, daysInMonth)));
+};
+
+/**
+ * Computes the n-th occurrence (zero-based) of a recurring cost
+ *
+ * @param {RecurringCost} definition - Recurring cost definition
+ * @param {number} n - Occurrence index
+ * @returns {Date} Date of the occurrence at UTC midnight
+ */
+const occurrenceAt = (definition, n) => {
+    const start = new Date(definition.startDate);
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+    const day = definition.schedule.dayOfMonth || start.getUTCDate();
+
+    switch (definition.schedule.frequency) {
+        case 'daily':
+            return new Date(Date.UTC(year, month, start.getUTCDate() + n));
+        case 'weekly':
+            return new Date(Date.UTC(year, month, start.getUTCDate() + 7 * n));
+        case 'monthly':
+            return clampedDate(year, month + n, day);
+        case 'yearly':
+            return clampedDate(year + n, month, day);
+        default:
+            throw new Error(`Unknown Frequency: ${definition.schedule.frequency}`);
+    }
+};
+
+/**
+ * Estimates an occurrence index at or before the first occurrence on or after a date,
+ * so long-running schedules do not have to be walked from their start
+ *
+ * @param {RecurringCost} definition - Recurring cost definition
+ * @param {Date} from - Lower bound
+ * @returns {number} Occurrence index to start scanning at
+ */
+const firstIndexNear = (definition, from) => {
+    const start = new Date(definition.startDate);
+    const elapsed = from.getTime() - start.getTime();
+    if (elapsed <= 0) {
+        return 0;
+    }
+
+    const months = (from.getUTCFullYear() - start.getUTCFullYear()) * 12 + (from.getUTCMonth() - start.getUTCMonth());
+
+    switch (definition.schedule.frequency) {
+        case 'daily':
+            return Math.max(0, Math.floor(elapsed / DAY_MS) - 1);
+        case 'weekly':
+            return Math.max(0, Math.floor(elapsed / (7 * DAY_MS)) - 1);
+        case 'monthly':
+            return Math.max(0, months - 1);
+        default:
+            return Math.max(0, Math.floor(months / 12) - 1);
+    }
+};
+
+/**
+ * Lists the occurrences of a recurring cost within a time window
+ * Occurrences before the start date's day or after the schedule's end date are never returned
+ *
+ * @param {RecurringCost} definition - Recurring cost definition
+ * @param {Date} from - Lower bound, inclusive
+ * @param {Date} to - Upper bound, inclusive
+ * @param {number} [max=Infinity] - Stop after this many occurrences
+ * @returns {Date[]} Occurrence dates in ascending order
+ */
+const getOccurrences = (definition, from, to, max = Infinity) => {
+    const start = new Date(definition.startDate);
+    const startDay = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+    const endDate = definition.schedule.endDate ? new Date(definition.schedule.endDate) : null;
+    const occurrences = [];
+
+    for (let n = firstIndexNear(definition, from); occurrences.length < max; n++) {
+        const occurrence = occurrenceAt(definition, n);
+        if (occurrence > to || (endDate && occurrence > endDate)) {
+            break;
+        }
+        if (occurrence >= from && occurrence.getTime() >= startDay) {
+            occurrences.push(occurrence);
+        }
+    }
+
+    return occurrences;
+};
+
+/**
+ * Tells whether an occurrence of a definition was skipped
+ *
+ * @param {RecurringCost} definition - Recurring cost definition
+ * @param {Date} occurrence - Occurrence date
+ * @returns {boolean} True if the occurrence is in skippedDates
+ */
+const isSkipped = (definition, occurrence) =>
+    definition.skippedDates.some(date => new Date(date).getTime() === occurrence.getTime());
+
+/**
+ * Creates the costs of every occurrence that has come due
+ * Each created cost carries its recurringId and occurrence date, and a unique index
+ * on that pair turns a second insert of the same occurrence into a no-op, so running
+ * this again after a restart, or from two processes, never creates duplicates.
+ * Definitions of users in the trash are left alone until the user is restored.
+ *
+ * @async
+ * @param {Repository} repository - Storage to read the definitions from and save the costs to
+ * @param {Date} [now=new Date()] - Occurrences up to this instant are due
+ * @returns {Promise<number>} Number of costs created
+ */
+const materializeDueCosts = async (repository, now = new Date()) => {
+    const definitions = await repository.recurring.findDue(now);
+
+    let created = 0;
+
+    for (const definition of definitions) {
+        const from = definition.materializedUntil
+            ? new Date(definition.materializedUntil.getTime() + 1)
+            : new Date(definition.startDate);
+
+        for (const occurrence of getOccurrences(definition, from, now)) {
+            if (isSkipped(definition, occurrence)) {
+                continue;
+            }
+            try {
+                await repository.costs.create({
+                    description: definition.description,
+                    category: definition.category,
+                    userid: definition.userid,
+                    sum: definition.sum,
+                    date: occurrence,
+                    recurringId: definition._id,
+                    occurrence
+                });
+                created++;
+            } catch (err) {
+                if (err.code !== 11000) {
+                    throw err;
+                }
+            }
+        }
+
+        await repository.recurring.update(definition._id, { materializedUntil: now });
+    }
+
+    return created;
+};
+
+/**
+ * Starts the in-process scheduler that materializes recurring costs
+ * Runs once right away and then on every interval; the timer does not keep the process alive.
+ *
+ * @param {Repository} repository - Storage to read the definitions from and save the costs to
+ * @param {number} intervalMs - Milliseconds between runs
+ * @returns {NodeJS.Timeout} The interval handle, for clearInterval
+ */
+const startRecurringScheduler = (repository, intervalMs) => {
+    const run = () => materializeDueCosts(repository).catch(err => {
+        console.error('Recurring Cost Scheduler Error:', err);
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+/**
+ * Export the recurring cost helpers
+ * @type {Object}
+ */
+module.exports = {
+    getOccurrences,
+    isSkipped,
+    materializeDueCosts,
+    startRecurringScheduler
+};
@@ -0,0 +1,354 @@
+const { createConverter } = require('./currency');
+const { DEFAULT_TIMEZONE, toWallClock, fromWallClock, toLocalDate, parseLocalDate } = require('./timezone');
+
+/**
+ * @typedef {Object} MonthlyReport
+ * @property {number} userid - ID of the user
+ * @property {number} year - Year of the report
+ * @property {number} month - Month of the report (1-12)
+ * @property {string} timezone - IANA time zone the month, days and dates are in
+ * @property {Array<Object<string, Array<{sum: number, description: string, day: number, date: string, timestamp: string}>>>} costs - One entry per category;
+ *   day and date (YYYY-MM-DD) are the cost's calendar date in the time zone, timestamp its UTC instant
+ */
+
+/**
+ * @typedef {Object} PeriodReport
+ * @property {number} userid - ID of the user
+ * @property {Date} from - First instant covered
+ * @property {Date} to - Last instant covered
+ * @property {string} groupBy - Period length ('day', 'week' or 'month')
+ * @property {string} timezone - IANA time zone the periods are in
+ * @property {Array<{category: string, total: number, count: number}>} categories - Totals per category
+ * @property {Array<{period: string, total: number, count: number, categories: Object<string, number>}>} periods - Totals per period, including empty ones
+ * @property {number} total - Grand total
+ * @property {number} count - Number of cost items
+ */
+
+/**
+ * MongoDB $dateToString formats naming each supported period
+ * Weeks are ISO weeks ('2024-W23')
+ * @type {Object<string, string>}
+ */
+const PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m'
+};
+
+/**
+ * Most periods a single period report may contain
+ * @type {number}
+ */
+const MAX_PERIODS = 1000;
+
+/**
+ * Returns the boundaries of a calendar month in a time zone
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone
+ * @returns {{startDate: Date, endDate: Date}} First and last instant of the month
+ */
+const getMonthRange = (year, month, timezone = DEFAULT_TIMEZONE) => ({
+    startDate: fromWallClock(timezone, year, month, 1),
+    endDate: new Date(fromWallClock(timezone, year, month + 1, 1).getTime() - 1)
+});
+
+/**
+ * Tells whether a month is already over, i.e. no cost dated "now" can fall into it
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {Date} [now=new Date()] - Reference instant
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone
+ * @returns {boolean} True if the month ended before the reference instant
+ */
+const isClosedMonth = (year, month, now = new Date(), timezone = DEFAULT_TIMEZONE) =>
+    getMonthRange(year, month, timezone).endDate.getTime() < now.getTime();
+
+/**
+ * Computes a monthly report from the user's costs
+ * Lists every active category of the user, even without costs, plus any archived
+ * category that still has costs in the month
+ * The month and each cost's day are taken in the given time zone
+ * When a currency is given every sum is converted into it with the rate of the cost's
+ * date, and the original amount is kept next to it
+ *
+ * @async
+ * @param {Repository} repository - Storage to read from
+ * @param {number} userid - ID of the user
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Convert sums into this currency
+ * @param {string} [options.baseCurrency] - Currency of costs that have none
+ * @param {string[]} [options.tags] - Only list costs carrying one of these tags
+ * @param {string} [options.timezone=DEFAULT_TIMEZONE] - IANA time zone of the user
+ * @returns {Promise<MonthlyReport>} The report body
+ * @throws {MissingRateError} If a conversion rate is missing
+ */
+const buildMonthlyReport = async (repository, userid, year, month, { currency, baseCurrency, tags, timezone = DEFAULT_TIMEZONE } = {}) => {
+    const { startDate, endDate } = getMonthRange(year, month, timezone);
+
+    const costs = await repository.costs.find({ userid, from: startDate, to: endDate, tags });
+
+    const categories = (await repository.categories.findForUser(userid, { includeArchived: true }))
+        .filter(category => !category.archived || costs.some(cost => cost.category === category.name))
+        .map(category => category.name);
+
+    const convert = currency ? createConverter(repository, currency) : null;
+    const toItem = async (cost) => {
+        const date = toLocalDate(cost.date, timezone);
+        const item = {
+            sum: cost.sum,
+            description: cost.description,
+            day: Number(date.slice(8)),
+            date,
+            timestamp: new Date(cost.date).toISOString()
+        };
+        if (convert) {
+            const original = { sum: cost.sum, currency: cost.currency || baseCurrency };
+            item.sum = await convert(original.sum, original.currency, cost.date);
+            item.currency = currency;
+            item.original = original;
+        }
+        return item;
+    };
+
+    return {
+        userid,
+        year,
+        month,
+        timezone,
+        costs: await Promise.all(categories.map(async category => ({
+            [category]: await Promise.all(costs
+                .filter(cost => cost.category === category)
+                .map(toItem))
+        })))
+    };
+};
+
+/**
+ * Returns the monthly report for a user
+ * Closed months are served from a stored snapshot, which is created on first request;
+ * the current and future months are always computed live.
+ * Snapshots are dropped whenever a cost in that month changes (by the Cost model hooks on MongoDB).
+ * Converted and tag-filtered reports are always computed live, since snapshots hold the
+ * original amounts of all costs only. A snapshot taken in another time zone (the user
+ * has changed theirs since) is computed again and replaced.
+ *
+ * @async
+ * @param {Repository} repository - Storage to read from
+ * @param {number} userid - ID of the user
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {Object} [options] - Conversion, tag and time zone options, see buildMonthlyReport
+ * @returns {Promise<MonthlyReport>} The report body
+ */
+const getMonthlyReport = async (repository, userid, year, month, options = {}) => {
+    const timezone = options.timezone || DEFAULT_TIMEZONE;
+    if (options.currency || (options.tags && options.tags.length > 0) || !isClosedMonth(year, month, new Date(), timezone)) {
+        return buildMonthlyReport(repository, userid, year, month, options);
+    }
+
+    const snapshot = await repository.reports.findSnapshot(userid, year, month);
+    if (snapshot && snapshot.timezone === timezone) {
+        return {
+            userid: snapshot.userid,
+            year: snapshot.year,
+            month: snapshot.month,
+            timezone: snapshot.timezone,
+            costs: snapshot.costs
+        };
+    }
+
+    const report = await buildMonthlyReport(repository, userid, year, month, { timezone });
+    await repository.reports.saveSnapshot(report);
+
+    return report;
+};
+
+/**
+ * Returns the key of the period a date falls into, matching PERIOD_FORMATS
+ *
+ * @param {Date} date - Date
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone the periods are in
+ * @returns {string} Period key
+ */
+const getPeriodKey = (date, groupBy, timezone = DEFAULT_TIMEZONE) => {
+    const local = toWallClock(date, timezone);
+
+    if (groupBy === 'day') {
+        return local.toISOString().slice(0, 10);
+    }
+    if (groupBy === 'month') {
+        return local.toISOString().slice(0, 7);
+    }
+
+    // ISO week: the week belongs to the year of its Thursday
+    const thursday = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday.getTime() - yearStart) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Lists every period key between two dates, in order
+ *
+ * @param {Date} startDate - First instant
+ * @param {Date} endDate - Last instant
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone the periods are in
+ * @returns {string[]|null} Period keys, or null if there would be more than MAX_PERIODS
+ */
+const listPeriods = (startDate, endDate, groupBy, timezone = DEFAULT_TIMEZONE) => {
+    const keys = [];
+    // Walk the calendar as the time zone's clocks show it
+    const start = toWallClock(startDate, timezone);
+    const end = toWallClock(endDate, timezone);
+    const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), groupBy === 'month' ? 1 : start.getUTCDate()));
+
+    while (cursor <= end) {
+        // The cursor already holds wall-clock fields, so it is read as UTC
+        const key = getPeriodKey(cursor, groupBy);
+        if (keys[keys.length - 1] !== key) {
+            if (keys.length === MAX_PERIODS) {
+                return null;
+            }
+            keys.push(key);
+        }
+        if (groupBy === 'month') {
+            cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+        } else {
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        }
+    }
+
+    return keys;
+};
+
+/**
+ * Computes per-category, per-period and grand totals for a date range
+ * The summing is left to the repository (a MongoDB aggregation); only the totals are loaded
+ * Days, weeks and months are those of the given time zone
+ *
+ * @async
+ * @param {Repository} repository - Storage to read from
+ * @param {number} userid - ID of the user
+ * @param {Date} startDate - First instant, inclusive
+ * @param {Date} endDate - Last instant, inclusive
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @param {Object} [options]
+ * @param {string[]} [options.tags] - Only count costs carrying one of these tags
+ * @param {string} [options.timezone=DEFAULT_TIMEZONE] - IANA time zone of the user
+ * @returns {Promise<PeriodReport|null>} The report, or null if the range has more than MAX_PERIODS periods
+ */
+const buildPeriodReport = async (repository, userid, startDate, endDate, groupBy, { tags, timezone = DEFAULT_TIMEZONE } = {}) => {
+    const periods = listPeriods(startDate, endDate, groupBy, timezone);
+    if (!periods) {
+        return null;
+    }
+
+    const query = { userid, from: startDate, to: endDate, tags, timezone };
+    const [byCategory, byPeriod, [overall]] = await Promise.all([
+        repository.costs.totals(query, ['category']),
+        repository.costs.totals(query, [groupBy, 'category']),
+        repository.costs.totals(query, [])
+    ]);
+
+    const categories = (await repository.categories.findForUser(userid, { includeArchived: true }))
+        .filter(category => !category.archived || byCategory.some(entry => entry.key.category === category.name))
+        .map(category => category.name);
+
+    const categoryTotals = categories.map(category => {
+        const entry = byCategory.find(item => item.key.category === category);
+        return { category, total: entry ? entry.total : 0, count: entry ? entry.count : 0 };
+    });
+
+    const periodTotals = periods.map(period => {
+        const entries = byPeriod.filter(item => item.key[groupBy] === period);
+        return {
+            period,
+            total: entries.reduce((sum, item) => sum + item.total, 0),
+            count: entries.reduce((sum, item) => sum + item.count, 0),
+            categories: Object.fromEntries(categories.map(category => {
+                const entry = entries.find(item => item.key.category === category);
+                return [category, entry ? entry.total : 0];
+            }))
+        };
+    });
+
+    return {
+        userid,
+        from: startDate,
+        to: endDate,
+        groupBy,
+        timezone,
+        categories: categoryTotals,
+        periods: periodTotals,
+        total: overall ? overall.total : 0,
+        count: overall ? overall.count : 0
+    };
+};
+
+/**
+ * Totals spending per tag for a date range
+ * A cost with several tags counts towards each of them, so the tag totals can add up
+ * to more than the overall total; costs without tags are totaled separately.
+ *
+ * @async
+ * @param {Repository} repository - Storage to read costs from
+ * @param {number} userid - ID of the user
+ * @param {Date} startDate - First instant, inclusive
+ * @param {Date} endDate - Last instant, inclusive
+ * @returns {Promise<{userid: number, from: Date, to: Date, tags: Array<{tag: string, total: number, count: number}>, untagged: {total: number, count: number}, total: number, count: number}>} Totals, biggest tag first
+ */
+const buildTagSummary = async (repository, userid, startDate, endDate) => ({
+    userid,
+    from: startDate,
+    to: endDate,
+    ...(await repository.costs.tagTotals({ userid, from: startDate, to: endDate }))
+});
+
+/**
+ * Parses a range boundary from a query parameter
+ * A plain date covers the whole day, so an end boundary is moved to the day's last instant.
+ * Dates and times without an offset are read in the given time zone (see parseLocalDate).
+ *
+ * @param {string} value - Raw query value
+ * @param {boolean} isEnd - Whether this is the end of the range
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone
+ * @returns {Date|null} The instant, or null if missing or invalid
+ */
+const parseBoundary = (value, isEnd, timezone = DEFAULT_TIMEZONE) => {
+    if (!value) {
+        return null;
+    }
+    const date = parseLocalDate(value, timezone);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(fromWallClock(timezone, year, month, day + 1).getTime() - 1);
+    }
+    return date;
+};
+
+/**
+ * Export the report helpers
+ * @type {Object}
+ */
+module.exports = {
+    PERIOD_FORMATS,
+    getMonthRange,
+    isClosedMonth,
+    buildMonthlyReport,
+    getMonthlyReport,
+    getPeriodKey,
+    buildPeriodReport,
+    buildTagSummary,
+    parseBoundary
+};
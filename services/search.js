@@ -0,0 +1,109 @@
+/**
+ * Longest snippet returned per match, in characters of the description
+ * @type {number}
+ */
+const SNIPPET_LENGTH = 120;
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {mongoose.Types.ObjectId} _id - ID of the cost item
+ * @property {string} description - Full description
+ * @property {string} category - Category of the cost
+ * @property {number} sum - Sum of the cost
+ * @property {string} [currency] - Currency of the sum
+ * @property {Date} date - Date of the cost
+ * @property {string[]} [tags] - Tags of the cost
+ * @property {number} score - Text score; higher is a better match
+ * @property {string} snippet - HTML-escaped excerpt with the matched words wrapped in <mark>
+ */
+
+/**
+ * Escapes text for use inside HTML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Builds a pattern matching the words of a text search query
+ * MongoDB stems search terms, so 'dinners' also finds 'dinner'; the pattern mimics
+ * that by matching any word starting with a term stripped of a common suffix.
+ * Negated terms (-word) are left out.
+ *
+ * @param {string} query - Text search query
+ * @returns {RegExp|null} Global, case-insensitive pattern, or null if the query has no terms
+ */
+const buildHighlightPattern = (query) => {
+    const stems = String(query)
+        .replace(/"/g, ' ')
+        .split(/\s+/)
+        .filter(term => term && !term.startsWith('-'))
+        .map(term => term.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(Boolean)
+        .map(term => (term.length > 4 ? term.replace(/(ing|ed|es|s)$/i, '') : term))
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return stems.length > 0 ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu') : null;
+};
+
+/**
+ * Cuts an excerpt of a description around its first match and highlights the matches
+ *
+ * @param {string} text - Description
+ * @param {RegExp|null} pattern - Pattern from buildHighlightPattern
+ * @returns {string} HTML-escaped snippet; an ellipsis marks text left out
+ */
+const highlight = (text, pattern) => {
+    let start = 0;
+    if (text.length > SNIPPET_LENGTH) {
+        const first = pattern ? Math.max(text.search(pattern), 0) : 0;
+        start = Math.max(0, Math.min(first - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH));
+    }
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const excerpt = text.slice(start, end);
+
+    let snippet = '';
+    let last = 0;
+    for (const match of pattern ? excerpt.matchAll(pattern) : []) {
+        snippet += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    snippet += escapeHtml(excerpt.slice(last));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Searches a user's cost descriptions (with the text index on MongoDB)
+ * Supports the $text query syntax: several words match any of them, "quoted phrases"
+ * must appear as written and -word excludes costs containing it.
+ *
+ * @async
+ * @param {Repository} repository - Storage to search
+ * @param {number} userid - ID of the user
+ * @param {string} query - Text search query
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Most results to return
+ * @param {string[]} [options.tags] - Only costs carrying one of these tags
+ * @returns {Promise<SearchResult[]>} Matches, best first
+ */
+const searchCosts = async (repository, userid, query, { limit = 20, tags } = {}) => {
+    const costs = await repository.costs.search(userid, query, { limit, tags });
+
+    const pattern = buildHighlightPattern(query);
+    return costs.map(cost => ({ ...cost, snippet: highlight(cost.description, pattern) }));
+};
+
+/**
+ * Export the search helpers
+ * @type {Object}
+ */
+module.exports = {
+    searchCosts
+};
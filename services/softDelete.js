@@ -0,0 +1,72 @@
+/**
+ * Query operations that skip soft-deleted documents
+ * @type {string[]}
+ */
+const FILTERED_QUERIES = [
+    'find', 'findOne', 'countDocuments', 'distinct',
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+
+/**
+ * Mongoose plugin hiding soft-deleted documents
+ * Adds a deletedAt field; documents that have one are left out of every query and
+ * aggregation, so reports, totals and listings ignore them without further changes.
+ * A query still sees them when its filter names deletedAt itself (as the trash bin does)
+ * or when it is run with the withDeleted option.
+ *
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date
+        }
+    });
+
+    schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $exists: true } } });
+
+    schema.pre(FILTERED_QUERIES, { document: false, query: true }, function () {
+        if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+            return;
+        }
+        this.where({ deletedAt: { $exists: false } });
+    });
+
+    schema.pre('aggregate', function () {
+        const [first] = this.pipeline();
+        if (this.options.withDeleted || (first && first.$match && 'deletedAt' in first.$match)) {
+            return;
+        }
+        this.pipeline().unshift({ $match: { deletedAt: { $exists: false } } });
+    });
+
+    /**
+     * Moves the document to the trash
+     *
+     * @param {Date} [at=new Date()] - Deletion time
+     * @returns {Promise<mongoose.Document>} The saved document
+     */
+    schema.methods.softDelete = function (at = new Date()) {
+        this.deletedAt = at;
+        return this.save();
+    };
+
+    /**
+     * Takes the document out of the trash
+     *
+     * @returns {Promise<mongoose.Document>} The saved document
+     */
+    schema.methods.restore = function () {
+        this.deletedAt = undefined;
+        return this.save();
+    };
+};
+
+/**
+ * Export the soft delete plugin
+ * @type {Object}
+ */
+module.exports = {
+    softDeletePlugin
+};
@@ -0,0 +1,216 @@
+/**
+ * Ways a group expense can be divided among members
+ * @type {string[]}
+ */
+const SPLIT_TYPES = ['equal', 'percentage', 'exact'];
+
+/**
+ * @typedef {Object} SplitShare
+ * @property {number} userid - ID of the member
+ * @property {number} amount - Part of the expense the member bears
+ * @property {number} [percentage] - Percentage the amount was derived from, for percentage splits
+ */
+
+/**
+ * @typedef {Object} SettleUpTransfer
+ * @property {number} from - ID of the member who pays
+ * @property {number} to - ID of the member who is paid
+ * @property {number} amount - Amount to transfer
+ */
+
+/**
+ * Converts an amount to whole cents
+ *
+ * @param {number} amount - Amount
+ * @returns {number} Cents
+ */
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Splits a number of cents proportionally to weights without losing a cent
+ * Every part is rounded down first; the cents left over go to the parts that lost the
+ * most in rounding, ties going to the earlier part.
+ *
+ * @param {number} cents - Total in cents
+ * @param {number[]} weights - Non-negative weights, not all zero
+ * @returns {number[]} One part per weight, adding up to cents exactly
+ */
+const allocateCents = (cents, weights) => {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const exact = weights.map(weight => cents * weight / totalWeight);
+    const parts = exact.map(Math.floor);
+
+    let remaining = cents - parts.reduce((sum, part) => sum + part, 0);
+    const order = exact
+        .map((value, index) => ({ index, remainder: value - parts[index] }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (let i = 0; remaining > 0; i++, remaining--) {
+        parts[order[i % order.length].index]++;
+    }
+
+    return parts;
+};
+
+/**
+ * Divides an expense among group members
+ * Equal splits take the members from split.members (default: every group member);
+ * percentage splits take [{userid, percentage}] adding up to 100 and exact splits take
+ * [{userid, amount}] adding up to the sum. Shares are rounded to cents and always add
+ * up to the sum exactly.
+ *
+ * @param {number} sum - Amount of the expense
+ * @param {{type: string, members?: number[], shares?: Array<{userid: number, percentage?: number, amount?: number}>}} split - How to split
+ * @param {number[]} groupMembers - IDs of the group's members
+ * @returns {SplitShare[]} One share per member taking part, in the order given
+ * @throws {Error} If the split is malformed or names someone outside the group
+ */
+const computeShares = (sum, split, groupMembers) => {
+    const { type = 'equal' } = split || {};
+    if (!SPLIT_TYPES.includes(type)) {
+        throw new Error(`Split Type Must Be One Of: ${SPLIT_TYPES.join(', ')}`);
+    }
+
+    const cents = toCents(sum);
+    if (!Number.isFinite(cents) || cents <= 0) {
+        throw new Error('Sum Must Be A Positive Amount');
+    }
+
+    const entries = type === 'equal'
+        ? (split.members || groupMembers).map(userid => ({ userid }))
+        : split.shares;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(type === 'equal' ? 'Members Must List At Least One Member' : 'Shares Must List At Least One Member');
+    }
+
+    const userids = entries.map(entry => Number(entry.userid));
+    const outsider = userids.find(userid => !groupMembers.includes(userid));
+    if (outsider !== undefined) {
+        throw new Error(`User ${entries[userids.indexOf(outsider)].userid} Is Not A Member Of The Group`);
+    }
+    if (new Set(userids).size !== userids.length) {
+        throw new Error('Each Member May Appear Only Once In A Split');
+    }
+
+    if (type === 'equal') {
+        return allocateCents(cents, userids.map(() => 1))
+            .map((part, index) => ({ userid: userids[index], amount: part / 100 }));
+    }
+
+    if (type === 'percentage') {
+        const percentages = entries.map(entry => Number(entry.percentage));
+        if (percentages.some(percentage => !Number.isFinite(percentage) || percentage < 0)) {
+            throw new Error('Percentages Must Be Non-Negative Numbers');
+        }
+        if (Math.abs(percentages.reduce((total, percentage) => total + percentage, 0) - 100) > 1e-6) {
+            throw new Error('Percentages Must Add Up To 100');
+        }
+        return allocateCents(cents, percentages)
+            .map((part, index) => ({ userid: userids[index], amount: part / 100, percentage: percentages[index] }));
+    }
+
+    const amounts = entries.map(entry => toCents(entry.amount));
+    if (amounts.some(amount => !Number.isFinite(amount) || amount < 0)) {
+        throw new Error('Amounts Must Be Non-Negative Numbers');
+    }
+    if (amounts.reduce((total, amount) => total + amount, 0) !== cents) {
+        throw new Error(`Amounts Must Add Up To The Sum Of ${cents / 100}`);
+    }
+    return amounts.map((amount, index) => ({ userid: userids[index], amount: amount / 100 }));
+};
+
+/**
+ * Computes what each member is owed (positive) or owes (negative) within a group
+ * The payer of an expense is owed the whole sum and every member owes their share;
+ * a settlement moves its amount from the payer's debt to the receiver's credit.
+ * Former members are only listed while their balance is not zero.
+ *
+ * @param {number[]} members - IDs of the group's members
+ * @param {Array<{paidBy: number, shares: SplitShare[]}>} expenses - The group's expenses
+ * @param {Array<{from: number, to: number, amount: number}>} settlements - The group's recorded settlements
+ * @returns {Array<{userid: number, balance: number}>} One balance per member, adding up to zero
+ */
+const computeBalances = (members, expenses, settlements) => {
+    const balances = new Map(members.map(userid => [userid, 0]));
+    const add = (userid, cents) => balances.set(userid, (balances.get(userid) || 0) + cents);
+
+    for (const expense of expenses) {
+        for (const share of expense.shares) {
+            add(expense.paidBy, toCents(share.amount));
+            add(share.userid, -toCents(share.amount));
+        }
+    }
+    for (const settlement of settlements) {
+        add(settlement.from, toCents(settlement.amount));
+        add(settlement.to, -toCents(settlement.amount));
+    }
+
+    return [...balances]
+        .filter(([userid, cents]) => members.includes(userid) || cents !== 0)
+        .map(([userid, cents]) => ({ userid, balance: cents / 100 }));
+};
+
+/**
+ * Plans the transfers that bring every balance to zero
+ * The largest debt is repeatedly paid to the largest credit, so each transfer clears at
+ * least one member and there is at most one transfer fewer than members with a balance.
+ *
+ * @param {Array<{userid: number, balance: number}>} balances - Balances from computeBalances
+ * @returns {SettleUpTransfer[]} The transfers, largest first
+ */
+const planSettlements = (balances) => {
+    const byAmount = (a, b) => b.cents - a.cents || a.userid - b.userid;
+    const creditors = balances.filter(entry => toCents(entry.balance) > 0)
+        .map(entry => ({ userid: entry.userid, cents: toCents(entry.balance) }));
+    const debtors = balances.filter(entry => toCents(entry.balance) < 0)
+        .map(entry => ({ userid: entry.userid, cents: -toCents(entry.balance) }));
+
+    const transfers = [];
+    while (creditors.length > 0 && debtors.length > 0) {
+        creditors.sort(byAmount);
+        debtors.sort(byAmount);
+        const creditor = creditors[0];
+        const debtor = debtors[0];
+        const cents = Math.min(creditor.cents, debtor.cents);
+
+        transfers.push({ from: debtor.userid, to: creditor.userid, amount: cents / 100 });
+        creditor.cents -= cents;
+        debtor.cents -= cents;
+        if (creditor.cents === 0) {
+            creditors.shift();
+        }
+        if (debtor.cents === 0) {
+            debtors.shift();
+        }
+    }
+
+    return transfers;
+};
+
+/**
+ * Lists the cost items of a group expense, one per share
+ * Each member's share is filed as their own cost, so it counts in their reports and totals.
+ *
+ * @param {GroupExpense} expense - Expense with its _id and shares
+ * @returns {Object[]} Fields of the costs, shaped like the Cost model
+ */
+const toShareCosts = (expense) => expense.shares.map(share => ({
+    description: expense.description,
+    category: expense.category,
+    userid: share.userid,
+    sum: share.amount,
+    currency: expense.currency,
+    date: expense.date,
+    groupExpenseId: expense._id
+}));
+
+/**
+ * Export the group split helpers
+ * @type {Object}
+ */
+module.exports = {
+    SPLIT_TYPES,
+    computeShares,
+    computeBalances,
+    planSettlements,
+    toShareCosts
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {function(string, Buffer): Promise<void>} save - Stores a file under a key
+ * @property {function(string): NodeJS.ReadableStream} createReadStream - Streams a stored file
+ * @property {function(string): Promise<void>} remove - Deletes a stored file; missing files are ignored
+ */
+
+/**
+ * Creates a storage adapter keeping files in a local directory
+ * Keys are relative paths below the root; keys that would leave the root are rejected
+ *
+ * @param {string} root - Directory the files are stored in (created on first save)
+ * @returns {StorageAdapter} The adapter
+ */
+const createLocalStorage = (root) => {
+    const base = path.resolve(root);
+
+    const resolve = (key) => {
+        const file = path.resolve(base, key);
+        if (!file.startsWith(base + path.sep)) {
+            throw new Error(`Storage Key '${key}' Is Outside The Storage Directory`);
+        }
+        return file;
+    };
+
+    return {
+        save: async (key, data) => {
+            const file = resolve(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, data);
+        },
+        createReadStream: (key) => fs.createReadStream(resolve(key)),
+        remove: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+/**
+ * Adapter attachments are stored with
+ * Defaults to the local directory named by UPLOAD_DIR. Without it files go to a directory
+ * under the system's temporary directory, outside the repository, which the system may
+ * clear; set UPLOAD_DIR wherever attachments must be kept.
+ * @type {StorageAdapter}
+ */
+let storage = createLocalStorage(process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'cost-manager-uploads'));
+
+/**
+ * Returns the active storage adapter
+ *
+ * @returns {StorageAdapter} The adapter
+ */
+const getStorage = () => storage;
+
+/**
+ * Replaces the storage adapter, e.g. with one backed by object storage
+ *
+ * @param {StorageAdapter} adapter - The new adapter
+ */
+const setStorage = (adapter) => {
+    storage = adapter;
+};
+
+/**
+ * Export the storage adapters
+ * @type {Object}
+ */
+module.exports = {
+    createLocalStorage,
+    getStorage,
+    setStorage
+};
@@ -0,0 +1,37 @@
+/**
+ * Shape of a valid tag: lowercase letters, digits, dashes and underscores, up to 50 characters
+ * @type {RegExp}
+ */
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/**
+ * Most tags a single cost item can carry
+ * @type {number}
+ */
+const MAX_TAGS = 20;
+
+/**
+ * Normalizes tags given as an array or a comma-separated string
+ * Tags are trimmed and lowercased; empty entries and repeats are dropped
+ *
+ * @param {string|string[]|undefined|null} value - Raw tags
+ * @returns {string[]|undefined} The tags in first-seen order, or undefined if none were given
+ */
+const normalizeTags = (value) => {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Export the tag helpers
+ * @type {Object}
+ */
+module.exports = {
+    TAG_PATTERN,
+    MAX_TAGS,
+    normalizeTags
+};
@@ -0,0 +1,167 @@
+/**
+ * Time zone of users who have not chosen one
+ * @type {string}
+ */
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Milliseconds in a day
+ * @type {number}
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Shape of a date, or a date and time without offset, that is read as wall-clock time
+ * of a time zone ('2024-06-30', '2024-06-30T23:15', '2024-06-30T23:15:00.000')
+ * @type {RegExp}
+ */
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+/**
+ * Formatters by time zone; building one is expensive, so each is built once
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatters = new Map();
+
+/**
+ * Returns the formatter reading the wall-clock fields of an instant in a time zone
+ *
+ * @param {string} timezone - IANA time zone
+ * @returns {Intl.DateTimeFormat} The formatter
+ * @throws {RangeError} If the time zone is unknown
+ */
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timezone);
+};
+
+/**
+ * Returns the canonical name of an IANA time zone, e.g. 'Asia/Jerusalem' for 'asia/jerusalem'
+ *
+ * @param {string} timezone - Time zone name
+ * @returns {string|null} The canonical name, or null if the time zone is unknown
+ */
+const normalizeTimezone = (timezone) => {
+    if (typeof timezone !== 'string' || timezone.trim() === '') {
+        return null;
+    }
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Tells whether a string names an IANA time zone
+ *
+ * @param {string} timezone - Time zone name
+ * @returns {boolean} True if it does
+ */
+const isValidTimezone = (timezone) => normalizeTimezone(timezone) !== null;
+
+/**
+ * Shifts an instant by a time zone's offset, so the UTC fields of the result
+ * (getUTCFullYear, getUTCDate, ...) are the wall-clock fields in that zone
+ * Only meant for reading calendar fields; the result is not a real instant.
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone
+ * @returns {Date} The shifted date
+ */
+const toWallClock = (date, timezone = DEFAULT_TIMEZONE) => {
+    const instant = new Date(date);
+    const parts = Object.fromEntries(getFormatter(timezone).formatToParts(instant)
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)]));
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, instant.getUTCMilliseconds()));
+};
+
+/**
+ * Returns the instant at which a time zone's clocks show the given wall-clock time
+ * Fields out of range roll over as with Date.UTC (month 13 is January of the next year).
+ * A time skipped by a daylight saving change is moved forward by the change; a time that
+ * occurs twice resolves to its first occurrence.
+ *
+ * @param {string} timezone - IANA time zone
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} [day=1] - Day of the month
+ * @param {number} [hours=0] - Hours
+ * @param {number} [minutes=0] - Minutes
+ * @param {number} [seconds=0] - Seconds
+ * @param {number} [milliseconds=0] - Milliseconds
+ * @returns {Date} The instant
+ */
+const fromWallClock = (timezone, year, month, day = 1, hours = 0, minutes = 0, seconds = 0, milliseconds = 0) => {
+    const wanted = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+    const offsetAt = (instant) => toWallClock(new Date(instant), timezone).getTime() - instant;
+
+    // Offsets never change twice within two days, so the offsets a day before and after
+    // are the only ones the wanted time can have
+    const before = offsetAt(wanted - DAY);
+    const exact = [wanted - before, wanted - offsetAt(wanted + DAY)]
+        .sort((a, b) => a - b)
+        .find(instant => toWallClock(new Date(instant), timezone).getTime() === wanted);
+    return new Date(exact === undefined ? wanted - before : exact);
+};
+
+/**
+ * Returns the calendar date of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone
+ * @returns {string} The date as YYYY-MM-DD
+ */
+const toLocalDate = (date, timezone = DEFAULT_TIMEZONE) => toWallClock(date, timezone).toISOString().slice(0, 10);
+
+/**
+ * Parses a date given by a client
+ * A date ('2024-06-30') or a date and time without offset is wall-clock time in the
+ * time zone; a date and time with an offset or 'Z' is an exact instant and kept as it is.
+ *
+ * @param {string|Date} value - Date to parse
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - IANA time zone
+ * @returns {Date} The instant; an invalid Date if the value is not a date
+ */
+const parseLocalDate = (value, timezone = DEFAULT_TIMEZONE) => {
+    const match = typeof value === 'string' && LOCAL_DATE_PATTERN.exec(value.trim());
+    if (!match) {
+        return new Date(value);
+    }
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1, 7).map(field => field === undefined ? undefined : Number(field));
+    const milliseconds = Number((match[7] || '0').padEnd(3, '0'));
+
+    // Reject dates like 2024-02-31 instead of rolling them over into the next month
+    const calendar = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    const fields = [calendar.getUTCMonth() + 1, calendar.getUTCDate(), calendar.getUTCHours(), calendar.getUTCMinutes(), calendar.getUTCSeconds()];
+    if (fields.some((field, index) => field !== [month, day, hours, minutes, seconds][index])) {
+        return new Date(NaN);
+    }
+    return fromWallClock(timezone, year, month, day, hours, minutes, seconds, milliseconds);
+};
+
+/**
+ * Export the time zone helpers
+ * @type {Object}
+ */
+module.exports = {
+    DEFAULT_TIMEZONE,
+    normalizeTimezone,
+    isValidTimezone,
+    toWallClock,
+    fromWallClock,
+    toLocalDate,
+    parseLocalDate
+};
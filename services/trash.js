@@ -0,0 +1,94 @@
+require('dotenv').config();
+
+/**
+ * Milliseconds in one day
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days an item stays in the trash before it is purged
+ * Read from TRASH_RETENTION_DAYS (default 30)
+ * @type {number}
+ */
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * @typedef {Object} TrashItem
+ * @property {string} type - 'user' or 'cost'
+ * @property {string} id - The user's numeric id or the cost's ObjectId, as used by POST /api/trash/:id/restore
+ * @property {Date} deletedAt - When the item was moved to the trash
+ * @property {Date} purgeAt - When the item will be removed for good
+ * @property {Object} item - The deleted user or cost
+ */
+
+/**
+ * Returns when an item deleted at a given time will be purged
+ *
+ * @param {Date} deletedAt - Deletion time
+ * @returns {Date} Purge time
+ */
+const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Lists the users and costs in the trash, most recently deleted first
+ *
+ * @async
+ * @param {Repository} repository - Storage to read the trash from
+ * @param {number} [userid] - Only list this user and their costs; all items when omitted
+ * @returns {Promise<TrashItem[]>} The items
+ */
+const listTrash = async (repository, userid) => {
+    const { users, costs } = await repository.trash.list(userid);
+
+    return [
+        ...users.map(user => ({ type: 'user', id: String(user.id), item: user })),
+        ...costs.map(cost => ({ type: 'cost', id: String(cost._id), item: cost }))
+    ]
+        .map(entry => ({ ...entry, deletedAt: entry.item.deletedAt, purgeAt: getPurgeDate(entry.item.deletedAt) }))
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+/**
+ * Permanently removes every item that has been in the trash longer than the retention period
+ * A purged user takes all their remaining data along: costs, categories, budgets,
+ * recurring costs and category rules.
+ *
+ * @async
+ * @param {Repository} repository - Storage to purge
+ * @param {Date} [now=new Date()] - Reference instant
+ * @returns {Promise<{users: number, costs: number}>} Numbers of users and costs removed
+ */
+const purgeTrash = (repository, now = new Date()) =>
+    repository.trash.purge(new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS));
+
+/**
+ * Starts the in-process job that purges the trash
+ * Runs once right away and then on every interval; the timer does not keep the process alive.
+ *
+ * @param {Repository} repository - Storage to purge
+ * @param {number} intervalMs - Milliseconds between runs
+ * @returns {NodeJS.Timeout} The interval handle, for clearInterval
+ */
+const startTrashPurge = (repository, intervalMs) => {
+    const run = () => purgeTrash(repository).catch(err => {
+        console.error('Trash Purge Error:', err);
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+/**
+ * Export the trash helpers
+ * @type {Object}
+ */
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    getPurgeDate,
+    listTrash,
+    purgeTrash,
+    startTrashPurge
+};
@@ -1,14 +1,54 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 const request = require('supertest');
 const express = require('express');
 const mongoose = require('mongoose');
-const apiRouter = require('../routes/api');
+
+// Keep attachments uploaded by the tests out of the project directory
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'cost-manager-test-uploads');
+
+const { createApiRouter } = require('../routes/api');
+const { createMongooseRepository } = require('../repositories');
 const User = require('../models/user');
 const Cost = require('../models/cost');
+const Report = require('../models/report');
+const Category = require('../models/category');
+const Budget = require('../models/budget');
+const RecurringCost = require('../models/recurringCost');
+const ExchangeRate = require('../models/exchangeRate');
+const CategoryRule = require('../models/categoryRule');
+const Group = require('../models/group');
+const GroupExpense = require('../models/groupExpense');
+const Settlement = require('../models/settlement');
+const AuditLog = require('../models/auditLog');
+const IdempotencyKey = require('../models/idempotencyKey');
+const { materializeDueCosts } = require('../services/recurring');
+const { TRASH_RETENTION_DAYS, purgeTrash } = require('../services/trash');
+const { signToken } = require('../middleware/auth');
 require('dotenv').config();
 
+/**
+ * Builds a Bearer Authorization header value for a user
+ *
+ * @param {number} id - User ID
+ * @param {string} [role] - 'user' or 'admin'
+ * @returns {string} The header value
+ */
+const bearer = (id, role = 'user') => `Bearer ${signToken({ id, role }).token}`;
+
+const repository = createMongooseRepository();
+
 const app = express();
 app.use(express.json());
-app.use('/api', apiRouter);
+// Requests without an Authorization header act as user 123123, the seeded test user
+app.use((req, res, next) => {
+    if (!req.headers.authorization) {
+        req.headers.authorization = bearer(123123);
+    }
+    next();
+});
+app.use('/api', createApiRouter({ repository }));
 
 beforeAll(async () => {
     // Connect to the test database
@@ -26,8 +66,8 @@ afterAll(async () => {
 
 beforeEach(async () => {
     // Clear collections before each test to have a clean slate
-    await User.deleteMany({ id: { $ne: 123123 }, first_name: { $ne: 'mosh'}, last_name: { $ne: 'israeli'}});
-    await Cost.deleteMany({});
+    await User.deleteMany({ id: { $ne: 123123 }, first_name: { $ne: 'mosh'}, last_name: { $ne: 'israeli'}}, { withDeleted: true });
+    await Cost.deleteMany({}, { withDeleted: true });
 });
 
 describe('API Routes Integration Tests (Real DB)', () => {
@@ -519,6 +559,129 @@ describe('API Routes Integration Tests (Real DB)', () => {
         });
     });
 
+    describe('GET /api/report Snapshots', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await Report.deleteMany({ userid: 123123 });
+        });
+
+        it('Should Store A Snapshot For A Closed Month', async () => {
+            await Cost.create({ description: 'Breakfast', category: 'food', userid: 123123, sum: 10, date: new Date('2024-06-05') });
+
+            await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+
+            const snapshot = await Report.findOne({ userid: 123123, year: 2024, month: 6 });
+            expect(snapshot).not.toBeNull();
+        });
+
+        it('Should Not Store A Snapshot For The Current Month', async () => {
+            const now = new Date();
+            await request(app).get('/api/report').query({
+                id: 123123,
+                year: String(now.getUTCFullYear()),
+                month: String(now.getUTCMonth() + 1)
+            });
+
+            expect(await Report.countDocuments({ userid: 123123 })).toBe(0);
+        });
+
+        it('Should Include A Back-Dated Cost Added After The Snapshot Was Stored', async () => {
+            await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+
+            await request(app).post('/api/add').send({
+                description: 'Late Receipt',
+                category: 'food',
+                userid: 123123,
+                sum: 30,
+                date: '2024-06-20',
+            });
+
+            const res = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+            const foodCategory = res.body.costs.find(c => c.food);
+            expect(foodCategory.food.length).toBe(1);
+            expect(foodCategory.food[0].description).toBe('Late Receipt');
+        });
+    });
+
+    describe('GET /api/report/yearly And /api/report/range', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await Category.deleteMany({ userid: 123123 });
+            await Cost.insertMany([
+                { description: 'Breakfast', category: 'food', userid: 123123, sum: 10, date: new Date('2024-06-05') },
+                { description: 'Gym', category: 'sport', userid: 123123, sum: 20, date: new Date('2024-06-10') },
+                { description: 'Lunch', category: 'food', userid: 123123, sum: 15, date: new Date('2024-09-15') },
+                { description: 'Old', category: 'food', userid: 123123, sum: 99, date: new Date('2023-12-31') },
+            ]);
+        });
+
+        it('Should Return Twelve Months With Per-Month Totals', async () => {
+            const res = await request(app).get('/api/report/yearly').query({ id: 123123, year: '2024' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.year).toBe(2024);
+            expect(res.body.periods.length).toBe(12);
+            expect(res.body.periods.find(p => p.period === '2024-06')).toMatchObject({
+                total: 30, count: 2, categories: expect.objectContaining({ food: 10, sport: 20 }),
+            });
+            expect(res.body.periods.find(p => p.period === '2024-01').total).toBe(0);
+        });
+
+        it('Should Return Per-Category And Grand Totals For The Year', async () => {
+            const res = await request(app).get('/api/report/yearly').query({ id: 123123, year: '2024' });
+            expect(res.body.categories.find(c => c.category === 'food')).toEqual({ category: 'food', total: 25, count: 2 });
+            expect(res.body.categories.find(c => c.category === 'health')).toEqual({ category: 'health', total: 0, count: 0 });
+            expect(res.body.total).toBe(45);
+        });
+
+        it('Should Group A Range By Day', async () => {
+            const res = await request(app)
+                .get('/api/report/range')
+                .query({ id: 123123, from: '2024-06-05', to: '2024-06-10', groupBy: 'day' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.periods.map(p => p.period)).toEqual([
+                '2024-06-05', '2024-06-06', '2024-06-07', '2024-06-08', '2024-06-09', '2024-06-10',
+            ]);
+            expect(res.body.total).toBe(30);
+        });
+
+        it('Should Group A Range By ISO Week', async () => {
+            const res = await request(app)
+                .get('/api/report/range')
+                .query({ id: 123123, from: '2024-06-03', to: '2024-06-16', groupBy: 'week' });
+            expect(res.body.periods.map(p => [p.period, p.total])).toEqual([['2024-W23', 10], ['2024-W24', 20]]);
+        });
+
+        it('Should Return 400 For An Unknown Group By', async () => {
+            const res = await request(app)
+                .get('/api/report/range')
+                .query({ id: 123123, from: '2024-01-01', to: '2024-12-31', groupBy: 'hour' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Group By');
+        });
+
+        it('Should Return 400 When From Is After To', async () => {
+            const res = await request(app)
+                .get('/api/report/range')
+                .query({ id: 123123, from: '2024-12-31', to: '2024-01-01' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Date Range');
+        });
+
+        it('Should Return 404 If User Not Found', async () => {
+            const res = await request(app).get('/api/report/yearly').query({ id: 999999, year: '2024' });
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toBe('User Not Found');
+        });
+    });
+
     describe('GET /api/users/:id', () => {
         beforeEach(async () => {
             // Clear users and costs except id 123123
@@ -592,6 +755,2013 @@ describe('API Routes Integration Tests (Real DB)', () => {
         });
     });
 
+    describe('POST /api/users', () => {
+        const validUser = {
+            id: 555555,
+            first_name: 'dana',
+            last_name: 'levi',
+            birthday: '1990-03-15',
+            marital_status: 'single',
+            password: 'secret-password',
+        };
+
+        it('Should Create A User And Return Status 201', async () => {
+            const res = await request(app).post('/api/users').send(validUser);
+            expect(res.statusCode).toBe(201);
+            expect(res.body.message).toBe('User Created Successfully');
+            expect(res.body.data.id).toBe(validUser.id);
+            expect(res.body.data).not.toHaveProperty('password_hash');
+        });
+
+        it('Should Return 400 Without A Password', async () => {
+            const res = await request(app).post('/api/users').send({ ...validUser, password: undefined });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/password/i);
+        });
+
+        it('Should Return 409 If The Id Is Already Taken', async () => {
+            await request(app).post('/api/users').send(validUser);
+            const res = await request(app).post('/api/users').send(validUser);
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toBe('User Already Exists');
+        });
+
+        it('Should Return 400 For An Unknown Marital Status', async () => {
+            const res = await request(app).post('/api/users').send({ ...validUser, marital_status: 'complicated' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Failed To Create User');
+            expect(res.body.message).toMatch(/marital/i);
+        });
+
+        it('Should Return 400 For A Birthday In The Future', async () => {
+            const res = await request(app).post('/api/users').send({ ...validUser, birthday: '2999-01-01' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/birthday/i);
+        });
+
+        it('Should Return 400 For An Invalid Birthday', async () => {
+            const res = await request(app).post('/api/users').send({ ...validUser, birthday: 'not-a-date' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/birthday/i);
+        });
+    });
+
+    describe('GET /api/users', () => {
+        it('Should Return A Page Of Users With Pagination Info', async () => {
+            const res = await request(app).get('/api/users').set('Authorization', bearer(1, 'admin')).query({ page: '1', limit: '5' });
+            expect(res.statusCode).toBe(200);
+            expect(Array.isArray(res.body.data)).toBe(true);
+            expect(res.body.data.length).toBeLessThanOrEqual(5);
+            expect(res.body.pagination).toMatchObject({ page: 1, limit: 5 });
+            expect(typeof res.body.pagination.total).toBe('number');
+        });
+
+        it('Should Return 400 For A Limit Above The Maximum', async () => {
+            const res = await request(app).get('/api/users').set('Authorization', bearer(1, 'admin')).query({ limit: '1000' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Limit');
+        });
+
+        it('Should Return 403 For A Non-Admin Caller', async () => {
+            const res = await request(app).get('/api/users');
+            expect(res.statusCode).toBe(403);
+            expect(res.body.error).toBe('Forbidden');
+        });
+    });
+
+    describe('PATCH /api/users/:id', () => {
+        beforeEach(async () => {
+            await request(app).post('/api/users').send({
+                id: 555555,
+                first_name: 'dana',
+                last_name: 'levi',
+                birthday: '1990-03-15',
+                marital_status: 'single',
+                password: 'secret-password',
+            });
+        });
+
+        it('Should Update Allowed Fields', async () => {
+            const res = await request(app).patch('/api/users/555555').set('Authorization', bearer(555555)).send({ marital_status: 'married' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.message).toBe('User Updated Successfully');
+            expect(res.body.data.marital_status).toBe('married');
+        });
+
+        it('Should Return 400 When Trying To Change The Id', async () => {
+            const res = await request(app).patch('/api/users/555555').set('Authorization', bearer(555555)).send({ id: 1 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Update Fields');
+        });
+
+        it('Should Return 404 If User Not Found', async () => {
+            const res = await request(app).patch('/api/users/999999').send({ first_name: 'x' });
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toBe('User Not Found');
+        });
+    });
+
+    describe('DELETE /api/users/:id', () => {
+        beforeEach(async () => {
+            await request(app).post('/api/users').send({
+                id: 555555,
+                first_name: 'dana',
+                last_name: 'levi',
+                birthday: '1990-03-15',
+                marital_status: 'single',
+                password: 'secret-password',
+            });
+        });
+
+        it('Should Delete A User Without Costs', async () => {
+            const res = await request(app).delete('/api/users/555555').set('Authorization', bearer(555555));
+            expect(res.statusCode).toBe(200);
+            expect(res.body.message).toBe('User Deleted Successfully');
+            expect(await User.exists({ id: 555555 })).toBeNull();
+        });
+
+        it('Should Return 409 If The User Still Has Costs', async () => {
+            await Cost.create({ description: 'Lunch', category: 'food', userid: 555555, sum: 10 });
+            const res = await request(app).delete('/api/users/555555').set('Authorization', bearer(555555));
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toBe('User Has Costs');
+        });
+
+        it('Should Delete The User And Their Costs With cascade=true', async () => {
+            await Cost.create({ description: 'Lunch', category: 'food', userid: 555555, sum: 10 });
+            const res = await request(app).delete('/api/users/555555').set('Authorization', bearer(555555)).query({ cascade: 'true' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.deletedCosts).toBe(1);
+            expect(await Cost.countDocuments({ userid: 555555 })).toBe(0);
+        });
+    });
+
+    describe('GET /api/costs', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await Cost.insertMany([
+                { description: 'Breakfast', category: 'food', userid: 123123, sum: 10, date: new Date('2024-06-05') },
+                { description: 'Gym', category: 'sport', userid: 123123, sum: 20, date: new Date('2024-06-10') },
+                { description: 'Lunch', category: 'food', userid: 123123, sum: 15, date: new Date('2024-06-15') },
+                { description: 'Dinner', category: 'food', userid: 123123, sum: 40, date: new Date('2024-07-01') },
+            ]);
+        });
+
+        it('Should List All Costs Of The User Newest First With A Total Count', async () => {
+            const res = await request(app).get('/api/costs').query({ userid: 123123 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.map(c => c.description)).toEqual(['Dinner', 'Lunch', 'Gym', 'Breakfast']);
+            expect(res.body.pagination.total).toBe(4);
+            expect(res.body.data[0]).toHaveProperty('_id');
+        });
+
+        it('Should Filter By Category, Date Range And Sum', async () => {
+            const res = await request(app).get('/api/costs').query({
+                userid: 123123,
+                category: 'food',
+                from: '2024-06-01',
+                to: '2024-06-30',
+                minSum: '12',
+            });
+            expect(res.body.data.map(c => c.description)).toEqual(['Lunch']);
+            expect(res.body.pagination.total).toBe(1);
+        });
+
+        it('Should Include The Whole Last Day Of A Date-Only Range', async () => {
+            await Cost.create({ description: 'Late Dinner', category: 'food', userid: 123123, sum: 30, date: new Date('2024-06-30T19:45:00Z') });
+
+            const res = await request(app).get('/api/costs').query({ userid: 123123, from: '2024-06-15', to: '2024-06-30' });
+            expect(res.body.data.map(c => c.description)).toEqual(['Late Dinner', 'Lunch']);
+        });
+
+        it('Should Match Description Text Case-Insensitively', async () => {
+            const res = await request(app).get('/api/costs').query({ userid: 123123, q: 'LUN' });
+            expect(res.body.data.map(c => c.description)).toEqual(['Lunch']);
+        });
+
+        it('Should Page Through Results With The Cursor', async () => {
+            const first = await request(app).get('/api/costs').query({ userid: 123123, sort: 'sum', limit: '3' });
+            expect(first.body.data.map(c => c.sum)).toEqual([10, 15, 20]);
+            expect(first.body.pagination.nextCursor).toBeTruthy();
+
+            const second = await request(app).get('/api/costs').query({
+                userid: 123123,
+                sort: 'sum',
+                limit: '3',
+                cursor: first.body.pagination.nextCursor,
+            });
+            expect(second.body.data.map(c => c.sum)).toEqual([40]);
+            expect(second.body.pagination.nextCursor).toBeNull();
+            expect(second.body.pagination.total).toBe(4);
+        });
+
+        it('Should Return 400 If Userid Is Missing', async () => {
+            const res = await request(app).get('/api/costs');
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid User ID');
+        });
+
+        it('Should Return 400 For An Unknown Sort', async () => {
+            const res = await request(app).get('/api/costs').query({ userid: 123123, sort: 'description' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Sort');
+        });
+
+        it('Should Return 400 For A Malformed Cursor', async () => {
+            const res = await request(app).get('/api/costs').query({ userid: 123123, cursor: 'garbage' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Cursor');
+        });
+    });
+
+    describe('GET/PATCH/DELETE /api/costs/:costId', () => {
+        let cost;
+
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            cost = await Cost.create({ description: 'Lnuch', category: 'food', userid: 123123, sum: 15, date: new Date('2024-06-30') });
+        });
+
+        it('Should Return The Cost Item By Id', async () => {
+            const res = await request(app).get(`/api/costs/${cost._id}`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.description).toBe('Lnuch');
+        });
+
+        it('Should Return 400 For A Malformed Cost Id', async () => {
+            const res = await request(app).get('/api/costs/not-an-id');
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Cost ID');
+        });
+
+        it('Should Return 404 For An Unknown Cost Id', async () => {
+            const res = await request(app).get(`/api/costs/${new mongoose.Types.ObjectId()}`);
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toBe('Cost Not Found');
+        });
+
+        it('Should Fix A Typo In The Description', async () => {
+            const res = await request(app).patch(`/api/costs/${cost._id}`).send({ description: 'Lunch' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.message).toBe('Cost Item Updated Successfully');
+            expect(res.body.data.description).toBe('Lunch');
+        });
+
+        it('Should Return 400 For A Category Outside The Enum', async () => {
+            const res = await request(app).patch(`/api/costs/${cost._id}`).send({ category: 'toys' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Failed To Update Cost Item');
+            expect(res.body.message).toMatch(/category/i);
+        });
+
+        it('Should Return 404 When Moving The Cost To An Unknown User', async () => {
+            const res = await request(app).patch(`/api/costs/${cost._id}`).send({ userid: 999999 });
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toBe('User Not Found');
+        });
+
+        it('Should Move The Cost Between Months In The Report', async () => {
+            await request(app).patch(`/api/costs/${cost._id}`).send({ date: '2024-07-01' });
+
+            const june = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+            const july = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '7' });
+
+            expect(june.body.costs.find(c => c.food).food.length).toBe(0);
+            expect(july.body.costs.find(c => c.food).food.length).toBe(1);
+        });
+
+        it('Should Delete The Cost Item', async () => {
+            const res = await request(app).delete(`/api/costs/${cost._id}`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.message).toBe('Cost Item Deleted Successfully');
+            expect(await Cost.findById(cost._id)).toBeNull();
+        });
+    });
+
+    describe('/api/categories', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await Category.deleteMany({ userid: 123123 });
+        });
+
+        it('Should Give A User The Five Default Categories', async () => {
+            const res = await request(app).get('/api/categories').query({ userid: 123123 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.map(c => c.name)).toEqual(['food', 'education', 'health', 'housing', 'sport']);
+        });
+
+        it('Should Create A Category That /api/add Then Accepts', async () => {
+            const created = await request(app).post('/api/categories').send({ userid: 123123, name: 'Transport' });
+            expect(created.statusCode).toBe(201);
+            expect(created.body.data.name).toBe('transport');
+
+            const res = await request(app).post('/api/add').send({
+                description: 'Bus', category: 'education', userid: 123123, sum: 6, date: '2024-06-01',
+            });
+            expect(res.statusCode).toBe(201);
+        });
+
+        it('Should Return 409 For A Duplicate Category Name', async () => {
+            const res = await request(app).post('/api/categories').send({ userid: 123123, name: 'food' });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toBe('Category Already Exists');
+        });
+
+        it('Should Reject /api/add With An Unknown Category', async () => {
+            const res = await request(app).post('/api/add').send({
+                description: 'Bus', category: 'education', userid: 123123, sum: 6, date: '2024-06-01',
+            });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Failed To Add Cost Item');
+            expect(res.body.message).toMatch(/category/i);
+        });
+
+        it('Should List A New Category As Empty In The Report', async () => {
+            await request(app).post('/api/categories').send({ userid: 123123, name: 'gifts' });
+            const res = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+            expect(res.body.costs.find(c => c.gifts)).toEqual({ gifts: [] });
+        });
+
+        it('Should Rename A Category Together With Its Costs', async () => {
+            const { body } = await request(app).get('/api/categories').query({ userid: 123123 });
+            const sport = body.data.find(c => c.name === 'sport');
+            await Cost.create({ description: 'Gym', category: 'sport', userid: 123123, sum: 20, date: new Date('2024-06-10') });
+            await Cost.create({ description: 'Ball', category: 'sport', userid: 123123, sum: 5, date: new Date('2024-06-11'), deletedAt: new Date() });
+
+            const res = await request(app).patch(`/api/categories/${sport._id}`).send({ name: 'fitness' });
+            expect(res.statusCode).toBe(200);
+            expect(await Cost.countDocuments({ userid: 123123, category: 'fitness' })).toBe(1);
+            expect(await Cost.countDocuments({ userid: 123123, category: 'fitness' }).setOptions({ withDeleted: true })).toBe(2);
+        });
+
+        it('Should Reject New Costs In An Archived Category', async () => {
+            const { body } = await request(app).get('/api/categories').query({ userid: 123123 });
+            const sport = body.data.find(c => c.name === 'sport');
+            await request(app).patch(`/api/categories/${sport._id}`).send({ archived: true });
+
+            const res = await request(app).post('/api/add').send({
+                description: 'Gym', category: 'sport', userid: 123123, sum: 20, date: '2024-06-01',
+            });
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('Should Merge A Category Into Another', async () => {
+            const { body } = await request(app).get('/api/categories').query({ userid: 123123 });
+            const sport = body.data.find(c => c.name === 'sport');
+            const health = body.data.find(c => c.name === 'health');
+            await Cost.create({ description: 'Gym', category: 'sport', userid: 123123, sum: 20, date: new Date('2024-06-10') });
+
+            const res = await request(app).post(`/api/categories/${sport._id}/merge`).send({ into: String(health._id) });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.movedCosts).toBe(1);
+            expect(await Category.exists({ _id: sport._id })).toBeNull();
+            expect(await Cost.countDocuments({ userid: 123123, category: 'health' })).toBe(1);
+        });
+    });
+
+    describe('/api/budgets', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await Category.deleteMany({ userid: 123123 });
+            await Budget.deleteMany({ userid: 123123 });
+        });
+
+        afterAll(async () => {
+            await Budget.deleteMany({ userid: 123123 });
+        });
+
+        it('Should Create A Budget For A Category', async () => {
+            const res = await request(app).post('/api/budgets').send({
+                userid: 123123, category: 'food', limit: 100, startDate: '2024-01-01',
+            });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.message).toBe('Budget Created Successfully');
+            expect(res.body.data.limit).toBe(100);
+        });
+
+        it('Should Return 409 For A Second Budget On The Same Category', async () => {
+            await request(app).post('/api/budgets').send({ userid: 123123, category: 'food', limit: 100 });
+            const res = await request(app).post('/api/budgets').send({ userid: 123123, category: 'food', limit: 50 });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toBe('Budget Already Exists');
+        });
+
+        it('Should Return 400 For A Negative Limit', async () => {
+            const res = await request(app).post('/api/budgets').send({ userid: 123123, category: 'food', limit: -1 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/limit/i);
+        });
+
+        it('Should Update And Delete A Budget', async () => {
+            const created = await request(app).post('/api/budgets').send({ userid: 123123, category: 'food', limit: 100 });
+
+            const updated = await request(app).patch(`/api/budgets/${created.body.data._id}`).send({ limit: 150 });
+            expect(updated.statusCode).toBe(200);
+            expect(updated.body.data.limit).toBe(150);
+
+            const deleted = await request(app).delete(`/api/budgets/${created.body.data._id}`);
+            expect(deleted.statusCode).toBe(200);
+            expect(await Budget.countDocuments({ userid: 123123 })).toBe(0);
+        });
+
+        it('Should Keep The Report Shape Unless includeBudget Is Set', async () => {
+            const res = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+            expect(res.body).not.toHaveProperty('budget');
+        });
+
+        it('Should Add Spent, Limit, Remaining And Percentage To The Report', async () => {
+            await request(app).post('/api/budgets').send({
+                userid: 123123, category: 'food', limit: 100, startDate: '2024-06-01',
+            });
+            await Cost.create({ description: 'Lunch', category: 'food', userid: 123123, sum: 25, date: new Date('2024-06-15') });
+
+            const res = await request(app)
+                .get('/api/report')
+                .query({ id: 123123, year: '2024', month: '6', includeBudget: 'true' });
+
+            expect(res.body.budget.find(b => b.category === 'food')).toEqual({
+                category: 'food', spent: 25, limit: 100, remaining: 75, percentage: 25,
+            });
+            expect(res.body.budget.find(b => b.category === 'sport').limit).toBeNull();
+        });
+
+        it('Should Roll Unspent Amounts Over To The Next Month', async () => {
+            await request(app).post('/api/budgets').send({
+                userid: 123123, category: 'food', limit: 100, rollover: true, startDate: '2024-05-01',
+            });
+            await Cost.create({ description: 'Lunch', category: 'food', userid: 123123, sum: 60, date: new Date('2024-05-15') });
+
+            const res = await request(app)
+                .get('/api/report')
+                .query({ id: 123123, year: '2024', month: '6', includeBudget: 'true' });
+
+            expect(res.body.budget.find(b => b.category === 'food').limit).toBe(140);
+        });
+
+        it('Should Warn When A New Cost Pushes A Category Over Budget', async () => {
+            await request(app).post('/api/budgets').send({
+                userid: 123123, category: 'food', limit: 20, startDate: '2024-01-01',
+            });
+
+            const res = await request(app).post('/api/add').send({
+                description: 'Dinner', category: 'food', userid: 123123, sum: 30, date: '2024-06-01',
+            });
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.warning).toMatchObject({ category: 'food', spent: 30, limit: 20, remaining: -10 });
+        });
+    });
+
+    describe('/api/recurring', () => {
+        const rent = {
+            description: 'Rent',
+            category: 'housing',
+            userid: 123123,
+            sum: 1000,
+            schedule: { frequency: 'monthly', dayOfMonth: 1, endDate: '2024-06-30' },
+            startDate: '2024-03-01',
+        };
+
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await RecurringCost.deleteMany({ userid: 123123 });
+        });
+
+        afterAll(async () => {
+            await RecurringCost.deleteMany({ userid: 123123 });
+        });
+
+        it('Should Create A Recurring Cost', async () => {
+            const res = await request(app).post('/api/recurring').send(rent);
+            expect(res.statusCode).toBe(201);
+            expect(res.body.message).toBe('Recurring Cost Created Successfully');
+            expect(res.body.data.schedule.frequency).toBe('monthly');
+        });
+
+        it('Should Return 400 For An Unknown Frequency', async () => {
+            const res = await request(app).post('/api/recurring').send({ ...rent, schedule: { frequency: 'hourly' } });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/frequency/i);
+        });
+
+        it('Should Materialize Due Occurrences Once, Even When Run Twice', async () => {
+            await request(app).post('/api/recurring').send(rent);
+
+            await materializeDueCosts(repository);
+            await RecurringCost.updateMany({ userid: 123123 }, { $unset: { materializedUntil: 1 } });
+            await materializeDueCosts(repository);
+
+            const costs = await Cost.find({ userid: 123123, description: 'Rent' }).sort({ date: 1 });
+            expect(costs.map(c => c.date.toISOString().slice(0, 10))).toEqual(['2024-03-01', '2024-04-01', '2024-05-01', '2024-06-01']);
+        });
+
+        it('Should Not Materialize A Skipped Occurrence', async () => {
+            const created = await request(app).post('/api/recurring').send(rent);
+
+            const skip = await request(app).post(`/api/recurring/${created.body.data._id}/skip`).send({ date: '2024-04-01' });
+            expect(skip.statusCode).toBe(200);
+
+            await materializeDueCosts(repository);
+            expect(await Cost.countDocuments({ userid: 123123, description: 'Rent' })).toBe(3);
+        });
+
+        it('Should Return 400 When Skipping A Day Without An Occurrence', async () => {
+            const created = await request(app).post('/api/recurring').send(rent);
+            const res = await request(app).post(`/api/recurring/${created.body.data._id}/skip`).send({ date: '2024-04-02' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Not An Occurrence');
+        });
+
+        it('Should Preview Upcoming Occurrences', async () => {
+            const created = await request(app).post('/api/recurring').send({
+                ...rent,
+                schedule: { frequency: 'weekly' },
+                startDate: new Date().toISOString(),
+            });
+            const res = await request(app).get(`/api/recurring/${created.body.data._id}/upcoming`).query({ count: '3' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.length).toBe(3);
+            expect(res.body.data[0]).toHaveProperty('skipped', false);
+        });
+    });
+
+    describe('Multi-Currency Costs', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli', base_currency: 'ILS' },
+                { upsert: true }
+            );
+            await ExchangeRate.deleteMany({});
+            await ExchangeRate.create([
+                { from: 'USD', to: 'ILS', rate: 3.5, date: new Date('2024-06-01') },
+                { from: 'USD', to: 'ILS', rate: 4, date: new Date('2024-06-20') },
+            ]);
+        });
+
+        afterAll(async () => {
+            await User.updateOne({ id: 123123 }, { $unset: { base_currency: 1 } });
+            await ExchangeRate.deleteMany({});
+        });
+
+        it('Should Default The Cost Currency To The User Base Currency', async () => {
+            const res = await request(app).post('/api/add').send({
+                description: 'Falafel', category: 'food', userid: 123123, sum: 20, date: '2024-06-05',
+            });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data.currency).toBe('ILS');
+        });
+
+        it('Should Return 400 For An Unknown Currency Code', async () => {
+            const res = await request(app).post('/api/add').send({
+                description: 'Falafel', category: 'food', userid: 123123, sum: 20, currency: 'ABC', date: '2024-06-05',
+            });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/currency/i);
+        });
+
+        it('Should Convert Report Sums With The Rate Of Each Cost Date', async () => {
+            await Cost.create([
+                { description: 'Burger', category: 'food', userid: 123123, sum: 10, currency: 'USD', date: new Date('2024-06-05') },
+                { description: 'Pizza', category: 'food', userid: 123123, sum: 10, currency: 'USD', date: new Date('2024-06-25') },
+            ]);
+
+            const res = await request(app)
+                .get('/api/report')
+                .query({ id: 123123, year: '2024', month: '6', convert: 'true' });
+
+            const food = res.body.costs.find(c => c.food).food;
+            expect(food.find(item => item.description === 'Burger')).toMatchObject({
+                sum: 35, currency: 'ILS', original: { sum: 10, currency: 'USD' },
+            });
+            expect(food.find(item => item.description === 'Pizza').sum).toBe(40);
+        });
+
+        it('Should Convert The User Total And List Original Totals', async () => {
+            await Cost.create([
+                { description: 'Burger', category: 'food', userid: 123123, sum: 10, currency: 'USD', date: new Date('2024-06-05') },
+                { description: 'Falafel', category: 'food', userid: 123123, sum: 20, currency: 'ILS', date: new Date('2024-06-05') },
+            ]);
+
+            const res = await request(app).get('/api/users/123123').query({ convert: 'true' });
+            expect(res.body.data.total).toBe(55);
+            expect(res.body.data.currency).toBe('ILS');
+            expect(res.body.data.original_totals).toEqual(expect.arrayContaining([
+                { currency: 'USD', total: 10 },
+                { currency: 'ILS', total: 20 },
+            ]));
+        });
+
+        it('Should Return 422 When A Rate Is Missing', async () => {
+            await Cost.create({ description: 'Croissant', category: 'food', userid: 123123, sum: 5, currency: 'EUR', date: new Date('2024-06-05') });
+
+            const res = await request(app).get('/api/users/123123').query({ convert: 'true' });
+            expect(res.statusCode).toBe(422);
+            expect(res.body.error).toBe('Missing Exchange Rate');
+        });
+
+        it('Should Reject Loading Rates For A Non-Admin Caller', async () => {
+            const res = await request(app).post('/api/rates').send([{ date: '2024-06-01', from: 'EUR', to: 'ILS', rate: 4 }]);
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe('POST /api/import', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+        });
+
+        it('Should Import CSV Rows With A Column Mapping', async () => {
+            const res = await request(app)
+                .post('/api/import')
+                .query({ mapping: 'Amount:sum,Who:userid' })
+                .set('Content-Type', 'text/csv')
+                .send('description,category,Who,Amount,date\n"Lunch, with team",food,123123,42.5,2024-06-01\nGym,sport,123123,30,2024-06-02\n');
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data).toMatchObject({ total: 2, imported: 2, failed: 0 });
+            expect(res.body.data.rows[0].data.description).toBe('Lunch, with team');
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(2);
+        });
+
+        it('Should Report Failed Rows With Reasons And Import The Rest', async () => {
+            const res = await request(app).post('/api/import').send([
+                { description: 'Lunch', category: 'food', userid: 123123, sum: 10 },
+                { description: 'Mystery', category: 'gadgets', userid: 123123, sum: 5 },
+                { description: 'Nobody', category: 'food', userid: 999999, sum: 5 },
+                { category: 'food', userid: 123123, sum: 'abc' },
+            ]);
+            expect(res.statusCode).toBe(201);
+            expect(res.body.message).toBe('Costs Partially Imported');
+            expect(res.body.data).toMatchObject({ total: 4, imported: 1, failed: 3 });
+            expect(res.body.data.rows[1].errors[0]).toMatch(/gadgets/);
+            expect(res.body.data.rows[2].errors).toContain('The Specified User Does Not Exist In The Database');
+            expect(res.body.data.rows[3].errors.join(' ')).toMatch(/description/);
+            expect(res.body.data.rows[3].errors.join(' ')).toMatch(/sum/);
+        });
+
+        it('Should Save Nothing On A Dry Run', async () => {
+            const res = await request(app)
+                .post('/api/import')
+                .query({ dryRun: 'true' })
+                .send([{ description: 'Lunch', category: 'food', userid: 123123, sum: 10 }]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.rows[0].status).toBe('valid');
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(0);
+        });
+
+        it('Should Save Nothing In Atomic Mode When A Row Fails', async () => {
+            const res = await request(app)
+                .post('/api/import')
+                .query({ atomic: 'true' })
+                .send([
+                    { description: 'Lunch', category: 'food', userid: 123123, sum: 10 },
+                    { description: 'Mystery', category: 'gadgets', userid: 123123, sum: 5 },
+                ]);
+            expect(res.statusCode).toBe(422);
+            expect(res.body.error).toBe('Import Failed');
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(0);
+        });
+
+        it('Should Not Import Costs For Another User', async () => {
+            await User.updateOne({ id: 555555 }, { id: 555555, first_name: 'dana', last_name: 'levi' }, { upsert: true });
+            const res = await request(app)
+                .post('/api/import')
+                .send([{ description: 'Lunch', category: 'food', userid: 555555, sum: 10 }]);
+            expect(res.statusCode).toBe(422);
+            expect(res.body.data.rows[0].errors).toContain('You Do Not Have Access To User 555555');
+        });
+
+        it('Should Return 400 For An Unknown Mapping Target', async () => {
+            const res = await request(app)
+                .post('/api/import')
+                .query({ mapping: 'Amount:price' })
+                .send([{ description: 'Lunch', category: 'food', userid: 123123, Amount: 10 }]);
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Mapping');
+        });
+    });
+
+    describe('Cost Attachments', () => {
+        let costId;
+
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            const cost = await Cost.create({ description: 'Dinner', category: 'food', userid: 123123, sum: 80 });
+            costId = String(cost._id);
+        });
+
+        afterAll(async () => {
+            await fs.promises.rm(process.env.UPLOAD_DIR, { recursive: true, force: true });
+        });
+
+        const upload = () => request(app)
+            .post(`/api/costs/${costId}/attachments`)
+            .attach('file', Buffer.from('%PDF-1.4 receipt'), { filename: 'receipt.pdf', contentType: 'application/pdf' });
+
+        it('Should Upload A Receipt And Reference It From The Cost', async () => {
+            const res = await upload();
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data[0]).toMatchObject({ filename: 'receipt.pdf', contentType: 'application/pdf', size: 16 });
+
+            const cost = await Cost.findById(costId).lean();
+            expect(cost.attachments).toHaveLength(1);
+        });
+
+        it('Should List And Download An Attachment', async () => {
+            const { body } = await upload();
+            const attachmentId = body.data[0]._id;
+
+            const list = await request(app).get(`/api/costs/${costId}/attachments`);
+            expect(list.body.data.map(item => item._id)).toEqual([attachmentId]);
+
+            const res = await request(app)
+                .get(`/api/costs/${costId}/attachments/${attachmentId}`)
+                .buffer(true)
+                .parse((stream, callback) => {
+                    const chunks = [];
+                    stream.on('data', chunk => chunks.push(chunk));
+                    stream.on('end', () => callback(null, Buffer.concat(chunks)));
+                });
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^application\/pdf/);
+            expect(res.headers['content-disposition']).toMatch(/receipt\.pdf/);
+            expect(res.body.toString()).toBe('%PDF-1.4 receipt');
+        });
+
+        it('Should Delete An Attachment And Its File', async () => {
+            const { body } = await upload();
+            const { _id, storageKey } = body.data[0];
+
+            const res = await request(app).delete(`/api/costs/${costId}/attachments/${_id}`);
+            expect(res.statusCode).toBe(200);
+            expect((await Cost.findById(costId).lean()).attachments).toHaveLength(0);
+            expect(fs.existsSync(path.join(process.env.UPLOAD_DIR, storageKey))).toBe(false);
+        });
+
+        it('Should Keep The Files Of A Deleted Cost Until The Trash Is Purged', async () => {
+            const { body } = await upload();
+            const file = path.join(process.env.UPLOAD_DIR, body.data[0].storageKey);
+            expect(fs.existsSync(file)).toBe(true);
+
+            await request(app).delete(`/api/costs/${costId}`);
+            expect(fs.existsSync(file)).toBe(true);
+
+            await purgeTrash(repository, new Date(Date.now() + (TRASH_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000));
+            expect(fs.existsSync(file)).toBe(false);
+        });
+
+        it('Should Return 415 For A File Type Outside The Allow-List', async () => {
+            const res = await request(app)
+                .post(`/api/costs/${costId}/attachments`)
+                .attach('file', Buffer.from('MZ'), 'setup.exe');
+            expect(res.statusCode).toBe(415);
+            expect(res.body.error).toBe('Unsupported File Type');
+        });
+
+        it('Should Return 413 For An Upload Above The Size Limit', async () => {
+            const res = await request(app)
+                .post(`/api/costs/${costId}/attachments`)
+                .attach('file', Buffer.alloc(6 * 1024 * 1024), 'huge.png');
+            expect(res.statusCode).toBe(413);
+            expect(res.body.error).toBe('Upload Too Large');
+        });
+    });
+
+    describe('Bank Statement Import', () => {
+        const ofx = [
+            'OFXHEADER:100',
+            'DATA:OFXSGML',
+            '',
+            '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+            '<CURDEF>USD',
+            '<BANKTRANLIST>',
+            '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240603120000<TRNAMT>-42.50<FITID>T1<NAME>SUPERMARKET 42</STMTTRN>',
+            '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240605<TRNAMT>-30.00<FITID>T2<NAME>City Gym</STMTTRN>',
+            '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240606<TRNAMT>1000.00<FITID>T3<NAME>Salary</STMTTRN>',
+            '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+        ].join('\n');
+
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await CategoryRule.deleteMany({});
+            await CategoryRule.create([
+                { userid: 123123, pattern: 'supermarket', category: 'food' },
+                { userid: 123123, pattern: '\\bgym\\b', matchType: 'regex', category: 'sport' },
+            ]);
+        });
+
+        afterAll(async () => {
+            await CategoryRule.deleteMany({});
+        });
+
+        it('Should Import OFX Expenses With Categories From The Rules', async () => {
+            const res = await request(app)
+                .post('/api/import/bank')
+                .query({ userid: '123123' })
+                .set('Content-Type', 'application/x-ofx')
+                .send(ofx);
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data).toMatchObject({ format: 'ofx', imported: 2, skipped: 1 });
+
+            const costs = await Cost.find({ userid: 123123 }).sort({ date: 1 }).lean();
+            expect(costs.map(cost => [cost.category, cost.sum, cost.bankTransactionId])).toEqual([
+                ['food', 42.5, 'T1'],
+                ['sport', 30, 'T2'],
+            ]);
+        });
+
+        it('Should Skip Transactions Already Imported', async () => {
+            await request(app).post('/api/import/bank').query({ userid: '123123' }).set('Content-Type', 'application/x-ofx').send(ofx);
+            const res = await request(app).post('/api/import/bank').query({ userid: '123123' }).set('Content-Type', 'application/x-ofx').send(ofx);
+            expect(res.body.data.imported).toBe(0);
+            expect(res.body.data.rows[0]).toMatchObject({ status: 'skipped', reason: 'Already Imported' });
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(2);
+        });
+
+        it('Should Flag A Cost With The Same Day, Sum And Payee As A Duplicate', async () => {
+            const existing = await Cost.create({ description: 'city gym', category: 'sport', userid: 123123, sum: 30, date: new Date('2024-06-05T18:00:00Z') });
+            const res = await request(app).post('/api/import/bank').query({ userid: '123123' }).set('Content-Type', 'application/x-ofx').send(ofx);
+            expect(res.body.data.duplicates).toBe(1);
+            expect(res.body.data.rows[1]).toMatchObject({ status: 'duplicate', duplicateOf: String(existing._id) });
+            expect(await Cost.countDocuments({ userid: 123123, category: 'sport' })).toBe(1);
+        });
+
+        it('Should Import QIF With A Default Category For Unmatched Payees', async () => {
+            const qif = '!Type:Bank\nD06/15/2024\nT-1,200.00\nPLandlord\n^\nD06/16/2024\nT-12.00\nPSupermarket 42\n^\n';
+            const res = await request(app)
+                .post('/api/import/bank')
+                .query({ userid: '123123', defaultCategory: 'housing' })
+                .set('Content-Type', 'application/qif')
+                .send(qif);
+            expect(res.body.data).toMatchObject({ format: 'qif', imported: 2 });
+            expect(res.body.data.rows[0].data).toMatchObject({ category: 'housing', sum: 1200 });
+            expect(res.body.data.rows[1].data.category).toBe('food');
+        });
+
+        it('Should Fail Rows No Rule Matches Without A Default Category', async () => {
+            await CategoryRule.deleteMany({});
+            const res = await request(app)
+                .post('/api/import/bank')
+                .query({ userid: '123123', dryRun: 'true' })
+                .set('Content-Type', 'application/x-ofx')
+                .send(ofx);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.failed).toBe(2);
+            expect(res.body.data.rows[0].errors[0]).toMatch(/No Category Rule Matches/);
+        });
+
+        it('Should Return 400 For A File That Is Not A Statement', async () => {
+            const res = await request(app)
+                .post('/api/import/bank')
+                .query({ userid: '123123' })
+                .set('Content-Type', 'text/plain')
+                .send('hello');
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Statement Format');
+        });
+
+        it('Should Reject A Rule With An Invalid Regular Expression', async () => {
+            const res = await request(app)
+                .post('/api/category-rules')
+                .send({ userid: 123123, pattern: '([', matchType: 'regex', category: 'food' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/Regular Expression/);
+        });
+
+        it('Should List Rules Highest Priority First', async () => {
+            await CategoryRule.create({ userid: 123123, pattern: 'amazon', category: 'education', priority: 5 });
+            const res = await request(app).get('/api/category-rules').query({ userid: '123123' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data[0].pattern).toBe('amazon');
+        });
+    });
+
+    describe('Cost Tags And Search', () => {
+        beforeAll(async () => {
+            // $text queries need the text index, which is built in the background
+            await Cost.init();
+        });
+
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await Category.deleteMany({ userid: 123123 });
+            await Cost.create([
+                { description: 'Dinner with clients at the harbour', category: 'food', userid: 123123, sum: 120, date: new Date('2024-06-03'), tags: ['work', 'trip'] },
+                { description: 'Train tickets to the conference', category: 'education', userid: 123123, sum: 60, date: new Date('2024-06-04'), tags: ['work'] },
+                { description: 'Family dinner', category: 'food', userid: 123123, sum: 80, date: new Date('2024-06-20') },
+                { description: 'Dinner in July', category: 'food', userid: 123123, sum: 50, date: new Date('2024-07-02'), tags: ['trip'] },
+            ]);
+        });
+
+        it('Should Store Normalized Tags From /api/add', async () => {
+            const res = await request(app).post('/api/add').send({
+                description: 'Taxi', category: 'housing', userid: 123123, sum: 30, tags: ' Work, TRIP ,work',
+            });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data.tags).toEqual(['work', 'trip']);
+        });
+
+        it('Should Return 400 For A Malformed Tag', async () => {
+            const res = await request(app).post('/api/add').send({
+                description: 'Taxi', category: 'housing', userid: 123123, sum: 30, tags: ['bad tag!'],
+            });
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('Should Filter The Monthly Report By Tag', async () => {
+            const res = await request(app)
+                .get('/api/report')
+                .query({ id: 123123, year: '2024', month: '6', tag: 'work' });
+            expect(res.statusCode).toBe(200);
+            const food = res.body.costs.find(c => c.food).food;
+            const education = res.body.costs.find(c => c.education).education;
+            expect(food.map(cost => cost.description)).toEqual(['Dinner with clients at the harbour']);
+            expect(education).toHaveLength(1);
+        });
+
+        it('Should Filter The Range Report By Any Of Several Tags', async () => {
+            const res = await request(app)
+                .get('/api/report/range')
+                .query({ id: 123123, from: '2024-06-01', to: '2024-07-31', tag: 'trip,unused' });
+            expect(res.body.total).toBe(170);
+        });
+
+        it('Should Rank Search Matches And Highlight Them', async () => {
+            const res = await request(app)
+                .get('/api/search')
+                .query({ userid: '123123', q: 'dinners' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data).toHaveLength(3);
+            expect(res.body.data[0].score).toBeGreaterThanOrEqual(res.body.data[2].score);
+            const family = res.body.data.find(cost => cost.description === 'Family dinner');
+            expect(family.snippet).toBe('Family <mark>dinner</mark>');
+        });
+
+        it('Should Restrict Search Results To A Tag', async () => {
+            const res = await request(app)
+                .get('/api/search')
+                .query({ userid: '123123', q: 'dinner', tag: 'trip' });
+            expect(res.body.data.map(cost => cost.description).sort()).toEqual([
+                'Dinner in July', 'Dinner with clients at the harbour',
+            ]);
+        });
+
+        it('Should Return 400 For An Empty Search Query', async () => {
+            const res = await request(app)
+                .get('/api/search')
+                .query({ userid: '123123', q: '  ' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Search Query');
+        });
+
+        it('Should Summarize Costs Per Tag Over A Range', async () => {
+            const res = await request(app)
+                .get('/api/tags/summary')
+                .query({ userid: '123123', from: '2024-06-01', to: '2024-06-30' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.tags).toEqual([
+                { tag: 'work', total: 180, count: 2 },
+                { tag: 'trip', total: 120, count: 1 },
+            ]);
+            expect(res.body.data.untagged).toEqual({ total: 80, count: 1 });
+            expect(res.body.data.total).toBe(260);
+        });
+
+        it('Should Return 400 For An Invalid Summary Range', async () => {
+            const res = await request(app)
+                .get('/api/tags/summary')
+                .query({ userid: '123123', from: '2024-06-30', to: '2024-06-01' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Date Range');
+        });
+    });
+
+    describe('Shared Expense Groups', () => {
+        let groupId;
+
+        beforeEach(async () => {
+            await Group.deleteMany({});
+            await GroupExpense.deleteMany({});
+            await Settlement.deleteMany({});
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await User.create([
+                { id: 222222, first_name: 'dana', last_name: 'levi', birthday: new Date('1990-03-15'), marital_status: 'married' },
+                { id: 333333, first_name: 'avi', last_name: 'cohen', birthday: new Date('1991-07-01'), marital_status: 'single' },
+            ]);
+
+            const res = await request(app)
+                .post('/api/groups')
+                .send({ name: 'Apartment', members: [123123, 222222, 333333], currency: 'USD' });
+            groupId = res.body.data._id;
+        });
+
+        afterAll(async () => {
+            // Members of a group cannot be deleted, so leave no groups behind for later tests
+            await Group.deleteMany({});
+            await GroupExpense.deleteMany({});
+            await Settlement.deleteMany({});
+        });
+
+        it('Should Create A Group And List It For Each Member', async () => {
+            const res = await request(app)
+                .get('/api/groups')
+                .set('Authorization', bearer(222222))
+                .query({ userid: '222222' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.map(group => group.name)).toEqual(['Apartment']);
+        });
+
+        it('Should Return 403 When Creating A Group Without The Caller', async () => {
+            const res = await request(app)
+                .post('/api/groups')
+                .send({ name: 'Others', members: [222222, 333333] });
+            expect(res.statusCode).toBe(403);
+        });
+
+        it('Should Split An Expense Equally And Add Each Share To The Member Totals', async () => {
+            const res = await request(app)
+                .post(`/api/groups/${groupId}/expenses`)
+                .send({ description: 'Groceries', category: 'food', sum: 100, date: '2024-06-05' });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data.shares.map(share => share.amount)).toEqual([33.34, 33.33, 33.33]);
+
+            const user = await request(app)
+                .get('/api/users/222222')
+                .set('Authorization', bearer(222222));
+            expect(user.body.data.total).toBe(33.33);
+
+            const report = await request(app)
+                .get('/api/report')
+                .query({ id: 123123, year: '2024', month: '6' });
+            expect(report.body.costs.find(c => c.food).food).toEqual([
+                expect.objectContaining({ description: 'Groceries', sum: 33.34 }),
+            ]);
+        });
+
+        it('Should Split By Percentage And By Exact Amounts', async () => {
+            const byPercentage = await request(app)
+                .post(`/api/groups/${groupId}/expenses`)
+                .send({
+                    description: 'Rent', category: 'housing', sum: 1000,
+                    split: { type: 'percentage', shares: [{ userid: 123123, percentage: 50 }, { userid: 222222, percentage: 50 }] },
+                });
+            expect(byPercentage.body.data.shares.map(share => share.amount)).toEqual([500, 500]);
+
+            const byAmount = await request(app)
+                .post(`/api/groups/${groupId}/expenses`)
+                .send({
+                    description: 'Internet', category: 'housing', sum: 60,
+                    split: { type: 'exact', shares: [{ userid: 222222, amount: 20 }, { userid: 333333, amount: 40 }] },
+                });
+            expect(byAmount.statusCode).toBe(201);
+            expect(byAmount.body.data.costs.map(cost => cost.userid)).toEqual([222222, 333333]);
+        });
+
+        it('Should Return 400 For Percentages Not Adding Up To 100', async () => {
+            const res = await request(app)
+                .post(`/api/groups/${groupId}/expenses`)
+                .send({
+                    description: 'Rent', category: 'housing', sum: 1000,
+                    split: { type: 'percentage', shares: [{ userid: 123123, percentage: 50 }, { userid: 222222, percentage: 40 }] },
+                });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Split');
+        });
+
+        it('Should Compute Balances And Settle-Up Transfers, Including Settlements', async () => {
+            await request(app)
+                .post(`/api/groups/${groupId}/expenses`)
+                .send({ description: 'Groceries', category: 'food', sum: 90 });
+            await request(app)
+                .post(`/api/groups/${groupId}/expenses`)
+                .set('Authorization', bearer(222222))
+                .send({
+                    description: 'Cleaning', category: 'housing', sum: 30,
+                    split: { type: 'exact', shares: [{ userid: 333333, amount: 30 }] },
+                });
+
+            let res = await request(app).get(`/api/groups/${groupId}/balances`);
+            expect(res.body.data.balances).toEqual([
+                { userid: 123123, balance: 60 },
+                { userid: 222222, balance: 0 },
+                { userid: 333333, balance: -60 },
+            ]);
+            expect(res.body.data.transfers).toEqual([{ from: 333333, to: 123123, amount: 60 }]);
+
+            const settlement = await request(app)
+                .post(`/api/groups/${groupId}/settlements`)
+                .send({ from: 333333, to: 123123, amount: 60 });
+            expect(settlement.statusCode).toBe(201);
+
+            res = await request(app).get(`/api/groups/${groupId}/balances`);
+            expect(res.body.data.transfers).toEqual([]);
+        });
+
+        it('Should Return 403 When A Bystander Records A Settlement', async () => {
+            const res = await request(app)
+                .post(`/api/groups/${groupId}/settlements`)
+                .set('Authorization', bearer(222222))
+                .send({ from: 333333, to: 123123, amount: 60 });
+            expect(res.statusCode).toBe(403);
+
+            const settlements = await request(app).get(`/api/groups/${groupId}/settlements`);
+            expect(settlements.body.data).toEqual([]);
+        });
+
+        it('Should Refuse To Remove A Member With An Open Balance', async () => {
+            await request(app)
+                .post(`/api/groups/${groupId}/expenses`)
+                .send({ description: 'Groceries', category: 'food', sum: 90 });
+            const res = await request(app)
+                .patch(`/api/groups/${groupId}`)
+                .send({ members: [123123, 222222] });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toBe('Member Has Open Balance');
+        });
+
+        it('Should Delete The Member Shares With The Expense', async () => {
+            const created = await request(app)
+                .post(`/api/groups/${groupId}/expenses`)
+                .send({ description: 'Groceries', category: 'food', sum: 90 });
+
+            const share = await request(app).delete(`/api/costs/${created.body.data.costs[0]._id}`);
+            expect(share.statusCode).toBe(409);
+            expect(share.body.error).toBe('Cost Is A Group Share');
+
+            const res = await request(app).delete(`/api/groups/${groupId}/expenses/${created.body.data._id}`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.deletedCosts).toBe(3);
+            expect(await Cost.countDocuments({ groupExpenseId: created.body.data._id })).toBe(0);
+            expect(await Cost.countDocuments({ groupExpenseId: created.body.data._id, deletedAt: { $exists: true } })).toBe(3);
+        });
+
+        it('Should Return 403 For Someone Outside The Group', async () => {
+            await User.create({ id: 444444, first_name: 'noa', last_name: 'bar', birthday: new Date('1992-01-01'), marital_status: 'single' });
+            const res = await request(app)
+                .get(`/api/groups/${groupId}/balances`)
+                .set('Authorization', bearer(444444));
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe('GET /api/audit', () => {
+        beforeEach(async () => {
+            // The model refuses deletes, so the test clears the collection directly
+            await AuditLog.collection.deleteMany({});
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+        });
+
+        it('Should Record Who Created, Updated And Deleted A Cost', async () => {
+            const created = await request(app)
+                .post('/api/add')
+                .set('X-Request-Id', 'audit-test-1')
+                .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 15 });
+            const costId = created.body.data._id;
+            await request(app).patch(`/api/costs/${costId}`).send({ sum: 20 });
+            await request(app).delete(`/api/costs/${costId}`);
+
+            const res = await request(app).get('/api/audit').query({ entity: 'cost', id: costId });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.map(entry => entry.action)).toEqual(['delete', 'update', 'create']);
+
+            const [deleted, updated, added] = res.body.data;
+            expect(added).toMatchObject({ entity: 'Cost', entityId: costId, actor: { id: 123123, role: 'user' }, requestId: 'audit-test-1' });
+            expect(updated.changes).toEqual([{ field: 'sum', before: 15, after: 20 }]);
+            // Deleting moves the cost to the trash: a delete entry that shows deletedAt being set
+            expect(deleted.changes).toEqual([{ field: 'deletedAt', after: expect.any(String) }]);
+        });
+
+        it('Should Generate A Request ID When None Is Sent', async () => {
+            const res = await request(app).get('/api/audit');
+            expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        });
+
+        it('Should Redact Password Hashes', async () => {
+            await request(app)
+                .patch('/api/users/123123')
+                .send({ last_name: 'levi', password: 'new-password-1' });
+
+            const res = await request(app).get('/api/audit').query({ entity: 'user', id: '123123' });
+            const [entry] = res.body.data;
+            expect(entry.action).toBe('update');
+            expect(entry.changes).toContainEqual({ field: 'last_name', before: 'israeli', after: 'levi' });
+            expect(entry.changes).toContainEqual({ field: 'password_hash', after: '[redacted]' });
+        });
+
+        it('Should Filter By Date Range And Paginate', async () => {
+            await request(app).post('/api/add').send({ description: 'A', category: 'food', userid: 123123, sum: 1 });
+            await request(app).post('/api/add').send({ description: 'B', category: 'food', userid: 123123, sum: 2 });
+
+            const page = await request(app).get('/api/audit').query({ entity: 'cost', limit: '1', page: '2' });
+            expect(page.body.data).toHaveLength(1);
+            expect(page.body.pagination).toMatchObject({ page: 2, limit: 1, total: 2, pages: 2 });
+
+            const past = await request(app).get('/api/audit').query({ from: '2000-01-01', to: '2000-12-31' });
+            expect(past.body.data).toEqual([]);
+        });
+
+        it('Should Only Show Other Users\' Entries To Administrators', async () => {
+            await request(app).post('/api/add').send({ description: 'A', category: 'food', userid: 123123, sum: 1 });
+
+            const stranger = await request(app)
+                .get('/api/audit')
+                .set('Authorization', bearer(999999))
+                .query({ entity: 'cost' });
+            expect(stranger.body.data).toEqual([]);
+
+            const admin = await request(app)
+                .get('/api/audit')
+                .set('Authorization', bearer(999999, 'admin'))
+                .query({ entity: 'cost' });
+            expect(admin.body.data).toHaveLength(1);
+        });
+
+        it('Should Refuse To Change Audit Entries', async () => {
+            await expect(AuditLog.deleteMany({})).rejects.toThrow('Audit Entries Are Append-Only');
+        });
+
+        it('Should Return 400 For An Unknown Entity', async () => {
+            const res = await request(app).get('/api/audit').query({ entity: 'budget' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Entity');
+        });
+    });
+
+    describe('Trash And Restore', () => {
+        const afterRetention = () => new Date(Date.now() + (TRASH_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000);
+        let costId;
+
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await request(app).post('/api/users').send({
+                id: 555555,
+                first_name: 'dana',
+                last_name: 'levi',
+                birthday: '1990-03-15',
+                marital_status: 'single',
+                password: 'secret-password',
+            });
+            const cost = await Cost.create({ description: 'Lunch', category: 'food', userid: 123123, sum: 40, date: new Date('2024-06-03') });
+            costId = String(cost._id);
+        });
+
+        it('Should Hide A Deleted Cost From Reports, Totals And Listings', async () => {
+            await request(app).delete(`/api/costs/${costId}`);
+
+            const report = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+            expect(report.body.costs.find(c => c.food).food).toEqual([]);
+
+            const user = await request(app).get('/api/users/123123');
+            expect(user.body.data.total).toBe(0);
+
+            const listing = await request(app).get('/api/costs').query({ userid: '123123' });
+            expect(listing.body.data).toEqual([]);
+        });
+
+        it('Should List And Restore A Deleted Cost', async () => {
+            await request(app).delete(`/api/costs/${costId}`);
+
+            const trash = await request(app).get('/api/trash').query({ userid: '123123' });
+            expect(trash.statusCode).toBe(200);
+            expect(trash.body.data).toEqual([
+                expect.objectContaining({ type: 'cost', id: costId, item: expect.objectContaining({ description: 'Lunch' }) }),
+            ]);
+            expect(new Date(trash.body.data[0].purgeAt) - new Date(trash.body.data[0].deletedAt))
+                .toBe(TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+            const res = await request(app).post(`/api/trash/${costId}/restore`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.message).toBe('Cost Item Restored Successfully');
+
+            const user = await request(app).get('/api/users/123123');
+            expect(user.body.data.total).toBe(40);
+        });
+
+        it('Should Restore A User Together With The Costs Deleted With Them', async () => {
+            await Cost.create({ description: 'Gym', category: 'sport', userid: 555555, sum: 25 });
+            await request(app).delete('/api/users/555555').set('Authorization', bearer(555555)).query({ cascade: 'true' });
+            expect(await User.exists({ id: 555555 })).toBeNull();
+
+            const res = await request(app).post('/api/trash/555555/restore').set('Authorization', bearer(555555));
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.restoredCosts).toBe(1);
+            expect(await Cost.countDocuments({ userid: 555555 })).toBe(1);
+        });
+
+        it('Should Let Administrators Restore Other Users\' Items', async () => {
+            await request(app).delete(`/api/costs/${costId}`);
+            const stranger = await request(app).post(`/api/trash/${costId}/restore`).set('Authorization', bearer(555555));
+            expect(stranger.statusCode).toBe(403);
+
+            const admin = await request(app).post(`/api/trash/${costId}/restore`).set('Authorization', bearer(999999, 'admin'));
+            expect(admin.statusCode).toBe(200);
+        });
+
+        it('Should Return 404 For An Item That Is Not In The Trash', async () => {
+            const res = await request(app).post(`/api/trash/${costId}/restore`);
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toBe('Trash Item Not Found');
+        });
+
+        it('Should Purge Only Items Older Than The Retention Period', async () => {
+            await request(app).delete(`/api/costs/${costId}`);
+
+            expect(await purgeTrash(repository)).toEqual({ users: 0, costs: 0 });
+            expect(await purgeTrash(repository, afterRetention())).toEqual({ users: 0, costs: 1 });
+
+            const trash = await request(app).get('/api/trash').query({ userid: '123123' });
+            expect(trash.body.data).toEqual([]);
+        });
+
+        it('Should Purge A Deleted User With All Their Data', async () => {
+            await request(app).delete('/api/users/555555').set('Authorization', bearer(555555));
+            await purgeTrash(repository, afterRetention());
+
+            expect(await User.exists({ id: 555555 }).setOptions({ withDeleted: true })).toBeNull();
+            expect(await Category.countDocuments({ userid: 555555 })).toBe(0);
+        });
+    });
+
+    describe('Idempotency Keys', () => {
+        const cost = { description: 'Taxi', category: 'health', userid: 123123, sum: 30, date: '2024-06-04' };
+
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await IdempotencyKey.deleteMany({});
+        });
+
+        afterAll(async () => {
+            await IdempotencyKey.deleteMany({});
+        });
+
+        it('Should Replay The Stored Response When A Request Is Retried', async () => {
+            const first = await request(app).post('/api/add').set('Idempotency-Key', 'taxi-1').send(cost);
+            expect(first.statusCode).toBe(201);
+            expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+            const retry = await request(app).post('/api/add').set('Idempotency-Key', 'taxi-1').send({ ...cost });
+            expect(retry.statusCode).toBe(201);
+            expect(retry.headers['idempotent-replayed']).toBe('true');
+            expect(retry.body).toEqual(first.body);
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(1);
+        });
+
+        it('Should Reject A Key Reused For A Different Request', async () => {
+            await request(app).post('/api/add').set('Idempotency-Key', 'taxi-2').send(cost);
+
+            const res = await request(app).post('/api/add').set('Idempotency-Key', 'taxi-2').send({ ...cost, sum: 31 });
+            expect(res.statusCode).toBe(422);
+            expect(res.body.error).toBe('Idempotency Key Reused');
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(1);
+        });
+
+        it('Should Not Store Anything Without The Header', async () => {
+            await request(app).post('/api/add').send(cost);
+            await request(app).post('/api/add').send(cost);
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(2);
+            expect(await IdempotencyKey.countDocuments()).toBe(0);
+        });
+
+        it('Should Scope Keys To The Caller', async () => {
+            await request(app).post('/api/add').set('Idempotency-Key', 'shared').send(cost);
+
+            const other = await request(app).post('/api/users').set('Authorization', bearer(555555)).set('Idempotency-Key', 'shared').send({
+                id: 555555,
+                first_name: 'dana',
+                last_name: 'levi',
+                birthday: '1990-03-15',
+                marital_status: 'single',
+                password: 'secret-password',
+            });
+            expect(other.statusCode).toBe(201);
+            expect(other.headers['idempotent-replayed']).toBeUndefined();
+        });
+
+        it('Should Reject An Invalid Key', async () => {
+            const res = await request(app).post('/api/add').set('Idempotency-Key', 'x'.repeat(256)).send(cost);
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Idempotency Key');
+        });
+    });
+
+    describe('POST /api/add/batch', () => {
+        const week = [
+            { description: 'Lunch', category: 'food', userid: 123123, sum: 12, date: '2024-06-03' },
+            { description: 'Bus', category: 'education', userid: 123123, sum: 3.5, date: '2024-06-04' },
+            { description: 'Gym', category: 'sport', userid: 123123, sum: 30, currency: 'EUR', date: '2024-06-05' },
+        ];
+
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+        });
+
+        it('Should Add Every Cost Item And Return Them In Order', async () => {
+            const res = await request(app).post('/api/add/batch').send(week);
+            expect(res.statusCode).toBe(201);
+            expect(res.body.message).toBe('Cost Items Added Successfully');
+            expect(res.body.data.map(cost => cost.description)).toEqual(['Lunch', 'Bus', 'Gym']);
+            expect(res.body.data[2].currency).toBe('EUR');
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(3);
+        });
+
+        it('Should Add Nothing And List The Errors Per Item When One Fails', async () => {
+            const res = await request(app).post('/api/add/batch').send([
+                ...week,
+                { description: 'Mystery', category: 'gadgets', userid: 123123, sum: 5 },
+                { description: 'Nobody', category: 'food', userid: 999999, sum: 5 },
+            ]);
+            expect(res.statusCode).toBe(422);
+            expect(res.body.errors).toEqual([
+                { index: 3, errors: [expect.stringMatching(/gadgets/)] },
+                { index: 4, errors: ['The Specified User Does Not Exist In The Database'] },
+            ]);
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(0);
+        });
+
+        it('Should Not Add Costs For Another User', async () => {
+            await User.updateOne({ id: 555555 }, { id: 555555, first_name: 'dana', last_name: 'levi' }, { upsert: true });
+            const res = await request(app).post('/api/add/batch').send([{ ...week[0], userid: 555555 }]);
+            expect(res.statusCode).toBe(422);
+            expect(res.body.errors[0].errors).toContain('You Do Not Have Access To User 555555');
+        });
+
+        it('Should Return 400 When The Body Is Not A Non-Empty Array', async () => {
+            for (const body of [[], week[0], [null]]) {
+                const res = await request(app).post('/api/add/batch').send(body);
+                expect(res.statusCode).toBe(400);
+                expect(res.body.error).toBe('Invalid Batch');
+            }
+        });
+    });
+
+    describe('OpenAPI Document And Request Validation', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+        });
+
+        it('Should Serve The OpenAPI Document Without A Token', async () => {
+            const res = await request(app).get('/api/openapi.json').set('Authorization', 'Bearer invalid');
+            expect(res.statusCode).toBe(200);
+            expect(res.body.openapi).toBe('3.1.0');
+            expect(Object.keys(res.body.paths)).toEqual(expect.arrayContaining(['/add', '/report', '/costs/{costId}']));
+        });
+
+        it('Should Serve The HTML Reference Without A Token', async () => {
+            const res = await request(app).get('/api/docs').set('Authorization', 'Bearer invalid');
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toMatch(/html/);
+            expect(res.text).toContain('/api/report/range');
+            expect(res.text).not.toMatch(/<script[^>]+src=/);
+        });
+
+        it('Should List Every Failing Field Of A Body At Once', async () => {
+            const res = await request(app).post('/api/add').send({ category: 'food', userid: '123123', sum: 'ten' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body).toEqual({
+                error: 'Failed To Add Cost Item',
+                message: 'Request Validation Failed For: body.description, body.userid, body.sum',
+                code: 'VALIDATION_FAILED',
+                requestId: res.headers['x-request-id'],
+                errors: [
+                    { field: 'body.description', message: 'Is Required' },
+                    { field: 'body.userid', message: 'Must Be An Integer' },
+                    { field: 'body.sum', message: 'Must Be A Number' },
+                ],
+            });
+            expect(await Cost.countDocuments({ userid: 123123 })).toBe(0);
+        });
+
+        it('Should Keep The Error Title Of The Route And List The Failing Field', async () => {
+            const res = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '13' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Month');
+            expect(res.body.code).toBe('VALIDATION_FAILED');
+            expect(res.body.errors).toEqual([{ field: 'query.month', message: 'Must Be At Most 12' }]);
+        });
+
+        it('Should Validate Query Parameters Of Other Routes The Same Way', async () => {
+            const res = await request(app).get('/api/costs').query({ userid: 'abc', minSum: 'low', limit: '0' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.errors.map(error => error.field)).toEqual(['query.userid', 'query.minSum', 'query.limit']);
+        });
+
+        it('Should Validate Nested Fields', async () => {
+            const res = await request(app).post('/api/recurring').send({
+                description: 'Rent', category: 'housing', userid: 123123, sum: 1000,
+                schedule: { frequency: 'monthly', dayOfMonth: 32 },
+            });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.errors).toEqual([{ field: 'body.schedule.dayOfMonth', message: 'Must Be At Most 31' }]);
+        });
+
+        it('Should Not Log Response Mismatches For Documented Responses', async () => {
+            const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            try {
+                await request(app).post('/api/add').send({ description: 'Lunch', category: 'food', userid: 123123, sum: 15, date: '2024-06-01' });
+                await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6', includeBudget: 'true' });
+                await request(app).get('/api/report/range').query({ id: 123123, from: '2024-06-01', to: '2024-06-30' });
+                await request(app).get('/api/costs').query({ userid: 123123 });
+                await request(app).get('/api/users/123123');
+                expect(spy.mock.calls.filter(call => call[0] === 'Response Validation Error:')).toEqual([]);
+            } finally {
+                spy.mockRestore();
+            }
+        });
+    });
+
+    describe('Error Responses', () => {
+        it('Should Answer Unknown API Routes With A JSON 404', async () => {
+            const res = await request(app).get('/api/no-such-route');
+            expect(res.statusCode).toBe(404);
+            expect(res.headers['content-type']).toMatch(/application\/json/);
+            expect(res.body).toEqual({
+                error: 'Route Not Found',
+                message: 'No Route Matches GET /api/no-such-route',
+                code: 'ROUTE_NOT_FOUND',
+                requestId: res.headers['x-request-id'],
+            });
+        });
+
+        it('Should Answer Malformed JSON Bodies With A JSON 400', async () => {
+            const res = await request(app)
+                .post('/api/add')
+                .set('Content-Type', 'application/json')
+                .send('{"description": ');
+            expect(res.statusCode).toBe(400);
+            expect(res.body.code).toBe('INVALID_JSON');
+        });
+
+        it('Should Give Errors Sent By Routes A Code And The Request ID', async () => {
+            const res = await request(app)
+                .get('/api/users/999999')
+                .set('Authorization', bearer(999999))
+                .set('X-Request-Id', 'trace-42');
+            expect(res.statusCode).toBe(404);
+            expect(res.body).toEqual({
+                error: 'User Not Found',
+                message: 'No User Found With ID: 999999',
+                code: 'USER_NOT_FOUND',
+                requestId: 'trace-42',
+            });
+        });
+
+        it('Should Map Mongoose Validation Errors To Failing Fields', async () => {
+            const res = await request(app)
+                .post('/api/add')
+                .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 5, currency: 'ABC', tags: ['no spaces'] });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Failed To Add Cost Item');
+            expect(res.body.code).toBe('VALIDATION_FAILED');
+            expect(res.body.errors.map(error => error.field).sort()).toEqual(['body.currency', 'body.tags']);
+        });
+
+        it('Should Use Specific Codes Where The Title Is Shared', async () => {
+            const res = await request(app)
+                .post('/api/add')
+                .send({ description: 'Lunch', category: 'travel', userid: 123123, sum: 5 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Failed To Add Cost Item');
+            expect(res.body.code).toBe('CATEGORY_NOT_ACTIVE');
+        });
+
+        it('Should Send Problem Details When The Client Asks For Them', async () => {
+            const res = await request(app)
+                .post('/api/add')
+                .set('Accept', 'application/problem+json')
+                .send({ category: 'food', userid: 123123, sum: 5 });
+            expect(res.statusCode).toBe(400);
+            expect(res.headers['content-type']).toMatch(/application\/problem\+json/);
+            expect(res.body).toMatchObject({
+                type: 'urn:cost-manager:error:validation-failed',
+                title: 'Failed To Add Cost Item',
+                status: 400,
+                detail: 'Request Validation Failed For: body.description',
+                instance: '/api/add',
+                error: 'Failed To Add Cost Item',
+                code: 'VALIDATION_FAILED',
+                errors: [{ field: 'body.description', message: 'Is Required' }],
+            });
+        });
+    });
+
+    describe('Time Zones', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli', timezone: 'Asia/Jerusalem' },
+                { upsert: true }
+            );
+            await Report.deleteMany({ userid: 123123 });
+        });
+
+        afterEach(async () => {
+            await User.updateOne({ id: 123123 }, { $unset: { timezone: 1 } });
+        });
+
+        it('Should Store The Canonical Name Of A Time Zone', async () => {
+            const res = await request(app).post('/api/users').send({
+                id: 555555,
+                first_name: 'dana',
+                last_name: 'levi',
+                birthday: '1990-03-15',
+                marital_status: 'single',
+                timezone: 'america/new_york',
+                password: 'secret-password',
+            });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data.timezone).toBe('America/New_York');
+        });
+
+        it('Should Reject An Unknown Time Zone', async () => {
+            await request(app).post('/api/users').send({
+                id: 555555,
+                first_name: 'dana',
+                last_name: 'levi',
+                birthday: '1990-03-15',
+                marital_status: 'single',
+                password: 'secret-password',
+            });
+
+            const res = await request(app)
+                .patch('/api/users/555555')
+                .set('Authorization', bearer(555555))
+                .send({ timezone: 'Mars/Olympus_Mons' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.code).toBe('VALIDATION_FAILED');
+            expect(res.body.errors).toEqual([{ field: 'body.timezone', message: "'Mars/Olympus_Mons' Is Not An IANA Time Zone" }]);
+        });
+
+        it('Should Read A Date Without Offset In The User\'s Time Zone', async () => {
+            const res = await request(app)
+                .post('/api/add')
+                .send({ description: 'Breakfast', category: 'food', userid: 123123, sum: 12, date: '2024-07-01' });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data.date).toBe('2024-06-30T21:00:00.000Z');
+        });
+
+        it('Should Keep A Date-Time With An Offset As Given', async () => {
+            const res = await request(app)
+                .post('/api/add')
+                .send({ description: 'Breakfast', category: 'food', userid: 123123, sum: 12, date: '2024-06-30T22:30:00Z' });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data.date).toBe('2024-06-30T22:30:00.000Z');
+        });
+
+        it('Should Put A Late-Evening UTC Cost Into The User\'s Next Month', async () => {
+            await Cost.create({ description: 'Late Snack', category: 'food', userid: 123123, sum: 8, date: new Date('2024-06-30T22:30:00Z') });
+
+            const july = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '7' });
+            expect(july.statusCode).toBe(200);
+            expect(july.body.timezone).toBe('Asia/Jerusalem');
+            expect(july.body.costs.find(entry => entry.food).food).toEqual([
+                { sum: 8, description: 'Late Snack', day: 1, date: '2024-07-01', timestamp: '2024-06-30T22:30:00.000Z' },
+            ]);
+
+            const june = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+            expect(june.body.costs.find(entry => entry.food).food).toEqual([]);
+        });
+
+        it('Should Group Range Reports By The User\'s Days', async () => {
+            await User.updateOne({ id: 123123 }, { $set: { timezone: 'America/New_York' } });
+            await Cost.create({ description: 'Taxi', category: 'food', userid: 123123, sum: 20, date: new Date('2024-06-06T02:00:00Z') });
+
+            const res = await request(app)
+                .get('/api/report/range')
+                .query({ id: 123123, from: '2024-06-05', to: '2024-06-06', groupBy: 'day' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.timezone).toBe('America/New_York');
+            expect(res.body.from).toBe('2024-06-05T04:00:00.000Z');
+            expect(res.body.periods.map(period => [period.period, period.total])).toEqual([['2024-06-05', 20], ['2024-06-06', 0]]);
+        });
+
+        it('Should Recompute A Snapshot After The Time Zone Changes', async () => {
+            await Cost.create({ description: 'Late Snack', category: 'food', userid: 123123, sum: 8, date: new Date('2024-06-30T22:30:00Z') });
+
+            const inJerusalem = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+            expect(inJerusalem.body.costs.find(entry => entry.food).food).toHaveLength(0);
+
+            await User.updateOne({ id: 123123 }, { $set: { timezone: 'UTC' } });
+            const inUtc = await request(app).get('/api/report').query({ id: 123123, year: '2024', month: '6' });
+            expect(inUtc.body.timezone).toBe('UTC');
+            expect(inUtc.body.costs.find(entry => entry.food).food).toHaveLength(1);
+        });
+    });
+
+    describe('Spending Analytics', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await Cost.create([
+                { description: 'Birthday Dinner', category: 'food', userid: 123123, sum: 50, date: new Date('2023-06-20') },
+                { description: 'Groceries', category: 'food', userid: 123123, sum: 30, date: new Date('2024-04-08') },
+                { description: 'Gym', category: 'sport', userid: 123123, sum: 10, date: new Date('2024-04-12') },
+                { description: 'Groceries', category: 'food', userid: 123123, sum: 60, date: new Date('2024-05-06') },
+                { description: 'Gym', category: 'sport', userid: 123123, sum: 20, date: new Date('2024-05-12') },
+                { description: 'Wedding Catering', category: 'food', userid: 123123, sum: 70, date: new Date('2024-06-02') },
+                { description: 'Groceries', category: 'food', userid: 123123, sum: 20, date: new Date('2024-06-09') },
+                { description: 'Tennis Lessons', category: 'sport', userid: 123123, sum: 30, date: new Date('2024-06-15') },
+            ]);
+        });
+
+        it('Should Return Monthly Totals, Rolling Averages And Changes', async () => {
+            const res = await request(app)
+                .get('/api/analytics')
+                .query({ id: 123123, from: '2024-05-01', to: '2024-06-15' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.message).toBe('Analytics Retrieved Successfully');
+            expect(res.body.data.months).toEqual(['2024-05', '2024-06']);
+            expect(res.body.data.to).toBe('2024-06-30T23:59:59.999Z');
+            expect(res.body.data.overall.total).toBe(200);
+            expect(res.body.data.overall.count).toBe(5);
+            expect(res.body.data.overall.monthly).toEqual([
+                { month: '2024-05', total: 80, count: 2, average3: 40, average12: 14.17, monthOverMonth: 100, yearOverYear: null },
+                { month: '2024-06', total: 120, count: 3, average3: 80, average12: 20, monthOverMonth: 50, yearOverYear: 140 },
+            ]);
+        });
+
+        it('Should Break The Figures Down Per Category With Their Share', async () => {
+            const res = await request(app)
+                .get('/api/analytics')
+                .query({ id: 123123, from: '2024-05-01', to: '2024-06-30' });
+            const food = res.body.data.categories.find(entry => entry.category === 'food');
+            const sport = res.body.data.categories.find(entry => entry.category === 'sport');
+            const health = res.body.data.categories.find(entry => entry.category === 'health');
+
+            expect(food).toMatchObject({ total: 150, count: 3, share: 75 });
+            expect(food.monthly.map(month => [month.month, month.total, month.monthOverMonth, month.yearOverYear]))
+                .toEqual([['2024-05', 60, 100, null], ['2024-06', 90, 50, 80]]);
+            expect(sport).toMatchObject({ total: 50, count: 2, share: 25 });
+            expect(health).toMatchObject({ total: 0, count: 0, share: 0, top: [] });
+            expect(health.monthly.every(month => month.total === 0 && month.monthOverMonth === null)).toBe(true);
+        });
+
+        it('Should List The Largest Costs Overall And Per Category', async () => {
+            const res = await request(app)
+                .get('/api/analytics')
+                .query({ id: 123123, from: '2024-05-01', to: '2024-06-30', top: '2' });
+            expect(res.body.data.overall.top.map(cost => [cost.description, cost.sum, cost.date]))
+                .toEqual([['Wedding Catering', 70, '2024-06-02'], ['Groceries', 60, '2024-05-06']]);
+            expect(res.body.data.categories.find(entry => entry.category === 'sport').top.map(cost => cost.sum)).toEqual([30, 20]);
+        });
+
+        it('Should Take Months In The User\'s Time Zone', async () => {
+            await User.updateOne({ id: 123123 }, { $set: { timezone: 'Asia/Jerusalem' } });
+            await Cost.create({ description: 'Late Snack', category: 'food', userid: 123123, sum: 8, date: new Date('2024-04-30T22:30:00Z') });
+
+            const res = await request(app)
+                .get('/api/analytics')
+                .query({ id: 123123, from: '2024-05-01', to: '2024-05-31' });
+            await User.updateOne({ id: 123123 }, { $unset: { timezone: 1 } });
+
+            expect(res.body.data.timezone).toBe('Asia/Jerusalem');
+            expect(res.body.data.from).toBe('2024-04-30T21:00:00.000Z');
+            expect(res.body.data.overall.monthly[0]).toMatchObject({ month: '2024-05', total: 88, count: 3 });
+        });
+
+        it('Should Reject A Range Whose Start Is After Its End', async () => {
+            const res = await request(app)
+                .get('/api/analytics')
+                .query({ id: 123123, from: '2024-06-01', to: '2024-05-01' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.code).toBe('INVALID_DATE_RANGE');
+        });
+    });
+
+    describe('Report And Cost Exports', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await Cost.create([
+                { description: 'Lunch, with team', category: 'food', userid: 123123, sum: 40, currency: 'USD', date: new Date('2024-06-03') },
+                { description: 'Gym', category: 'sport', userid: 123123, sum: 25, currency: 'USD', date: new Date('2024-06-10') },
+            ]);
+        });
+
+        it('Should Download The Monthly Report As CSV', async () => {
+            const res = await request(app)
+                .get('/api/report')
+                .query({ id: 123123, year: '2024', month: '6', format: 'csv' });
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^text\/csv/);
+            expect(res.headers['content-disposition']).toMatch(/report-123123-2024-06\.csv/);
+
+            const lines = res.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+            expect(lines[0]).toBe('Category,Day,Description,Sum,Currency');
+            expect(lines).toContain('food,3,"Lunch, with team",40,USD');
+            expect(lines).toHaveLength(3);
+        });
+
+        it('Should Negotiate JSON Lines From The Accept Header', async () => {
+            const res = await request(app)
+                .get('/api/report')
+                .set('Accept', 'application/x-ndjson')
+                .query({ id: 123123, year: '2024', month: '6' });
+            expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+
+            const rows = res.text.trim().split('\n').map(line => JSON.parse(line));
+            expect(rows.map(row => row.description)).toEqual(['Lunch, with team', 'Gym']);
+        });
+
+        it('Should Render The Cost Listing As Printable HTML', async () => {
+            const res = await request(app)
+                .get('/api/costs')
+                .query({ userid: '123123', format: 'html' });
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^text\/html/);
+            expect(res.text).toContain('<table class="export">');
+            expect(res.text).toContain('Lunch, with team');
+            expect(res.text).toContain('2 Cost Items, Total 65 USD');
+        });
+
+        it('Should Export Every Matching Cost Regardless Of The Page Limit', async () => {
+            const res = await request(app)
+                .get('/api/costs')
+                .query({ userid: '123123', format: 'jsonl', limit: '1' });
+            expect(res.text.trim().split('\n')).toHaveLength(2);
+        });
+
+        it('Should Keep JSON As The Default Format', async () => {
+            const res = await request(app)
+                .get('/api/report')
+                .query({ id: 123123, year: '2024', month: '6' });
+            expect(res.headers['content-type']).toMatch(/json/);
+            expect(Array.isArray(res.body.costs)).toBe(true);
+        });
+
+        it('Should Return 400 For An Unknown Format', async () => {
+            const res = await request(app)
+                .get('/api/costs')
+                .query({ userid: '123123', format: 'xlsx' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toBe('Invalid Format');
+        });
+    });
+
+    describe('Authentication And Authorization', () => {
+        beforeEach(async () => {
+            await User.updateOne(
+                { id: 123123 },
+                { id: 123123, first_name: 'mosh', last_name: 'israeli' },
+                { upsert: true }
+            );
+            await request(app).post('/api/users').send({
+                id: 555555,
+                first_name: 'dana',
+                last_name: 'levi',
+                birthday: '1990-03-15',
+                marital_status: 'single',
+                password: 'secret-password',
+            });
+        });
+
+        it('Should Return 401 For An Invalid Token', async () => {
+            const res = await request(app)
+                .get('/api/report')
+                .set('Authorization', 'Bearer not-a-token')
+                .query({ id: 123123, year: '2024', month: '6' });
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toBe('Unauthorized');
+        });
+
+        it('Should Log In With The Right Password And Accept The Token', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ id: 555555, password: 'secret-password' });
+            expect(login.statusCode).toBe(200);
+            expect(login.headers['set-cookie'][0]).toMatch(/^session=.*HttpOnly/);
+
+            const res = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${login.body.data.token}`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.id).toBe(555555);
+        });
+
+        it('Should Return 401 For A Wrong Password', async () => {
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ id: 555555, password: 'wrong-password' });
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toBe('Invalid Credentials');
+        });
+
+        it('Should Accept A Password Changed Through PATCH', async () => {
+            await request(app)
+                .patch('/api/users/555555')
+                .set('Authorization', bearer(555555))
+                .send({ password: 'another-password' });
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ id: 555555, password: 'another-password' });
+            expect(res.statusCode).toBe(200);
+        });
+
+        it('Should Return 403 When Adding A Cost For Another User', async () => {
+            const res = await request(app)
+                .post('/api/add')
+                .set('Authorization', bearer(555555))
+                .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 10 });
+            expect(res.statusCode).toBe(403);
+            expect(res.body.error).toBe('Forbidden');
+        });
+
+        it('Should Return 403 When Reading Another User\'s Report', async () => {
+            const res = await request(app)
+                .get('/api/report')
+                .set('Authorization', bearer(555555))
+                .query({ id: 123123, year: '2024', month: '6' });
+            expect(res.statusCode).toBe(403);
+        });
+
+        it('Should Return 403 For Another User\'s Cost Item', async () => {
+            const cost = await Cost.create({ description: 'Lunch', category: 'food', userid: 123123, sum: 10 });
+            const res = await request(app)
+                .get(`/api/costs/${cost._id}`)
+                .set('Authorization', bearer(555555));
+            expect(res.statusCode).toBe(403);
+        });
+
+        it('Should Let An Admin Read Across Users But Not Write', async () => {
+            const report = await request(app)
+                .get('/api/report')
+                .set('Authorization', bearer(555555, 'admin'))
+                .query({ id: 123123, year: '2024', month: '6' });
+            expect(report.statusCode).toBe(200);
+
+            const add = await request(app)
+                .post('/api/add')
+                .set('Authorization', bearer(555555, 'admin'))
+                .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 10 });
+            expect(add.statusCode).toBe(403);
+        });
+    });
+
     describe('GET /api/about', () => {
         it('Should Return 200 Status', async () => {
             const res = await request(app).get('/api/about');
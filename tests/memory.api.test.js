@@ -0,0 +1,609 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { createMemoryRepository } = require('../repositories');
+const { signToken } = require('../middleware/auth');
+const { materializeDueCosts } = require('../services/recurring');
+const { TRASH_RETENTION_DAYS, purgeTrash } = require('../services/trash');
+
+/**
+ * Builds a Bearer Authorization header value for a user
+ *
+ * @param {number} id - User ID
+ * @param {string} [role] - 'user' or 'admin'
+ * @returns {string} The header value
+ */
+const bearer = (id, role = 'user') => `Bearer ${signToken({ id, role }).token}`;
+
+// The whole app runs on the in-memory repository; no MongoDB is needed
+describe('API On The In-Memory Repository', () => {
+    let app;
+
+    beforeEach(() => {
+        app = createApp({
+            repository: createMemoryRepository({
+                users: [{ id: 123123, first_name: 'mosh', last_name: 'israeli', birthday: '1990-01-01', marital_status: 'single' }],
+                costs: [{ description: 'Rent', category: 'housing', userid: 123123, sum: 1000, date: new Date('2024-05-01') }],
+                budgets: [{ userid: 123123, category: 'food', limit: 20, startDate: new Date('2024-01-01') }]
+            })
+        });
+    });
+
+    it('Should Create A User And Log In', async () => {
+        const created = await request(app).post('/api/users').send({
+            id: 555555,
+            first_name: 'dana',
+            last_name: 'levi',
+            birthday: '1990-03-15',
+            marital_status: 'single',
+            password: 'secret-password',
+        });
+        expect(created.statusCode).toBe(201);
+        expect(created.body.data.password_hash).toBeUndefined();
+
+        const short = await request(app).post('/api/users').send({ ...created.body.data, id: 555556, password: 'short' });
+        expect(short.statusCode).toBe(400);
+        expect(short.body.errors).toEqual([{ field: 'body.password', message: expect.stringMatching(/At Least 8/) }]);
+
+        const duplicate = await request(app).post('/api/users').send({ ...created.body.data, password: 'secret-password' });
+        expect(duplicate.statusCode).toBe(409);
+
+        const login = await request(app).post('/api/auth/login').send({ id: 555555, password: 'secret-password' });
+        expect(login.statusCode).toBe(200);
+
+        const wrong = await request(app).post('/api/auth/login').send({ id: 555555, password: 'wrong-password' });
+        expect(wrong.statusCode).toBe(401);
+    });
+
+    it('Should Add Costs And Report Them In Monthly And Yearly Reports', async () => {
+        const added = await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 15, date: '2024-06-01' });
+        expect(added.statusCode).toBe(201);
+        expect(added.body.data.currency).toBe('USD');
+
+        const over = await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .send({ description: 'Dinner', category: 'food', userid: 123123, sum: 10, date: '2024-06-02' });
+        expect(over.body.warning).toMatchObject({ category: 'food', spent: 25, limit: 20 });
+
+        const report = await request(app)
+            .get('/api/report')
+            .set('Authorization', bearer(123123))
+            .query({ id: 123123, year: '2024', month: '6' });
+        expect(report.statusCode).toBe(200);
+        expect(report.body.costs.find(entry => entry.food).food).toEqual([
+            { sum: 15, description: 'Lunch', day: 1, date: '2024-06-01', timestamp: '2024-06-01T00:00:00.000Z' },
+            { sum: 10, description: 'Dinner', day: 2, date: '2024-06-02', timestamp: '2024-06-02T00:00:00.000Z' },
+        ]);
+
+        const yearly = await request(app)
+            .get('/api/report/yearly')
+            .set('Authorization', bearer(123123))
+            .query({ id: 123123, year: '2024' });
+        expect(yearly.body.total).toBe(1025);
+        expect(yearly.body.periods.find(period => period.period === '2024-05').categories.housing).toBe(1000);
+    });
+
+    it('Should Take Dates, Months And Budgets In The User\'s Time Zone', async () => {
+        const auth = bearer(123123);
+        const updated = await request(app).patch('/api/users/123123').set('Authorization', auth).send({ timezone: 'Asia/Jerusalem' });
+        expect(updated.body.data.timezone).toBe('Asia/Jerusalem');
+
+        const added = await request(app)
+            .post('/api/add')
+            .set('Authorization', auth)
+            .send({ description: 'Breakfast', category: 'food', userid: 123123, sum: 25, date: '2024-07-01' });
+        expect(added.body.data.date).toBe('2024-06-30T21:00:00.000Z');
+        expect(added.body.warning).toMatchObject({ category: 'food', spent: 25, limit: 20 });
+
+        const july = await request(app).get('/api/report').set('Authorization', auth).query({ id: 123123, year: '2024', month: '7' });
+        expect(july.body.timezone).toBe('Asia/Jerusalem');
+        expect(july.body.costs.find(entry => entry.food).food).toEqual([
+            { sum: 25, description: 'Breakfast', day: 1, date: '2024-07-01', timestamp: '2024-06-30T21:00:00.000Z' },
+        ]);
+
+        const range = await request(app)
+            .get('/api/report/range')
+            .set('Authorization', auth)
+            .query({ id: 123123, from: '2024-06-30', to: '2024-07-01', groupBy: 'day' });
+        expect(range.body.periods.map(period => [period.period, period.total])).toEqual([['2024-06-30', 0], ['2024-07-01', 25]]);
+
+        const listed = await request(app).get('/api/costs').set('Authorization', auth).query({ userid: '123123', from: '2024-07-01', to: '2024-07-01' });
+        expect(listed.body.data.map(cost => cost.description)).toEqual(['Breakfast']);
+
+        const moved = await request(app).patch(`/api/costs/${added.body.data._id}`).set('Authorization', auth).send({ date: '2024-07-02' });
+        expect(moved.body.data.date).toBe('2024-07-01T21:00:00.000Z');
+
+        // Stored in May (UTC) but part of the June report, whose snapshot must be dropped
+        const before = await request(app).get('/api/report').set('Authorization', auth).query({ id: 123123, year: '2024', month: '6' });
+        expect(before.body.costs.find(entry => entry.food).food).toEqual([]);
+        await request(app)
+            .post('/api/add')
+            .set('Authorization', auth)
+            .send({ description: 'Snack', category: 'food', userid: 123123, sum: 5, date: '2024-06-01T01:00:00' });
+        const june = await request(app).get('/api/report').set('Authorization', auth).query({ id: 123123, year: '2024', month: '6' });
+        expect(june.body.costs.find(entry => entry.food).food).toEqual([
+            { sum: 5, description: 'Snack', day: 1, date: '2024-06-01', timestamp: '2024-05-31T22:00:00.000Z' },
+        ]);
+    });
+
+    it('Should Return The User Total', async () => {
+        const res = await request(app).get('/api/users/123123').set('Authorization', bearer(123123));
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toEqual({ id: 123123, first_name: 'mosh', last_name: 'israeli', total: 1000 });
+    });
+
+    it('Should Add A Batch All Or Nothing', async () => {
+        const failed = await request(app)
+            .post('/api/add/batch')
+            .set('Authorization', bearer(123123))
+            .send([
+                { description: 'Bus', category: 'education', userid: 123123, sum: 3 },
+                { description: 'Mystery', category: 'gadgets', userid: 123123, sum: 5 },
+            ]);
+        expect(failed.statusCode).toBe(422);
+
+        const added = await request(app)
+            .post('/api/add/batch')
+            .set('Authorization', bearer(123123))
+            .send([
+                { description: 'Bus', category: 'education', userid: 123123, sum: 3 },
+                { description: 'Gym', category: 'sport', userid: 123123, sum: 30 },
+            ]);
+        expect(added.statusCode).toBe(201);
+
+        const user = await request(app).get('/api/users/123123').set('Authorization', bearer(123123));
+        expect(user.body.data.total).toBe(1033);
+    });
+
+    it('Should List, Update And Delete Costs', async () => {
+        for (const [description, sum, date] of [['Lunch', 15, '2024-06-01'], ['Dinner', 40, '2024-06-02'], ['Late Lunch', 25, '2024-06-03']]) {
+            await request(app)
+                .post('/api/add')
+                .set('Authorization', bearer(123123))
+                .send({ description, category: 'food', userid: 123123, sum, date });
+        }
+
+        const first = await request(app)
+            .get('/api/costs')
+            .set('Authorization', bearer(123123))
+            .query({ userid: '123123', category: 'food,housing', q: 'lunch', minSum: '10', sort: 'sum', limit: '1' });
+        expect(first.statusCode).toBe(200);
+        expect(first.body.data.map(cost => cost.description)).toEqual(['Lunch']);
+        expect(first.body.pagination.total).toBe(2);
+
+        const second = await request(app)
+            .get('/api/costs')
+            .set('Authorization', bearer(123123))
+            .query({ userid: '123123', category: 'food,housing', q: 'lunch', minSum: '10', sort: 'sum', limit: '1', cursor: first.body.pagination.nextCursor });
+        expect(second.body.data.map(cost => cost.description)).toEqual(['Late Lunch']);
+        expect(second.body.pagination.nextCursor).toBeNull();
+
+        const id = second.body.data[0]._id;
+        const updated = await request(app).patch(`/api/costs/${id}`).set('Authorization', bearer(123123)).send({ sum: 30 });
+        expect(updated.statusCode).toBe(200);
+        expect(updated.body.data.sum).toBe(30);
+
+        const invalid = await request(app).patch(`/api/costs/${id}`).set('Authorization', bearer(123123)).send({ category: 'gadgets' });
+        expect(invalid.statusCode).toBe(400);
+
+        const deleted = await request(app).delete(`/api/costs/${id}`).set('Authorization', bearer(123123));
+        expect(deleted.statusCode).toBe(200);
+        expect((await request(app).get(`/api/costs/${id}`).set('Authorization', bearer(123123))).statusCode).toBe(404);
+
+        const trash = await request(app).get('/api/trash').set('Authorization', bearer(123123)).query({ userid: '123123' });
+        expect(trash.body.data.map(entry => entry.id)).toEqual([id]);
+
+        const restored = await request(app).post(`/api/trash/${id}/restore`).set('Authorization', bearer(123123));
+        expect(restored.statusCode).toBe(200);
+        expect(restored.body.data).toMatchObject({ _id: id, sum: 30 });
+    });
+
+    it('Should Search Costs, Total Them Per Tag And Import Bank Statements', async () => {
+        await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .send({ description: 'Dinners with friends', category: 'food', userid: 123123, sum: 60, date: '2024-06-01', tags: ['friends'] });
+
+        const search = await request(app).get('/api/search').set('Authorization', bearer(123123)).query({ userid: '123123', q: 'dinner -rent' });
+        expect(search.statusCode).toBe(200);
+        expect(search.body.data).toHaveLength(1);
+        expect(search.body.data[0].snippet).toBe('<mark>Dinners</mark> with friends');
+
+        const tags = await request(app).get('/api/tags/summary').set('Authorization', bearer(123123)).query({ userid: '123123', from: '2024-05-01', to: '2024-06-30' });
+        expect(tags.body.data).toMatchObject({ tags: [{ tag: 'friends', total: 60, count: 1 }], untagged: { total: 1000, count: 1 }, total: 1060, count: 2 });
+
+        const qif = '!Type:Bank\nD06/15/2024\nT-1,200.00\nPLandlord\n^\n';
+        const bank = await request(app)
+            .post('/api/import/bank')
+            .set('Authorization', bearer(123123))
+            .query({ userid: '123123', defaultCategory: 'housing' })
+            .set('Content-Type', 'application/qif')
+            .send(qif);
+        expect(bank.statusCode).toBe(201);
+        expect(bank.body.data).toMatchObject({ format: 'qif', imported: 1 });
+
+        const again = await request(app)
+            .post('/api/import/bank')
+            .set('Authorization', bearer(123123))
+            .query({ userid: '123123', defaultCategory: 'housing' })
+            .set('Content-Type', 'application/qif')
+            .send(qif);
+        expect(again.body.data.rows[0]).toMatchObject({ status: 'skipped', reason: 'Already Imported' });
+    });
+
+    it('Should Move A User And Their Costs To The Trash And Back', async () => {
+        const refused = await request(app).delete('/api/users/123123').set('Authorization', bearer(123123));
+        expect(refused.statusCode).toBe(409);
+
+        const deleted = await request(app).delete('/api/users/123123').set('Authorization', bearer(123123)).query({ cascade: 'true' });
+        expect(deleted.body.data).toEqual({ id: 123123, deletedCosts: 1 });
+        expect((await request(app).get('/api/users/123123').set('Authorization', bearer(123123))).statusCode).toBe(404);
+
+        const restored = await request(app).post('/api/trash/123123/restore').set('Authorization', bearer(123123));
+        expect(restored.body.data).toMatchObject({ id: 123123, restoredCosts: 1 });
+
+        const user = await request(app).get('/api/users/123123').set('Authorization', bearer(123123));
+        expect(user.body.data.total).toBe(1000);
+    });
+
+    it('Should Replay Idempotent Sign-Ups', async () => {
+        const body = { id: 777777, first_name: 'noa', last_name: 'cohen', birthday: '1995-07-01', marital_status: 'single', password: 'secret-password' };
+
+        const first = await request(app).post('/api/users').set('Idempotency-Key', 'sign-up-1').send(body);
+        expect(first.statusCode).toBe(201);
+
+        const retry = await request(app).post('/api/users').set('Idempotency-Key', 'sign-up-1').send(body);
+        expect(retry.statusCode).toBe(201);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(retry.body).toEqual(first.body);
+
+        const reused = await request(app).post('/api/users').set('Idempotency-Key', 'sign-up-1').send({ ...body, id: 777778 });
+        expect(reused.statusCode).toBe(422);
+    });
+
+    it('Should Rename And Merge Categories Along With Their Costs, Budgets And Rules', async () => {
+        const auth = bearer(123123);
+        const created = await request(app).post('/api/categories').set('Authorization', auth).send({ userid: 123123, name: ' Travel ' });
+        expect(created.statusCode).toBe(201);
+        expect(created.body.data.name).toBe('travel');
+        const taken = await request(app).post('/api/categories').set('Authorization', auth).send({ userid: 123123, name: 'FOOD' });
+        expect(taken.statusCode).toBe(409);
+
+        const cost = await request(app).post('/api/add').set('Authorization', auth)
+            .send({ description: 'Train', category: 'travel', userid: 123123, sum: 40, date: '2024-06-01' });
+        await request(app).delete(`/api/costs/${cost.body.data._id}`).set('Authorization', auth);
+        const budget = await request(app).post('/api/budgets').set('Authorization', auth).send({ userid: 123123, category: 'travel', limit: 100 });
+        expect(budget.statusCode).toBe(201);
+        const duplicate = await request(app).post('/api/budgets').set('Authorization', auth).send({ userid: 123123, category: 'travel', limit: 50 });
+        expect(duplicate.statusCode).toBe(409);
+        const rule = await request(app).post('/api/category-rules').set('Authorization', auth).send({ userid: 123123, pattern: 'rail', category: 'travel' });
+        expect(rule.statusCode).toBe(201);
+
+        const renamed = await request(app).patch(`/api/categories/${created.body.data._id}`).set('Authorization', auth).send({ name: 'trips' });
+        expect(renamed.body.data.name).toBe('trips');
+        const onto = await request(app).patch(`/api/categories/${created.body.data._id}`).set('Authorization', auth).send({ name: 'food' });
+        expect(onto.statusCode).toBe(409);
+        expect((await request(app).get(`/api/budgets/${budget.body.data._id}`).set('Authorization', auth)).body.data.category).toBe('trips');
+        expect((await request(app).get('/api/category-rules').set('Authorization', auth).query({ userid: '123123' })).body.data)
+            .toEqual([expect.objectContaining({ pattern: 'rail', category: 'trips' })]);
+        const trash = await request(app).get('/api/trash').set('Authorization', auth).query({ userid: '123123' });
+        expect(trash.body.data[0].item.category).toBe('trips');
+
+        const categories = await request(app).get('/api/categories').set('Authorization', auth).query({ userid: '123123' });
+        const food = categories.body.data.find(category => category.name === 'food');
+        const merged = await request(app).post(`/api/categories/${created.body.data._id}/merge`).set('Authorization', auth).send({ into: food._id });
+        expect(merged.body.data).toMatchObject({ category: { name: 'food' }, movedCosts: 1 });
+
+        // The seeded food budget stays; the trips budget goes with its category
+        const budgets = await request(app).get('/api/budgets').set('Authorization', auth).query({ userid: '123123' });
+        expect(budgets.body.data.map(entry => [entry.category, entry.limit])).toEqual([['food', 20]]);
+        const bank = await request(app).post('/api/import/bank').set('Authorization', auth).query({ userid: '123123' })
+            .set('Content-Type', 'application/qif').send('!Type:Bank\nD06/15/2024\nT-12.00\nPNational Rail\n^\n');
+        expect(bank.body.data.rows[0].data).toMatchObject({ category: 'food', sum: 12 });
+
+        const removed = await request(app).delete(`/api/category-rules/${rule.body.data._id}`).set('Authorization', auth);
+        expect(removed.statusCode).toBe(200);
+        expect((await request(app).get(`/api/category-rules/${rule.body.data._id}`).set('Authorization', auth)).statusCode).toBe(404);
+    });
+
+    it('Should Split Group Expenses And Settle Up', async () => {
+        const groupApp = createApp({
+            repository: createMemoryRepository({
+                users: [
+                    { id: 123123, first_name: 'mosh', last_name: 'israeli', birthday: '1990-01-01', marital_status: 'single' },
+                    { id: 456456, first_name: 'dana', last_name: 'levi', birthday: '1991-01-01', marital_status: 'single' },
+                ]
+            })
+        });
+        const auth = bearer(123123);
+
+        const group = await request(groupApp).post('/api/groups').set('Authorization', auth).send({ name: 'Flat', members: [123123, 456456] });
+        expect(group.statusCode).toBe(201);
+        expect(group.body.data.currency).toBe('USD');
+        expect((await request(groupApp).delete('/api/users/456456').set('Authorization', bearer(456456))).statusCode).toBe(409);
+
+        const groupId = group.body.data._id;
+        const expense = await request(groupApp).post(`/api/groups/${groupId}/expenses`).set('Authorization', auth)
+            .send({ description: 'Groceries', category: 'food', sum: 90, date: '2024-06-01' });
+        expect(expense.statusCode).toBe(201);
+        expect(expense.body.data.costs.map(cost => [cost.userid, cost.sum])).toEqual([[123123, 45], [456456, 45]]);
+
+        const balances = await request(groupApp).get(`/api/groups/${groupId}/balances`).set('Authorization', auth);
+        expect(balances.body.data.transfers).toEqual([{ from: 456456, to: 123123, amount: 45 }]);
+        const leaving = await request(groupApp).patch(`/api/groups/${groupId}`).set('Authorization', auth).send({ members: [123123] });
+        expect(leaving.statusCode).toBe(409);
+
+        const settlement = await request(groupApp).post(`/api/groups/${groupId}/settlements`).set('Authorization', bearer(456456))
+            .send({ from: 456456, to: 123123, amount: 45 });
+        expect(settlement.statusCode).toBe(201);
+        const settled = await request(groupApp).get(`/api/groups/${groupId}/balances`).set('Authorization', auth);
+        expect(settled.body.data.transfers).toEqual([]);
+
+        const deleted = await request(groupApp).delete(`/api/groups/${groupId}/expenses/${expense.body.data._id}`).set('Authorization', auth);
+        expect(deleted.body.data.deletedCosts).toBe(2);
+        const trash = await request(groupApp).get('/api/trash').set('Authorization', bearer(456456)).query({ userid: '456456' });
+        expect(trash.body.data.map(entry => entry.item.description)).toEqual(['Groceries']);
+        expect((await request(groupApp).get(`/api/groups/${groupId}/expenses`).set('Authorization', auth)).body.data).toEqual([]);
+    });
+
+    it('Should Materialize Recurring Costs And Purge The Trash Without MongoDB', async () => {
+        const repository = createMemoryRepository({
+            users: [{ id: 123123, first_name: 'mosh', last_name: 'israeli', birthday: '1990-01-01', marital_status: 'single' }]
+        });
+        const recurringApp = createApp({ repository });
+        const auth = bearer(123123);
+
+        const created = await request(recurringApp).post('/api/recurring').set('Authorization', auth).send({
+            description: 'Gym', category: 'sport', userid: 123123, sum: 30, schedule: { frequency: 'monthly' }, startDate: '2024-01-15'
+        });
+        expect(created.statusCode).toBe(201);
+        const id = created.body.data._id;
+
+        const skipped = await request(recurringApp).post(`/api/recurring/${id}/skip`).set('Authorization', auth).send({ date: '2024-02-15' });
+        expect(skipped.body.data.skippedDates).toEqual(['2024-02-15T00:00:00.000Z']);
+
+        expect(await materializeDueCosts(repository, new Date('2024-03-20'))).toBe(2);
+        expect(await materializeDueCosts(repository, new Date('2024-03-20'))).toBe(0);
+        await repository.recurring.update(id, { materializedUntil: new Date('2024-01-01') });
+        expect(await materializeDueCosts(repository, new Date('2024-03-20'))).toBe(0);
+
+        const taken = await request(recurringApp).post(`/api/recurring/${id}/skip`).set('Authorization', auth).send({ date: '2024-03-15' });
+        expect(taken.statusCode).toBe(409);
+        const costs = await request(recurringApp).get('/api/costs').set('Authorization', auth).query({ userid: '123123', sort: 'date', order: 'asc' });
+        expect(costs.body.data.map(cost => cost.date)).toEqual(['2024-01-15T00:00:00.000Z', '2024-03-15T00:00:00.000Z']);
+
+        await request(recurringApp).delete(`/api/costs/${costs.body.data[0]._id}`).set('Authorization', auth);
+        expect(await purgeTrash(repository)).toEqual({ users: 0, costs: 0 });
+        const later = new Date(Date.now() + (TRASH_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000);
+        expect(await purgeTrash(repository, later)).toEqual({ users: 0, costs: 1 });
+
+        await request(recurringApp).delete('/api/users/123123').set('Authorization', auth).query({ cascade: 'true' });
+        expect(await purgeTrash(repository, later)).toEqual({ users: 1, costs: 1 });
+        expect(await repository.recurring.findForUser(123123)).toEqual([]);
+    });
+
+    it('Should Load Exchange Rates And Convert Totals With Them', async () => {
+        const loaded = await request(app).post('/api/rates').set('Authorization', bearer(1, 'admin')).set('Content-Type', 'text/csv')
+            .send('date,from,to,rate\n2024-01-01,EUR,USD,1.1\n2024-06-01,EUR,USD,1.2\n2024-06-01,EUR,USD,1.25\n');
+        expect(loaded.statusCode).toBe(201);
+        expect(loaded.body.data.count).toBe(3);
+
+        const rates = await request(app).get('/api/rates').set('Authorization', bearer(123123)).query({ from: 'eur' });
+        expect(rates.body.data.map(rate => [rate.date, rate.rate])).toEqual([['2024-06-01T00:00:00.000Z', 1.25], ['2024-01-01T00:00:00.000Z', 1.1]]);
+
+        await request(app).post('/api/add').set('Authorization', bearer(123123))
+            .send({ description: 'Museum', category: 'education', userid: 123123, sum: 10, currency: 'EUR', date: '2024-03-01' });
+        const total = await request(app).get('/api/users/123123').set('Authorization', bearer(123123)).query({ convert: 'true' });
+        expect(total.body.data.total).toBe(1011);
+
+        await request(app).post('/api/add').set('Authorization', bearer(123123))
+            .send({ description: 'Taxi', category: 'education', userid: 123123, sum: 10, currency: 'GBP', date: '2024-03-01' });
+        const missing = await request(app).get('/api/users/123123').set('Authorization', bearer(123123)).query({ convert: 'true' });
+        expect(missing.statusCode).toBe(422);
+    });
+
+    it('Should Keep An Audit Log Of Users And Costs', async () => {
+        const auth = bearer(123123);
+        const added = await request(app).post('/api/add').set('Authorization', auth)
+            .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 15, date: '2024-06-01' });
+        const id = added.body.data._id;
+        await request(app).patch(`/api/costs/${id}`).set('Authorization', auth).send({ sum: 20 });
+        await request(app).delete(`/api/costs/${id}`).set('Authorization', auth);
+        await request(app).patch('/api/users/123123').set('Authorization', auth).send({ last_name: 'cohen' });
+
+        const cost = await request(app).get('/api/audit').set('Authorization', auth).query({ entity: 'cost', id });
+        expect(cost.statusCode).toBe(200);
+        expect(cost.body.data.map(entry => entry.action)).toEqual(['delete', 'update', 'create']);
+        expect(cost.body.data[1].changes).toEqual([{ field: 'sum', before: 15, after: 20 }]);
+        expect(cost.body.data[2].actor).toEqual({ id: 123123, role: 'user' });
+
+        const user = await request(app).get('/api/audit').set('Authorization', auth).query({ entity: 'user', id: '123123' });
+        expect(user.body.data).toEqual([expect.objectContaining({ action: 'update', changes: [{ field: 'last_name', before: 'israeli', after: 'cohen' }] })]);
+
+        const others = await request(app).get('/api/audit').set('Authorization', bearer(555555));
+        expect(others.body.pagination.total).toBe(0);
+    });
+
+    it('Should Compute Spending Analytics', async () => {
+        const analyticsApp = createApp({
+            repository: createMemoryRepository({
+                users: [{ id: 123123, first_name: 'mosh', last_name: 'israeli', birthday: '1990-01-01', marital_status: 'single' }],
+                costs: [
+                    { description: 'Birthday Dinner', category: 'food', userid: 123123, sum: 50, date: new Date('2023-06-20') },
+                    { description: 'Groceries', category: 'food', userid: 123123, sum: 30, date: new Date('2024-04-08') },
+                    { description: 'Gym', category: 'sport', userid: 123123, sum: 10, date: new Date('2024-04-12') },
+                    { description: 'Groceries', category: 'food', userid: 123123, sum: 60, date: new Date('2024-05-06') },
+                    { description: 'Gym', category: 'sport', userid: 123123, sum: 20, date: new Date('2024-05-12') },
+                    { description: 'Wedding Catering', category: 'food', userid: 123123, sum: 70, date: new Date('2024-06-02') },
+                    { description: 'Groceries', category: 'food', userid: 123123, sum: 20, date: new Date('2024-06-09') },
+                    { description: 'Tennis Lessons', category: 'sport', userid: 123123, sum: 30, date: new Date('2024-06-15') },
+                ]
+            })
+        });
+
+        const res = await request(analyticsApp)
+            .get('/api/analytics')
+            .set('Authorization', bearer(123123))
+            .query({ id: 123123, from: '2024-05-01', to: '2024-06-15', top: '2' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.months).toEqual(['2024-05', '2024-06']);
+        expect(res.body.data.overall).toMatchObject({ total: 200, count: 5 });
+        expect(res.body.data.overall.monthly).toEqual([
+            { month: '2024-05', total: 80, count: 2, average3: 40, average12: 14.17, monthOverMonth: 100, yearOverYear: null },
+            { month: '2024-06', total: 120, count: 3, average3: 80, average12: 20, monthOverMonth: 50, yearOverYear: 140 },
+        ]);
+        expect(res.body.data.overall.top.map(cost => [cost.description, cost.sum, cost.date]))
+            .toEqual([['Wedding Catering', 70, '2024-06-02'], ['Groceries', 60, '2024-05-06']]);
+
+        const food = res.body.data.categories.find(entry => entry.category === 'food');
+        const health = res.body.data.categories.find(entry => entry.category === 'health');
+        expect(food).toMatchObject({ total: 150, count: 3, share: 75 });
+        expect(food.monthly.map(month => [month.month, month.total, month.monthOverMonth, month.yearOverYear]))
+            .toEqual([['2024-05', 60, 100, null], ['2024-06', 90, 50, 80]]);
+        expect(res.body.data.categories.find(entry => entry.category === 'sport').top.map(cost => cost.sum)).toEqual([30, 20]);
+        expect(health).toMatchObject({ total: 0, count: 0, share: 0, top: [] });
+    });
+
+    it('Should Take Imports Larger Than The Default JSON Limit', async () => {
+        const rows = Array.from({ length: 2000 }, (_, index) => ({
+            description: `Coffee ${index}`, category: 'food', userid: 123123, sum: 1, date: '2024-06-01'
+        }));
+        expect(JSON.stringify(rows).length).toBeGreaterThan(100 * 1024);
+
+        const res = await request(app).post('/api/import').set('Authorization', bearer(123123)).send(rows);
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data.imported).toBe(2000);
+
+        const small = await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .send({ description: 'x'.repeat(200 * 1024), category: 'food', userid: 123123, sum: 1 });
+        expect(small.statusCode).toBe(413);
+        expect(small.body.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    it('Should Validate Requests Against The OpenAPI Document', async () => {
+        const res = await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 'abc' });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('Failed To Add Cost Item');
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+        expect(res.body.errors).toEqual([{ field: 'body.sum', message: 'Must Be A Number' }]);
+    });
+
+    it('Should Convert And Validate Form Bodies', async () => {
+        const added = await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .type('form')
+            .send('description=Lunch&category=food&userid=123123&sum=12.5');
+        expect(added.statusCode).toBe(201);
+        expect(added.body.data).toMatchObject({ userid: 123123, sum: 12.5 });
+
+        const invalid = await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .type('form')
+            .send('description=Lunch&category=food&userid=123123&sum=lots');
+        expect(invalid.statusCode).toBe(400);
+        expect(invalid.body.errors).toEqual([{ field: 'body.sum', message: 'Must Be A Number' }]);
+
+        const batch = await request(app)
+            .post('/api/add/batch')
+            .set('Authorization', bearer(123123))
+            .type('form')
+            .send('description=Lunch');
+        expect(batch.statusCode).toBe(415);
+    });
+
+    it('Should Keep The Model Validation', async () => {
+        const res = await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 5, currency: 'ABC' });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('Failed To Add Cost Item');
+        expect(res.body.message).toMatch(/ISO 4217/);
+    });
+
+    it('Should Answer Unknown Routes And Model Errors With Coded JSON', async () => {
+        const missing = await request(app).get('/api/no-such-route').set('Authorization', bearer(123123));
+        expect(missing.statusCode).toBe(404);
+        expect(missing.body.code).toBe('ROUTE_NOT_FOUND');
+        expect(missing.body.requestId).toBe(missing.headers['x-request-id']);
+
+        const invalid = await request(app)
+            .post('/api/add')
+            .set('Authorization', bearer(123123))
+            .set('Accept', 'application/problem+json')
+            .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 5, tags: ['no spaces'] });
+        expect(invalid.statusCode).toBe(400);
+        expect(invalid.headers['content-type']).toMatch(/application\/problem\+json/);
+        expect(invalid.body).toMatchObject({
+            status: 400,
+            title: 'Failed To Add Cost Item',
+            code: 'VALIDATION_FAILED',
+            errors: [{ field: 'body.tags', message: expect.any(String) }],
+        });
+    });
+
+    it('Should Log Unexpected Errors And Hide Them Behind A Generic 500', async () => {
+        const repository = createMemoryRepository({ users: [{ id: 123123, first_name: 'mosh', last_name: 'israeli', birthday: '1990-01-01', marital_status: 'single' }] });
+        repository.costs.list = async () => {
+            throw new Error('connection to 10.0.0.5:27017 closed');
+        };
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            const res = await request(createApp({ repository }))
+                .get('/api/costs')
+                .query({ userid: 123123 })
+                .set('Authorization', bearer(123123));
+            expect(res.statusCode).toBe(500);
+            expect(res.body.error).toBe('Internal Server Error');
+            expect(res.body.message).not.toMatch(/10\.0\.0\.5/);
+            expect(spy).toHaveBeenCalledWith('Unexpected API Error:', res.body.requestId, expect.any(Error));
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    it('Should Serve The OpenAPI Document And The HTML Reference', async () => {
+        const spec = await request(app).get('/api/openapi.json');
+        expect(spec.statusCode).toBe(200);
+        expect(spec.body.paths['/report'].get.parameters.map(parameter => parameter.name)).toEqual(
+            expect.arrayContaining(['id', 'year', 'month'])
+        );
+
+        const docs = await request(app).get('/api/docs');
+        expect(docs.statusCode).toBe(200);
+        expect(docs.text).toContain('Cost Manager API');
+    });
+
+    it('Should Send Responses Matching The OpenAPI Document', async () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            const auth = bearer(123123);
+            await request(app).post('/api/add').set('Authorization', auth)
+                .send({ description: 'Lunch', category: 'food', userid: 123123, sum: 25, date: '2024-05-02', tags: ['work'] });
+            await request(app).get('/api/report').set('Authorization', auth).query({ id: 123123, year: '2024', month: '5', includeBudget: 'true' });
+            await request(app).get('/api/report/yearly').set('Authorization', auth).query({ id: 123123, year: '2024' });
+            await request(app).get('/api/users/123123').set('Authorization', auth);
+            await request(app).get('/api/auth/me').set('Authorization', auth);
+            await request(app).get('/api/about');
+            await request(app).post('/api/users').set('Idempotency-Key', 'sign-up-2')
+                .send({ id: 888888, first_name: 'tal', last_name: 'mor', birthday: '1990-01-01', marital_status: 'single', password: 'secret-password' });
+            await request(app).post('/api/users').set('Idempotency-Key', 'sign-up-2')
+                .send({ id: 888889, first_name: 'tal', last_name: 'mor', birthday: '1990-01-01', marital_status: 'single', password: 'secret-password' });
+            await request(app).post('/api/import/bank').set('Authorization', auth).query({ userid: '123123', defaultCategory: 'housing' })
+                .set('Content-Type', 'text/plain').send('!Type:Bank\nD06/15/2024\nT-1,200.00\nPLandlord\n^\n');
+            expect(spy.mock.calls.filter(call => call[0] === 'Response Validation Error:')).toEqual([]);
+        } finally {
+            spy.mockRestore();
+        }
+    });
+});